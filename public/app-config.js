@@ -0,0 +1,22 @@
+/**
+ * Runtime App Configuration
+ * 
+ * This file is served as-is (it is not bundled), so it can be
+ * edited on the host to point an existing build at a different
+ * backend. Any value left out falls back to the VITE_* variables
+ * the app was built with.
+ * 
+ * See src/services/apiConfig.js for all options.
+ */
+window.TILE_APP_CONFIG = {
+  // adapter: 'http',
+  // apiUrl: 'https://staging.example.com',
+  // timeout: 15000,
+  // retries: 2,
+  // retryDelay: 500,
+  // batchConcurrency: 2,
+  // localFallback: true,
+  // localBaseline: false,
+  // uploadMaxSize: 2048,
+  // uploadQuality: 0.85,
+}
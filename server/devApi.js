@@ -0,0 +1,657 @@
+/**
+ * Local Tile API (development stand-in)
+ * 
+ * Implements the FastAPI contract used by the HTTP adapter
+ * over the tile catalog in public/mock/catalog.json, so the
+ * real network path can be exercised without the Python backend.
+ * 
+ * Endpoints:
+ * - POST /api/detect     FormData with `image` field
+ *                        (detections include a normalized `bbox`)
+ * - POST /api/recommend  JSON { tileId, tileImage, filters?, sort?, limit?, cursor? }
+ *                        (one page of results, with total and nextCursor)
+ * - GET  /api/catalog    Full tile catalog with product details
+ * - POST /api/feedback   JSON feedback item (logged; see feedbackService.js)
+ * - GET  /api/image-proxy?url=...  Image fetched from another site,
+ *                        for imports from sites without CORS
+ * 
+ * Results are deterministic: the same image (or tile id) always
+ * produces the same detections (or recommendations).
+ * 
+ * Simulation controls, for testing error and loading states:
+ * - GET/POST/DELETE /__dev-api/settings reads, updates or resets
+ *   the settings below for all following requests
+ * - Query parameters override them for a single request:
+ *   ?delay=3000  ?status=503  ?pad=5000000
+ * 
+ * Used by vite.config.js as middleware (tileApiPlugin) and by
+ * server/index.js as a standalone server.
+ */
+
+import { createHash } from 'node:crypto'
+import { lookup as dnsLookup } from 'node:dns'
+import { readFile } from 'node:fs/promises'
+import http from 'node:http'
+import https from 'node:https'
+import { BlockList, isIP } from 'node:net'
+import { fileURLToPath } from 'node:url'
+import { applyRecommendationFilters, sortRecommendations } from '../src/utils/recommendationFilters.js'
+import { paginate } from '../src/utils/pagination.js'
+
+// Catalog shared with the frontend mock data
+const DEFAULT_CATALOG_PATH = fileURLToPath(new URL('../public/mock/catalog.json', import.meta.url))
+
+const DEFAULT_SETTINGS = {
+  // Simulated processing delay range (in milliseconds)
+  minDelay: 300,
+  maxDelay: 800,
+  // Force every API response to this HTTP status (null = normal behaviour)
+  status: null,
+  // Probability (0-1) of answering with a 503
+  failRate: 0,
+  // Extra bytes added to each response to simulate large payloads
+  padBytes: 0,
+  // Uploads above this size are rejected with 413 (matches ImageUploader)
+  maxUploadBytes: 10 * 1024 * 1024,
+}
+
+// Share of images that deterministically produce no detections
+const EMPTY_DETECTION_RATE = 0.15
+
+// Number of detections returned for an image
+const DETECTIONS_PER_IMAGE = 3
+
+const SETTINGS_PATH = '/__dev-api/settings'
+
+// Feedback types and their required fields
+const FEEDBACK_FIELDS = {
+  recommendation: ['id', 'referenceTileId', 'tileId', 'rating'],
+  detection: ['id', 'tileId', 'verdict'],
+}
+
+// Time allowed for the image proxy to fetch a remote image
+const PROXY_TIMEOUT = 10000
+
+// Addresses the image proxy refuses, so it can't reach the local
+// network: unspecified, loopback, private and link-local ranges
+// (IPv4-mapped IPv6 addresses are matched against the IPv4 ranges)
+const PRIVATE_ADDRESSES = new BlockList()
+PRIVATE_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4')
+PRIVATE_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4')
+PRIVATE_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4')
+PRIVATE_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4')
+PRIVATE_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4')
+PRIVATE_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4')
+PRIVATE_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4')
+PRIVATE_ADDRESSES.addAddress('::', 'ipv6')
+PRIVATE_ADDRESSES.addAddress('::1', 'ipv6')
+PRIVATE_ADDRESSES.addSubnet('fc00::', 7, 'ipv6')
+PRIVATE_ADDRESSES.addSubnet('fe80::', 10, 'ipv6')
+
+// IPv4-mapped IPv6 addresses, refused outright (kept apart because a
+// BlockList also matches plain IPv4 addresses against this range)
+const MAPPED_ADDRESSES = new BlockList()
+MAPPED_ADDRESSES.addSubnet('::ffff:0:0', 96, 'ipv6')
+
+// Redirects the image proxy follows before giving up
+const PROXY_MAX_REDIRECTS = 5
+
+/**
+ * Error carrying an HTTP status, turned into a FastAPI-style
+ * `{ detail }` response by the request handler
+ */
+class HttpError extends Error {
+  constructor(status, detail) {
+    super(detail)
+    this.status = status
+  }
+}
+
+/**
+ * Binary route result, sent as-is instead of as JSON
+ */
+class BinaryBody {
+  constructor(contentType, buffer) {
+    this.contentType = contentType
+    this.buffer = buffer
+  }
+}
+
+/**
+ * Creates a deterministic random number generator from a string seed
+ * Returns a function yielding numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+  const hash = createHash('sha256').update(seed).digest()
+  let index = 0
+
+  return () => {
+    // Use 4 bytes of the hash per number, re-hashing when exhausted
+    if (index + 4 > hash.length) {
+      index = 0
+      createHash('sha256').update(hash).digest().copy(hash)
+    }
+    const value = hash.readUInt32BE(index) / 0x100000000
+    index += 4
+    return value
+  }
+}
+
+/**
+ * Waits for the given time
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/**
+ * Reads the request body, rejecting with 413 above the size limit
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+
+    req.on('data', (chunk) => {
+      size += chunk.length
+      if (size > limit) {
+        // Keep draining so the client sees our response
+        chunks.length = 0
+        reject(new HttpError(413, `Upload exceeds ${limit} bytes`))
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
+/**
+ * Parses a JSON request body
+ */
+function parseJson(buffer) {
+  try {
+    return JSON.parse(buffer.toString('utf8'))
+  } catch (error) {
+    throw new HttpError(400, 'Request body must be valid JSON')
+  }
+}
+
+/**
+ * Parses a multipart/form-data body using the fetch Request API
+ */
+async function parseFormData(buffer, contentType) {
+  if (!contentType || !contentType.startsWith('multipart/form-data')) {
+    throw new HttpError(415, 'Expected multipart/form-data')
+  }
+
+  try {
+    const request = new Request('http://localhost/', {
+      method: 'POST',
+      headers: { 'content-type': contentType },
+      body: buffer,
+    })
+    return await request.formData()
+  } catch (error) {
+    throw new HttpError(400, 'Malformed multipart body')
+  }
+}
+
+/**
+ * Loads the tile catalog from disk
+ * Read on every request so edits show up without a restart
+ */
+async function loadCatalog(catalogPath) {
+  const raw = await readFile(catalogPath, 'utf8')
+  return JSON.parse(raw).tiles || []
+}
+
+/**
+ * Returns the fields of a catalog tile included in API results
+ * Results carry only id and image; clients fetch details from /api/catalog
+ */
+function toResultTile(tile) {
+  return { id: tile.id, image: tile.image }
+}
+
+/**
+ * Builds a normalized (0-1) bounding box inside a 3x3 grid cell
+ */
+function buildBoundingBox(cell, random) {
+  const cellSize = 1 / 3
+  const width = cellSize * (0.6 + random() * 0.3)
+  const height = cellSize * (0.6 + random() * 0.3)
+  const x = (cell % 3) * cellSize + random() * (cellSize - width)
+  const y = Math.floor(cell / 3) * cellSize + random() * (cellSize - height)
+
+  return {
+    x: Number(x.toFixed(4)),
+    y: Number(y.toFixed(4)),
+    width: Number(width.toFixed(4)),
+    height: Number(height.toFixed(4)),
+  }
+}
+
+/**
+ * Builds detections for an uploaded image
+ * The image bytes seed the results, so the same photo is stable
+ */
+function buildDetections(catalog, imageBytes) {
+  const random = createSeededRandom(imageBytes)
+
+  if (random() < EMPTY_DETECTION_RATE) {
+    return []
+  }
+
+  const pool = [...catalog]
+  const cells = [0, 1, 2, 3, 4, 5, 6, 7, 8]
+  const detections = []
+
+  while (detections.length < DETECTIONS_PER_IMAGE && pool.length > 0) {
+    const [tile] = pool.splice(Math.floor(random() * pool.length), 1)
+    const [cell] = cells.splice(Math.floor(random() * cells.length), 1)
+    detections.push({
+      ...toResultTile(tile),
+      confidence: Number((0.5 + Math.pow(random(), 0.7) * 0.49).toFixed(3)),
+      bbox: buildBoundingBox(cell, random),
+    })
+  }
+
+  return detections.sort((a, b) => b.confidence - a.confidence)
+}
+
+/**
+ * Builds recommendations for a reference tile
+ * Similarity is seeded by the (reference, candidate) id pair.
+ * Filters and sorting run on the full catalog entries.
+ */
+function buildRecommendations(catalog, tileId, filters, sort) {
+  const candidates = catalog
+    .filter((tile) => String(tile.id) !== String(tileId))
+    .map((tile) => {
+      const random = createSeededRandom(`${tileId}:${tile.id}`)
+      return {
+        ...tile,
+        similarity: Number((0.72 + Math.pow(random(), 0.6) * 0.23).toFixed(3)),
+      }
+    })
+
+  return sortRecommendations(applyRecommendationFilters(candidates, filters), sort)
+    .map((tile) => ({ ...toResultTile(tile), similarity: tile.similarity }))
+}
+
+/**
+ * Returns true if the image proxy must not connect to an IP address
+ */
+function isPrivateAddress(address) {
+  const family = isIP(address)
+  if (family === 6) {
+    return MAPPED_ADDRESSES.check(address, 'ipv6') || PRIVATE_ADDRESSES.check(address, 'ipv6')
+  }
+  return family !== 4 || PRIVATE_ADDRESSES.check(address, 'ipv4')
+}
+
+/**
+ * DNS lookup for the image proxy's agents
+ * Resolves every address of the host and fails if any of them is
+ * private, so the connection only goes to an address that was checked.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dnsLookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error)
+      return
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      callback(new HttpError(422, 'Only public http(s) image URLs can be fetched'))
+      return
+    }
+    if (options.all) {
+      callback(null, addresses)
+    } else {
+      callback(null, addresses[0].address, addresses[0].family)
+    }
+  })
+}
+
+// Agents that only connect to public addresses (see lookupPublicAddress)
+const PROXY_AGENTS = {
+  'http:': new http.Agent({ lookup: lookupPublicAddress }),
+  'https:': new https.Agent({ lookup: lookupPublicAddress }),
+}
+
+/**
+ * Throws unless the URL is a public http(s) URL the image proxy may fetch
+ * Host names are checked when they are resolved (see lookupPublicAddress);
+ * IP addresses are connected to without a lookup, so they are checked here.
+ */
+function assertPublicUrl(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, '')
+  if (!PROXY_AGENTS[url.protocol] || (isIP(host) && isPrivateAddress(host))) {
+    throw new HttpError(422, 'Only public http(s) image URLs can be fetched')
+  }
+}
+
+/**
+ * Sends a GET request through the image proxy's agents
+ * Resolves with the response once its headers arrive.
+ */
+function requestRemote(url, signal) {
+  const client = url.protocol === 'https:' ? https : http
+  return new Promise((resolve, reject) => {
+    client
+      .get(url, { agent: PROXY_AGENTS[url.protocol], signal }, resolve)
+      .on('error', reject)
+  })
+}
+
+/**
+ * Reads a remote response body, rejecting with 413 above the size limit
+ */
+async function readRemoteBody(response, limit) {
+  const chunks = []
+  let size = 0
+  for await (const chunk of response) {
+    size += chunk.length
+    if (size > limit) {
+      response.destroy()
+      throw new HttpError(413, `Image exceeds ${limit} bytes`)
+    }
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Fetches an image from another site for the image proxy
+ * Only public http(s) URLs are allowed, and only image responses
+ * up to the upload limit are passed on. Redirects are followed by
+ * hand, so every hop is checked against the private addresses too.
+ */
+async function fetchRemoteImage(target, limit) {
+  let url
+  try {
+    url = new URL(target)
+  } catch (error) {
+    throw new HttpError(422, 'Query parameter "url" must be an absolute URL')
+  }
+  assertPublicUrl(url)
+
+  const signal = AbortSignal.timeout(PROXY_TIMEOUT)
+  let response
+  for (let redirects = 0; ; redirects++) {
+    try {
+      response = await requestRemote(url, signal)
+    } catch (error) {
+      if (error instanceof HttpError) {
+        throw error
+      }
+      throw new HttpError(502, `Unable to reach ${url.hostname}`)
+    }
+
+    const location = response.headers.location
+    if (response.statusCode < 300 || response.statusCode >= 400 || !location) {
+      break
+    }
+    response.destroy()
+    if (redirects >= PROXY_MAX_REDIRECTS) {
+      throw new HttpError(502, `${url.hostname} redirected too many times`)
+    }
+    try {
+      url = new URL(location, url)
+    } catch (error) {
+      throw new HttpError(502, `${url.hostname} redirected to an invalid URL`)
+    }
+    assertPublicUrl(url)
+  }
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    response.destroy()
+    throw new HttpError(502, `${url.hostname} answered with ${response.statusCode}`)
+  }
+
+  const contentType = response.headers['content-type'] || ''
+  if (!contentType.startsWith('image/')) {
+    response.destroy()
+    throw new HttpError(415, 'The URL does not point to an image')
+  }
+  if (Number(response.headers['content-length']) > limit) {
+    response.destroy()
+    throw new HttpError(413, `Image exceeds ${limit} bytes`)
+  }
+
+  try {
+    return new BinaryBody(contentType, await readRemoteBody(response, limit))
+  } catch (error) {
+    if (error instanceof HttpError) {
+      throw error
+    }
+    throw new HttpError(502, `Unable to read the image from ${url.hostname}`)
+  }
+}
+
+/**
+ * Sends a binary response
+ */
+function sendBinary(res, { contentType, buffer }) {
+  res.statusCode = 200
+  res.setHeader('Content-Type', contentType)
+  res.setHeader('Content-Length', buffer.length)
+  res.end(buffer)
+}
+
+/**
+ * Sends a JSON response, padded if requested
+ */
+function sendJson(res, status, body, padBytes = 0) {
+  const payload = padBytes > 0 ? { ...body, _padding: 'x'.repeat(padBytes) } : body
+  const json = JSON.stringify(payload)
+
+  res.statusCode = status
+  res.setHeader('Content-Type', 'application/json')
+  res.setHeader('Content-Length', Buffer.byteLength(json))
+  res.end(json)
+}
+
+/**
+ * Applies CORS headers for the standalone server
+ */
+function applyCors(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept')
+}
+
+/**
+ * Reads per-request overrides from the query string
+ */
+function getRequestOverrides(url, settings) {
+  const params = url.searchParams
+  const delay = params.has('delay') ? Number(params.get('delay')) : null
+
+  return {
+    delay: delay ?? settings.minDelay + Math.random() * (settings.maxDelay - settings.minDelay),
+    status: params.has('status') ? Number(params.get('status')) : settings.status,
+    padBytes: params.has('pad') ? Number(params.get('pad')) : settings.padBytes,
+  }
+}
+
+/**
+ * Creates the request handler (connect-style middleware)
+ * 
+ * @param {Object} options
+ * @param {string} options.catalogPath - Path to the catalog JSON file
+ * @param {Object} options.settings - Initial simulation settings
+ * @param {boolean} options.cors - Add CORS headers (standalone server)
+ * @returns {Function} - (req, res, next) => void
+ */
+export function createTileApi({ catalogPath = DEFAULT_CATALOG_PATH, settings = {}, cors = false } = {}) {
+  let currentSettings = { ...DEFAULT_SETTINGS, ...settings }
+
+  const routes = {
+    'POST /api/detect': async (req) => {
+      const buffer = await readBody(req, currentSettings.maxUploadBytes)
+      const formData = await parseFormData(buffer, req.headers['content-type'])
+      const image = formData.get('image')
+
+      if (!image || typeof image === 'string') {
+        throw new HttpError(422, 'Field "image" must be a file')
+      }
+      if (image.type && !image.type.startsWith('image/')) {
+        throw new HttpError(415, `Unsupported image type: ${image.type}`)
+      }
+
+      const catalog = await loadCatalog(catalogPath)
+      const imageBytes = Buffer.from(await image.arrayBuffer())
+      return { detections: buildDetections(catalog, imageBytes) }
+    },
+
+    'POST /api/recommend': async (req) => {
+      const body = parseJson(await readBody(req, currentSettings.maxUploadBytes))
+
+      if (body?.tileId === undefined || body?.tileId === null) {
+        throw new HttpError(422, 'Field "tileId" is required')
+      }
+
+      if (body.limit !== undefined && !(Number.isInteger(body.limit) && body.limit > 0)) {
+        throw new HttpError(422, 'Field "limit" must be a positive integer')
+      }
+
+      const catalog = await loadCatalog(catalogPath)
+      let page
+      try {
+        page = paginate(buildRecommendations(catalog, body.tileId, body.filters, body.sort), body)
+      } catch (error) {
+        throw new HttpError(422, 'Field "cursor" is not valid')
+      }
+      return {
+        recommendations: page.items,
+        total: page.total,
+        nextCursor: page.nextCursor,
+        filtersApplied: true,
+        sortApplied: true,
+      }
+    },
+
+    'GET /api/catalog': async () => {
+      return { tiles: await loadCatalog(catalogPath) }
+    },
+
+    'POST /api/feedback': async (req) => {
+      const body = parseJson(await readBody(req, currentSettings.maxUploadBytes))
+      const fields = FEEDBACK_FIELDS[body?.type]
+
+      if (!fields) {
+        throw new HttpError(422, `Field "type" must be one of: ${Object.keys(FEEDBACK_FIELDS).join(', ')}`)
+      }
+      const missing = fields.find((field) => body[field] === undefined || body[field] === null)
+      if (missing) {
+        throw new HttpError(422, `Field "${missing}" is required`)
+      }
+      if (body.type === 'recommendation' && !['up', 'down'].includes(body.rating)) {
+        throw new HttpError(422, 'Field "rating" must be "up" or "down"')
+      }
+
+      console.log('[tile-api] Feedback:', JSON.stringify(body))
+      return { received: true }
+    },
+
+    'GET /api/image-proxy': async (req, url) => {
+      return fetchRemoteImage(url.searchParams.get('url'), currentSettings.maxUploadBytes)
+    },
+  }
+
+  return async function handleTileApi(req, res, next) {
+    const url = new URL(req.url, 'http://localhost')
+    const isApi = url.pathname.startsWith('/api/')
+    const isSettings = url.pathname === SETTINGS_PATH
+
+    if (!isApi && !isSettings) {
+      next()
+      return
+    }
+
+    if (cors) {
+      applyCors(req, res)
+    }
+    if (req.method === 'OPTIONS') {
+      res.statusCode = 204
+      res.end()
+      return
+    }
+
+    const startedAt = Date.now()
+
+    try {
+      if (isSettings) {
+        if (req.method === 'POST') {
+          const updates = parseJson(await readBody(req, 64 * 1024))
+          currentSettings = { ...currentSettings, ...updates }
+        } else if (req.method === 'DELETE') {
+          currentSettings = { ...DEFAULT_SETTINGS, ...settings }
+        }
+        sendJson(res, 200, currentSettings)
+        return
+      }
+
+      const route = routes[`${req.method} ${url.pathname}`]
+      if (!route) {
+        const knownPath = Object.keys(routes).some((key) => key.endsWith(` ${url.pathname}`))
+        throw knownPath
+          ? new HttpError(405, `Method ${req.method} not allowed`)
+          : new HttpError(404, `No route for ${url.pathname}`)
+      }
+
+      const overrides = getRequestOverrides(url, currentSettings)
+      await sleep(overrides.delay)
+
+      if (overrides.status && overrides.status >= 400) {
+        // Drain the upload so the client receives the error cleanly
+        req.resume()
+        throw new HttpError(overrides.status, `Simulated ${overrides.status} response`)
+      }
+      if (Math.random() < currentSettings.failRate) {
+        req.resume()
+        throw new HttpError(503, 'Simulated service unavailable')
+      }
+
+      const result = await route(req, url)
+      if (result instanceof BinaryBody) {
+        sendBinary(res, result)
+      } else {
+        sendJson(res, 200, result, overrides.padBytes)
+      }
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500
+      if (status === 500) {
+        console.error('[tile-api] Unexpected error:', error)
+      }
+      if (status === 413) {
+        req.resume()
+      }
+      sendJson(res, status, { detail: error.message || 'Internal server error' })
+    } finally {
+      console.log(`[tile-api] ${req.method} ${url.pathname} ${res.statusCode} (${Date.now() - startedAt}ms)`)
+    }
+  }
+}
+
+/**
+ * Vite plugin that serves the local tile API from the dev and
+ * preview servers (same origin, so no proxy or CORS needed)
+ * 
+ * @param {Object} options - Passed to createTileApi()
+ */
+export function tileApiPlugin(options = {}) {
+  const handler = createTileApi(options)
+
+  return {
+    name: 'tile-dev-api',
+    configureServer(server) {
+      server.middlewares.use(handler)
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(handler)
+    },
+  }
+}
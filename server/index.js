@@ -0,0 +1,29 @@
+/**
+ * Standalone Local Tile API
+ * 
+ * Runs the development stand-in API (see devApi.js) on its own
+ * port, in place of the FastAPI backend at VITE_API_URL.
+ * 
+ * Usage:
+ *   npm run api              # http://localhost:8000
+ *   PORT=9000 npm run api
+ */
+
+import http from 'node:http'
+import { createTileApi } from './devApi.js'
+
+const PORT = Number(process.env.PORT) || 8000
+
+const handler = createTileApi({ cors: true })
+
+const server = http.createServer((req, res) => {
+  handler(req, res, () => {
+    res.statusCode = 404
+    res.setHeader('Content-Type', 'application/json')
+    res.end(JSON.stringify({ detail: 'Not found' }))
+  })
+})
+
+server.listen(PORT, () => {
+  console.log(`[tile-api] Listening on http://localhost:${PORT}`)
+})
@@ -1,17 +1,46 @@
-import { useState } from 'react'
+import { useState, useEffect, useRef, useMemo } from 'react'
 import UploadPage from './pages/UploadPage'
 import ResultPage from './pages/ResultPage'
 import RecommendationPage from './pages/RecommendationPage'
+import BatchResultPage from './pages/BatchResultPage'
+import HistoryPage from './pages/HistoryPage'
+import ShortlistPage from './pages/ShortlistPage'
+import ReportPage from './pages/ReportPage'
+import Link from './components/Link'
+import Loader from './components/Loader'
+import LanguageSwitcher from './components/LanguageSwitcher'
+import { createBatchItem } from './services/batchDetectService'
+import {
+  createSessionId,
+  saveSession,
+  getSession,
+  recordViewedRecommendations,
+} from './services/historyService'
+import { startFeedbackSync } from './services/feedbackService'
+import { useShortlist } from './services/shortlistService'
+import { useRoute, navigate, buildPath } from './utils/router'
+import { t, useLocale } from './i18n'
 
 /**
  * Main Application Component
  * 
  * Handles navigation between Upload and Result pages.
  * Manages the uploaded image and detection results state.
+ * 
+ * The current page comes from the URL (see utils/router.js), so
+ * pages can be linked to and the browser back/forward buttons work.
+ * Every analysed image is saved to the history (IndexedDB); results
+ * are rebuilt from it, and recommendations from the catalog, when
+ * their state isn't in memory.
  */
 function App() {
-  // Current page state: 'upload', 'result', or 'recommendation'
-  const [currentPage, setCurrentPage] = useState('upload')
+  // Current route: 'upload', 'result', 'report', 'batch-result',
+  // 'recommendation', 'history' or 'shortlist'
+  const route = useRoute()
+  const currentPage = route.page
+
+  // Re-renders the app in a newly chosen language
+  useLocale()
   
   // Stores the uploaded image file
   const [uploadedImage, setUploadedImage] = useState(null)
@@ -21,64 +50,316 @@ function App() {
   
   // Stores detection results from the API
   const [detectionResults, setDetectionResults] = useState(null)
-  
-  // Stores the selected tile for recommendations
-  const [selectedTileForRecommendation, setSelectedTileForRecommendation] = useState(null)
+
+  // Id of the detection results in memory, as used in the results URL
+  const [resultId, setResultId] = useState(null)
+
+  // Saved tiles, for the count in the navigation
+  const shortlist = useShortlist()
+
+  // Stores the images queued for batch detection (multi-image upload)
+  const [batchItems, setBatchItems] = useState([])
+
+  // Pending history saves by session id, so viewed recommendations
+  // aren't recorded before their session exists
+  const sessionSavesRef = useRef({})
+
+  // Session the current page shows: the results or report page's
+  // session, or the one recommendations were opened from (its photo
+  // is used by the room visualizer)
+  const isSessionPage = currentPage === 'result' || currentPage === 'report'
+  const routeSessionId = isSessionPage
+    ? route.params.resultId
+    : (currentPage === 'recommendation' && route.state?.sessionId) || null
+
+  /**
+   * Loads the route's session from the history when it isn't in
+   * memory (reopened session, page refresh, back/forward)
+   */
+  useEffect(() => {
+    if (!routeSessionId || routeSessionId === resultId) {
+      return
+    }
+
+    let isActive = true
+
+    getSession(routeSessionId)
+      .catch((err) => {
+        console.error('Unable to load session:', err)
+        return null
+      })
+      .then((session) => {
+        if (!isActive) {
+          return
+        }
+        if (!session) {
+          // Results can't be shown without their session; recommendations can
+          if (isSessionPage) {
+            navigate(buildPath('upload'), { replace: true })
+          }
+          return
+        }
+
+        releaseImagePreview()
+        setUploadedImage(null)
+        setImagePreview(URL.createObjectURL(session.image))
+        setDetectionResults(session.results)
+        setResultId(session.id)
+      })
+
+    return () => {
+      isActive = false
+    }
+  }, [currentPage, routeSessionId])
+
+  /**
+   * Batch results only exist in memory; without them, start over
+   */
+  useEffect(() => {
+    if (currentPage === 'batch-result' && batchItems.length === 0) {
+      navigate(buildPath('upload'), { replace: true })
+    }
+  }, [currentPage, batchItems.length])
+
+  /**
+   * Keeps retrying feedback that couldn't be sent (offline, backend down)
+   */
+  useEffect(() => startFeedbackSync(), [])
+
+  /**
+   * Saves an analysed image to the history in the background
+   */
+  const saveToHistory = (id, name, previewUrl, results) => {
+    const save = saveSession({ id, name, imagePreview: previewUrl, results })
+    sessionSavesRef.current[id] = save
+    save.finally(() => {
+      delete sessionSavesRef.current[id]
+    })
+  }
+
+  /**
+   * Revokes the single-image preview URL
+   * Batch previews stay owned by their batch items.
+   */
+  const releaseImagePreview = () => {
+    if (imagePreview?.startsWith('blob:') && !batchItems.some((item) => item.previewUrl === imagePreview)) {
+      URL.revokeObjectURL(imagePreview)
+    }
+  }
 
   /**
    * Handles successful image upload
    * Creates a preview URL and stores the file
    */
   const handleImageUpload = (file) => {
+    releaseImagePreview()
     setUploadedImage(file)
     const previewUrl = URL.createObjectURL(file)
     setImagePreview(previewUrl)
+    // Results in memory belong to the previous image
+    setDetectionResults(null)
+    setResultId(null)
+  }
+
+  /**
+   * Adds images to the batch queue
+   * Starting a batch replaces any single image already selected
+   */
+  const handleAddToBatch = (files) => {
+    releaseImagePreview()
+    setUploadedImage(null)
+    setImagePreview(null)
+    setDetectionResults(null)
+    setResultId(null)
+    setBatchItems((items) => [...items, ...files.map((file) => createBatchItem(file))])
+  }
+
+  /**
+   * Removes an image from the batch queue
+   */
+  const handleRemoveFromBatch = (itemId) => {
+    const removed = batchItems.find((item) => item.id === itemId)
+    if (removed) {
+      URL.revokeObjectURL(removed.previewUrl)
+    }
+    setBatchItems((items) => items.filter((item) => item.id !== itemId))
+  }
+
+  /**
+   * Applies status/result changes to a batch item during detection
+   */
+  const handleBatchItemUpdate = (itemId, changes) => {
+    setBatchItems((items) =>
+      items.map((item) => (item.id === itemId ? { ...item, ...changes } : item))
+    )
+
+    // Each analysed image of a batch becomes its own history session
+    const item = batchItems.find((candidate) => candidate.id === itemId)
+    if (item && changes.status === 'done') {
+      saveToHistory(itemId, item.file.name, item.previewUrl, changes.results)
+    }
+  }
+
+  /**
+   * Handles navigation to the combined results of a batch
+   */
+  const handleBatchComplete = () => {
+    navigate(buildPath('batch-result'))
+  }
+
+  /**
+   * Opens the single-image results for one image of a batch
+   * The preview URL stays owned by the batch item
+   */
+  const handleViewBatchImage = (item) => {
+    releaseImagePreview()
+    setUploadedImage(item.file)
+    setImagePreview(item.previewUrl)
+    setDetectionResults(item.results)
+    setResultId(item.id)
+    navigate(buildPath('result', { resultId: item.id }))
+  }
+
+  /**
+   * Returns from a single image of a batch to the combined results
+   */
+  const handleBackToBatch = () => {
+    navigate(buildPath('batch-result'))
   }
 
   /**
    * Handles navigation to results page with detection data
    */
-  const handleDetectionComplete = (results) => {
+  const handleDetectionComplete = (results, file = null) => {
+    const id = createSessionId()
+    let image = uploadedImage
+    let previewUrl = imagePreview
+    // Results of a live camera scan come with the frame they were found in
+    if (file) {
+      releaseImagePreview()
+      image = file
+      previewUrl = URL.createObjectURL(file)
+      setUploadedImage(file)
+      setImagePreview(previewUrl)
+    }
     setDetectionResults(results)
-    setCurrentPage('result')
+    setResultId(id)
+    saveToHistory(id, image?.name, previewUrl, results)
+    navigate(buildPath('result', { resultId: id }))
   }
 
   /**
    * Resets the entire flow for a new upload
    */
   const handleReset = () => {
-    // Clean up the preview URL to prevent memory leaks
-    if (imagePreview) {
-      URL.revokeObjectURL(imagePreview)
-    }
+    // Clean up the preview URLs to prevent memory leaks
+    releaseImagePreview()
+    batchItems.forEach((item) => URL.revokeObjectURL(item.previewUrl))
     setUploadedImage(null)
     setImagePreview(null)
     setDetectionResults(null)
-    setSelectedTileForRecommendation(null)
-    setCurrentPage('upload')
+    setResultId(null)
+    setBatchItems([])
+    navigate(buildPath('upload'))
+  }
+
+  /**
+   * Navigates to recommendations page with the selected tiles
+   * The tiles and the page they were picked on are kept in the history
+   * entry, so they survive a refresh; a shared link only has the ids.
+   * 
+   * @param {Array} tiles - One or more reference tiles
+   */
+  const handleFindSimilar = (tiles) => {
+    navigate(buildPath('recommendation', { tileId: tiles.map((tile) => tile.id) }), {
+      state: {
+        tiles,
+        from: route.path,
+        // Session to record the viewed recommendations in
+        sessionId: currentPage === 'result' ? resultId : null,
+      },
+    })
+  }
+
+  /**
+   * Records recommendations shown for a session's tile in its history
+   */
+  const handleRecommendationsLoaded = async (tile, recommendations) => {
+    const sessionId = route.state?.sessionId
+    if (!sessionId) {
+      return
+    }
+    await sessionSavesRef.current[sessionId]
+    recordViewedRecommendations(sessionId, tile, recommendations)
+  }
+
+  /**
+   * Opens a saved session's results
+   */
+  const handleOpenSession = (sessionId) => {
+    navigate(buildPath('result', { resultId: sessionId }))
+  }
+
+  /**
+   * Opens the recommendations viewed for a tile in a saved session
+   */
+  const handleOpenViewedRecommendations = (sessionId, tile) => {
+    navigate(buildPath('recommendation', { tileId: tile.id }), {
+      state: { tiles: [tile], from: route.path, sessionId },
+    })
+  }
+
+  /**
+   * Opens the printable report of the results shown
+   */
+  const handleOpenReport = () => {
+    navigate(buildPath('report', { resultId }))
   }
 
   /**
-   * Navigates to recommendations page with the selected tile
-   * Defaults to highest confidence tile if none specified
+   * Returns from the report to its results
    */
-  const handleFindSimilar = (tile) => {
-    setSelectedTileForRecommendation(tile)
-    setCurrentPage('recommendation')
+  const handleCloseReport = () => {
+    navigate(buildPath('result', { resultId }))
   }
 
   /**
-   * Returns from recommendations to results page
+   * Returns from recommendations to the page it was opened from
    */
   const handleBackToResults = () => {
-    setSelectedTileForRecommendation(null)
-    setCurrentPage('result')
+    window.history.back()
   }
 
+  // Reference tile ids of the current recommendations route
+  const recommendationTileIds = useMemo(
+    () => (route.params.tileId ? route.params.tileId.split(',') : []),
+    [route.params.tileId]
+  )
+
+  // Tiles picked in the app for the current recommendations route, if any
+  const recommendationTiles = route.state?.tiles?.map((tile) => String(tile.id)).join(',') === route.params.tileId
+    ? route.state.tiles
+    : null
+
   return (
     <div className="app">
       <header className="app-header">
-        <h1>Tile Detection & Recommendation</h1>
+        <h1>{t('app.title')}</h1>
+        <nav className="app-nav">
+          <Link to={buildPath('upload')} className={currentPage === 'upload' ? 'active' : ''}>
+            {t('app.nav.upload')}
+          </Link>
+          <Link to={buildPath('history')} className={currentPage === 'history' ? 'active' : ''}>
+            {t('app.nav.history')}
+          </Link>
+          <Link to={buildPath('shortlist')} className={currentPage === 'shortlist' ? 'active' : ''}>
+            {t('app.nav.shortlist')}
+            {shortlist.activeBoard.items.length > 0 && (
+              <span className="nav-count">{shortlist.activeBoard.items.length}</span>
+            )}
+          </Link>
+          <LanguageSwitcher />
+        </nav>
       </header>
       
       <main className="app-main">
@@ -88,29 +369,77 @@ function App() {
             imagePreview={imagePreview}
             onImageUpload={handleImageUpload}
             onDetectionComplete={handleDetectionComplete}
+            batchItems={batchItems}
+            onAddToBatch={handleAddToBatch}
+            onRemoveFromBatch={handleRemoveFromBatch}
+            onBatchItemUpdate={handleBatchItemUpdate}
+            onBatchComplete={handleBatchComplete}
           />
         )}
         
-        {currentPage === 'result' && (
+        {isSessionPage && resultId !== route.params.resultId && (
+          <div className="page">
+            <div className="processing-container">
+              <Loader message={t('app.loadingResults')} />
+            </div>
+          </div>
+        )}
+
+        {currentPage === 'result' && resultId === route.params.resultId && (
           <ResultPage
             imagePreview={imagePreview}
             detectionResults={detectionResults}
             onReset={handleReset}
             onFindSimilar={handleFindSimilar}
+            onBack={batchItems.some((item) => item.id === resultId) ? handleBackToBatch : undefined}
+            onOpenReport={handleOpenReport}
+          />
+        )}
+
+        {currentPage === 'report' && resultId === route.params.resultId && (
+          <ReportPage
+            sessionId={resultId}
+            imagePreview={imagePreview}
+            detectionResults={detectionResults}
+            onBack={handleCloseReport}
+          />
+        )}
+
+        {currentPage === 'batch-result' && (
+          <BatchResultPage
+            batchItems={batchItems}
+            onViewImage={handleViewBatchImage}
+            onFindSimilar={handleFindSimilar}
+            onReset={handleReset}
           />
         )}
         
         {currentPage === 'recommendation' && (
           <RecommendationPage
-            referenceTile={selectedTileForRecommendation}
-            onBack={handleBackToResults}
+            key={route.params.tileId}
+            referenceTiles={recommendationTiles}
+            tileIds={recommendationTileIds}
+            roomImage={routeSessionId && routeSessionId === resultId ? imagePreview : null}
+            onBack={route.state?.from ? handleBackToResults : undefined}
             onReset={handleReset}
+            onRecommendationsLoaded={handleRecommendationsLoaded}
+          />
+        )}
+
+        {currentPage === 'history' && (
+          <HistoryPage
+            onOpenSession={handleOpenSession}
+            onOpenRecommendations={handleOpenViewedRecommendations}
           />
         )}
+
+        {currentPage === 'shortlist' && (
+          <ShortlistPage onFindSimilar={handleFindSimilar} />
+        )}
       </main>
       
       <footer className="app-footer">
-        <p>Tile Detection System</p>
+        <p>{t('app.footer')}</p>
       </footer>
     </div>
   )
@@ -1,4 +1,20 @@
 import { useRef, useState, useCallback, useEffect } from 'react'
+import { t } from '../i18n'
+import {
+  DEFAULT_RESOLUTION,
+  DIGITAL_ZOOM,
+  listCameras,
+  getVideoConstraints,
+  getResolutionOptions,
+  clampResolution,
+  getTrackFeatures,
+  applyTrackSettings,
+} from '../utils/cameraControls'
+import { detectTile } from '../services/detectService'
+import { isAbortError } from '../services/httpClient'
+import { analyzeImageQuality } from '../utils/imageQuality'
+import { formatNumber, formatPercent, formatTileName } from '../utils/formatters'
+import QualityWarnings from './QualityWarnings'
 
 /**
  * CameraCapture Component
@@ -8,13 +24,23 @@ import { useRef, useState, useCallback, useEffect } from 'react'
  * 
  * Features:
  * - Live camera preview
- * - Photo capture functionality
+ * - Camera picker, front/rear toggle and resolution choice
+ * - Zoom by slider or pinch (the camera's own zoom when it has one,
+ *   otherwise a digital crop that also applies to the photo)
+ * - Torch and tap-to-focus, on cameras that support them
+ * - Live scan: frames are detected as the camera moves, the best
+ *   match is shown over the video, and "Lock" jumps to its results
+ * - Photo capture functionality, with quality warnings (blur,
+ *   exposure, glare, resolution) shown before the photo is used
  * - Converts captured image to File object (same shape as file upload)
  * - Graceful error handling for permissions and unsupported browsers
  * 
  * Props:
- * - onCapture: Callback function receiving the captured image as a File object
+ * - onCapture: Callback function receiving the captured image as a File object,
+ *   and its quality report (see utils/imageQuality.js)
  * - onClose: Callback to close/hide the camera interface
+ * - onLiveLock: Optional callback receiving (frameFile, results) when a
+ *   live scan result is locked. Live scan is only offered when provided.
  * 
  * The captured image is returned as a File object with:
  * - name: 'camera-capture-{timestamp}.jpg'
@@ -22,44 +48,130 @@ import { useRef, useState, useCallback, useEffect } from 'react'
  * This matches the same data shape used by file upload, allowing
  * seamless integration with the existing upload pipeline.
  */
-function CameraCapture({ onCapture, onClose }) {
+
+// Pointer movement (px) and duration (ms) below which a touch is a tap
+const TAP_MAX_MOVE = 10
+const TAP_MAX_DURATION = 300
+
+// How long the focus ring stays visible after a tap (in milliseconds)
+const FOCUS_RING_DURATION = 1000
+
+// Live scan: time between sampled frames, longest side of a sampled
+// frame, and the age after which a pending request is dropped for
+// a fresher frame (all times in milliseconds)
+const LIVE_INTERVAL = 1200
+const LIVE_FRAME_MAX_SIZE = 960
+const LIVE_STALE_AFTER = 5000
+
+/**
+ * Encodes a canvas as a JPEG File
+ */
+function canvasToJpegFile(canvas, name, quality) {
+  return new Promise((resolve) => {
+    canvas.toBlob((blob) => {
+      resolve(blob ? new File([blob], name, { type: 'image/jpeg', lastModified: Date.now() }) : null)
+    }, 'image/jpeg', quality)
+  })
+}
+
+function CameraCapture({ onCapture, onClose, onLiveLock }) {
   const videoRef = useRef(null)
   const canvasRef = useRef(null)
   const streamRef = useRef(null)
+  const previewRef = useRef(null)
+  // Incremented per camera start, so a slower earlier start is discarded
+  const startIdRef = useRef(0)
+  // Active pointers on the preview, for pinch zoom and tap-to-focus
+  const pointersRef = useRef(new Map())
+  const pinchRef = useRef(null)
+  const focusTimerRef = useRef(null)
+  // Live scan request in flight: { controller, startedAt }
+  const liveRequestRef = useRef(null)
   
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState(null)
   const [isCaptured, setIsCaptured] = useState(false)
+  const [captureQuality, setCaptureQuality] = useState(null)
   const [capturedImage, setCapturedImage] = useState(null)
 
+  // Requested camera: a specific device, or the front/rear preference
+  const [cameraSettings, setCameraSettings] = useState({
+    deviceId: null,
+    facingMode: 'environment', // Prefer rear camera for tile photos
+    resolution: DEFAULT_RESOLUTION,
+  })
+  const [cameras, setCameras] = useState([])
+  const [activeCamera, setActiveCamera] = useState({ deviceId: null, facingMode: null })
+  const [features, setFeatures] = useState(null)
+  const [zoom, setZoom] = useState(1)
+  const [isTorchOn, setIsTorchOn] = useState(false)
+  const [focusPoint, setFocusPoint] = useState(null)
+  const [isLive, setIsLive] = useState(false)
+  // Latest live scan result: { file, results }
+  const [liveResult, setLiveResult] = useState(null)
+  const [liveError, setLiveError] = useState(false)
+
+  const zoomRange = features?.zoom || DIGITAL_ZOOM
+  const isDigitalZoom = !features?.zoom
+  // Front cameras are previewed mirrored, like a mirror; photos are not
+  const isMirrored = activeCamera.facingMode === 'user'
+
+  /**
+   * Stops the camera stream and releases resources
+   */
+  const stopCamera = useCallback(() => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop())
+      streamRef.current = null
+    }
+  }, [])
+
   /**
    * Initializes the camera stream
-   * Requests camera permission and starts video preview
+   * Requests camera permission and starts video preview with the
+   * requested camera and resolution, replacing any running stream.
    */
-  const initCamera = useCallback(async () => {
+  const initCamera = useCallback(async (settings) => {
+    const startId = ++startIdRef.current
+    stopCamera()
     setIsLoading(true)
     setError(null)
 
     // Check if getUserMedia is supported
     if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-      setError('Camera is not supported in this browser. Please use a modern browser or upload a file instead.')
+      setError(t('camera.error.unsupported'))
       setIsLoading(false)
       return
     }
 
     try {
-      // Request camera access with preferred settings
+      // Request camera access with the chosen settings
       const stream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          facingMode: 'environment', // Prefer rear camera for tile photos
-          width: { ideal: 1280 },
-          height: { ideal: 720 }
-        },
+        video: getVideoConstraints(settings),
         audio: false
       })
 
+      if (startId !== startIdRef.current) {
+        stream.getTracks().forEach(track => track.stop())
+        return
+      }
       streamRef.current = stream
 
+      // Read what the chosen camera can do
+      const track = stream.getVideoTracks()[0]
+      const trackFeatures = getTrackFeatures(track)
+      const trackSettings = track.getSettings?.() || {}
+      setFeatures(trackFeatures)
+      setActiveCamera({
+        deviceId: trackSettings.deviceId || null,
+        facingMode: trackSettings.facingMode || settings.facingMode,
+      })
+      setZoom(trackFeatures.zoom ? (trackSettings.zoom ?? trackFeatures.zoom.min) : DIGITAL_ZOOM.min)
+      setIsTorchOn(false)
+
+      // Device labels are only available once permission is granted
+      listCameras().then(setCameras).catch(() => setCameras([]))
+
       if (videoRef.current) {
         videoRef.current.srcObject = stream
         // Wait for video to be ready
@@ -72,28 +184,182 @@ function CameraCapture({ onCapture, onClose }) {
       console.error('Camera access error:', err)
       
       // Handle specific error types
+      if (startId !== startIdRef.current) {
+        return
+      }
+
       if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
-        setError('Camera permission was denied. Please allow camera access in your browser settings and try again.')
+        setError(t('camera.error.denied'))
       } else if (err.name === 'NotFoundError' || err.name === 'DevicesNotFoundError') {
-        setError('No camera found on this device. Please connect a camera or upload a file instead.')
+        setError(t('camera.error.notFound'))
       } else if (err.name === 'NotReadableError' || err.name === 'TrackStartError') {
-        setError('Camera is in use by another application. Please close other apps using the camera and try again.')
+        setError(t('camera.error.inUse'))
+      } else if (err.name === 'OverconstrainedError') {
+        setError(t('camera.error.unavailable'))
       } else {
-        setError('Unable to access camera. Please try again or upload a file instead.')
+        setError(t('camera.error.generic'))
       }
       
       setIsLoading(false)
     }
-  }, [])
+  }, [stopCamera])
 
   /**
-   * Stops the camera stream and releases resources
+   * Sets the zoom level, on the camera itself when it supports zoom
    */
-  const stopCamera = useCallback(() => {
-    if (streamRef.current) {
-      streamRef.current.getTracks().forEach(track => track.stop())
-      streamRef.current = null
+  const changeZoom = useCallback((value) => {
+    const next = Math.min(zoomRange.max, Math.max(zoomRange.min, value))
+    setZoom(next)
+    const track = streamRef.current?.getVideoTracks()[0]
+    if (track && !isDigitalZoom) {
+      applyTrackSettings(track, { zoom: next })
     }
+  }, [zoomRange.min, zoomRange.max, isDigitalZoom])
+
+  /**
+   * Turns the torch on or off
+   */
+  const toggleTorch = useCallback(async () => {
+    const track = streamRef.current?.getVideoTracks()[0]
+    if (track && await applyTrackSettings(track, { torch: !isTorchOn })) {
+      setIsTorchOn(!isTorchOn)
+    }
+  }, [isTorchOn])
+
+  /**
+   * Switches between the front and rear camera
+   */
+  const toggleFacingMode = useCallback(() => {
+    setCameraSettings((current) => ({
+      ...current,
+      deviceId: null,
+      facingMode: activeCamera.facingMode === 'user' ? 'environment' : 'user',
+    }))
+  }, [activeCamera.facingMode])
+
+  /**
+   * Focuses on the tapped point of the preview
+   * The point is converted from the element to the video frame,
+   * allowing for letterboxing, digital zoom and mirroring.
+   */
+  const focusAt = useCallback((clientX, clientY) => {
+    const video = videoRef.current
+    const track = streamRef.current?.getVideoTracks()[0]
+    if (!features?.focus || !video || !track || !video.videoWidth) {
+      return
+    }
+
+    const rect = video.getBoundingClientRect()
+    const scale = Math.min(rect.width / video.videoWidth, rect.height / video.videoHeight)
+    const contentWidth = video.videoWidth * scale
+    const contentHeight = video.videoHeight * scale
+    const displayX = (clientX - rect.left - (rect.width - contentWidth) / 2) / contentWidth
+    const displayY = (clientY - rect.top - (rect.height - contentHeight) / 2) / contentHeight
+    if (displayX < 0 || displayX > 1 || displayY < 0 || displayY > 1) {
+      return
+    }
+
+    // The element's box already includes the digital zoom, so only
+    // the mirroring needs undoing
+    const x = isMirrored ? 1 - displayX : displayX
+    applyTrackSettings(track, { focusMode: features.focusMode, pointsOfInterest: [{ x, y: displayY }] })
+
+    const previewRect = previewRef.current.getBoundingClientRect()
+    setFocusPoint({ left: clientX - previewRect.left, top: clientY - previewRect.top })
+    clearTimeout(focusTimerRef.current)
+    focusTimerRef.current = setTimeout(() => setFocusPoint(null), FOCUS_RING_DURATION)
+  }, [features, isMirrored])
+
+  const handlePreviewPointerDown = useCallback((e) => {
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY, time: Date.now() })
+    if (pointersRef.current.size === 2) {
+      const [a, b] = [...pointersRef.current.values()]
+      pinchRef.current = { distance: Math.hypot(a.x - b.x, a.y - b.y), zoom }
+    }
+  }, [zoom])
+
+  /**
+   * Pinch zoom: the zoom follows the change in finger distance
+   */
+  const handlePreviewPointerMove = useCallback((e) => {
+    const pointer = pointersRef.current.get(e.pointerId)
+    if (!pointer) {
+      return
+    }
+    pointer.x = e.clientX
+    pointer.y = e.clientY
+
+    if (pinchRef.current && pointersRef.current.size === 2) {
+      const [a, b] = [...pointersRef.current.values()]
+      const distance = Math.hypot(a.x - b.x, a.y - b.y)
+      if (pinchRef.current.distance > 0) {
+        changeZoom(pinchRef.current.zoom * (distance / pinchRef.current.distance))
+      }
+    }
+  }, [changeZoom])
+
+  /**
+   * Ends a pinch, or focuses when a single finger tapped
+   */
+  const handlePreviewPointerUp = useCallback((e) => {
+    const pointer = pointersRef.current.get(e.pointerId)
+    pointersRef.current.delete(e.pointerId)
+
+    if (pinchRef.current) {
+      if (pointersRef.current.size === 0) {
+        pinchRef.current = null
+      }
+      return
+    }
+
+    const isTap = pointer
+      && e.type === 'pointerup'
+      && Date.now() - pointer.time < TAP_MAX_DURATION
+      && Math.hypot(e.clientX - pointer.startX, e.clientY - pointer.startY) < TAP_MAX_MOVE
+    if (isTap) {
+      focusAt(e.clientX, e.clientY)
+    }
+  }, [focusAt])
+
+  /**
+   * Draws the current video frame onto a canvas
+   * With digital zoom, only the zoomed-in centre of the frame is kept.
+   * 
+   * @param {HTMLCanvasElement} canvas - Target canvas (resized)
+   * @param {number} maxSize - Optional longest side of the result
+   */
+  const drawFrame = useCallback((canvas, maxSize = Infinity) => {
+    const video = videoRef.current
+    const cropScale = isDigitalZoom ? zoom : 1
+    const cropWidth = Math.round(video.videoWidth / cropScale)
+    const cropHeight = Math.round(video.videoHeight / cropScale)
+    const scale = Math.min(1, maxSize / Math.max(cropWidth, cropHeight))
+    canvas.width = Math.round(cropWidth * scale)
+    canvas.height = Math.round(cropHeight * scale)
+
+    canvas.getContext('2d').drawImage(
+      video,
+      (video.videoWidth - cropWidth) / 2,
+      (video.videoHeight - cropHeight) / 2,
+      cropWidth,
+      cropHeight,
+      0,
+      0,
+      canvas.width,
+      canvas.height
+    )
+  }, [isDigitalZoom, zoom])
+
+  // Latest drawFrame, for the live scan timer
+  const drawFrameRef = useRef(drawFrame)
+  drawFrameRef.current = drawFrame
+
+  /**
+   * Cancels the live scan request in flight, if any
+   */
+  const cancelLiveRequest = useCallback(() => {
+    liveRequestRef.current?.controller.abort()
+    liveRequestRef.current = null
   }, [])
 
   /**
@@ -103,16 +369,15 @@ function CameraCapture({ onCapture, onClose }) {
   const capturePhoto = useCallback(() => {
     if (!videoRef.current || !canvasRef.current) return
 
-    const video = videoRef.current
     const canvas = canvasRef.current
-    const context = canvas.getContext('2d')
+    drawFrame(canvas)
 
-    // Set canvas size to match video
-    canvas.width = video.videoWidth
-    canvas.height = video.videoHeight
-
-    // Draw current video frame to canvas
-    context.drawImage(video, 0, 0, canvas.width, canvas.height)
+    try {
+      setCaptureQuality(analyzeImageQuality(canvas))
+    } catch (err) {
+      console.warn('Image quality check failed:', err)
+      setCaptureQuality(null)
+    }
 
     // Convert canvas to blob, then to File
     canvas.toBlob((blob) => {
@@ -133,8 +398,85 @@ function CameraCapture({ onCapture, onClose }) {
         canvasRef.current.capturedFile = file
       }
     }, 'image/jpeg', 0.9)
+  }, [drawFrame])
+
+  /**
+   * Live scan: samples a frame every LIVE_INTERVAL and detects it
+   * Only one request is in flight at a time; ticks are skipped while
+   * it runs, unless it has gone stale, in which case it is cancelled
+   * in favour of a fresh frame. Stops (cancelling any request) when
+   * live scan is turned off, a photo is taken or the camera restarts.
+   */
+  useEffect(() => {
+    if (!isLive || isLoading || isCaptured || error) {
+      return
+    }
+
+    const frameCanvas = document.createElement('canvas')
+
+    const sampleFrame = async () => {
+      const pending = liveRequestRef.current
+      if (pending && Date.now() - pending.startedAt < LIVE_STALE_AFTER) {
+        return
+      }
+      if (document.hidden || !videoRef.current?.videoWidth) {
+        return
+      }
+      cancelLiveRequest()
+
+      const controller = new AbortController()
+      const request = { controller, startedAt: Date.now() }
+      liveRequestRef.current = request
+
+      try {
+        drawFrameRef.current(frameCanvas, LIVE_FRAME_MAX_SIZE)
+        const file = await canvasToJpegFile(frameCanvas, `camera-live-${request.startedAt}.jpg`, 0.85)
+        if (!file) {
+          return
+        }
+        const results = await detectTile(file, { signal: controller.signal })
+        if (liveRequestRef.current === request) {
+          setLiveResult({ file, results })
+          setLiveError(false)
+        }
+      } catch (err) {
+        if (!isAbortError(err) && liveRequestRef.current === request) {
+          console.warn('Live detection failed:', err)
+          setLiveError(true)
+        }
+      } finally {
+        if (liveRequestRef.current === request) {
+          liveRequestRef.current = null
+        }
+      }
+    }
+
+    sampleFrame()
+    const timer = setInterval(sampleFrame, LIVE_INTERVAL)
+    return () => {
+      clearInterval(timer)
+      cancelLiveRequest()
+    }
+  }, [isLive, isLoading, isCaptured, error, cancelLiveRequest])
+
+  const toggleLive = useCallback(() => {
+    setIsLive((live) => !live)
+    setLiveResult(null)
+    setLiveError(false)
   }, [])
 
+  /**
+   * Goes straight to the results of the current live match
+   */
+  const lockLiveResult = useCallback(() => {
+    if (!liveResult) {
+      return
+    }
+    cancelLiveRequest()
+    stopCamera()
+    onLiveLock(liveResult.file, liveResult.results)
+  }, [liveResult, cancelLiveRequest, stopCamera, onLiveLock])
+
   /**
    * Confirms the captured photo and passes it to the parent
    */
@@ -142,9 +484,9 @@ function CameraCapture({ onCapture, onClose }) {
     const file = canvasRef.current?.capturedFile
     if (file && onCapture) {
       stopCamera()
-      onCapture(file)
+      onCapture(file, captureQuality)
     }
-  }, [onCapture, stopCamera])
+  }, [onCapture, stopCamera, captureQuality])
 
   /**
    * Retakes the photo - returns to live preview
@@ -155,6 +497,7 @@ function CameraCapture({ onCapture, onClose }) {
     }
     setCapturedImage(null)
     setIsCaptured(false)
+    setCaptureQuality(null)
   }, [capturedImage])
 
   /**
@@ -170,29 +513,41 @@ function CameraCapture({ onCapture, onClose }) {
     }
   }, [stopCamera, capturedImage, onClose])
 
-  // Initialize camera on mount
+  // Start the camera on mount, and again whenever another camera
+  // or resolution is chosen
+  useEffect(() => {
+    initCamera(cameraSettings)
+  }, [initCamera, cameraSettings])
+
+  // Cleanup on unmount
   useEffect(() => {
-    initCamera()
-    
-    // Cleanup on unmount
     return () => {
+      startIdRef.current += 1
       stopCamera()
+      clearTimeout(focusTimerRef.current)
       if (capturedImage) {
         URL.revokeObjectURL(capturedImage)
       }
     }
-  }, [initCamera, stopCamera]) // capturedImage intentionally excluded to prevent re-init
+  }, [stopCamera]) // capturedImage intentionally excluded to prevent cleanup on every capture
+
+  const resolutionOptions = getResolutionOptions(features?.capabilities)
+  const selectedResolution = clampResolution(cameraSettings.resolution, resolutionOptions)
+  const videoTransform = [
+    isDigitalZoom && zoom > 1 ? `scale(${zoom})` : '',
+    isMirrored ? 'scaleX(-1)' : '',
+  ].join(' ').trim() || 'none'
 
   return (
     <div className="camera-capture">
       <div className="camera-container">
         {/* Header with close button */}
         <div className="camera-header">
-          <h3>Camera Capture</h3>
+          <h3>{t('camera.title')}</h3>
           <button 
             className="camera-close-btn" 
             onClick={handleClose}
-            aria-label="Close camera"
+            aria-label={t('camera.close')}
           >
             <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
               <line x1="18" y1="6" x2="6" y2="18" />
@@ -205,7 +560,7 @@ function CameraCapture({ onCapture, onClose }) {
         {isLoading && (
           <div className="camera-loading">
             <div className="camera-spinner"></div>
-            <p>Initializing camera...</p>
+            <p>{t('camera.initializing')}</p>
           </div>
         )}
 
@@ -221,28 +576,44 @@ function CameraCapture({ onCapture, onClose }) {
             </div>
             <p className="camera-error-message">{error}</p>
             <button className="camera-retry-btn" onClick={handleClose}>
-              Go Back
+              {t('camera.goBack')}
             </button>
           </div>
         )}
 
         {/* Camera preview / Captured image */}
         {!error && (
-          <div className="camera-preview-container">
+          <div
+            ref={previewRef}
+            className={`camera-preview-container ${features?.focus ? 'can-focus' : ''}`}
+            onPointerDown={isCaptured ? undefined : handlePreviewPointerDown}
+            onPointerMove={isCaptured ? undefined : handlePreviewPointerMove}
+            onPointerUp={isCaptured ? undefined : handlePreviewPointerUp}
+            onPointerCancel={isCaptured ? undefined : handlePreviewPointerUp}
+          >
             {/* Live video preview - hidden when captured */}
             <video
               ref={videoRef}
               className={`camera-video ${isCaptured ? 'hidden' : ''}`}
+              style={{ transform: videoTransform }}
               autoPlay
               playsInline
               muted
             />
+
+            {focusPoint && !isCaptured && (
+              <span className="camera-focus-ring" style={focusPoint} aria-hidden="true" />
+            )}
+
+            {isLive && !isCaptured && !isLoading && (
+              <LiveMatch result={liveResult} hasError={liveError} />
+            )}
             
             {/* Captured image preview */}
             {isCaptured && capturedImage && (
               <img 
                 src={capturedImage} 
-                alt="Captured" 
+                alt={t('camera.capturedAlt')}
                 className="camera-captured-image"
               />
             )}
@@ -252,23 +623,110 @@ function CameraCapture({ onCapture, onClose }) {
           </div>
         )}
 
+        {/* Camera controls - shown while the preview is live */}
+        {!isLoading && !error && !isCaptured && (
+          <div className="camera-controls">
+            {cameras.length > 1 && (
+              <label className="camera-control">
+                <span>{t('camera.camera')}</span>
+                <select
+                  value={activeCamera.deviceId || ''}
+                  onChange={(e) => setCameraSettings((current) => ({ ...current, deviceId: e.target.value }))}
+                >
+                  {cameras.map((camera) => (
+                    <option key={camera.deviceId} value={camera.deviceId}>{camera.label}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+
+            <label className="camera-control">
+              <span>{t('camera.resolution')}</span>
+              <select
+                value={selectedResolution}
+                onChange={(e) => setCameraSettings((current) => ({ ...current, resolution: e.target.value }))}
+              >
+                {resolutionOptions.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="camera-control camera-zoom-control">
+              <span>{t('camera.zoom', { zoom: formatNumber(zoom, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) })}</span>
+              <input
+                type="range"
+                min={zoomRange.min}
+                max={zoomRange.max}
+                step={zoomRange.step}
+                value={zoom}
+                onChange={(e) => changeZoom(Number(e.target.value))}
+              />
+            </label>
+
+            <div className="camera-toggles">
+              {cameras.length > 1 && (
+                <button className="camera-toggle-btn" onClick={toggleFacingMode}>
+                  {activeCamera.facingMode === 'user' ? t('camera.useRear') : t('camera.useFront')}
+                </button>
+              )}
+              {features?.torch && (
+                <button
+                  className={`camera-toggle-btn ${isTorchOn ? 'active' : ''}`}
+                  onClick={toggleTorch}
+                  aria-pressed={isTorchOn}
+                >
+                  {isTorchOn ? t('camera.torchOn') : t('camera.torchOff')}
+                </button>
+              )}
+            </div>
+
+            {features?.focus && (
+              <p className="camera-hint">{t('camera.focusHint')}</p>
+            )}
+          </div>
+        )}
+
         {/* Action buttons */}
         {!isLoading && !error && (
           <div className="camera-actions">
             {!isCaptured ? (
-              <button className="camera-capture-btn" onClick={capturePhoto}>
-                <span className="capture-icon"></span>
-                Capture Photo
-              </button>
-            ) : (
               <div className="camera-confirm-actions">
-                <button className="camera-retake-btn" onClick={retakePhoto}>
-                  Retake
-                </button>
-                <button className="camera-use-btn" onClick={confirmCapture}>
-                  Use Photo
+                {onLiveLock && (
+                  <button
+                    className={`camera-retake-btn camera-live-btn ${isLive ? 'active' : ''}`}
+                    onClick={toggleLive}
+                    aria-pressed={isLive}
+                  >
+                    {isLive ? t('camera.stopLive') : t('camera.live')}
+                  </button>
+                )}
+                {isLive && (
+                  <button
+                    className="camera-use-btn"
+                    onClick={lockLiveResult}
+                    disabled={!liveResult?.results?.detections?.length}
+                  >
+                    {t('camera.lock')}
+                  </button>
+                )}
+                <button className="camera-capture-btn" onClick={capturePhoto}>
+                  <span className="capture-icon"></span>
+                  {t('camera.capture')}
                 </button>
               </div>
+            ) : (
+              <>
+                <QualityWarnings report={captureQuality} />
+                <div className="camera-confirm-actions">
+                  <button className="camera-retake-btn" onClick={retakePhoto}>
+                    {t('camera.retake')}
+                  </button>
+                  <button className="camera-use-btn" onClick={confirmCapture}>
+                    {captureQuality?.issues.length ? t('camera.useAnyway') : t('camera.usePhoto')}
+                  </button>
+                </div>
+              </>
             )}
           </div>
         )}
@@ -277,4 +735,37 @@ function CameraCapture({ onCapture, onClose }) {
   )
 }
 
+/**
+ * Best match of the live scan, shown over the video
+ */
+function LiveMatch({ result, hasError }) {
+  const best = result?.results?.detections?.[0]
+
+  let content
+  if (hasError && !result) {
+    content = <span className="camera-live-status">{t('camera.liveRetrying')}</span>
+  } else if (!result) {
+    content = <span className="camera-live-status">{t('camera.liveScanning')}</span>
+  } else if (!best) {
+    content = <span className="camera-live-status">{t('camera.liveNoTile')}</span>
+  } else {
+    const level = best.confidence >= 0.8 ? 'high' : best.confidence >= 0.5 ? 'medium' : 'low'
+    content = (
+      <>
+        <img src={best.image} alt="" className="camera-live-thumbnail" />
+        <span className="camera-live-name">{formatTileName(best)}</span>
+        <span className={`confidence-badge ${level}`}>
+          <span className="confidence-value">{formatPercent(best.confidence)}</span>
+        </span>
+      </>
+    )
+  }
+
+  return (
+    <div className="camera-live-overlay" role="status" aria-live="polite">
+      {content}
+    </div>
+  )
+}
+
 export default CameraCapture
@@ -0,0 +1,57 @@
+import { t } from '../i18n'
+import { MIN_COMPARE_TILES, MAX_COMPARE_TILES } from '../utils/tileComparison'
+import { formatTileName } from '../utils/formatters'
+
+/**
+ * CompareBar Component
+ * 
+ * Sticky bar listing the tiles selected for comparison, with
+ * the button that opens the comparison view.
+ * Renders nothing when no tile is selected.
+ * 
+ * Props:
+ * - tiles: Selected tiles
+ * - onRemove: Callback receiving a tile id to deselect
+ * - onClear: Callback to deselect all tiles
+ * - onCompare: Callback to open the comparison view
+ */
+function CompareBar({ tiles, onRemove, onClear, onCompare }) {
+  if (tiles.length === 0) {
+    return null
+  }
+
+  const canCompare = tiles.length >= MIN_COMPARE_TILES
+
+  return (
+    <div className="compare-bar" role="region" aria-label={t('compare.barLabel')}>
+      <div className="compare-bar-tiles">
+        {tiles.map((tile) => (
+          <button
+            key={tile.id}
+            className="compare-bar-tile"
+            onClick={() => onRemove(tile.id)}
+            title={t('compare.remove', { name: formatTileName(tile) })}
+          >
+            <img src={tile.image} alt={formatTileName(tile)} />
+            <span aria-hidden="true">×</span>
+          </button>
+        ))}
+      </div>
+
+      <span className="compare-bar-count">
+        {canCompare
+          ? t('compare.selectedCount', { count: tiles.length, max: MAX_COMPARE_TILES })
+          : t('compare.selectMore', { count: MIN_COMPARE_TILES })}
+      </span>
+
+      <button className="clear-filters-button" onClick={onClear}>
+        {t('common.clear')}
+      </button>
+      <button className="compare-button" onClick={onCompare} disabled={!canCompare}>
+        {t('compare.open')}
+      </button>
+    </div>
+  )
+}
+
+export default CompareBar
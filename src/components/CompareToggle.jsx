@@ -0,0 +1,31 @@
+import { t } from '../i18n'
+import { MAX_COMPARE_TILES } from '../utils/tileComparison'
+
+/**
+ * CompareToggle Component
+ * 
+ * Checkbox on a tile card that adds the tile to the comparison.
+ * 
+ * Props:
+ * - isSelected: Whether the tile is selected for comparison
+ * - isDisabled: Whether selecting is unavailable (comparison full)
+ * - onChange: Callback receiving the new checked state
+ */
+function CompareToggle({ isSelected, isDisabled, onChange }) {
+  return (
+    <label
+      className={`compare-toggle ${isSelected ? 'selected' : ''}`}
+      title={isDisabled && !isSelected ? t('compare.limit', { count: MAX_COMPARE_TILES }) : undefined}
+    >
+      <input
+        type="checkbox"
+        checked={isSelected}
+        disabled={isDisabled && !isSelected}
+        onChange={(e) => onChange(e.target.checked)}
+      />
+      <span>{t('compare.toggle')}</span>
+    </label>
+  )
+}
+
+export default CompareToggle
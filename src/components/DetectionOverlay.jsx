@@ -0,0 +1,101 @@
+import { formatNumber, formatPercent } from '../utils/formatters'
+
+/**
+ * DetectionOverlay Component
+ * 
+ * Draws detected tile regions on top of the uploaded image.
+ * Each region is outlined and labelled with its rank and
+ * confidence. Must be placed inside a positioned container
+ * that exactly wraps the image.
+ * 
+ * Region coordinates are normalized (0-1), so the overlay
+ * scales with the image without knowing its pixel size.
+ * 
+ * Props:
+ * - detections: Ranked detections ({ id, confidence, bbox?, polygon? })
+ * - highlightedId: Id of the detection to emphasize (or null)
+ * - onHighlight: Callback receiving a detection id on hover, or null on leave
+ */
+
+/**
+ * Returns the polygon points for a detection
+ * Falls back to the bounding box corners when no polygon is given
+ */
+function getRegionPoints(detection) {
+  if (Array.isArray(detection.polygon) && detection.polygon.length >= 3) {
+    return detection.polygon
+  }
+
+  const { bbox } = detection
+  if (!bbox) {
+    return null
+  }
+
+  return [
+    [bbox.x, bbox.y],
+    [bbox.x + bbox.width, bbox.y],
+    [bbox.x + bbox.width, bbox.y + bbox.height],
+    [bbox.x, bbox.y + bbox.height],
+  ]
+}
+
+/**
+ * Returns the top-left corner of a region, used to place its label
+ */
+function getLabelPosition(points) {
+  const x = Math.min(...points.map(([px]) => px))
+  const y = Math.min(...points.map(([, py]) => py))
+  return { x, y }
+}
+
+function DetectionOverlay({ detections, highlightedId, onHighlight }) {
+  // Only detections that carry a region can be drawn
+  const regions = detections
+    .map((detection, index) => ({
+      detection,
+      rank: index + 1,
+      points: getRegionPoints(detection),
+    }))
+    .filter((region) => region.points)
+
+  if (regions.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="detection-overlay">
+      <svg
+        className="detection-overlay-shapes"
+        viewBox="0 0 1 1"
+        preserveAspectRatio="none"
+      >
+        {regions.map(({ detection, points }) => (
+          <polygon
+            key={detection.id}
+            points={points.map(([x, y]) => `${x},${y}`).join(' ')}
+            className={`detection-region ${highlightedId === detection.id ? 'highlighted' : ''}`}
+            onMouseEnter={() => onHighlight?.(detection.id)}
+            onMouseLeave={() => onHighlight?.(null)}
+          />
+        ))}
+      </svg>
+
+      {regions.map(({ detection, rank, points }) => {
+        const { x, y } = getLabelPosition(points)
+        return (
+          <span
+            key={detection.id}
+            className={`detection-label ${highlightedId === detection.id ? 'highlighted' : ''}`}
+            style={{ left: `${x * 100}%`, top: `${y * 100}%` }}
+            onMouseEnter={() => onHighlight?.(detection.id)}
+            onMouseLeave={() => onHighlight?.(null)}
+          >
+            #{formatNumber(rank)} · {formatPercent(detection.confidence)}
+          </span>
+        )
+      })}
+    </div>
+  )
+}
+
+export default DetectionOverlay
@@ -0,0 +1,368 @@
+import { useState, useEffect, useRef } from 'react'
+import { t } from '../i18n'
+import { loadImage } from '../utils/imageFeatures'
+import { formatNumber } from '../utils/formatters'
+import {
+  getImageSize,
+  getRotationCoverScale,
+  rotateQuarterTurns,
+  rotateFree,
+  cropImage,
+  straightenPerspective,
+  canvasToFile,
+} from '../utils/imageEditing'
+
+/**
+ * ImageEditor Component
+ * 
+ * Lets the user fix up a photo before detection: crop to the tile,
+ * rotate by quarter turns or straighten with free rotation, and
+ * correct perspective by dragging four corners onto a tile shot at
+ * an angle. Edits are applied one at a time and can be undone.
+ * The result is saved as a new File, so detection doesn't change.
+ * 
+ * Props:
+ * - file: The image file being edited
+ * - imageUrl: Preview URL of the file
+ * - onSave: Callback receiving the edited File
+ * - onCancel: Callback to leave without changes
+ */
+
+// Longest side of the on-screen preview, in pixels
+const DISPLAY_MAX_SIZE = 1200
+
+// Smallest crop, as a fraction of the image
+const MIN_CROP_SIZE = 0.05
+
+const DEFAULT_CROP = { left: 0.05, top: 0.05, right: 0.95, bottom: 0.95 }
+
+// Corner order: top-left, top-right, bottom-right, bottom-left
+const DEFAULT_CORNERS = [[0.1, 0.1], [0.9, 0.1], [0.9, 0.9], [0.1, 0.9]]
+
+// Message keys of the corner names, in corner order
+const CORNER_LABELS = ['corner.topLeft', 'corner.topRight', 'corner.bottomRight', 'corner.bottomLeft']
+
+// Editing tools, with the message keys of their tab and apply button labels
+const TOOLS = [
+  { value: 'crop', labelKey: 'editor.tool.crop', applyKey: 'editor.apply.crop' },
+  { value: 'rotate', labelKey: 'editor.tool.rotate', applyKey: 'editor.apply.rotate' },
+  { value: 'perspective', labelKey: 'editor.tool.perspective', applyKey: 'editor.apply.perspective' },
+]
+
+const clamp = (value) => Math.min(1, Math.max(0, value))
+
+/**
+ * Returns the crop rectangle's corners, in handle order
+ */
+function getCropCorners({ left, top, right, bottom }) {
+  return [[left, top], [right, top], [right, bottom], [left, bottom]]
+}
+
+/**
+ * Moves one crop corner, keeping the opposite one in place
+ */
+function moveCropCorner(crop, index, x, y) {
+  const next = { ...crop }
+  if (index === 0 || index === 3) {
+    next.left = Math.min(x, crop.right - MIN_CROP_SIZE)
+  } else {
+    next.right = Math.max(x, crop.left + MIN_CROP_SIZE)
+  }
+  if (index === 0 || index === 1) {
+    next.top = Math.min(y, crop.bottom - MIN_CROP_SIZE)
+  } else {
+    next.bottom = Math.max(y, crop.top + MIN_CROP_SIZE)
+  }
+  return next
+}
+
+function ImageEditor({ file, imageUrl, onSave, onCancel }) {
+  // Edited versions, oldest first; the last one is on screen
+  const [versions, setVersions] = useState([])
+  const [tool, setTool] = useState('crop')
+  const [crop, setCrop] = useState(DEFAULT_CROP)
+  const [corners, setCorners] = useState(DEFAULT_CORNERS)
+  const [angle, setAngle] = useState(0)
+  const [isWorking, setIsWorking] = useState(false)
+  const [error, setError] = useState(null)
+
+  const canvasRef = useRef(null)
+  const stageRef = useRef(null)
+  // Index of the corner being dragged
+  const draggingRef = useRef(null)
+
+  const current = versions[versions.length - 1]
+  const hasEdits = versions.length > 1
+
+  // Load the original image
+  useEffect(() => {
+    let isActive = true
+    loadImage(imageUrl)
+      .then((image) => isActive && setVersions([image]))
+      .catch(() => isActive && setError(t('editor.loadError')))
+    return () => {
+      isActive = false
+    }
+  }, [imageUrl])
+
+  // Draw the current version, scaled down for the screen
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!current || !canvas) {
+      return
+    }
+    const { width, height } = getImageSize(current)
+    const scale = Math.min(1, DISPLAY_MAX_SIZE / Math.max(width, height))
+    canvas.width = Math.round(width * scale)
+    canvas.height = Math.round(height * scale)
+    canvas.getContext('2d').drawImage(current, 0, 0, canvas.width, canvas.height)
+  }, [current])
+
+  /**
+   * Applies an edit to the current version
+   * Runs after the "Applying..." state has painted, since a
+   * perspective warp can block the page for a moment.
+   */
+  const applyEdit = (edit) => {
+    setIsWorking(true)
+    setError(null)
+    setTimeout(() => {
+      try {
+        const edited = edit(current)
+        setVersions((list) => [...list, edited])
+        setCrop(DEFAULT_CROP)
+        setCorners(DEFAULT_CORNERS)
+        setAngle(0)
+      } catch (err) {
+        console.warn('Image edit failed:', err)
+        setError(t('editor.perspectiveError'))
+      } finally {
+        setIsWorking(false)
+      }
+    }, 0)
+  }
+
+  const handleApply = () => {
+    if (tool === 'crop') {
+      applyEdit((source) => cropImage(source, crop))
+    } else if (tool === 'rotate') {
+      applyEdit((source) => rotateFree(source, angle))
+    } else {
+      applyEdit((source) => straightenPerspective(source, corners))
+    }
+  }
+
+  const handleUndo = () => {
+    setVersions((list) => (list.length > 1 ? list.slice(0, -1) : list))
+    setError(null)
+  }
+
+  const handleReset = () => {
+    setVersions((list) => list.slice(0, 1))
+    setCrop(DEFAULT_CROP)
+    setCorners(DEFAULT_CORNERS)
+    setAngle(0)
+    setError(null)
+  }
+
+  const handleSave = async () => {
+    setIsWorking(true)
+    try {
+      onSave(await canvasToFile(current, file))
+    } catch (err) {
+      console.error('Image save error:', err)
+      setError(t('editor.saveError'))
+      setIsWorking(false)
+    }
+  }
+
+  /**
+   * Moves a handle to a point given as fractions of the image
+   */
+  const moveHandle = (index, x, y) => {
+    if (tool === 'crop') {
+      setCrop((rect) => moveCropCorner(rect, index, clamp(x), clamp(y)))
+    } else {
+      setCorners((list) => list.map((corner, i) => (i === index ? [clamp(x), clamp(y)] : corner)))
+    }
+  }
+
+  const handleHandlePointerDown = (index) => (e) => {
+    e.preventDefault()
+    e.currentTarget.setPointerCapture(e.pointerId)
+    draggingRef.current = index
+  }
+
+  const handleHandlePointerMove = (e) => {
+    const index = draggingRef.current
+    if (index === null || !stageRef.current) {
+      return
+    }
+    const rect = stageRef.current.getBoundingClientRect()
+    moveHandle(index, (e.clientX - rect.left) / rect.width, (e.clientY - rect.top) / rect.height)
+  }
+
+  const handleHandlePointerUp = () => {
+    draggingRef.current = null
+  }
+
+  /**
+   * Moves a handle with the arrow keys, for keyboard users
+   */
+  const handleHandleKeyDown = (index, [x, y]) => (e) => {
+    const step = e.shiftKey ? 0.05 : 0.01
+    const moves = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step],
+    }
+    const move = moves[e.key]
+    if (!move) {
+      return
+    }
+    e.preventDefault()
+    moveHandle(index, x + move[0], y + move[1])
+  }
+
+  const handles = tool === 'crop' ? getCropCorners(crop) : tool === 'perspective' ? corners : []
+  const size = current ? getImageSize(current) : null
+  const previewTransform = tool === 'rotate' && angle !== 0 && size
+    ? `rotate(${angle}deg) scale(${getRotationCoverScale(angle, size.width, size.height)})`
+    : 'none'
+
+  return (
+    <div className="image-editor">
+      <div className="image-editor-header">
+        <h3>{t('editor.title')}</h3>
+        <div className="image-editor-tools" role="tablist" aria-label={t('editor.toolLabel')}>
+          {TOOLS.map((option) => (
+            <button
+              key={option.value}
+              role="tab"
+              aria-selected={tool === option.value}
+              className={`image-editor-tool ${tool === option.value ? 'active' : ''}`}
+              onClick={() => {
+                setTool(option.value)
+                setError(null)
+              }}
+            >
+              {t(option.labelKey)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!current ? (
+        error ? null : <p className="image-editor-hint">{t('editor.loading')}</p>
+      ) : (
+        <div
+          ref={stageRef}
+          className="image-editor-stage"
+          onPointerMove={handleHandlePointerMove}
+          onPointerUp={handleHandlePointerUp}
+          onPointerCancel={handleHandlePointerUp}
+        >
+          <canvas
+            ref={canvasRef}
+            className="image-editor-canvas"
+            style={{ transform: previewTransform }}
+            aria-label={t('editor.canvasLabel')}
+          />
+
+          {handles.length > 0 && (
+            <>
+              <svg className="image-editor-outline" viewBox="0 0 1 1" preserveAspectRatio="none">
+                <polygon points={handles.map(([x, y]) => `${x},${y}`).join(' ')} />
+              </svg>
+              {handles.map((point, index) => (
+                <button
+                  key={CORNER_LABELS[index]}
+                  className="image-editor-handle"
+                  style={{ left: `${point[0] * 100}%`, top: `${point[1] * 100}%` }}
+                  onPointerDown={handleHandlePointerDown(index)}
+                  onKeyDown={handleHandleKeyDown(index, point)}
+                  aria-label={t('corner.handleLabel', { corner: t(CORNER_LABELS[index]) })}
+                />
+              ))}
+            </>
+          )}
+          {tool === 'rotate' && <div className="image-editor-grid" />}
+        </div>
+      )}
+
+      {current && (
+        <div className="image-editor-controls">
+          {tool === 'crop' && (
+            <p className="image-editor-hint">{t('editor.cropHint')}</p>
+          )}
+          {tool === 'perspective' && (
+            <p className="image-editor-hint">
+              {t('editor.perspectiveHint')}
+            </p>
+          )}
+          {tool === 'rotate' && (
+            <>
+              <div className="image-editor-quarter-turns">
+                <button
+                  className="back-button"
+                  onClick={() => applyEdit((source) => rotateQuarterTurns(source, -1))}
+                  disabled={isWorking}
+                >
+                  {t('editor.rotateLeft')}
+                </button>
+                <button
+                  className="back-button"
+                  onClick={() => applyEdit((source) => rotateQuarterTurns(source, 1))}
+                  disabled={isWorking}
+                >
+                  {t('editor.rotateRight')}
+                </button>
+              </div>
+              <label className="visualizer-control">
+                <span>{t('editor.straighten', { angle: formatNumber(angle) })}</span>
+                <input
+                  type="range"
+                  min="-45"
+                  max="45"
+                  step="0.5"
+                  value={angle}
+                  onChange={(e) => setAngle(Number(e.target.value))}
+                />
+              </label>
+            </>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <div className="page-error">
+          <span className="error-icon">!</span>
+          {error}
+        </div>
+      )}
+
+      <div className="image-editor-actions">
+        <button className="back-button" onClick={onCancel} disabled={isWorking}>
+          {t('common.cancel')}
+        </button>
+        <button className="back-button" onClick={handleUndo} disabled={!hasEdits || isWorking}>
+          {t('editor.undo')}
+        </button>
+        <button className="back-button" onClick={handleReset} disabled={!hasEdits || isWorking}>
+          {t('editor.reset')}
+        </button>
+        {tool !== 'rotate' || angle !== 0 ? (
+          <button className="back-button" onClick={handleApply} disabled={!current || isWorking}>
+            {isWorking ? t('editor.applying') : t(TOOLS.find((option) => option.value === tool).applyKey)}
+          </button>
+        ) : null}
+        <button className="find-similar-button" onClick={handleSave} disabled={!hasEdits || isWorking}>
+          {t('editor.useEdited')}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ImageEditor
@@ -1,24 +1,112 @@
-import { useRef, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
+import { t } from '../i18n'
+import {
+  SUPPORTED_FORMATS,
+  ACCEPT_ATTRIBUTE,
+  getImageFormat,
+  getUsableFormats,
+  prepareImageFile,
+} from '../utils/imageFormats'
+import { getImageFiles, getImageUrl, importImageFromUrl } from '../services/imageImportService'
+import { isAbortError } from '../services/httpClient'
+import { analyzeImageUrl } from '../utils/imageQuality'
+import { formatList, formatNumber } from '../utils/formatters'
+import QualityWarnings from './QualityWarnings'
 
 /**
  * ImageUploader Component
  * 
  * Handles image file upload via drag & drop or file picker.
- * Validates file type and size before accepting.
+ * Images can also be pasted from the clipboard, dragged in from
+ * another browser tab (by URL), or imported from a typed URL.
+ * Validates file type and size before accepting. WebP, AVIF and
+ * HEIC images are converted to JPEG in the browser first (see
+ * utils/imageFormats.js), so callbacks always receive PNG or JPEG.
+ * 
+ * The previewed image is checked for resolution, blur, exposure and
+ * glare (see utils/imageQuality.js), and any problems are listed
+ * under it.
  * 
  * Props:
  * - onImageSelect: Callback function when a valid image is selected
+ * - onImagesSelect: Optional callback receiving an array of valid images.
+ *   When provided, several files can be picked or dropped at once.
  * - imagePreview: URL string for showing image preview
+ * - onQualityChange: Optional callback receiving the quality report of
+ *   the previewed image (null while it is being checked; a report
+ *   without issues if the check fails)
  */
 
 // Configuration constants
-const ALLOWED_TYPES = ['image/png', 'image/jpeg', 'image/jpg']
 const MAX_FILE_SIZE = 10 * 1024 * 1024 // 10MB in bytes
 
-function ImageUploader({ onImageSelect, imagePreview }) {
+function ImageUploader({ onImageSelect, onImagesSelect, imagePreview, onQualityChange }) {
   const [isDragOver, setIsDragOver] = useState(false)
   const [error, setError] = useState(null)
+  const [isConverting, setIsConverting] = useState(false)
+  const [isImporting, setIsImporting] = useState(false)
+  const [importUrl, setImportUrl] = useState('')
+  const [quality, setQuality] = useState(null)
+  // Formats this browser can open, for the "Supports:" hint
+  const [usableFormats, setUsableFormats] = useState(
+    SUPPORTED_FORMATS.filter((format) => ['png', 'jpeg', 'heic'].includes(format.id))
+  )
   const fileInputRef = useRef(null)
+  // Controller for the running URL import, so it can be cancelled
+  const importControllerRef = useRef(null)
+  // Latest paste handler, so the window listener doesn't need re-binding
+  const pasteHandlerRef = useRef(null)
+
+  const isBusy = isConverting || isImporting
+
+  useEffect(() => {
+    let isActive = true
+    getUsableFormats().then((formats) => isActive && setUsableFormats(formats))
+    return () => {
+      isActive = false
+    }
+  }, [])
+
+  // Accept pasted images anywhere on the page while the uploader is shown
+  useEffect(() => {
+    const handlePaste = (e) => pasteHandlerRef.current(e)
+    window.addEventListener('paste', handlePaste)
+    return () => {
+      window.removeEventListener('paste', handlePaste)
+      importControllerRef.current?.abort()
+    }
+  }, [])
+
+  // Check the quality of each previewed image
+  useEffect(() => {
+    setQuality(null)
+    onQualityChange?.(null)
+    if (!imagePreview) {
+      return
+    }
+
+    let isActive = true
+    analyzeImageUrl(imagePreview)
+      .then((report) => {
+        if (isActive) {
+          setQuality(report)
+          onQualityChange?.(report)
+        }
+      })
+      .catch((err) => {
+        console.warn('Image quality check failed:', err)
+        // A failed check doesn't hold up detection
+        if (isActive) {
+          onQualityChange?.({ issues: [] })
+        }
+      })
+    return () => {
+      isActive = false
+    }
+  }, [imagePreview])
+
+  const formatsLabel = formatList(usableFormats.map((format) => format.label), 'disjunction')
+  const maxSizeLabel = formatNumber(MAX_FILE_SIZE / (1024 * 1024), { style: 'unit', unit: 'megabyte' })
 
   /**
    * Validates the selected file
@@ -26,15 +114,15 @@ function ImageUploader({ onImageSelect, imagePreview }) {
    */
   const validateFile = (file) => {
     if (!file) {
-      return 'No file selected'
+      return t('uploader.noFile')
     }
 
-    if (!ALLOWED_TYPES.includes(file.type)) {
-      return 'Invalid file type. Please upload PNG, JPG, or JPEG images only.'
+    if (!getImageFormat(file)) {
+      return t('uploader.invalidType', { formats: formatsLabel })
     }
 
     if (file.size > MAX_FILE_SIZE) {
-      return `File too large. Maximum size is ${MAX_FILE_SIZE / (1024 * 1024)}MB.`
+      return t('uploader.tooLarge', { size: maxSizeLabel })
     }
 
     return null
@@ -43,7 +131,7 @@ function ImageUploader({ onImageSelect, imagePreview }) {
   /**
    * Processes the selected file
    */
-  const handleFile = (file) => {
+  const handleFile = async (file) => {
     const validationError = validateFile(file)
     
     if (validationError) {
@@ -52,16 +140,129 @@ function ImageUploader({ onImageSelect, imagePreview }) {
     }
 
     setError(null)
-    onImageSelect(file)
+    setIsConverting(true)
+    try {
+      onImageSelect(await prepareImageFile(file))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsConverting(false)
+    }
+  }
+
+  /**
+   * Processes several selected files at once
+   * Valid files are passed on together; invalid ones (including
+   * ones that can't be decoded) are reported
+   */
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList)
+
+    if (!onImagesSelect) {
+      if (files[0]) {
+        handleFile(files[0])
+      }
+      return
+    }
+
+    const validFiles = []
+    const skipped = []
+
+    setIsConverting(true)
+    // One at a time: HEIC decoding is memory-hungry
+    for (const file of files) {
+      const validationError = validateFile(file)
+      if (validationError) {
+        skipped.push({ file, validationError })
+        continue
+      }
+      try {
+        validFiles.push(await prepareImageFile(file))
+      } catch (err) {
+        skipped.push({ file, validationError: err.message })
+      }
+    }
+    setIsConverting(false)
+
+    if (skipped.length === 1) {
+      setError(t('uploader.fileError', { name: skipped[0].file.name, error: skipped[0].validationError }))
+    } else if (skipped.length > 1) {
+      setError(t('uploader.filesSkipped', { count: skipped.length, formats: formatsLabel, size: maxSizeLabel }))
+    } else {
+      setError(null)
+    }
+
+    if (validFiles.length > 0) {
+      onImagesSelect(validFiles)
+    }
   }
 
   /**
    * Handles file input change event
    */
   const handleFileChange = (e) => {
-    const file = e.target.files[0]
-    if (file) {
-      handleFile(file)
+    if (e.target.files.length > 0) {
+      handleFiles(e.target.files)
+    }
+    // Allow selecting the same file(s) again
+    e.target.value = ''
+  }
+
+  /**
+   * Downloads an image from a URL and processes it like a picked file
+   */
+  const handleUrlImport = async (url) => {
+    importControllerRef.current?.abort()
+    const controller = new AbortController()
+    importControllerRef.current = controller
+
+    setError(null)
+    setIsImporting(true)
+    try {
+      const file = await importImageFromUrl(url, { signal: controller.signal })
+      setImportUrl('')
+      await handleFiles([file])
+    } catch (err) {
+      if (!isAbortError(err)) {
+        setError(err.message)
+      }
+    } finally {
+      if (importControllerRef.current === controller) {
+        setIsImporting(false)
+      }
+    }
+  }
+
+  const handleImportSubmit = (e) => {
+    e.preventDefault()
+    if (importUrl.trim() && !isBusy) {
+      handleUrlImport(importUrl)
+    }
+  }
+
+  /**
+   * Handles a paste: image files are used directly, a pasted URL
+   * is imported. Text pasted into a form field is left alone.
+   */
+  pasteHandlerRef.current = (e) => {
+    if (isBusy) {
+      return
+    }
+
+    const files = getImageFiles(e.clipboardData)
+    if (files.length > 0) {
+      e.preventDefault()
+      handleFiles(files)
+      return
+    }
+
+    const target = e.target
+    const isEditable = target instanceof HTMLElement
+      && (target.isContentEditable || ['INPUT', 'TEXTAREA'].includes(target.tagName))
+    const url = !isEditable && getImageUrl(e.clipboardData)
+    if (url) {
+      e.preventDefault()
+      handleUrlImport(url)
     }
   }
 
@@ -69,6 +270,9 @@ function ImageUploader({ onImageSelect, imagePreview }) {
    * Opens the file picker dialog
    */
   const handleClick = () => {
+    if (isBusy) {
+      return
+    }
     fileInputRef.current?.click()
   }
 
@@ -92,15 +296,26 @@ function ImageUploader({ onImageSelect, imagePreview }) {
 
   /**
    * Handles file drop event
+   * Images dragged from another tab arrive as a URL rather than a file.
    */
   const handleDrop = (e) => {
     e.preventDefault()
     e.stopPropagation()
     setIsDragOver(false)
 
-    const file = e.dataTransfer.files[0]
-    if (file) {
-      handleFile(file)
+    if (isBusy) {
+      return
+    }
+    if (e.dataTransfer.files.length > 0) {
+      handleFiles(e.dataTransfer.files)
+      return
+    }
+
+    const url = getImageUrl(e.dataTransfer)
+    if (url) {
+      handleUrlImport(url)
+    } else {
+      setError(t('uploader.nothingDropped'))
     }
   }
 
@@ -116,15 +331,20 @@ function ImageUploader({ onImageSelect, imagePreview }) {
         <input
           ref={fileInputRef}
           type="file"
-          accept=".png,.jpg,.jpeg"
+          accept={ACCEPT_ATTRIBUTE}
+          multiple={Boolean(onImagesSelect)}
           onChange={handleFileChange}
           className="file-input"
         />
 
-        {imagePreview ? (
+        {isBusy ? (
+          <div className="upload-placeholder">
+            <p className="upload-text">{isImporting ? t('uploader.downloading') : t('uploader.converting')}</p>
+          </div>
+        ) : imagePreview ? (
           <div className="image-preview">
-            <img src={imagePreview} alt="Uploaded tile" />
-            <p className="change-image-text">Click or drop to change image</p>
+            <img src={imagePreview} alt={t('uploader.previewAlt')} />
+            <p className="change-image-text">{t('uploader.change')}</p>
           </div>
         ) : (
           <div className="upload-placeholder">
@@ -135,13 +355,38 @@ function ImageUploader({ onImageSelect, imagePreview }) {
                 <line x1="12" y1="3" x2="12" y2="15" />
               </svg>
             </div>
-            <p className="upload-text">Drag & drop your tile image here</p>
-            <p className="upload-subtext">or click to browse</p>
-            <p className="upload-formats">Supports: PNG, JPG, JPEG (Max 10MB)</p>
+            <p className="upload-text">
+              {onImagesSelect ? t('uploader.dropMany') : t('uploader.dropOne')}
+            </p>
+            <p className="upload-subtext">
+              {onImagesSelect ? t('uploader.browseMany') : t('uploader.browseOne')}
+            </p>
+            <p className="upload-subtext">{t('uploader.paste')}</p>
+            <p className="upload-formats">{t('uploader.formats', { formats: formatsLabel, size: maxSizeLabel })}</p>
           </div>
         )}
       </div>
 
+      {imagePreview && !isBusy && <QualityWarnings report={quality} />}
+
+      <form className="url-import" onSubmit={handleImportSubmit}>
+        <label htmlFor="image-url-import" className="url-import-label">{t('uploader.importFromUrl')}</label>
+        <div className="url-import-row">
+          <input
+            id="image-url-import"
+            type="url"
+            className="url-import-input"
+            placeholder="https://example.com/tile.jpg"
+            value={importUrl}
+            onChange={(e) => setImportUrl(e.target.value)}
+            disabled={isBusy}
+          />
+          <button type="submit" className="url-import-button" disabled={!importUrl.trim() || isBusy}>
+            {isImporting ? t('uploader.importing') : t('uploader.import')}
+          </button>
+        </div>
+      </form>
+
       {error && (
         <div className="upload-error">
           <span className="error-icon">!</span>
@@ -0,0 +1,26 @@
+import { LOCALES, t, useLocale } from '../i18n'
+
+/**
+ * LanguageSwitcher Component
+ * 
+ * Select for the interface language. The choice is remembered on
+ * this device; each language is listed by its own name.
+ */
+function LanguageSwitcher() {
+  const { locale, setLocale } = useLocale()
+
+  return (
+    <select
+      className="language-switcher"
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t('app.language')}
+    >
+      {Object.entries(LOCALES).map(([id, option]) => (
+        <option key={id} value={id} lang={id}>{option.label}</option>
+      ))}
+    </select>
+  )
+}
+
+export default LanguageSwitcher
@@ -0,0 +1,30 @@
+import { navigate } from '../utils/router'
+
+/**
+ * Link Component
+ * 
+ * An anchor that navigates within the app without a page reload.
+ * Modified clicks (new tab, new window) keep the browser default.
+ * 
+ * Props:
+ * - to: Target path (see buildPath in utils/router.js)
+ * - state: Optional history state for the new entry
+ * - Any other anchor props (className, children, ...)
+ */
+function Link({ to, state, children, ...props }) {
+  const handleClick = (e) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+      return
+    }
+    e.preventDefault()
+    navigate(to, { state })
+  }
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  )
+}
+
+export default Link
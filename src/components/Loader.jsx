@@ -1,3 +1,5 @@
+import { t } from '../i18n'
+
 /**
  * Loader Component
  * 
@@ -7,7 +9,7 @@
  * Props:
  * - message: Optional string to display below the spinner
  */
-function Loader({ message = 'Loading...' }) {
+function Loader({ message = t('common.loading') }) {
   return (
     <div className="loader-container">
       <div className="loader-spinner">
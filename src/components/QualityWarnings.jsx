@@ -0,0 +1,29 @@
+import { t } from '../i18n'
+
+/**
+ * QualityWarnings Component
+ * 
+ * Lists the problems the image quality checks found in a photo
+ * (see utils/imageQuality.js). Renders nothing when there are none.
+ * 
+ * Props:
+ * - report: Result of analyzeImageQuality(), or null while checking
+ */
+function QualityWarnings({ report }) {
+  if (!report?.issues.length) {
+    return null
+  }
+
+  return (
+    <div className="quality-warnings" role="status">
+      <p className="quality-warnings-title">{t('quality.title')}</p>
+      <ul>
+        {report.issues.map((issue) => (
+          <li key={issue.id}>{t(`quality.${issue.id}`, issue.params)}</li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default QualityWarnings
@@ -1,3 +1,10 @@
+import { t } from '../i18n'
+import { formatNumber, formatPercent, formatTileName } from '../utils/formatters'
+import TileDetails from './TileDetails'
+import CompareToggle from './CompareToggle'
+import ShortlistToggle from './ShortlistToggle'
+import RecommendationFeedback from './RecommendationFeedback'
+
 /**
  * RecommendationCard Component
  * 
@@ -8,10 +15,37 @@
  * - image: URL/path to the tile image
  * - similarity: Similarity score (0-1) from ResNet matching
  * - rank: Position in the results (1 = Best Match, 2, 3, etc.)
+ * - details: Optional catalog tile shown below the score (name, SKU, price, ...)
+ * - references: Optional reference tiles this tile was recommended for,
+ *   when recommendations for several references are merged
+ *   ([{ id, name, similarity }], best match first)
+ * - isSelected: Whether the tile is selected for comparison
+ * - isSelectionFull: Whether the comparison already has the maximum number of tiles
+ * - onSelectChange: Optional callback receiving the new selected state;
+ *   shows the "Compare" checkbox when set
+ * - isShortlisted: Whether the tile is on the active shortlist board
+ * - shortlistBoardName: Name of the active shortlist board
+ * - onShortlistChange: Optional callback receiving the new saved state;
+ *   shows the "Save" button when set
+ * - onFeedback: Optional callback receiving { rating, reasons }; shows
+ *   the thumbs up/down controls when set (see RecommendationFeedback)
  */
-function RecommendationCard({ image, similarity, rank }) {
+function RecommendationCard({
+  image,
+  similarity,
+  rank,
+  details,
+  references,
+  isSelected = false,
+  isSelectionFull = false,
+  onSelectChange,
+  isShortlisted = false,
+  shortlistBoardName,
+  onShortlistChange,
+  onFeedback,
+}) {
   // Convert similarity to percentage
-  const similarityPercent = (similarity * 100).toFixed(1)
+  const similarityPercent = formatPercent(similarity)
   
   // Determine similarity level for styling
   const getSimilarityClass = () => {
@@ -22,12 +56,12 @@ function RecommendationCard({ image, similarity, rank }) {
 
   // Get rank label
   const getRankLabel = () => {
-    if (rank === 1) return '#1 Best Match'
-    return `#${rank}`
+    if (rank === 1) return t('recommendation.bestMatch')
+    return `#${formatNumber(rank)}`
   }
 
   return (
-    <div className="recommendation-card">
+    <div className={`recommendation-card ${isSelected ? 'selected' : ''}`}>
       <div className={`recommendation-rank ${rank === 1 ? 'best-match' : ''}`}>
         {getRankLabel()}
       </div>
@@ -35,17 +69,53 @@ function RecommendationCard({ image, similarity, rank }) {
       <div className="recommendation-image-container">
         <img 
           src={image} 
-          alt={`Recommended tile ${rank}`}
+          alt={details?.name || t('recommendation.imageAlt', { rank })}
           className="recommendation-image"
         />
       </div>
       
       <div className="recommendation-info">
         <div className={`similarity-badge ${getSimilarityClass()}`}>
-          <span className="similarity-label">Similarity</span>
-          <span className="similarity-value">{similarityPercent}%</span>
+          <span className="similarity-label">{t('recommendation.similarity')}</span>
+          <span className="similarity-value">{similarityPercent}</span>
         </div>
       </div>
+
+      {references && (
+        <div className="recommendation-references">
+          <span className="recommendation-references-label">{t('recommendation.similarTo')}</span>
+          <ul>
+            {references.map((reference) => (
+              <li key={reference.id}>
+                {formatTileName(reference)}
+                <span className="recommendation-reference-similarity">
+                  {formatPercent(reference.similarity, 0)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <TileDetails tile={details} />
+
+      {onSelectChange && (
+        <CompareToggle
+          isSelected={isSelected}
+          isDisabled={isSelectionFull}
+          onChange={onSelectChange}
+        />
+      )}
+
+      {onShortlistChange && (
+        <ShortlistToggle
+          isShortlisted={isShortlisted}
+          boardName={shortlistBoardName}
+          onChange={onShortlistChange}
+        />
+      )}
+
+      {onFeedback && <RecommendationFeedback onSubmit={onFeedback} />}
     </div>
   )
 }
@@ -0,0 +1,115 @@
+import { useState } from 'react'
+import { t } from '../i18n'
+import { NOT_SIMILAR_REASONS } from '../services/feedbackService'
+
+/**
+ * RecommendationFeedback Component
+ * 
+ * Thumbs up/down on a recommendation card. A thumbs-down asks what
+ * makes the tile not similar before it is sent.
+ * 
+ * Props:
+ * - onSubmit: Callback receiving { rating, reasons }; returns a promise
+ *   of 'sent' or 'queued' (see feedbackService.js)
+ */
+
+// Message keys of the confirmation shown once feedback is sent or queued
+const STATUS_MESSAGES = {
+  sent: 'feedback.sent',
+  queued: 'feedback.queued',
+}
+
+function RecommendationFeedback({ onSubmit }) {
+  const [rating, setRating] = useState(null)
+  const [reasons, setReasons] = useState([])
+  // 'idle', 'reasons' (picking thumbs-down reasons), 'sending', 'sent', 'queued' or 'error'
+  const [status, setStatus] = useState('idle')
+
+  const send = async (feedback) => {
+    setStatus('sending')
+    try {
+      setStatus(await onSubmit(feedback))
+    } catch (err) {
+      console.error('Feedback error:', err)
+      setStatus('error')
+    }
+  }
+
+  const handleRate = (value) => {
+    setRating(value)
+    if (value === 'up') {
+      send({ rating: 'up', reasons: [] })
+    } else {
+      setStatus('reasons')
+    }
+  }
+
+  const toggleReason = (id, isChecked) => {
+    setReasons((current) => (isChecked
+      ? [...current, id]
+      : current.filter((reason) => reason !== id)))
+  }
+
+  if (STATUS_MESSAGES[status]) {
+    return (
+      <p className={`recommendation-feedback-status ${status}`} role="status">
+        {t(STATUS_MESSAGES[status])}
+      </p>
+    )
+  }
+
+  return (
+    <div className="recommendation-feedback">
+      <div className="recommendation-feedback-rating">
+        <span>{t('feedback.question')}</span>
+        <button
+          className={`feedback-button ${rating === 'up' ? 'active' : ''}`}
+          onClick={() => handleRate('up')}
+          disabled={status === 'sending'}
+          aria-label={t('feedback.goodMatch')}
+          aria-pressed={rating === 'up'}
+        >
+          👍
+        </button>
+        <button
+          className={`feedback-button ${rating === 'down' ? 'active' : ''}`}
+          onClick={() => handleRate('down')}
+          disabled={status === 'sending'}
+          aria-label={t('feedback.notSimilar')}
+          aria-pressed={rating === 'down'}
+        >
+          👎
+        </button>
+      </div>
+
+      {rating === 'down' && (
+        <div className="recommendation-feedback-reasons">
+          <span>{t('feedback.whatsDifferent')}</span>
+          {NOT_SIMILAR_REASONS.map((reason) => (
+            <label key={reason.id}>
+              <input
+                type="checkbox"
+                checked={reasons.includes(reason.id)}
+                onChange={(e) => toggleReason(reason.id, e.target.checked)}
+              />
+              {t(reason.labelKey)}
+            </label>
+          ))}
+          <button
+            className="feedback-send-button"
+            onClick={() => send({ rating: 'down', reasons })}
+            disabled={status === 'sending'}
+          >
+            {status === 'sending' ? t('feedback.sending') : t('feedback.send')}
+          </button>
+        </div>
+      )}
+
+      {status === 'error' && (
+        <p className="recommendation-feedback-error">{t('feedback.error')}</p>
+      )}
+    </div>
+  )
+}
+
+export default RecommendationFeedback
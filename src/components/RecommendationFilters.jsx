@@ -0,0 +1,189 @@
+import { useState, useEffect } from 'react'
+import { SORT_OPTIONS, EMPTY_FILTERS, hasActiveFilters } from '../utils/recommendationFilters'
+import { t } from '../i18n'
+import { formatLabel, formatNumber } from '../utils/formatters'
+
+/**
+ * RecommendationFilters Component
+ * 
+ * Facet filters and sort control for the recommendations list.
+ * Offers material, size, finish, colour, price range and
+ * in-stock filters, built from the values present in the catalog.
+ * 
+ * Props:
+ * - facetOptions: Available facet values (see getFacetOptions)
+ * - filters: Current filters (see recommendationFilters.js)
+ * - sort: Current sort option value
+ * - onFiltersChange: Callback receiving the new filters object
+ * - onSortChange: Callback receiving the new sort value
+ */
+
+/**
+ * Parses a price input value, returning null for empty/invalid input
+ */
+function parsePrice(value) {
+  if (value === '') {
+    return null
+  }
+  const number = Number(value)
+  return Number.isFinite(number) && number >= 0 ? number : null
+}
+
+function FacetGroup({ title, options, selected, onToggle, formatOption = (option) => formatLabel(option.value) }) {
+  if (!options || options.length === 0) {
+    return null
+  }
+
+  return (
+    <fieldset className="filter-group">
+      <legend>{title}</legend>
+      {options.map((option) => (
+        <label key={option.value} className="filter-option">
+          <input
+            type="checkbox"
+            checked={selected.includes(option.value)}
+            onChange={() => onToggle(option.value)}
+          />
+          <span>{formatOption(option)}</span>
+          <span className="filter-option-count">{formatNumber(option.count)}</span>
+        </label>
+      ))}
+    </fieldset>
+  )
+}
+
+function RecommendationFilters({ facetOptions, filters, sort, onFiltersChange, onSortChange }) {
+  // Price inputs are edited locally and applied on blur / Enter,
+  // so a new request isn't sent for every keystroke
+  const [minPriceInput, setMinPriceInput] = useState(filters.minPrice ?? '')
+  const [maxPriceInput, setMaxPriceInput] = useState(filters.maxPrice ?? '')
+
+  useEffect(() => {
+    setMinPriceInput(filters.minPrice ?? '')
+    setMaxPriceInput(filters.maxPrice ?? '')
+  }, [filters.minPrice, filters.maxPrice])
+
+  /**
+   * Adds or removes a value from a list facet
+   */
+  const toggleValue = (key) => (value) => {
+    const current = filters[key]
+    const next = current.includes(value)
+      ? current.filter((item) => item !== value)
+      : [...current, value]
+    onFiltersChange({ ...filters, [key]: next })
+  }
+
+  /**
+   * Applies the price inputs if they changed
+   */
+  const commitPrices = () => {
+    const minPrice = parsePrice(String(minPriceInput))
+    const maxPrice = parsePrice(String(maxPriceInput))
+    if (minPrice !== filters.minPrice || maxPrice !== filters.maxPrice) {
+      onFiltersChange({ ...filters, minPrice, maxPrice })
+    }
+  }
+
+  const handlePriceKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      commitPrices()
+    }
+  }
+
+  const priceRange = facetOptions?.priceRange
+
+  return (
+    <div className="recommendation-filters">
+      <div className="filters-toolbar">
+        <label className="sort-control">
+          <span>{t('filters.sortBy')}</span>
+          <select value={sort} onChange={(e) => onSortChange(e.target.value)}>
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {t(option.labelKey)}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {hasActiveFilters(filters) && (
+          <button
+            className="clear-filters-button"
+            onClick={() => onFiltersChange(EMPTY_FILTERS)}
+          >
+            {t('filters.clear')}
+          </button>
+        )}
+      </div>
+
+      <div className="filters-grid">
+        <FacetGroup
+          title={t('tile.material')}
+          options={facetOptions?.materials}
+          selected={filters.materials}
+          onToggle={toggleValue('materials')}
+        />
+        <FacetGroup
+          title={t('filters.size', { unit: t('units.mm') })}
+          options={facetOptions?.sizes}
+          selected={filters.sizes}
+          onToggle={toggleValue('sizes')}
+          formatOption={(option) => `${formatNumber(option.dimensions.width, { useGrouping: false })} × ${formatNumber(option.dimensions.length, { useGrouping: false })}`}
+        />
+        <FacetGroup
+          title={t('tile.finish')}
+          options={facetOptions?.finishes}
+          selected={filters.finishes}
+          onToggle={toggleValue('finishes')}
+        />
+        <FacetGroup
+          title={t('tile.colour')}
+          options={facetOptions?.colorFamilies}
+          selected={filters.colorFamilies}
+          onToggle={toggleValue('colorFamilies')}
+        />
+
+        <fieldset className="filter-group">
+          <legend>{t('filters.pricePerUnit', { unit: t('units.m2') })}</legend>
+          <div className="filter-price-inputs">
+            <input
+              type="number"
+              min="0"
+              inputMode="decimal"
+              placeholder={priceRange ? t('filters.minValue', { value: Math.floor(priceRange.min) }) : t('filters.min')}
+              value={minPriceInput}
+              onChange={(e) => setMinPriceInput(e.target.value)}
+              onBlur={commitPrices}
+              onKeyDown={handlePriceKeyDown}
+              aria-label={t('filters.minPriceLabel')}
+            />
+            <span>–</span>
+            <input
+              type="number"
+              min="0"
+              inputMode="decimal"
+              placeholder={priceRange ? t('filters.maxValue', { value: Math.ceil(priceRange.max) }) : t('filters.max')}
+              value={maxPriceInput}
+              onChange={(e) => setMaxPriceInput(e.target.value)}
+              onBlur={commitPrices}
+              onKeyDown={handlePriceKeyDown}
+              aria-label={t('filters.maxPriceLabel')}
+            />
+          </div>
+
+          <label className="filter-option">
+            <input
+              type="checkbox"
+              checked={filters.inStockOnly}
+              onChange={(e) => onFiltersChange({ ...filters, inStockOnly: e.target.checked })}
+            />
+            <span>{t('filters.inStockOnly')}</span>
+          </label>
+        </fieldset>
+      </div>
+    </div>
+  )
+}
+
+export default RecommendationFilters
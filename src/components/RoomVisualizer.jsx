@@ -0,0 +1,370 @@
+import { useState, useEffect, useRef } from 'react'
+import { t } from '../i18n'
+import { loadImage } from '../utils/imageFeatures'
+import { formatMeasurement, formatNumber, formatTileName } from '../utils/formatters'
+import { renderTiledSurface } from '../utils/roomRenderer'
+import { ACCEPT_ATTRIBUTE, getImageFormat, prepareImageFile } from '../utils/imageFormats'
+
+/**
+ * RoomVisualizer Component
+ * 
+ * Previews a tile on a room photo. The user drags four corner
+ * points onto the floor or wall area; the chosen tile is laid into
+ * that area in perspective. Tile scale, rotation and grout can be
+ * adjusted, a slider compares the photo before and after, and the
+ * result can be downloaded as a PNG.
+ * 
+ * Props:
+ * - roomImage: URL of the uploaded photo, or null (the user can pick one)
+ * - tiles: Tiles that can be previewed ({ id, image, name, dimensions })
+ */
+
+// Initial area: a floor-like trapezoid in the lower part of the photo
+// Corner order: top-left, top-right, bottom-right, bottom-left
+const DEFAULT_CORNERS = [[0.2, 0.6], [0.8, 0.6], [0.95, 0.95], [0.05, 0.95]]
+
+// Message keys of the corner names, in corner order
+const CORNER_LABELS = ['corner.topLeft', 'corner.topRight', 'corner.bottomRight', 'corner.bottomLeft']
+
+const DEFAULT_SETTINGS = {
+  tilesAcross: 8,
+  rotation: 0,
+  groutColor: '#d1d5db',
+  groutWidth: 3,
+}
+
+function RoomVisualizer({ roomImage, tiles }) {
+  // Photo picked in the visualizer, replacing the uploaded one
+  const [customPhoto, setCustomPhoto] = useState(null)
+  const photoUrl = customPhoto || roomImage
+
+  const [roomElement, setRoomElement] = useState(null)
+  const [tileElement, setTileElement] = useState(null)
+  const [selectedTileId, setSelectedTileId] = useState(tiles[0]?.id ?? null)
+  const [corners, setCorners] = useState(DEFAULT_CORNERS)
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS)
+  const [isEditingArea, setIsEditingArea] = useState(true)
+  const [comparePosition, setComparePosition] = useState(50)
+  const [error, setError] = useState(null)
+
+  const canvasRef = useRef(null)
+  const stageRef = useRef(null)
+  // Index of the corner being dragged
+  const draggingRef = useRef(null)
+
+  const selectedTile = tiles.find((tile) => tile.id === selectedTileId) || tiles[0]
+
+  // Release the picked photo's object URL when it's replaced
+  useEffect(() => {
+    return () => {
+      if (customPhoto) {
+        URL.revokeObjectURL(customPhoto)
+      }
+    }
+  }, [customPhoto])
+
+  // Load the room photo
+  useEffect(() => {
+    if (!photoUrl) {
+      setRoomElement(null)
+      return
+    }
+
+    let isActive = true
+    loadImage(photoUrl)
+      .then((image) => isActive && setRoomElement(image))
+      .catch(() => isActive && setError(t('visualizer.photoLoadError')))
+    return () => {
+      isActive = false
+    }
+  }, [photoUrl])
+
+  // Load the selected tile's image
+  useEffect(() => {
+    if (!selectedTile) {
+      return
+    }
+
+    let isActive = true
+    loadImage(selectedTile.image)
+      .then((image) => isActive && setTileElement(image))
+      .catch(() => isActive && setError(t('visualizer.tileLoadError')))
+    return () => {
+      isActive = false
+    }
+  }, [selectedTile?.image])
+
+  /**
+   * Re-renders the preview when anything changes
+   * Rendering waits for the next frame, so a fast corner drag
+   * only renders once per frame.
+   */
+  useEffect(() => {
+    if (!roomElement || !tileElement || !canvasRef.current) {
+      return
+    }
+
+    const frame = requestAnimationFrame(() => {
+      try {
+        renderTiledSurface(canvasRef.current, {
+          roomImage: roomElement,
+          tileImage: tileElement,
+          corners,
+          tileDimensions: selectedTile?.dimensions,
+          ...settings,
+        })
+        setError(null)
+      } catch (err) {
+        console.warn('Room preview failed:', err)
+        setError(t('visualizer.areaError'))
+      }
+    })
+    return () => cancelAnimationFrame(frame)
+  }, [roomElement, tileElement, corners, settings, selectedTile])
+
+  const updateSetting = (key, value) => {
+    setSettings((current) => ({ ...current, [key]: value }))
+  }
+
+  /**
+   * Uses a picked photo, converting HEIC/WebP/AVIF like the uploader
+   */
+  const handlePhotoSelect = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) {
+      return
+    }
+    if (!getImageFormat(file)) {
+      setError(t('visualizer.formatError'))
+      return
+    }
+    try {
+      const photo = await prepareImageFile(file)
+      setCustomPhoto(URL.createObjectURL(photo))
+      setCorners(DEFAULT_CORNERS)
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleCornerPointerDown = (index) => (e) => {
+    e.preventDefault()
+    e.currentTarget.setPointerCapture(e.pointerId)
+    draggingRef.current = index
+  }
+
+  /**
+   * Moves the dragged corner to the pointer, within the photo
+   */
+  const handleCornerPointerMove = (e) => {
+    const index = draggingRef.current
+    if (index === null || !stageRef.current) {
+      return
+    }
+
+    const rect = stageRef.current.getBoundingClientRect()
+    const x = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width))
+    const y = Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+    setCorners((current) => current.map((corner, i) => (i === index ? [x, y] : corner)))
+  }
+
+  const handleCornerPointerUp = () => {
+    draggingRef.current = null
+  }
+
+  /**
+   * Moves a corner with the arrow keys, for keyboard users
+   */
+  const handleCornerKeyDown = (index) => (e) => {
+    const step = e.shiftKey ? 0.05 : 0.01
+    const moves = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step],
+    }
+    const move = moves[e.key]
+    if (!move) {
+      return
+    }
+    e.preventDefault()
+    setCorners((current) => current.map((corner, i) => (
+      i === index
+        ? [Math.min(1, Math.max(0, corner[0] + move[0])), Math.min(1, Math.max(0, corner[1] + move[1]))]
+        : corner
+    )))
+  }
+
+  /**
+   * Downloads the preview as a PNG
+   */
+  const handleExport = () => {
+    try {
+      canvasRef.current.toBlob((blob) => {
+        if (!blob) {
+          setError(t('visualizer.exportError'))
+          return
+        }
+        const url = URL.createObjectURL(blob)
+        const link = document.createElement('a')
+        link.href = url
+        link.download = `room-preview-${selectedTile?.sku || selectedTile?.id || 'tile'}.png`
+        link.click()
+        URL.revokeObjectURL(url)
+      }, 'image/png')
+    } catch (err) {
+      // Thrown when a tile image from another origin taints the canvas
+      console.error('Export error:', err)
+      setError(t('visualizer.taintedError'))
+    }
+  }
+
+  return (
+    <div className="room-visualizer">
+      {!photoUrl ? (
+        <div className="room-visualizer-empty">
+          <p>{t('visualizer.empty')}</p>
+          <label className="visualizer-photo-button">
+            {t('visualizer.choosePhoto')}
+            <input type="file" accept={ACCEPT_ATTRIBUTE} onChange={handlePhotoSelect} hidden />
+          </label>
+          {error && (
+            <div className="page-error">
+              <span className="error-icon">!</span>
+              {error}
+            </div>
+          )}
+        </div>
+      ) : (
+        <>
+          <div className="room-visualizer-tiles">
+            {tiles.map((tile) => (
+              <button
+                key={tile.id}
+                className={`room-visualizer-tile ${tile.id === selectedTile?.id ? 'selected' : ''}`}
+                onClick={() => setSelectedTileId(tile.id)}
+                title={formatTileName(tile)}
+                aria-pressed={tile.id === selectedTile?.id}
+              >
+                <img src={tile.image} alt={formatTileName(tile)} />
+              </button>
+            ))}
+          </div>
+
+          <div
+            ref={stageRef}
+            className="room-visualizer-stage"
+            onPointerMove={handleCornerPointerMove}
+            onPointerUp={handleCornerPointerUp}
+            onPointerCancel={handleCornerPointerUp}
+          >
+            <img src={photoUrl} alt={t('visualizer.before')} className="room-visualizer-before" />
+            <canvas
+              ref={canvasRef}
+              className="room-visualizer-after"
+              style={{ clipPath: `inset(0 0 0 ${comparePosition}%)` }}
+              aria-label={t('visualizer.after')}
+            />
+            <div className="room-visualizer-divider" style={{ left: `${comparePosition}%` }} />
+
+            {isEditingArea && (
+              <>
+                <svg className="room-visualizer-outline" viewBox="0 0 1 1" preserveAspectRatio="none">
+                  <polygon points={corners.map(([x, y]) => `${x},${y}`).join(' ')} />
+                </svg>
+                {corners.map(([x, y], index) => (
+                  <button
+                    key={CORNER_LABELS[index]}
+                    className="room-visualizer-handle"
+                    style={{ left: `${x * 100}%`, top: `${y * 100}%` }}
+                    onPointerDown={handleCornerPointerDown(index)}
+                    onKeyDown={handleCornerKeyDown(index)}
+                    aria-label={t('corner.handleLabel', { corner: t(CORNER_LABELS[index]) })}
+                  />
+                ))}
+              </>
+            )}
+          </div>
+
+          {error && (
+            <div className="page-error">
+              <span className="error-icon">!</span>
+              {error}
+            </div>
+          )}
+
+          <div className="room-visualizer-controls">
+            <label className="visualizer-control">
+              <span>{t('visualizer.beforeAfter')}</span>
+              {/* Left to right like the photo, also in right-to-left layouts */}
+              <input
+                dir="ltr"
+                type="range"
+                min="0"
+                max="100"
+                value={comparePosition}
+                onChange={(e) => setComparePosition(Number(e.target.value))}
+              />
+            </label>
+            <label className="visualizer-control">
+              <span>{t('visualizer.tilesAcross', { count: settings.tilesAcross })}</span>
+              <input
+                type="range"
+                min="2"
+                max="30"
+                value={settings.tilesAcross}
+                onChange={(e) => updateSetting('tilesAcross', Number(e.target.value))}
+              />
+            </label>
+            <label className="visualizer-control">
+              <span>{t('visualizer.rotation', { angle: formatNumber(settings.rotation) })}</span>
+              <input
+                type="range"
+                min="-90"
+                max="90"
+                step="5"
+                value={settings.rotation}
+                onChange={(e) => updateSetting('rotation', Number(e.target.value))}
+              />
+            </label>
+            <label className="visualizer-control">
+              <span>{t('visualizer.groutWidth', { width: formatMeasurement(settings.groutWidth, 'mm') })}</span>
+              <input
+                type="range"
+                min="0"
+                max="12"
+                value={settings.groutWidth}
+                onChange={(e) => updateSetting('groutWidth', Number(e.target.value))}
+              />
+            </label>
+            <label className="visualizer-control inline">
+              <span>{t('visualizer.groutColour')}</span>
+              <input
+                type="color"
+                value={settings.groutColor}
+                onChange={(e) => updateSetting('groutColor', e.target.value)}
+              />
+            </label>
+          </div>
+
+          <div className="room-visualizer-actions">
+            <button className="back-button" onClick={() => setIsEditingArea((editing) => !editing)}>
+              {isEditingArea ? t('visualizer.hideCorners') : t('visualizer.editArea')}
+            </button>
+            <label className="back-button visualizer-photo-button">
+              {t('visualizer.anotherPhoto')}
+              <input type="file" accept={ACCEPT_ATTRIBUTE} onChange={handlePhotoSelect} hidden />
+            </label>
+            <button className="find-similar-button" onClick={handleExport} disabled={!!error}>
+              {t('visualizer.download')}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default RoomVisualizer
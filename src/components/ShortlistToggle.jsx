@@ -0,0 +1,28 @@
+import { t } from '../i18n'
+
+/**
+ * ShortlistToggle Component
+ * 
+ * Button on a tile card that saves the tile to the active moodboard
+ * of the shortlist, or removes it again.
+ * 
+ * Props:
+ * - isShortlisted: Whether the tile is on the active board
+ * - boardName: Name of the active board, shown in the tooltip
+ * - onChange: Callback receiving the new saved state
+ */
+function ShortlistToggle({ isShortlisted, boardName, onChange }) {
+  return (
+    <button
+      className={`shortlist-toggle ${isShortlisted ? 'selected' : ''}`}
+      onClick={() => onChange(!isShortlisted)}
+      aria-pressed={isShortlisted}
+      title={t(isShortlisted ? 'shortlist.removeFromBoard' : 'shortlist.saveToBoard', { board: boardName })}
+    >
+      <span aria-hidden="true">{isShortlisted ? '★' : '☆'}</span>
+      {isShortlisted ? t('shortlist.saved') : t('shortlist.save')}
+    </button>
+  )
+}
+
+export default ShortlistToggle
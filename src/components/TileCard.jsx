@@ -1,3 +1,10 @@
+import { useState } from 'react'
+import { t } from '../i18n'
+import { formatNumber, formatPercent } from '../utils/formatters'
+import TileDetails from './TileDetails'
+import CompareToggle from './CompareToggle'
+import ShortlistToggle from './ShortlistToggle'
+
 /**
  * TileCard Component
  * 
@@ -8,10 +15,48 @@
  * - image: URL/path to the tile image
  * - confidence: Detection confidence score (0-1)
  * - rank: Position in the results (1, 2, 3, etc.)
+ * - details: Optional catalog tile shown below the score (name, SKU, price, ...)
+ * - isHighlighted: Whether the card's region is highlighted on the image
+ * - onHighlightChange: Callback receiving true on hover/focus, false on leave/blur
+ * - isSelected: Whether the tile is selected for comparison
+ * - isSelectionFull: Whether the comparison already has the maximum number of tiles
+ * - onSelectChange: Optional callback receiving the new selected state;
+ *   shows the "Compare" checkbox when set
+ * - isShortlisted: Whether the tile is on the active shortlist board
+ * - shortlistBoardName: Name of the active shortlist board
+ * - onShortlistChange: Optional callback receiving the new saved state;
+ *   shows the "Save" button when set
+ * - onFindSimilar: Optional callback; shows a "Find Similar" button
+ * - isReference: Whether the tile is picked as a reference for
+ *   recommendations from several tiles
+ * - onReferenceChange: Optional callback receiving the new picked state;
+ *   shows a "Use as reference" checkbox instead of "Find Similar"
+ * - onReportWrong: Optional callback for the "Wrong tile?" action; returns
+ *   a promise of 'sent' or 'queued' (see feedbackService.js)
  */
-function TileCard({ image, confidence, rank }) {
+function TileCard({
+  image,
+  confidence,
+  rank,
+  details,
+  isHighlighted = false,
+  onHighlightChange,
+  isSelected = false,
+  isSelectionFull = false,
+  onSelectChange,
+  isShortlisted = false,
+  shortlistBoardName,
+  onShortlistChange,
+  onFindSimilar,
+  isReference = false,
+  onReferenceChange,
+  onReportWrong,
+}) {
+  // 'idle', 'sending', 'sent', 'queued' or 'error'
+  const [reportStatus, setReportStatus] = useState('idle')
+
   // Convert confidence to percentage
-  const confidencePercent = (confidence * 100).toFixed(1)
+  const confidencePercent = formatPercent(confidence)
   
   // Determine confidence level for styling
   const getConfidenceClass = () => {
@@ -20,24 +65,89 @@ function TileCard({ image, confidence, rank }) {
     return 'low'
   }
 
+  const handleReportWrong = async () => {
+    setReportStatus('sending')
+    try {
+      setReportStatus(await onReportWrong())
+    } catch (err) {
+      console.error('Feedback error:', err)
+      setReportStatus('error')
+    }
+  }
+
   return (
-    <div className="tile-card">
-      <div className="tile-rank">#{rank}</div>
+    <div
+      className={`tile-card ${isHighlighted ? 'highlighted' : ''} ${isSelected ? 'selected' : ''} ${isReference ? 'reference' : ''}`}
+      tabIndex={onHighlightChange ? 0 : undefined}
+      onMouseEnter={() => onHighlightChange?.(true)}
+      onMouseLeave={() => onHighlightChange?.(false)}
+      onFocus={() => onHighlightChange?.(true)}
+      onBlur={() => onHighlightChange?.(false)}
+    >
+      <div className="tile-rank">#{formatNumber(rank)}</div>
       
       <div className="tile-image-container">
         <img 
           src={image} 
-          alt={`Detected tile match ${rank}`}
+          alt={details?.name || t('tileCard.imageAlt', { rank })}
           className="tile-image"
         />
       </div>
       
       <div className="tile-info">
         <div className={`confidence-badge ${getConfidenceClass()}`}>
-          <span className="confidence-label">Confidence</span>
-          <span className="confidence-value">{confidencePercent}%</span>
+          <span className="confidence-label">{t('tileCard.confidence')}</span>
+          <span className="confidence-value">{confidencePercent}</span>
         </div>
       </div>
+
+      <TileDetails tile={details} />
+
+      {onReferenceChange ? (
+        <label className={`reference-toggle ${isReference ? 'selected' : ''}`}>
+          <input
+            type="checkbox"
+            checked={isReference}
+            onChange={(e) => onReferenceChange(e.target.checked)}
+          />
+          <span>{t('tileCard.useAsReference')}</span>
+        </label>
+      ) : onFindSimilar && (
+        <button className="tile-find-similar-button" onClick={onFindSimilar}>
+          {t('tileCard.findSimilar')}
+        </button>
+      )}
+
+      {onSelectChange && (
+        <CompareToggle
+          isSelected={isSelected}
+          isDisabled={isSelectionFull}
+          onChange={onSelectChange}
+        />
+      )}
+
+      {onShortlistChange && (
+        <ShortlistToggle
+          isShortlisted={isShortlisted}
+          boardName={shortlistBoardName}
+          onChange={onShortlistChange}
+        />
+      )}
+
+      {onReportWrong && (reportStatus === 'sent' || reportStatus === 'queued' ? (
+        <p className="tile-report-status" role="status">
+          {reportStatus === 'sent' ? t('tileCard.reportSent') : t('tileCard.reportQueued')}
+        </p>
+      ) : (
+        <button
+          className="tile-report-button"
+          onClick={handleReportWrong}
+          disabled={reportStatus === 'sending'}
+          title={reportStatus === 'error' ? t('tileCard.reportErrorHint') : undefined}
+        >
+          {reportStatus === 'error' ? t('tileCard.reportError') : t('tileCard.reportWrong')}
+        </button>
+      ))}
     </div>
   )
 }
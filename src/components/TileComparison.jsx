@@ -0,0 +1,210 @@
+import { useState, useEffect, useRef } from 'react'
+import { t } from '../i18n'
+import { getComparisonRows } from '../utils/tileComparison'
+import { formatNumber, formatTileName } from '../utils/formatters'
+
+/**
+ * TileComparison Component
+ * 
+ * Full-screen view comparing 2-4 tiles side by side. Images share
+ * one zoom level and pan position, so surface detail can be compared
+ * at the same scale. Attribute rows whose values differ are highlighted.
+ * 
+ * Props:
+ * - tiles: Tiles to compare (with catalog details)
+ * - referenceTile: Optional tile the similarity scores refer to
+ * - onRemove: Callback receiving a tile id to drop it from the comparison
+ * - onClose: Callback to close the view
+ */
+
+// Zoom levels offered by the zoom slider
+const MIN_ZOOM = 1
+const MAX_ZOOM = 4
+const ZOOM_STEP = 0.5
+
+/**
+ * Limits a pan offset (percent of the frame) so the zoomed
+ * image always covers its frame
+ */
+function clampOffset(value, zoom) {
+  const limit = ((zoom - 1) / (2 * zoom)) * 100
+  return Math.max(-limit, Math.min(limit, value))
+}
+
+function TileComparison({ tiles, referenceTile, onRemove, onClose }) {
+  const [zoom, setZoom] = useState(MIN_ZOOM)
+  const [offset, setOffset] = useState({ x: 0, y: 0 })
+  const [differencesOnly, setDifferencesOnly] = useState(false)
+
+  const closeButtonRef = useRef(null)
+  // Pointer position at the last drag event, while panning
+  const dragRef = useRef(null)
+
+  // Latest onClose, so the key listener doesn't need re-binding
+  const onCloseRef = useRef(onClose)
+  onCloseRef.current = onClose
+
+  // Focus the view when it opens, and close it with Escape
+  useEffect(() => {
+    closeButtonRef.current?.focus()
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onCloseRef.current()
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [])
+
+  const handleZoomChange = (value) => {
+    setZoom(value)
+    setOffset((current) => ({
+      x: clampOffset(current.x, value),
+      y: clampOffset(current.y, value),
+    }))
+  }
+
+  const handlePointerDown = (e) => {
+    if (zoom === MIN_ZOOM) {
+      return
+    }
+    e.currentTarget.setPointerCapture(e.pointerId)
+    dragRef.current = { x: e.clientX, y: e.clientY }
+  }
+
+  /**
+   * Pans all images together while dragging any of them
+   */
+  const handlePointerMove = (e) => {
+    if (!dragRef.current) {
+      return
+    }
+    const frame = e.currentTarget.getBoundingClientRect()
+    const dx = ((e.clientX - dragRef.current.x) / frame.width) * 100 / zoom
+    const dy = ((e.clientY - dragRef.current.y) / frame.height) * 100 / zoom
+    dragRef.current = { x: e.clientX, y: e.clientY }
+
+    setOffset((current) => ({
+      x: clampOffset(current.x + dx, zoom),
+      y: clampOffset(current.y + dy, zoom),
+    }))
+  }
+
+  const handlePointerUp = () => {
+    dragRef.current = null
+  }
+
+  const rows = getComparisonRows(tiles)
+  const visibleRows = differencesOnly ? rows.filter((row) => row.isDifferent) : rows
+  const imageTransform = `scale(${zoom}) translate(${offset.x}%, ${offset.y}%)`
+
+  return (
+    <div className="comparison-overlay" role="dialog" aria-modal="true" aria-labelledby="comparison-title">
+      <div className="comparison-dialog">
+        <div className="comparison-header">
+          <div>
+            <h2 id="comparison-title">{t('comparison.title')}</h2>
+            {referenceTile && (
+              <p className="section-description">
+                {t('comparison.measuredAgainst', { name: formatTileName(referenceTile) })}
+              </p>
+            )}
+          </div>
+          <button
+            ref={closeButtonRef}
+            className="comparison-close"
+            onClick={onClose}
+            aria-label={t('comparison.close')}
+          >
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="comparison-toolbar">
+          <label className="comparison-zoom">
+            <span>{t('comparison.zoom')}</span>
+            <input
+              type="range"
+              min={MIN_ZOOM}
+              max={MAX_ZOOM}
+              step={ZOOM_STEP}
+              value={zoom}
+              onChange={(e) => handleZoomChange(Number(e.target.value))}
+            />
+            <span>{formatNumber(zoom, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}×</span>
+          </label>
+          <label className="filter-option">
+            <input
+              type="checkbox"
+              checked={differencesOnly}
+              onChange={(e) => setDifferencesOnly(e.target.checked)}
+            />
+            <span>{t('comparison.differencesOnly')}</span>
+          </label>
+        </div>
+
+        <div className="comparison-table-wrapper">
+          <table className="comparison-table">
+            <thead>
+              <tr>
+                <th scope="col" className="comparison-attribute" />
+                {tiles.map((tile) => (
+                  <th key={tile.id} scope="col">
+                    <div
+                      className={`comparison-image-frame ${zoom > MIN_ZOOM ? 'pannable' : ''}`}
+                      onPointerDown={handlePointerDown}
+                      onPointerMove={handlePointerMove}
+                      onPointerUp={handlePointerUp}
+                      onPointerCancel={handlePointerUp}
+                    >
+                      <img
+                        src={tile.image}
+                        alt={formatTileName(tile)}
+                        style={{ transform: imageTransform }}
+                        draggable={false}
+                      />
+                    </div>
+                    <div className="comparison-tile-name">
+                      <span>{formatTileName(tile)}</span>
+                      {tiles.length > 2 && (
+                        <button
+                          className="clear-filters-button"
+                          onClick={() => onRemove(tile.id)}
+                        >
+                          {t('common.remove')}
+                        </button>
+                      )}
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.map((row) => (
+                <tr key={row.key} className={row.isDifferent ? 'is-different' : ''}>
+                  <th scope="row" className="comparison-attribute">{row.label}</th>
+                  {row.values.map((value, index) => (
+                    <td key={tiles[index].id}>{value ?? '—'}</td>
+                  ))}
+                </tr>
+              ))}
+              {visibleRows.length === 0 && (
+                <tr>
+                  <td colSpan={tiles.length + 1} className="comparison-no-differences">
+                    {t('comparison.noDifferences')}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TileComparison
@@ -0,0 +1,64 @@
+import { t } from '../i18n'
+import { formatDimensions, formatPricePerM2, formatLabel } from '../utils/formatters'
+
+/**
+ * TileDetails Component
+ * 
+ * Displays the product details of a catalog tile.
+ * Renders nothing for tiles without catalog details.
+ * 
+ * Props:
+ * - tile: Catalog tile ({ name, sku, dimensions, material, finish,
+ *   colorFamily, pricePerM2, currency, description })
+ * - variant: 'compact' (cards) or 'full' (reference tile, all fields)
+ */
+function TileDetails({ tile, variant = 'compact' }) {
+  if (!tile?.name && !tile?.sku) {
+    return null
+  }
+
+  const dimensions = formatDimensions(tile.dimensions, { includeThickness: variant === 'full' })
+  const price = formatPricePerM2(tile.pricePerM2, tile.currency)
+
+  if (variant === 'compact') {
+    // Short spec line, e.g. '600 × 600 mm · Porcelain · Matte'
+    const specs = [dimensions, formatLabel(tile.material), formatLabel(tile.finish)]
+      .filter(Boolean)
+      .join(' · ')
+
+    return (
+      <div className="tile-details compact">
+        {tile.name && <p className="tile-details-name">{tile.name}</p>}
+        {tile.sku && <p className="tile-details-sku">{t('tile.skuValue', { sku: tile.sku })}</p>}
+        {specs && <p className="tile-details-specs">{specs}</p>}
+        {price && <p className="tile-details-price">{price}</p>}
+      </div>
+    )
+  }
+
+  const fields = [
+    [t('tile.sku'), tile.sku],
+    [t('tile.size'), dimensions],
+    [t('tile.material'), formatLabel(tile.material)],
+    [t('tile.finish'), formatLabel(tile.finish)],
+    [t('tile.colour'), formatLabel(tile.colorFamily)],
+    [t('tile.price'), price],
+  ].filter(([, value]) => value)
+
+  return (
+    <div className="tile-details full">
+      {tile.name && <h3 className="tile-details-name">{tile.name}</h3>}
+      <dl className="tile-details-fields">
+        {fields.map(([label, value]) => (
+          <div key={label} className="tile-details-field">
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </div>
+        ))}
+      </dl>
+      {tile.description && <p className="tile-details-description">{tile.description}</p>}
+    </div>
+  )
+}
+
+export default TileDetails
@@ -0,0 +1,280 @@
+import { useState } from 'react'
+import {
+  UNIT_SYSTEMS,
+  LAYOUT_PATTERNS,
+  getTileSize,
+  fromSquareMetres,
+  estimateTiles,
+} from '../utils/tileEstimator'
+import { t } from '../i18n'
+import { formatMeasurement, formatNumber, formatPrice, formatTileName } from '../utils/formatters'
+
+/**
+ * TileEstimator Component
+ * 
+ * Estimates how many tiles and boxes a job needs and their cost, for
+ * one of the given tiles. The area comes from the room's length and
+ * width or is entered directly, in metric or imperial units. The tile
+ * size starts from the catalog and can be changed; the waste allowance
+ * starts from the layout pattern's usual value.
+ * 
+ * Props:
+ * - tiles: Tiles to estimate for ({ id, image, name, dimensions,
+ *   tilesPerBox, pricePerM2, currency }); the first is selected
+ */
+
+/**
+ * Rounds a converted measurement for display in an input
+ */
+function roundInput(value) {
+  return value === '' ? '' : Math.round(Number(value) * 100) / 100
+}
+
+function TileEstimator({ tiles }) {
+  const [selectedTileId, setSelectedTileId] = useState(tiles[0]?.id ?? null)
+  const selectedTile = tiles.find((tile) => tile.id === selectedTileId) || tiles[0]
+
+  const [units, setUnits] = useState('metric')
+  // 'dimensions' (length × width) or 'area'
+  const [mode, setMode] = useState('dimensions')
+  const [room, setRoom] = useState({ length: '', width: '', area: '' })
+  const [tileSize, setTileSize] = useState(() => getTileSize(selectedTile, 'metric'))
+  const [pattern, setPattern] = useState(LAYOUT_PATTERNS[0].id)
+  const [wastePercent, setWastePercent] = useState(LAYOUT_PATTERNS[0].waste)
+
+  const system = UNIT_SYSTEMS[units]
+
+  const selectTile = (tile) => {
+    setSelectedTileId(tile.id)
+    setTileSize(getTileSize(tile, units))
+  }
+
+  /**
+   * Switches units, converting the room measurements already entered
+   */
+  const changeUnits = (nextUnits) => {
+    const factor = UNIT_SYSTEMS[units].toMetres / UNIT_SYSTEMS[nextUnits].toMetres
+    setRoom((current) => ({
+      length: roundInput(current.length && current.length * factor),
+      width: roundInput(current.width && current.width * factor),
+      area: roundInput(current.area && current.area * factor ** 2),
+    }))
+    setTileSize(getTileSize(selectedTile, nextUnits))
+    setUnits(nextUnits)
+  }
+
+  /**
+   * Picks a layout pattern and its usual waste allowance
+   */
+  const changePattern = (patternId) => {
+    setPattern(patternId)
+    setWastePercent(LAYOUT_PATTERNS.find((candidate) => candidate.id === patternId).waste)
+  }
+
+  const updateRoom = (key, value) => {
+    setRoom((current) => ({ ...current, [key]: value }))
+  }
+
+  const estimate = estimateTiles({
+    units,
+    mode,
+    roomLength: room.length,
+    roomWidth: room.width,
+    area: room.area,
+    tileWidth: tileSize.width,
+    tileLength: tileSize.length,
+    wastePercent,
+    tilesPerBox: selectedTile?.tilesPerBox,
+    pricePerM2: selectedTile?.pricePerM2,
+  })
+
+  const formatArea = (areaM2) => formatMeasurement(fromSquareMetres(areaM2, units), system.area, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })
+
+  return (
+    <div className="tile-estimator">
+      {tiles.length > 1 && (
+        <div className="room-visualizer-tiles">
+          {tiles.map((tile) => (
+            <button
+              key={tile.id}
+              className={`room-visualizer-tile ${tile.id === selectedTile?.id ? 'selected' : ''}`}
+              onClick={() => selectTile(tile)}
+              title={formatTileName(tile)}
+              aria-pressed={tile.id === selectedTile?.id}
+            >
+              <img src={tile.image} alt={formatTileName(tile)} />
+            </button>
+          ))}
+        </div>
+      )}
+
+      <p className="estimator-tile-name">
+        {formatTileName(selectedTile)}
+      </p>
+
+      <div className="estimator-fields">
+        <fieldset className="estimator-choice">
+          <legend>{t('estimator.units')}</legend>
+          {Object.entries(UNIT_SYSTEMS).map(([id, option]) => (
+            <label key={id}>
+              <input type="radio" name="estimator-units" checked={units === id} onChange={() => changeUnits(id)} />
+              {t(option.labelKey)}
+            </label>
+          ))}
+        </fieldset>
+
+        <fieldset className="estimator-choice">
+          <legend>{t('estimator.measureBy')}</legend>
+          <label>
+            <input type="radio" name="estimator-mode" checked={mode === 'dimensions'} onChange={() => setMode('dimensions')} />
+            {t('estimator.roomSize')}
+          </label>
+          <label>
+            <input type="radio" name="estimator-mode" checked={mode === 'area'} onChange={() => setMode('area')} />
+            {t('estimator.area')}
+          </label>
+        </fieldset>
+
+        {mode === 'dimensions' ? (
+          <>
+            <label className="visualizer-control">
+              <span>{t('estimator.roomLength', { unit: t(`units.${system.length}`) })}</span>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                inputMode="decimal"
+                value={room.length}
+                onChange={(e) => updateRoom('length', e.target.value)}
+              />
+            </label>
+            <label className="visualizer-control">
+              <span>{t('estimator.roomWidth', { unit: t(`units.${system.length}`) })}</span>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                inputMode="decimal"
+                value={room.width}
+                onChange={(e) => updateRoom('width', e.target.value)}
+              />
+            </label>
+          </>
+        ) : (
+          <label className="visualizer-control">
+            <span>{t('estimator.areaInput', { unit: t(`units.${system.area}`) })}</span>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              inputMode="decimal"
+              value={room.area}
+              onChange={(e) => updateRoom('area', e.target.value)}
+            />
+          </label>
+        )}
+
+        <label className="visualizer-control">
+          <span>{t('estimator.tileWidth', { unit: t(`units.${system.tileSize}`) })}</span>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            inputMode="decimal"
+            value={tileSize.width}
+            onChange={(e) => setTileSize((current) => ({ ...current, width: e.target.value }))}
+          />
+        </label>
+        <label className="visualizer-control">
+          <span>{t('estimator.tileLength', { unit: t(`units.${system.tileSize}`) })}</span>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            inputMode="decimal"
+            value={tileSize.length}
+            onChange={(e) => setTileSize((current) => ({ ...current, length: e.target.value }))}
+          />
+        </label>
+
+        <label className="visualizer-control">
+          <span>{t('estimator.pattern')}</span>
+          <select value={pattern} onChange={(e) => changePattern(e.target.value)}>
+            {LAYOUT_PATTERNS.map((option) => (
+              <option key={option.id} value={option.id}>{t(option.labelKey)}</option>
+            ))}
+          </select>
+        </label>
+        <label className="visualizer-control">
+          <span>{t('estimator.waste')}</span>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="1"
+            inputMode="numeric"
+            value={wastePercent}
+            onChange={(e) => setWastePercent(e.target.value)}
+          />
+        </label>
+      </div>
+
+      {estimate ? (
+        <dl className="estimator-results" aria-live="polite">
+          <div className="estimator-result">
+            <dt>{t('estimator.area')}</dt>
+            <dd>{formatArea(estimate.areaM2)}</dd>
+          </div>
+          <div className="estimator-result">
+            <dt>{t('estimator.tilesNeeded')}</dt>
+            <dd>
+              {formatNumber(estimate.tiles)}
+              <span className="estimator-result-note">
+                {t('estimator.includesWaste', { percent: formatNumber(Number(wastePercent) / 100, { style: 'percent' }) })}
+              </span>
+            </dd>
+          </div>
+          <div className="estimator-result">
+            <dt>{t('estimator.boxes')}</dt>
+            <dd>
+              {estimate.boxes !== null ? (
+                <>
+                  {formatNumber(estimate.boxes)}
+                  <span className="estimator-result-note">
+                    {t('estimator.boxNote', { count: selectedTile.tilesPerBox, area: formatArea(estimate.purchasedAreaM2) })}
+                  </span>
+                </>
+              ) : (
+                <span className="estimator-result-note">{t('estimator.noBoxSize')}</span>
+              )}
+            </dd>
+          </div>
+          <div className="estimator-result total">
+            <dt>{t('estimator.cost')}</dt>
+            <dd>
+              {estimate.totalCost !== null ? (
+                <>
+                  {formatPrice(estimate.totalCost, selectedTile.currency)}
+                  <span className="estimator-result-note">
+                    {estimate.boxes !== null ? t('estimator.forBoxes') : t('estimator.forTiles', { count: estimate.tiles })}
+                  </span>
+                </>
+              ) : (
+                <span className="estimator-result-note">{t('estimator.noPrice')}</span>
+              )}
+            </dd>
+          </div>
+        </dl>
+      ) : (
+        <p className="estimator-hint">
+          {mode === 'area' ? t('estimator.hintArea') : t('estimator.hintRoomSize')}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default TileEstimator
@@ -0,0 +1,85 @@
+import { t } from '../i18n'
+
+/**
+ * UploadQueue Component
+ * 
+ * Shows the images queued for batch detection as a grid of
+ * thumbnails, each with its current detection status.
+ * 
+ * Props:
+ * - items: Queue items ({ id, file, previewUrl, status, results, error })
+ * - onRemove: Callback receiving an item id (hidden while processing)
+ * - isProcessing: Whether detection is currently running
+ */
+
+// Message keys of the labels for each item status
+const STATUS_LABELS = {
+  queued: 'uploadQueue.status.queued',
+  processing: 'uploadQueue.status.processing',
+  done: 'uploadQueue.status.done',
+  error: 'uploadQueue.status.error',
+}
+
+/**
+ * Returns the status text for an item, including detection count
+ */
+function getStatusText(item) {
+  if (item.status === 'done') {
+    const count = item.results?.detections?.length || 0
+    return count > 0 ? t('uploadQueue.matches', { count }) : t('uploadQueue.noTiles')
+  }
+  return t(STATUS_LABELS[item.status])
+}
+
+function UploadQueue({ items, onRemove, isProcessing }) {
+  const completedCount = items.filter(
+    (item) => item.status === 'done' || item.status === 'error'
+  ).length
+
+  return (
+    <div className="upload-queue">
+      <div className="upload-queue-header">
+        <span>
+          {t('uploadQueue.selected', { count: items.length })}
+        </span>
+        {isProcessing && (
+          <span className="upload-queue-progress">
+            {t('uploadQueue.progress', { count: completedCount, total: items.length })}
+          </span>
+        )}
+      </div>
+
+      <ul className="upload-queue-grid">
+        {items.map((item) => (
+          <li key={item.id} className={`upload-queue-item ${item.status}`}>
+            <img src={item.previewUrl} alt={item.file.name} className="upload-queue-thumb" />
+
+            <div className="upload-queue-info">
+              <span className="upload-queue-name" title={item.file.name}>
+                {item.file.name}
+              </span>
+              <span className={`upload-queue-status ${item.status}`} title={item.error || undefined}>
+                {getStatusText(item)}
+              </span>
+            </div>
+
+            {!isProcessing && onRemove && (
+              <button
+                className="upload-queue-remove"
+                onClick={() => onRemove(item.id)}
+                aria-label={t('uploadQueue.remove', { name: item.file.name })}
+              >
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <line x1="18" y1="6" x2="6" y2="18" />
+                  <line x1="6" y1="6" x2="18" y2="18" />
+                </svg>
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default UploadQueue
@@ -0,0 +1,199 @@
+/**
+ * Internationalization
+ * 
+ * Message catalogs, locale detection and the current locale.
+ * 
+ * UI strings are looked up by key with t(), e.g.
+ *   t('results.tilesFound', { count: 3 }) -> '3 tiles found'
+ * 
+ * Messages are plain strings with {name} placeholders, or objects
+ * keyed by plural category ('zero', 'one', 'two', 'few', 'many',
+ * 'other') picked with the `count` param. Number params are
+ * formatted for the locale. A key missing from a catalog falls back
+ * to English, then to the key itself.
+ * 
+ * The locale is chosen, in order, from a `?lang=` URL param, the
+ * locale saved in localStorage, the browser's languages, or English.
+ * The document's lang and dir attributes follow the locale, so
+ * right-to-left languages get a mirrored layout.
+ */
+
+import { useEffect, useState } from 'react'
+import en from './locales/en'
+import es from './locales/es'
+import ar from './locales/ar'
+
+// Supported locales: name in the locale itself, text direction and messages
+export const LOCALES = {
+  en: { label: 'English', dir: 'ltr', messages: en },
+  es: { label: 'Español', dir: 'ltr', messages: es },
+  ar: { label: 'العربية', dir: 'rtl', messages: ar },
+}
+
+export const DEFAULT_LOCALE = 'en'
+
+const LOCALE_KEY = 'tile-app:locale'
+
+// Event dispatched when the locale changes
+const CHANGE_EVENT = 'tile-app:locale-change'
+
+/**
+ * Returns the supported locale for a language tag, or null
+ * e.g. 'es-MX' -> 'es'
+ */
+function toSupportedLocale(tag) {
+  if (!tag) {
+    return null
+  }
+  const language = tag.toLowerCase().split('-')[0]
+  return LOCALES[language] ? language : null
+}
+
+/**
+ * Reads the saved locale
+ */
+function readSavedLocale() {
+  try {
+    return window.localStorage.getItem(LOCALE_KEY)
+  } catch (error) {
+    // localStorage can be unavailable (private mode, disabled storage)
+    return null
+  }
+}
+
+/**
+ * Saves the chosen locale
+ */
+function saveLocale(locale) {
+  try {
+    window.localStorage.setItem(LOCALE_KEY, locale)
+  } catch (error) {
+    console.warn('Unable to save the language:', error)
+  }
+}
+
+/**
+ * Detects the locale to start with
+ */
+function detectLocale() {
+  if (typeof window === 'undefined') {
+    return DEFAULT_LOCALE
+  }
+
+  const requested = toSupportedLocale(new URLSearchParams(window.location.search).get('lang'))
+  if (requested) {
+    saveLocale(requested)
+    return requested
+  }
+
+  const browserLocales = navigator.languages?.length ? navigator.languages : [navigator.language]
+  return [readSavedLocale(), ...browserLocales]
+    .map(toSupportedLocale)
+    .find(Boolean) || DEFAULT_LOCALE
+}
+
+let currentLocale = detectLocale()
+
+/**
+ * Sets the document's language and text direction
+ */
+function applyToDocument(locale) {
+  if (typeof document !== 'undefined') {
+    document.documentElement.lang = locale
+    document.documentElement.dir = LOCALES[locale].dir
+  }
+}
+
+applyToDocument(currentLocale)
+
+/**
+ * Returns the current locale, e.g. 'en'
+ */
+export function getLocale() {
+  return currentLocale
+}
+
+/**
+ * Returns the text direction of the current locale: 'ltr' or 'rtl'
+ */
+export function getDirection() {
+  return LOCALES[currentLocale].dir
+}
+
+/**
+ * Switches the locale and remembers it on this device
+ * 
+ * @param {string} locale - A key of LOCALES
+ */
+export function setLocale(locale) {
+  if (!LOCALES[locale] || locale === currentLocale) {
+    return
+  }
+
+  currentLocale = locale
+  saveLocale(locale)
+  applyToDocument(locale)
+  window.dispatchEvent(new Event(CHANGE_EVENT))
+}
+
+/**
+ * Returns the message for a key in the current locale, falling back to English
+ */
+function findMessage(key) {
+  return LOCALES[currentLocale].messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key]
+}
+
+/**
+ * Returns true if a message exists for the key
+ */
+export function hasMessage(key) {
+  return findMessage(key) !== undefined
+}
+
+/**
+ * Returns the UI string for a key
+ * 
+ * @param {string} key - Message key, e.g. 'upload.title'
+ * @param {Object} params - Values for the {name} placeholders; `count`
+ *   also picks the plural form
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  let message = findMessage(key)
+  if (message === undefined) {
+    return key
+  }
+
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(currentLocale).select(params.count ?? 0)
+    message = message[category] ?? message.other
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name]
+    if (value === undefined || value === null) {
+      return placeholder
+    }
+    return typeof value === 'number'
+      ? new Intl.NumberFormat(currentLocale).format(value)
+      : String(value)
+  })
+}
+
+/**
+ * React hook for the current locale
+ * Re-renders the component when the locale changes.
+ * 
+ * @returns {Object} - { locale, dir, setLocale }
+ */
+export function useLocale() {
+  const [locale, setLocaleState] = useState(currentLocale)
+
+  useEffect(() => {
+    const handleChange = () => setLocaleState(currentLocale)
+    window.addEventListener(CHANGE_EVENT, handleChange)
+    return () => window.removeEventListener(CHANGE_EVENT, handleChange)
+  }, [])
+
+  return { locale, dir: LOCALES[locale].dir, setLocale }
+}
@@ -0,0 +1,618 @@
+/**
+ * Arabic messages
+ * 
+ * Counted messages use all six Arabic plural categories.
+ */
+
+export default {
+  // Common
+  'common.loading': 'جارٍ التحميل...',
+  'common.clear': 'مسح',
+  'common.remove': 'إزالة',
+  'common.cancel': 'إلغاء',
+  'common.rename': 'إعادة تسمية',
+  'common.delete': 'حذف',
+
+  // App
+  'app.title': 'التعرّف على البلاط واقتراحه',
+  'app.nav.upload': 'رفع',
+  'app.nav.history': 'السجل',
+  'app.nav.shortlist': 'المفضلة',
+  'app.language': 'اللغة',
+  'app.loadingResults': 'جارٍ تحميل النتائج...',
+  'app.footer': 'نظام التعرّف على البلاط',
+
+  // Formats and units
+  'format.measurement': '{value} {unit}',
+  'format.pricePerUnit': '{price} / {unit}',
+  'units.mm': 'مم',
+  'units.in': 'بوصة',
+  'units.m': 'م',
+  'units.ft': 'قدم',
+  'units.m2': 'م²',
+  'units.ft2': 'قدم²',
+
+  // Catalog keywords
+  'catalog.ceramic': 'سيراميك',
+  'catalog.marble': 'رخام',
+  'catalog.porcelain': 'بورسلين',
+  'catalog.slate': 'أردواز',
+  'catalog.honed': 'مصقول غير لامع',
+  'catalog.matte': 'مطفأ',
+  'catalog.natural': 'طبيعي',
+  'catalog.polished': 'لامع',
+  'catalog.satin': 'ساتان',
+  'catalog.textured': 'محبّب',
+  'catalog.beige': 'بيج',
+  'catalog.brown': 'بني',
+  'catalog.grey': 'رمادي',
+  'catalog.white': 'أبيض',
+
+  // Tile details
+  'tile.fallbackName': 'بلاطة رقم {id}',
+  'tile.skuValue': 'رمز المنتج {sku}',
+  'tile.sku': 'رمز المنتج',
+  'tile.size': 'المقاس',
+  'tile.material': 'الخامة',
+  'tile.finish': 'التشطيب',
+  'tile.colour': 'اللون',
+  'tile.price': 'السعر',
+
+  // Shortlist toggle
+  'shortlist.save': 'حفظ',
+  'shortlist.saved': 'محفوظة',
+  'shortlist.saveToBoard': 'حفظ في «{board}»',
+  'shortlist.removeFromBoard': 'إزالة من «{board}»',
+
+  // Comparison
+  'compare.toggle': 'مقارنة',
+  'compare.limit': 'يمكنك مقارنة {count} بلاطات كحد أقصى',
+  'compare.barLabel': 'البلاطات المحددة للمقارنة',
+  'compare.remove': 'إزالة {name} من المقارنة',
+  'compare.selectedCount': 'تم تحديد {count} من {max}',
+  'compare.selectMore': 'حدّد {count} بلاطات على الأقل للمقارنة',
+  'compare.open': 'مقارنة',
+
+  // Upload queue
+  'uploadQueue.status.queued': 'في الانتظار',
+  'uploadQueue.status.processing': 'جارٍ التحليل...',
+  'uploadQueue.status.done': 'تم',
+  'uploadQueue.status.error': 'فشل',
+  'uploadQueue.matches': {
+    zero: 'لا تطابقات',
+    one: 'تطابق واحد',
+    two: 'تطابقان',
+    few: '{count} تطابقات',
+    many: '{count} تطابقًا',
+    other: '{count} تطابق',
+  },
+  'uploadQueue.noTiles': 'لم يُعثر على بلاط',
+  'uploadQueue.selected': {
+    zero: 'لم تُحدَّد أي صورة',
+    one: 'تم تحديد صورة واحدة',
+    two: 'تم تحديد صورتين',
+    few: 'تم تحديد {count} صور',
+    many: 'تم تحديد {count} صورة',
+    other: 'تم تحديد {count} صورة',
+  },
+  'uploadQueue.progress': 'تم تحليل {count} من {total}',
+  'uploadQueue.remove': 'إزالة {name}',
+
+  // Recommendation feedback
+  'feedback.sent': 'شكرًا على ملاحظاتك!',
+  'feedback.queued': 'شكرًا! سيتم إرسال ملاحظاتك عند عودة الاتصال.',
+  'feedback.question': 'هل التطابق جيد؟',
+  'feedback.goodMatch': 'تطابق جيد',
+  'feedback.notSimilar': 'غير مشابهة',
+  'feedback.whatsDifferent': 'ما المختلف؟',
+  'feedback.send': 'إرسال',
+  'feedback.sending': 'جارٍ الإرسال...',
+  'feedback.error': 'تعذّر إرسال ملاحظاتك. يُرجى المحاولة مرة أخرى.',
+  'feedback.reason.color': 'لون مختلف',
+  'feedback.reason.pattern': 'نقشة مختلفة',
+  'feedback.reason.finish': 'تشطيب أو ملمس مختلف',
+  'feedback.reason.size': 'مقاس أو شكل مختلف',
+  'feedback.reason.material': 'خامة مختلفة',
+  'feedback.reason.style': 'طراز مختلف',
+
+  // Recommendation card
+  'recommendation.bestMatch': 'رقم 1 أفضل تطابق',
+  'recommendation.imageAlt': 'البلاطة المقترحة {rank}',
+  'recommendation.similarity': 'التشابه',
+  'recommendation.similarTo': 'مشابهة لـ',
+
+  // Tile card
+  'tileCard.imageAlt': 'البلاطة المكتشفة {rank}',
+  'tileCard.confidence': 'الثقة',
+  'tileCard.useAsReference': 'استخدامها كمرجع',
+  'tileCard.findSimilar': 'البحث عن المشابه',
+  'tileCard.reportWrong': 'بلاطة خاطئة؟',
+  'tileCard.reportSent': 'تم الإبلاغ - شكرًا!',
+  'tileCard.reportQueued': 'تم الإبلاغ - سيُرسل عند عودة الاتصال.',
+  'tileCard.reportError': 'فشل الإبلاغ - حاول مرة أخرى',
+  'tileCard.reportErrorHint': 'تعذّر إرسال البلاغ. يُرجى المحاولة مرة أخرى.',
+
+  // Recommendation filters
+  'filters.sortBy': 'الترتيب حسب',
+  'filters.sort.similarity': 'أفضل تطابق',
+  'filters.sort.priceAsc': 'السعر: من الأقل إلى الأعلى',
+  'filters.sort.priceDesc': 'السعر: من الأعلى إلى الأقل',
+  'filters.sort.sizeAsc': 'المقاس: من الأصغر إلى الأكبر',
+  'filters.sort.sizeDesc': 'المقاس: من الأكبر إلى الأصغر',
+  'filters.clear': 'مسح عوامل التصفية',
+  'filters.size': 'المقاس ({unit})',
+  'filters.pricePerUnit': 'السعر لكل {unit}',
+  'filters.min': 'الأدنى',
+  'filters.max': 'الأقصى',
+  'filters.minValue': 'الأدنى {value}',
+  'filters.maxValue': 'الأقصى {value}',
+  'filters.minPriceLabel': 'أدنى سعر للمتر المربع',
+  'filters.maxPriceLabel': 'أقصى سعر للمتر المربع',
+  'filters.inStockOnly': 'المتوفر فقط',
+
+  // Comparison view
+  'comparison.title': 'مقارنة البلاط',
+  'comparison.measuredAgainst': 'يُقاس التشابه بالنسبة إلى {name}',
+  'comparison.close': 'إغلاق المقارنة',
+  'comparison.zoom': 'التكبير',
+  'comparison.differencesOnly': 'عرض الاختلافات فقط',
+  'comparison.noDifferences': 'لهذه البلاطات التفاصيل نفسها.',
+  'comparison.similarity': 'التشابه مع المرجع',
+  'comparison.confidence': 'ثقة الاكتشاف',
+  'comparison.thickness': 'السماكة',
+  'comparison.availability': 'التوفر',
+  'comparison.inStock': 'متوفر',
+  'comparison.outOfStock': 'غير متوفر',
+  'comparison.description': 'الوصف',
+
+  // Corner handles (image editor and room visualizer)
+  'corner.topLeft': 'العلوية اليسرى',
+  'corner.topRight': 'العلوية اليمنى',
+  'corner.bottomRight': 'السفلية اليمنى',
+  'corner.bottomLeft': 'السفلية اليسرى',
+  'corner.handleLabel': 'الزاوية {corner} (استخدم مفاتيح الأسهم للتحريك)',
+
+  // Image editor
+  'editor.title': 'تعديل الصورة',
+  'editor.toolLabel': 'أداة التعديل',
+  'editor.tool.crop': 'قص',
+  'editor.tool.rotate': 'تدوير',
+  'editor.tool.perspective': 'المنظور',
+  'editor.apply.crop': 'تطبيق القص',
+  'editor.apply.rotate': 'تطبيق التدوير',
+  'editor.apply.perspective': 'تطبيق المنظور',
+  'editor.applying': 'جارٍ التطبيق...',
+  'editor.loading': 'جارٍ تحميل الصورة...',
+  'editor.canvasLabel': 'الصورة قيد التعديل',
+  'editor.cropHint': 'اسحب الزوايا لتأطير البلاطة.',
+  'editor.perspectiveHint': 'اسحب كل زاوية إلى الزاوية المقابلة من البلاطة لتقويمها.',
+  'editor.rotateLeft': 'تدوير لليسار',
+  'editor.rotateRight': 'تدوير لليمين',
+  'editor.straighten': 'التقويم: {angle}°',
+  'editor.undo': 'تراجع',
+  'editor.reset': 'إعادة تعيين',
+  'editor.useEdited': 'استخدام الصورة المعدّلة',
+  'editor.loadError': 'تعذّر تحميل الصورة لتعديلها.',
+  'editor.perspectiveError': 'الزوايا لا تحدد مساحة صالحة. حرّكها إلى زوايا البلاطة.',
+  'editor.saveError': 'تعذّر حفظ الصورة المعدّلة.',
+
+  // Room visualizer
+  'visualizer.empty': 'اختر صورة للغرفة لمعاينة البلاط فيها.',
+  'visualizer.choosePhoto': 'اختيار صورة',
+  'visualizer.before': 'الغرفة قبل',
+  'visualizer.after': 'الغرفة مع البلاطة المحددة',
+  'visualizer.beforeAfter': 'قبل / بعد',
+  'visualizer.tilesAcross': 'عدد البلاطات عرضًا: {count}',
+  'visualizer.rotation': 'التدوير: {angle}°',
+  'visualizer.groutWidth': 'عرض الفاصل: {width}',
+  'visualizer.groutColour': 'لون الفاصل',
+  'visualizer.hideCorners': 'إخفاء الزوايا',
+  'visualizer.editArea': 'تعديل المساحة',
+  'visualizer.anotherPhoto': 'استخدام صورة أخرى',
+  'visualizer.download': 'تنزيل PNG',
+  'visualizer.photoLoadError': 'تعذّر تحميل صورة الغرفة.',
+  'visualizer.tileLoadError': 'تعذّر تحميل صورة البلاطة.',
+  'visualizer.areaError': 'المساحة المحددة مطوية أو ضيقة جدًا. حرّك الزوايا لتحديد الأرضية أو الجدار.',
+  'visualizer.formatError': 'يُرجى اختيار صورة PNG أو JPG أو WebP أو AVIF أو HEIC.',
+  'visualizer.exportError': 'تعذّر تصدير المعاينة.',
+  'visualizer.taintedError': 'لا يمكن تصدير صورة البلاطة هذه من المتصفح.',
+
+  // Tile estimator
+  'estimator.sectionTitle': 'تقدير الكمية والتكلفة',
+  'estimator.sectionDescription': 'احسب عدد البلاطات والصناديق التي تحتاجها غرفتك وتكلفتها',
+  'estimator.open': 'فتح الحاسبة',
+  'estimator.close': 'إغلاق الحاسبة',
+  'estimator.units': 'الوحدات',
+  'estimator.units.metric': 'مترية',
+  'estimator.units.imperial': 'إمبراطورية',
+  'estimator.measureBy': 'القياس حسب',
+  'estimator.roomSize': 'أبعاد الغرفة',
+  'estimator.area': 'المساحة',
+  'estimator.roomLength': 'طول الغرفة ({unit})',
+  'estimator.roomWidth': 'عرض الغرفة ({unit})',
+  'estimator.areaInput': 'المساحة ({unit})',
+  'estimator.tileWidth': 'عرض البلاطة ({unit})',
+  'estimator.tileLength': 'طول البلاطة ({unit})',
+  'estimator.pattern': 'نمط التركيب',
+  'estimator.pattern.straight': 'مستقيم',
+  'estimator.pattern.brick': 'طوبي / متداخل',
+  'estimator.pattern.diagonal': 'قطري',
+  'estimator.pattern.herringbone': 'عظم السمكة',
+  'estimator.waste': 'نسبة الهدر (%)',
+  'estimator.tilesNeeded': 'البلاطات المطلوبة',
+  'estimator.includesWaste': 'تشمل {percent} هدرًا',
+  'estimator.boxes': 'الصناديق',
+  'estimator.boxNote': {
+    zero: 'لا بلاطات في الصندوق · يغطي {area}',
+    one: 'بلاطة واحدة في الصندوق · يغطي {area}',
+    two: 'بلاطتان في الصندوق · يغطي {area}',
+    few: '{count} بلاطات في الصندوق · يغطي {area}',
+    many: '{count} بلاطة في الصندوق · يغطي {area}',
+    other: '{count} بلاطة في الصندوق · يغطي {area}',
+  },
+  'estimator.noBoxSize': 'حجم الصندوق غير موجود في الكتالوج',
+  'estimator.cost': 'التكلفة التقديرية',
+  'estimator.forBoxes': 'لصناديق كاملة',
+  'estimator.forTiles': {
+    zero: 'بلا بلاطات',
+    one: 'لبلاطة واحدة',
+    two: 'لبلاطتين',
+    few: 'لـ {count} بلاطات',
+    many: 'لـ {count} بلاطة',
+    other: 'لـ {count} بلاطة',
+  },
+  'estimator.noPrice': 'السعر غير موجود في الكتالوج',
+  'estimator.hintArea': 'أدخل المساحة ومقاس البلاطة لعرض التقدير.',
+  'estimator.hintRoomSize': 'أدخل أبعاد الغرفة ومقاس البلاطة لعرض التقدير.',
+
+  // Camera
+  'camera.title': 'التصوير بالكاميرا',
+  'camera.close': 'إغلاق الكاميرا',
+  'camera.initializing': 'جارٍ تشغيل الكاميرا...',
+  'camera.goBack': 'رجوع',
+  'camera.capturedAlt': 'الصورة الملتقطة',
+  'camera.camera': 'الكاميرا',
+  'camera.fallbackName': 'الكاميرا {number}',
+  'camera.resolution': 'الدقة',
+  'camera.resolution.hd': 'HD ({size})',
+  'camera.resolution.fullHd': 'Full HD ({size})',
+  'camera.resolution.uhd': '4K ({size})',
+  'camera.resolution.max': 'القصوى',
+  'camera.resolution.maxSize': 'القصوى ({size})',
+  'camera.zoom': 'التكبير {zoom}×',
+  'camera.useRear': 'استخدام الكاميرا الخلفية',
+  'camera.useFront': 'استخدام الكاميرا الأمامية',
+  'camera.torchOn': 'تشغيل الفلاش',
+  'camera.torchOff': 'إطفاء الفلاش',
+  'camera.focusHint': 'انقر على المعاينة للتركيز',
+  'camera.live': 'المسح المباشر',
+  'camera.stopLive': 'إيقاف المسح المباشر',
+  'camera.lock': 'التثبيت وعرض النتائج',
+  'camera.capture': 'التقاط صورة',
+  'camera.retake': 'إعادة الالتقاط',
+  'camera.usePhoto': 'استخدام الصورة',
+  'camera.useAnyway': 'استخدامها على أي حال',
+  'camera.liveRetrying': 'تعذّر الوصول إلى خدمة الاكتشاف - جارٍ إعادة المحاولة...',
+  'camera.liveScanning': 'جارٍ المسح...',
+  'camera.liveNoTile': 'لم يُعثر على بلاطة - وجّه الكاميرا نحو بلاطة',
+  'camera.error.unsupported': 'الكاميرا غير مدعومة في هذا المتصفح. يُرجى استخدام متصفح حديث أو رفع ملف بدلًا من ذلك.',
+  'camera.error.denied': 'تم رفض إذن الكاميرا. يُرجى السماح بالوصول إلى الكاميرا في إعدادات المتصفح والمحاولة مرة أخرى.',
+  'camera.error.notFound': 'لم يُعثر على كاميرا في هذا الجهاز. يُرجى توصيل كاميرا أو رفع ملف بدلًا من ذلك.',
+  'camera.error.inUse': 'الكاميرا مستخدمة من تطبيق آخر. يُرجى إغلاق التطبيقات الأخرى التي تستخدم الكاميرا والمحاولة مرة أخرى.',
+  'camera.error.unavailable': 'الكاميرا المحددة لم تعد متاحة. يُرجى الرجوع وفتح الكاميرا مرة أخرى.',
+  'camera.error.generic': 'تعذّر الوصول إلى الكاميرا. يُرجى المحاولة مرة أخرى أو رفع ملف بدلًا من ذلك.',
+
+  // Image uploader
+  'uploader.dropOne': 'اسحب صورة البلاطة وأفلتها هنا',
+  'uploader.dropMany': 'اسحب صور البلاط وأفلتها هنا',
+  'uploader.browseOne': 'أو انقر للاستعراض',
+  'uploader.browseMany': 'أو انقر للاستعراض (اختر عدة صور لتحليل أرضية كاملة)',
+  'uploader.paste': 'يمكنك أيضًا لصق صورة (Ctrl+V / ⌘V)',
+  'uploader.formats': 'الصيغ المدعومة: {formats} (الحد الأقصى {size})',
+  'uploader.previewAlt': 'البلاطة المرفوعة',
+  'uploader.change': 'انقر أو أفلت صورة لتغييرها',
+  'uploader.downloading': 'جارٍ تنزيل الصورة...',
+  'uploader.converting': 'جارٍ تحويل الصورة...',
+  'uploader.importFromUrl': 'الاستيراد من رابط',
+  'uploader.import': 'استيراد',
+  'uploader.importing': 'جارٍ الاستيراد...',
+  'uploader.noFile': 'لم يتم تحديد ملف',
+  'uploader.invalidType': 'نوع الملف غير صالح. يُرجى رفع صور {formats} فقط.',
+  'uploader.tooLarge': 'الملف كبير جدًا. الحد الأقصى للحجم هو {size}.',
+  'uploader.fileError': '{name}: {error}',
+  'uploader.filesSkipped': {
+    zero: 'لم يتم تخطي أي ملف.',
+    one: 'تم تخطي ملف واحد. يُرجى رفع صور {formats} حتى {size}.',
+    two: 'تم تخطي ملفين. يُرجى رفع صور {formats} حتى {size}.',
+    few: 'تم تخطي {count} ملفات. يُرجى رفع صور {formats} حتى {size}.',
+    many: 'تم تخطي {count} ملفًا. يُرجى رفع صور {formats} حتى {size}.',
+    other: 'تم تخطي {count} ملف. يُرجى رفع صور {formats} حتى {size}.',
+  },
+  'uploader.nothingDropped': 'لم يتم إفلات أي شيء قابل للرفع. أفلت ملف صورة أو صورة من علامة تبويب أخرى.',
+
+  // Image checks and imports
+  'quality.title': 'قد لا تعطي هذه الصورة تطابقات جيدة:',
+  'quality.resolution': 'الصورة صغيرة ({size}). اقترب من البلاطة أو استخدم دقة أعلى.',
+  'quality.blur': 'تبدو الصورة ضبابية. ثبّت الكاميرا وانقر للتركيز على البلاطة.',
+  'quality.dark': 'الصورة مظلمة جدًا. شغّل ضوءًا أو اقترب من نافذة.',
+  'quality.bright': 'الصورة ساطعة أكثر من اللازم. ابتعد عن ضوء الشمس المباشر أو أطفئ الفلاش.',
+  'quality.glare': 'يوجد وهج على البلاطة. أمِل الكاميرا قليلًا أو أطفئ الفلاش لتجنب الانعكاسات.',
+  'imageFormats.unsupported': 'نوع الملف غير مدعوم.',
+  'imageFormats.cantDecode': 'لا يستطيع هذا المتصفح فتح صور {format}. يُرجى تحويل الصورة إلى JPG أو PNG أولًا.',
+  'imageFormats.heicFailed': 'تعذّر فتح صورة HEIC هذه. يُرجى تصديرها بصيغة JPG والمحاولة مرة أخرى.',
+  'import.invalidUrl': 'يُرجى إدخال عنوان صورة كامل يبدأ بـ http:// أو https://.',
+  'import.downloadFailed': 'تعذّر تنزيل الصورة',
+  'import.downloadFailedDetail': 'تعذّر تنزيل الصورة ({detail}).',
+  'import.blocked': 'لا يسمح هذا الموقع بتحميل صوره هنا. احفظ الصورة وارفع الملف بدلًا من ذلك.',
+  'import.notAnImage': 'هذا العنوان لا يشير إلى صورة.',
+
+  // Upload page
+  'upload.title': 'رفع صورة البلاطة',
+  'upload.description': 'ارفع صورة للبلاطة التي تريد التعرّف عليها وابحث عن البلاط المطابق.',
+  'upload.edit': 'قص أو تدوير أو تقويم',
+  'upload.or': 'أو',
+  'upload.useCamera': 'استخدام الكاميرا',
+  'upload.detect': 'اكتشاف البلاطة',
+  'upload.checkingQuality': 'جارٍ فحص الصورة...',
+  'upload.detectBatch': {
+    zero: 'اكتشاف البلاط',
+    one: 'اكتشاف البلاط في صورة واحدة',
+    two: 'اكتشاف البلاط في صورتين',
+    few: 'اكتشاف البلاط في {count} صور',
+    many: 'اكتشاف البلاط في {count} صورة',
+    other: 'اكتشاف البلاط في {count} صورة',
+  },
+  'upload.analyzing': 'جارٍ تحليل صورة البلاطة...',
+  'upload.analyzingImages': 'جارٍ تحليل الصور',
+  'upload.qualityConfirm': 'هل تريد اكتشاف البلاط في هذه الصورة على أي حال؟ قد تكون التطابقات ضعيفة أو غير موجودة.',
+  'upload.detectAnyway': 'الاكتشاف على أي حال',
+  'upload.noImage': 'يُرجى اختيار صورة قبل اكتشاف البلاط.',
+  'upload.detectError': 'حدث خطأ أثناء معالجة الصورة. يُرجى المحاولة مرة أخرى.',
+  'upload.batchFailed': 'فشل الاكتشاف في جميع الصور. يُرجى المحاولة مرة أخرى.',
+  'upload.batchLimit': {
+    zero: 'يمكنك تحليل {max} صورة كحد أقصى في المرة الواحدة.',
+    one: 'يمكنك تحليل {max} صورة كحد أقصى في المرة الواحدة. لم تتم إضافة صورة واحدة.',
+    two: 'يمكنك تحليل {max} صورة كحد أقصى في المرة الواحدة. لم تتم إضافة صورتين.',
+    few: 'يمكنك تحليل {max} صورة كحد أقصى في المرة الواحدة. لم تتم إضافة {count} صور.',
+    many: 'يمكنك تحليل {max} صورة كحد أقصى في المرة الواحدة. لم تتم إضافة {count} صورة.',
+    other: 'يمكنك تحليل {max} صورة كحد أقصى في المرة الواحدة. لم تتم إضافة {count} صورة.',
+  },
+
+  // Results page
+  'results.uploadedImage': 'الصورة المرفوعة',
+  'results.originalAlt': 'البلاطة الأصلية المرفوعة',
+  'results.title': 'نتائج الاكتشاف',
+  'results.found': {
+    zero: 'لم يُعثر على بلاط مطابق',
+    one: 'تم العثور على بلاطة واحدة مطابقة',
+    two: 'تم العثور على بلاطتين مطابقتين',
+    few: 'تم العثور على {count} بلاطات مطابقة',
+    many: 'تم العثور على {count} بلاطة مطابقة',
+    other: 'تم العثور على {count} بلاطة مطابقة',
+  },
+  'results.pickHint': 'اختر البلاطات التي تريد البحث عن مشابه لها، ثم اضغط «البحث عن المشابه للمحدد».',
+  'results.noDetection': 'لم يتم اكتشاف أي بلاطة',
+  'results.noDetectionMessage': 'لم نتمكن من التعرّف على أي بلاطة في الصورة المرفوعة. قد يحدث ذلك إذا كانت الصورة غير واضحة، أو البلاطة غير ظاهرة، أو نوع البلاطة غير موجود في قاعدة بياناتنا.',
+  'results.tipsTitle': 'نصائح للحصول على نتائج أفضل:',
+  'results.tip.visible': 'تأكد من ظهور البلاطة بوضوح في الصورة',
+  'results.tip.lighting': 'استخدم إضاءة جيدة وتجنّب الظلال',
+  'results.tip.angle': 'صوّر البلاطة من زاوية مستقيمة',
+  'results.tip.sharp': 'تأكد من أن الصورة ليست ضبابية',
+  'results.backToBatch': 'العودة إلى كل الصور',
+  'results.findSimilarSeveral': 'البحث عن المشابه لعدة بلاطات',
+  'results.findSimilarSelected': 'البحث عن المشابه للمحدد ({count})',
+  'results.report': 'تقرير قابل للطباعة',
+  'results.uploadAnother': 'رفع صورة أخرى',
+
+  // Batch results
+  'batch.title': 'البلاط في جميع الصور',
+  'batch.summary': 'تم العثور على {tiles} في {images}',
+  'batch.distinctTiles': {
+    zero: 'لا بلاطات مختلفة',
+    one: 'بلاطة واحدة مختلفة',
+    two: 'بلاطتان مختلفتان',
+    few: '{count} بلاطات مختلفة',
+    many: '{count} بلاطة مختلفة',
+    other: '{count} بلاطة مختلفة',
+  },
+  'batch.imageCount': {
+    zero: 'لا صور',
+    one: 'صورة واحدة',
+    two: 'صورتين',
+    few: '{count} صور',
+    many: '{count} صورة',
+    other: '{count} صورة',
+  },
+  'batch.seenIn': 'ظهرت في {images} · المتوسط {average}',
+  'batch.findSimilar': 'البحث عن بلاط مشابه',
+  'batch.noDetections': 'لم يتم اكتشاف أي بلاط',
+  'batch.noDetectionsMessage': 'لم نتمكن من التعرّف على أي بلاط في الصور المرفوعة.',
+  'batch.failedTitle': 'صور تعذّر تحليلها',
+  'batch.uploadNew': 'رفع صور جديدة',
+  'batch.itemFailed': 'فشل الاكتشاف',
+
+  // History
+  'history.title': 'السجل',
+  'history.description': 'عمليات الاكتشاف السابقة المحفوظة على هذا الجهاز',
+  'history.loading': 'جارٍ تحميل السجل...',
+  'history.unavailable': 'السجل غير متاح في هذا المتصفح.',
+  'history.defaultName': 'جلسة {date}',
+  'history.searchPlaceholder': 'البحث بالاسم أو البلاطة أو رمز المنتج',
+  'history.searchLabel': 'البحث في السجل',
+  'history.openSession': 'فتح {name}',
+  'history.sessionName': 'اسم الجلسة',
+  'history.tilesDetected': {
+    zero: 'لم يتم اكتشاف بلاط',
+    one: 'تم اكتشاف بلاطة واحدة',
+    two: 'تم اكتشاف بلاطتين',
+    few: 'تم اكتشاف {count} بلاطات',
+    many: 'تم اكتشاف {count} بلاطة',
+    other: 'تم اكتشاف {count} بلاطة',
+  },
+  'history.noTilesDetected': 'لم يتم اكتشاف بلاط',
+  'history.bestMatch': 'أفضل تطابق {name}',
+  'history.viewedFor': 'البلاط المشابه الذي تم عرضه لـ:',
+  'history.similarCount': {
+    zero: 'لا بلاطات مشابهة',
+    one: 'بلاطة واحدة مشابهة',
+    two: 'بلاطتان مشابهتان',
+    few: '{count} بلاطات مشابهة',
+    many: '{count} بلاطة مشابهة',
+    other: '{count} بلاطة مشابهة',
+  },
+  'history.open': 'فتح',
+  'history.confirmDelete': 'هل تريد حذف «{name}» من السجل؟',
+  'history.noMatches': 'لا توجد جلسات مطابقة',
+  'history.noMatchesHint': 'جرّب اسمًا أو بلاطة أو رمز منتج مختلفًا.',
+  'history.empty': 'لا توجد جلسات محفوظة بعد',
+  'history.emptyHint': 'تُحفظ نتائج الاكتشاف هنا تلقائيًا بعد كل عملية رفع.',
+
+  // Recommendations page
+  'recommendations.title': 'بلاط مشابه',
+  'recommendations.error': 'تعذّر العثور على بلاط مشابه. يُرجى المحاولة مرة أخرى.',
+  'recommendations.loadMoreError': 'تعذّر تحميل المزيد من البلاط.',
+  'recommendations.loadingTile': 'جارٍ تحميل البلاطة...',
+  'recommendations.loading': 'جارٍ البحث عن بلاط مشابه...',
+  'recommendations.notFound': 'لم يُعثر على البلاطة',
+  'recommendations.notFoundMany': 'لم نعثر على هذه البلاطات في الكتالوج. ارفع صورة للبحث عن بلاط مشابه.',
+  'recommendations.notFoundOne': 'لم نعثر على البلاطة رقم {id} في الكتالوج. ارفع صورة للبحث عن بلاط مشابه.',
+  'recommendations.backToResults': 'العودة إلى النتائج',
+  'recommendations.uploadImage': 'رفع صورة',
+  'recommendations.referenceTiles': 'البلاطات المرجعية',
+  'recommendations.referenceTile': 'البلاطة المرجعية',
+  'recommendations.findingForMany': {
+    zero: 'جارٍ البحث عن بلاط مشابه',
+    one: 'جارٍ البحث عن بلاط مشابه للبلاطة المحددة',
+    two: 'جارٍ البحث عن بلاط مشابه لأيٍّ من البلاطتين المحددتين',
+    few: 'جارٍ البحث عن بلاط مشابه لأيٍّ من البلاطات الـ {count} المحددة',
+    many: 'جارٍ البحث عن بلاط مشابه لأيٍّ من الـ {count} بلاطة المحددة',
+    other: 'جارٍ البحث عن بلاط مشابه لأيٍّ من الـ {count} بلاطة المحددة',
+  },
+  'recommendations.findingForDetection': 'جارٍ البحث عن بلاط مشابه لما اكتشفته',
+  'recommendations.findingFor': 'جارٍ البحث عن بلاط مشابه لـ {name}',
+  'recommendations.referenceAlt': 'البلاطة المرجعية',
+  'recommendations.referenceAltId': 'البلاطة المرجعية رقم {id}',
+  'recommendations.confidence': 'ثقة الاكتشاف: {value}',
+  'recommendations.tryAgain': 'إعادة المحاولة',
+  'recommendations.showingMore': {
+    zero: 'لا بلاطات مشابهة معروضة · يتوفر المزيد',
+    one: 'عرض بلاطة واحدة مشابهة · يتوفر المزيد',
+    two: 'عرض بلاطتين مشابهتين · يتوفر المزيد',
+    few: 'عرض {count} بلاطات مشابهة · يتوفر المزيد',
+    many: 'عرض {count} بلاطة مشابهة · يتوفر المزيد',
+    other: 'عرض {count} بلاطة مشابهة · يتوفر المزيد',
+  },
+  'recommendations.showingOf': {
+    zero: 'عرض {shown} من أصل {count} بلاطة مشابهة',
+    one: 'عرض {shown} من أصل بلاطة واحدة مشابهة',
+    two: 'عرض {shown} من أصل بلاطتين مشابهتين',
+    few: 'عرض {shown} من أصل {count} بلاطات مشابهة',
+    many: 'عرض {shown} من أصل {count} بلاطة مشابهة',
+    other: 'عرض {shown} من أصل {count} بلاطة مشابهة',
+  },
+  'recommendations.found': {
+    zero: 'لم يُعثر على بلاط مشابه',
+    one: 'تم العثور على بلاطة واحدة مشابهة',
+    two: 'تم العثور على بلاطتين مشابهتين',
+    few: 'تم العثور على {count} بلاطات مشابهة',
+    many: 'تم العثور على {count} بلاطة مشابهة',
+    other: 'تم العثور على {count} بلاطة مشابهة',
+  },
+  'recommendations.updating': ' · جارٍ التحديث...',
+  'recommendations.localSource': 'تم الترتيب على هذا الجهاز حسب التشابه في اللون والنقشة والملمس.',
+  'recommendations.loadMore': 'تحميل المزيد',
+  'recommendations.noFilterMatches': 'لا يوجد بلاط يطابق عوامل التصفية هذه',
+  'recommendations.noFilterMatchesHint': 'جرّب إزالة بعض عوامل التصفية أو توسيع نطاق السعر.',
+  'recommendations.clearFilters': 'مسح عوامل التصفية',
+  'recommendations.empty': 'لم يُعثر على بلاط مشابه',
+  'recommendations.emptyHint': 'لم نعثر على بلاط مشابه للمرجع في قاعدة بياناتنا. قد تكون لهذه البلاطة نقشة أو طراز فريد.',
+  'recommendations.visualizerTitle': 'شاهده في غرفتك',
+  'recommendations.visualizerDescription': 'حدّد مساحة الأرضية أو الجدار وعاين فيها أيًّا من هذه البلاطات',
+  'recommendations.openVisualizer': 'فتح المعاينة',
+  'recommendations.closeVisualizer': 'إغلاق المعاينة',
+  'recommendations.uploadNew': 'رفع صورة جديدة',
+
+  // Report
+  'report.title': 'تقرير قابل للطباعة',
+  'report.description': 'اختر ما يتضمنه التقرير، ثم اطبعه أو نزّله بصيغة PDF',
+  'report.loading': 'جارٍ إعداد التقرير...',
+  'report.pdfError': 'تعذّر إنشاء ملف PDF. يُرجى تجربة طباعة التقرير بدلًا من ذلك.',
+  'report.pdfUnavailable': 'تنزيل PDF غير متاح بهذه اللغة بعد. استخدم «طباعة» بدلًا من ذلك؛ إذ يمكن لنافذة الطباعة أيضًا حفظ التقرير بصيغة PDF.',
+  'report.preparedFor': 'أُعدّ لـ',
+  'report.preparedForPlaceholder': 'اسم العميل أو مرجعه (اختياري)',
+  'report.preparedForValue': 'أُعدّ لـ: {name}',
+  'report.similarTo': 'مشابهة لـ {name}',
+  'report.pickerEmpty': 'استخدم «البحث عن المشابه» على بلاطة مكتشفة لإضافة اقتراحات إلى التقرير.',
+  'report.backToResults': 'العودة إلى النتائج',
+  'report.print': 'طباعة',
+  'report.downloadPdf': 'تنزيل PDF',
+  'report.generatingPdf': 'جارٍ إنشاء PDF...',
+  'report.defaultTitle': 'تقرير البلاط',
+  'report.photoAlt': 'الصورة الأصلية',
+  'report.detectedTiles': 'البلاط المكتشف',
+  'report.recommendedTiles': 'البلاط المقترح',
+  'report.noDetections': 'لم يتم اكتشاف أي بلاط في هذه الصورة.',
+  'report.confidence': 'الثقة {value}',
+  'report.similarity': 'التشابه {value}',
+  'report.similarityTo': 'التشابه {value} مع {name}',
+  'report.summary': 'الملخص',
+  'report.sku': 'رمز المنتج {sku}',
+  'report.type.detected': 'مكتشفة',
+  'report.type.recommended': 'مقترحة',
+  'report.column.type': 'النوع',
+  'report.column.tile': 'البلاطة',
+  'report.column.sku': 'رمز المنتج',
+  'report.column.size': 'المقاس',
+  'report.column.material': 'الخامة',
+  'report.column.finish': 'التشطيب',
+  'report.column.price': 'السعر',
+  'report.column.score': 'التطابق',
+
+  // Shortlist page
+  'shortlist.title': 'المفضلة',
+  'shortlist.description': 'البلاط الذي حفظته، مجمّعًا في لوحات على هذا الجهاز',
+  'shortlist.defaultBoard': 'مفضلتي',
+  'shortlist.board': 'اللوحة',
+  'shortlist.boardName': 'اسم اللوحة',
+  'shortlist.boardOption': '{name} ({count})',
+  'shortlist.newBoard': 'لوحة جديدة',
+  'shortlist.export': 'تصدير',
+  'shortlist.import': 'استيراد',
+  'shortlist.confirmDelete': 'هل تريد حذف «{name}»؟',
+  'shortlist.confirmDeleteWithTiles': {
+    zero: 'هل تريد حذف «{name}»؟',
+    one: 'هل تريد حذف «{name}» وبلاطتها الوحيدة؟',
+    two: 'هل تريد حذف «{name}» وبلاطتيها؟',
+    few: 'هل تريد حذف «{name}» و{count} بلاطات فيها؟',
+    many: 'هل تريد حذف «{name}» و{count} بلاطة فيها؟',
+    other: 'هل تريد حذف «{name}» و{count} بلاطة فيها؟',
+  },
+  'shortlist.imported': 'تم استيراد {tiles} إلى {boards}.',
+  'shortlist.tileCount': {
+    zero: 'لا بلاطات',
+    one: 'بلاطة واحدة',
+    two: 'بلاطتين',
+    few: '{count} بلاطات',
+    many: '{count} بلاطة',
+    other: '{count} بلاطة',
+  },
+  'shortlist.boardCount': {
+    zero: 'لا لوحات',
+    one: 'لوحة واحدة',
+    two: 'لوحتين',
+    few: '{count} لوحات',
+    many: '{count} لوحة',
+    other: '{count} لوحة',
+  },
+  'shortlist.importInvalid': 'هذا الملف ليس تصديرًا لقائمة مفضلة البلاط.',
+  'shortlist.importNewer': 'تم تصدير هذه المفضلة بإصدار أحدث من التطبيق.',
+  'shortlist.notePlaceholder': 'أضف ملاحظة (الغرفة، الكمية، أسئلة للمتجر...)',
+  'shortlist.noteFor': 'ملاحظة لـ {name}',
+  'shortlist.moveUp': 'نقل لأعلى',
+  'shortlist.moveDown': 'نقل لأسفل',
+  'shortlist.moveToBoard': 'النقل إلى لوحة',
+  'shortlist.moveTo': 'النقل إلى...',
+  'shortlist.findSimilar': 'البحث عن المشابه',
+  'shortlist.empty': 'لا توجد بلاطات محفوظة بعد',
+  'shortlist.emptyHint': 'استخدم «حفظ» على أي بلاطة مكتشفة أو مقترحة لإضافتها إلى هذه اللوحة.',
+}
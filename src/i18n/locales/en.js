@@ -0,0 +1,486 @@
+/**
+ * English messages
+ * 
+ * The source catalog: every key used in the app is defined here, and
+ * other locales fall back to it for keys they don't translate.
+ */
+
+export default {
+  // Common
+  'common.loading': 'Loading...',
+  'common.clear': 'Clear',
+  'common.remove': 'Remove',
+  'common.cancel': 'Cancel',
+  'common.rename': 'Rename',
+  'common.delete': 'Delete',
+
+  // App
+  'app.title': 'Tile Detection & Recommendation',
+  'app.nav.upload': 'Upload',
+  'app.nav.history': 'History',
+  'app.nav.shortlist': 'Shortlist',
+  'app.language': 'Language',
+  'app.loadingResults': 'Loading results...',
+  'app.footer': 'Tile Detection System',
+
+  // Formats and units
+  'format.measurement': '{value} {unit}',
+  'format.pricePerUnit': '{price} / {unit}',
+  'units.mm': 'mm',
+  'units.in': 'in',
+  'units.m': 'm',
+  'units.ft': 'ft',
+  'units.m2': 'm²',
+  'units.ft2': 'ft²',
+
+  // Catalog keywords
+  'catalog.ceramic': 'Ceramic',
+  'catalog.marble': 'Marble',
+  'catalog.porcelain': 'Porcelain',
+  'catalog.slate': 'Slate',
+  'catalog.honed': 'Honed',
+  'catalog.matte': 'Matte',
+  'catalog.natural': 'Natural',
+  'catalog.polished': 'Polished',
+  'catalog.satin': 'Satin',
+  'catalog.textured': 'Textured',
+  'catalog.beige': 'Beige',
+  'catalog.brown': 'Brown',
+  'catalog.grey': 'Grey',
+  'catalog.white': 'White',
+
+  // Tile details
+  'tile.fallbackName': 'Tile #{id}',
+  'tile.skuValue': 'SKU {sku}',
+  'tile.sku': 'SKU',
+  'tile.size': 'Size',
+  'tile.material': 'Material',
+  'tile.finish': 'Finish',
+  'tile.colour': 'Colour',
+  'tile.price': 'Price',
+
+  // Shortlist toggle
+  'shortlist.save': 'Save',
+  'shortlist.saved': 'Saved',
+  'shortlist.saveToBoard': 'Save to "{board}"',
+  'shortlist.removeFromBoard': 'Remove from "{board}"',
+
+  // Comparison
+  'compare.toggle': 'Compare',
+  'compare.limit': 'You can compare up to {count} tiles',
+  'compare.barLabel': 'Tiles selected for comparison',
+  'compare.remove': 'Remove {name} from comparison',
+  'compare.selectedCount': '{count} of {max} selected',
+  'compare.selectMore': 'Select at least {count} tiles to compare',
+  'compare.open': 'Compare',
+
+  // Upload queue
+  'uploadQueue.status.queued': 'Queued',
+  'uploadQueue.status.processing': 'Analyzing...',
+  'uploadQueue.status.done': 'Done',
+  'uploadQueue.status.error': 'Failed',
+  'uploadQueue.matches': { one: '{count} match', other: '{count} matches' },
+  'uploadQueue.noTiles': 'No tiles found',
+  'uploadQueue.selected': { one: '{count} image selected', other: '{count} images selected' },
+  'uploadQueue.progress': '{count} of {total} analyzed',
+  'uploadQueue.remove': 'Remove {name}',
+
+  // Recommendation feedback
+  'feedback.sent': 'Thanks for your feedback!',
+  'feedback.queued': 'Thanks! Your feedback will be sent when you\'re back online.',
+  'feedback.question': 'Good match?',
+  'feedback.goodMatch': 'Good match',
+  'feedback.notSimilar': 'Not similar',
+  'feedback.whatsDifferent': 'What\'s different?',
+  'feedback.send': 'Send',
+  'feedback.sending': 'Sending...',
+  'feedback.error': 'Your feedback couldn\'t be sent. Please try again.',
+  'feedback.reason.color': 'Different colour',
+  'feedback.reason.pattern': 'Different pattern',
+  'feedback.reason.finish': 'Different finish or texture',
+  'feedback.reason.size': 'Different size or shape',
+  'feedback.reason.material': 'Different material',
+  'feedback.reason.style': 'Different style',
+
+  // Recommendation card
+  'recommendation.bestMatch': '#1 Best Match',
+  'recommendation.imageAlt': 'Recommended tile {rank}',
+  'recommendation.similarity': 'Similarity',
+  'recommendation.similarTo': 'Similar to',
+
+  // Tile card
+  'tileCard.imageAlt': 'Detected tile match {rank}',
+  'tileCard.confidence': 'Confidence',
+  'tileCard.useAsReference': 'Use as reference',
+  'tileCard.findSimilar': 'Find Similar',
+  'tileCard.reportWrong': 'Wrong tile?',
+  'tileCard.reportSent': 'Reported - thanks!',
+  'tileCard.reportQueued': 'Reported - will be sent when you\'re back online.',
+  'tileCard.reportError': 'Report failed - try again',
+  'tileCard.reportErrorHint': 'The report couldn\'t be sent. Please try again.',
+
+  // Recommendation filters
+  'filters.sortBy': 'Sort by',
+  'filters.sort.similarity': 'Best match',
+  'filters.sort.priceAsc': 'Price: low to high',
+  'filters.sort.priceDesc': 'Price: high to low',
+  'filters.sort.sizeAsc': 'Size: small to large',
+  'filters.sort.sizeDesc': 'Size: large to small',
+  'filters.clear': 'Clear filters',
+  'filters.size': 'Size ({unit})',
+  'filters.pricePerUnit': 'Price per {unit}',
+  'filters.min': 'Min',
+  'filters.max': 'Max',
+  'filters.minValue': 'Min {value}',
+  'filters.maxValue': 'Max {value}',
+  'filters.minPriceLabel': 'Minimum price per square metre',
+  'filters.maxPriceLabel': 'Maximum price per square metre',
+  'filters.inStockOnly': 'In stock only',
+
+  // Comparison view
+  'comparison.title': 'Compare Tiles',
+  'comparison.measuredAgainst': 'Similarity is measured against {name}',
+  'comparison.close': 'Close comparison',
+  'comparison.zoom': 'Zoom',
+  'comparison.differencesOnly': 'Show differences only',
+  'comparison.noDifferences': 'These tiles have the same details.',
+  'comparison.similarity': 'Similarity to reference',
+  'comparison.confidence': 'Detection confidence',
+  'comparison.thickness': 'Thickness',
+  'comparison.availability': 'Availability',
+  'comparison.inStock': 'In stock',
+  'comparison.outOfStock': 'Out of stock',
+  'comparison.description': 'Description',
+
+  // Corner handles (image editor and room visualizer)
+  'corner.topLeft': 'Top left',
+  'corner.topRight': 'Top right',
+  'corner.bottomRight': 'Bottom right',
+  'corner.bottomLeft': 'Bottom left',
+  'corner.handleLabel': '{corner} corner (use arrow keys to move)',
+
+  // Image editor
+  'editor.title': 'Edit Image',
+  'editor.toolLabel': 'Editing tool',
+  'editor.tool.crop': 'Crop',
+  'editor.tool.rotate': 'Rotate',
+  'editor.tool.perspective': 'Perspective',
+  'editor.apply.crop': 'Apply Crop',
+  'editor.apply.rotate': 'Apply Rotate',
+  'editor.apply.perspective': 'Apply Perspective',
+  'editor.applying': 'Applying...',
+  'editor.loading': 'Loading image...',
+  'editor.canvasLabel': 'Image being edited',
+  'editor.cropHint': 'Drag the corners to frame the tile.',
+  'editor.perspectiveHint': 'Drag each corner onto the matching corner of the tile to straighten it.',
+  'editor.rotateLeft': 'Rotate Left',
+  'editor.rotateRight': 'Rotate Right',
+  'editor.straighten': 'Straighten: {angle}°',
+  'editor.undo': 'Undo',
+  'editor.reset': 'Reset',
+  'editor.useEdited': 'Use Edited Image',
+  'editor.loadError': 'Unable to load the image for editing.',
+  'editor.perspectiveError': 'The corners don\'t outline a usable area. Move them onto the tile\'s corners.',
+  'editor.saveError': 'Unable to save the edited image.',
+
+  // Room visualizer
+  'visualizer.empty': 'Choose a photo of the room to preview tiles in it.',
+  'visualizer.choosePhoto': 'Choose Photo',
+  'visualizer.before': 'Room before',
+  'visualizer.after': 'Room with the selected tile',
+  'visualizer.beforeAfter': 'Before / after',
+  'visualizer.tilesAcross': 'Tiles across: {count}',
+  'visualizer.rotation': 'Rotation: {angle}°',
+  'visualizer.groutWidth': 'Grout width: {width}',
+  'visualizer.groutColour': 'Grout colour',
+  'visualizer.hideCorners': 'Hide Corners',
+  'visualizer.editArea': 'Edit Area',
+  'visualizer.anotherPhoto': 'Use Another Photo',
+  'visualizer.download': 'Download PNG',
+  'visualizer.photoLoadError': 'Unable to load the room photo.',
+  'visualizer.tileLoadError': 'Unable to load the tile image.',
+  'visualizer.areaError': 'The marked area is folded or too thin. Move the corners to outline the floor or wall.',
+  'visualizer.formatError': 'Please choose a PNG, JPG, WebP, AVIF or HEIC photo.',
+  'visualizer.exportError': 'Unable to export the preview.',
+  'visualizer.taintedError': 'This tile image can\'t be exported from the browser.',
+
+  // Tile estimator
+  'estimator.sectionTitle': 'Estimate Quantity & Cost',
+  'estimator.sectionDescription': 'Work out how many tiles and boxes your room needs, and what they cost',
+  'estimator.open': 'Open Estimator',
+  'estimator.close': 'Close Estimator',
+  'estimator.units': 'Units',
+  'estimator.units.metric': 'Metric',
+  'estimator.units.imperial': 'Imperial',
+  'estimator.measureBy': 'Measure by',
+  'estimator.roomSize': 'Room size',
+  'estimator.area': 'Area',
+  'estimator.roomLength': 'Room length ({unit})',
+  'estimator.roomWidth': 'Room width ({unit})',
+  'estimator.areaInput': 'Area ({unit})',
+  'estimator.tileWidth': 'Tile width ({unit})',
+  'estimator.tileLength': 'Tile length ({unit})',
+  'estimator.pattern': 'Layout pattern',
+  'estimator.pattern.straight': 'Straight',
+  'estimator.pattern.brick': 'Brick / offset',
+  'estimator.pattern.diagonal': 'Diagonal',
+  'estimator.pattern.herringbone': 'Herringbone',
+  'estimator.waste': 'Waste allowance (%)',
+  'estimator.tilesNeeded': 'Tiles needed',
+  'estimator.includesWaste': 'incl. {percent} waste',
+  'estimator.boxes': 'Boxes',
+  'estimator.boxNote': { one: '{count} tile per box · covers {area}', other: '{count} tiles per box · covers {area}' },
+  'estimator.noBoxSize': 'Box size not in the catalog',
+  'estimator.cost': 'Estimated cost',
+  'estimator.forBoxes': 'for whole boxes',
+  'estimator.forTiles': { one: 'for {count} tile', other: 'for {count} tiles' },
+  'estimator.noPrice': 'Price not in the catalog',
+  'estimator.hintArea': 'Enter the area and tile size to see the estimate.',
+  'estimator.hintRoomSize': 'Enter the room size and tile size to see the estimate.',
+
+  // Camera
+  'camera.title': 'Camera Capture',
+  'camera.close': 'Close camera',
+  'camera.initializing': 'Initializing camera...',
+  'camera.goBack': 'Go Back',
+  'camera.capturedAlt': 'Captured',
+  'camera.camera': 'Camera',
+  'camera.fallbackName': 'Camera {number}',
+  'camera.resolution': 'Resolution',
+  'camera.resolution.hd': 'HD ({size})',
+  'camera.resolution.fullHd': 'Full HD ({size})',
+  'camera.resolution.uhd': '4K ({size})',
+  'camera.resolution.max': 'Maximum',
+  'camera.resolution.maxSize': 'Maximum ({size})',
+  'camera.zoom': 'Zoom {zoom}×',
+  'camera.useRear': 'Use Rear Camera',
+  'camera.useFront': 'Use Front Camera',
+  'camera.torchOn': 'Torch On',
+  'camera.torchOff': 'Torch Off',
+  'camera.focusHint': 'Tap the preview to focus',
+  'camera.live': 'Live Scan',
+  'camera.stopLive': 'Stop Live Scan',
+  'camera.lock': 'Lock & View Results',
+  'camera.capture': 'Capture Photo',
+  'camera.retake': 'Retake',
+  'camera.usePhoto': 'Use Photo',
+  'camera.useAnyway': 'Use Anyway',
+  'camera.liveRetrying': 'Can\'t reach detection - retrying...',
+  'camera.liveScanning': 'Scanning...',
+  'camera.liveNoTile': 'No tile found - point the camera at a tile',
+  'camera.error.unsupported': 'Camera is not supported in this browser. Please use a modern browser or upload a file instead.',
+  'camera.error.denied': 'Camera permission was denied. Please allow camera access in your browser settings and try again.',
+  'camera.error.notFound': 'No camera found on this device. Please connect a camera or upload a file instead.',
+  'camera.error.inUse': 'Camera is in use by another application. Please close other apps using the camera and try again.',
+  'camera.error.unavailable': 'The selected camera is no longer available. Please go back and open the camera again.',
+  'camera.error.generic': 'Unable to access camera. Please try again or upload a file instead.',
+
+  // Image uploader
+  'uploader.dropOne': 'Drag & drop your tile image here',
+  'uploader.dropMany': 'Drag & drop your tile images here',
+  'uploader.browseOne': 'or click to browse',
+  'uploader.browseMany': 'or click to browse (select several to analyze a whole floor)',
+  'uploader.paste': 'You can also paste an image (Ctrl+V / ⌘V)',
+  'uploader.formats': 'Supports: {formats} (Max {size})',
+  'uploader.previewAlt': 'Uploaded tile',
+  'uploader.change': 'Click or drop to change image',
+  'uploader.downloading': 'Downloading image...',
+  'uploader.converting': 'Converting image...',
+  'uploader.importFromUrl': 'Import from URL',
+  'uploader.import': 'Import',
+  'uploader.importing': 'Importing...',
+  'uploader.noFile': 'No file selected',
+  'uploader.invalidType': 'Invalid file type. Please upload {formats} images only.',
+  'uploader.tooLarge': 'File too large. Maximum size is {size}.',
+  'uploader.fileError': '{name}: {error}',
+  'uploader.filesSkipped': '{count} files were skipped. Please upload {formats} images up to {size}.',
+  'uploader.nothingDropped': 'Nothing to upload was dropped. Drop an image file, or an image from another tab.',
+
+  // Image checks and imports
+  'quality.title': 'This photo may not give good matches:',
+  'quality.resolution': 'The image is small ({size}). Move closer to the tile or use a higher resolution.',
+  'quality.blur': 'The image looks blurry. Hold the camera steady and tap to focus on the tile.',
+  'quality.dark': 'The image is too dark. Turn on a light or move closer to a window.',
+  'quality.bright': 'The image is washed out. Move out of direct sunlight or turn off the flash.',
+  'quality.glare': 'There is glare on the tile. Tilt the camera slightly or turn off the flash to avoid reflections.',
+  'imageFormats.unsupported': 'Unsupported file type.',
+  'imageFormats.cantDecode': 'This browser can\'t decode {format} images. Please convert the image to JPG or PNG first.',
+  'imageFormats.heicFailed': 'This HEIC image couldn\'t be decoded. Please export it as JPG and try again.',
+  'import.invalidUrl': 'Please enter a full image address starting with http:// or https://.',
+  'import.downloadFailed': 'The image could not be downloaded',
+  'import.downloadFailedDetail': 'The image could not be downloaded ({detail}).',
+  'import.blocked': 'This site doesn\'t allow its images to be loaded here. Save the image and upload the file instead.',
+  'import.notAnImage': 'That address doesn\'t point to an image.',
+
+  // Upload page
+  'upload.title': 'Upload Tile Image',
+  'upload.description': 'Upload an image of the tile you want to identify and find matching tiles.',
+  'upload.edit': 'Crop, Rotate or Straighten',
+  'upload.or': 'or',
+  'upload.useCamera': 'Use Camera',
+  'upload.detect': 'Detect Tile',
+  'upload.checkingQuality': 'Checking image...',
+  'upload.detectBatch': { one: 'Detect Tiles in {count} Image', other: 'Detect Tiles in {count} Images' },
+  'upload.analyzing': 'Analyzing tile image...',
+  'upload.analyzingImages': 'Analyzing Images',
+  'upload.qualityConfirm': 'Detect tiles in this image anyway? Matches may be poor or missing.',
+  'upload.detectAnyway': 'Detect Anyway',
+  'upload.noImage': 'Please select an image before detecting tiles.',
+  'upload.detectError': 'An error occurred while processing the image. Please try again.',
+  'upload.batchFailed': 'Detection failed for every image. Please try again.',
+  'upload.batchLimit': { one: 'You can analyze up to {max} images at once. {count} image was not added.', other: 'You can analyze up to {max} images at once. {count} images were not added.' },
+
+  // Results page
+  'results.uploadedImage': 'Uploaded Image',
+  'results.originalAlt': 'Original uploaded tile',
+  'results.title': 'Detection Results',
+  'results.found': { one: 'Found {count} matching tile', other: 'Found {count} matching tiles' },
+  'results.pickHint': 'Pick the tiles to find similar tiles for, then press "Find Similar to Selected".',
+  'results.noDetection': 'No Tile Detected',
+  'results.noDetectionMessage': 'We couldn\'t identify any tiles in the uploaded image. This may happen if the image is unclear, the tile is not visible, or the tile type is not in our database.',
+  'results.tipsTitle': 'Tips for better results:',
+  'results.tip.visible': 'Ensure the tile is clearly visible in the image',
+  'results.tip.lighting': 'Use good lighting and avoid shadows',
+  'results.tip.angle': 'Capture the tile from a straight angle',
+  'results.tip.sharp': 'Make sure the image is not blurry',
+  'results.backToBatch': 'Back to All Images',
+  'results.findSimilarSeveral': 'Find Similar to Several Tiles',
+  'results.findSimilarSelected': 'Find Similar to Selected ({count})',
+  'results.report': 'Printable Report',
+  'results.uploadAnother': 'Upload Another Image',
+
+  // Batch results
+  'batch.title': 'Tiles Across All Images',
+  'batch.summary': 'Found {tiles} in {images}',
+  'batch.distinctTiles': { one: '{count} distinct tile', other: '{count} distinct tiles' },
+  'batch.imageCount': { one: '{count} image', other: '{count} images' },
+  'batch.seenIn': 'Seen in {images} · average {average}',
+  'batch.findSimilar': 'Find Similar Tiles',
+  'batch.noDetections': 'No Tiles Detected',
+  'batch.noDetectionsMessage': 'We couldn\'t identify any tiles in the uploaded images.',
+  'batch.failedTitle': 'Images That Could Not Be Analyzed',
+  'batch.uploadNew': 'Upload New Images',
+  'batch.itemFailed': 'Detection failed',
+
+  // History
+  'history.title': 'History',
+  'history.description': 'Past detections saved on this device',
+  'history.loading': 'Loading history...',
+  'history.unavailable': 'History is not available in this browser.',
+  'history.defaultName': 'Session {date}',
+  'history.searchPlaceholder': 'Search by name, tile or SKU',
+  'history.searchLabel': 'Search history',
+  'history.openSession': 'Open {name}',
+  'history.sessionName': 'Session name',
+  'history.tilesDetected': { one: '{count} tile detected', other: '{count} tiles detected' },
+  'history.noTilesDetected': 'No tiles detected',
+  'history.bestMatch': 'best match {name}',
+  'history.viewedFor': 'Similar tiles viewed for:',
+  'history.similarCount': { one: '{count} similar tile', other: '{count} similar tiles' },
+  'history.open': 'Open',
+  'history.confirmDelete': 'Delete "{name}" from history?',
+  'history.noMatches': 'No Matching Sessions',
+  'history.noMatchesHint': 'Try a different name, tile or SKU.',
+  'history.empty': 'No Saved Sessions Yet',
+  'history.emptyHint': 'Detection results are saved here automatically after each upload.',
+
+  // Recommendations page
+  'recommendations.title': 'Similar Tiles',
+  'recommendations.error': 'Unable to find similar tiles. Please try again.',
+  'recommendations.loadMoreError': 'Unable to load more tiles.',
+  'recommendations.loadingTile': 'Loading tile...',
+  'recommendations.loading': 'Finding similar tiles...',
+  'recommendations.notFound': 'Tile Not Found',
+  'recommendations.notFoundMany': 'We couldn\'t find these tiles in the catalog. Upload an image to find similar tiles.',
+  'recommendations.notFoundOne': 'We couldn\'t find tile #{id} in the catalog. Upload an image to find similar tiles.',
+  'recommendations.backToResults': 'Back to Results',
+  'recommendations.uploadImage': 'Upload an Image',
+  'recommendations.referenceTiles': 'Reference Tiles',
+  'recommendations.referenceTile': 'Reference Tile',
+  'recommendations.findingForMany': { one: 'Finding tiles similar to your selected tile', other: 'Finding tiles similar to any of your {count} selected tiles' },
+  'recommendations.findingForDetection': 'Finding tiles similar to your selected detection',
+  'recommendations.findingFor': 'Finding tiles similar to {name}',
+  'recommendations.referenceAlt': 'Reference tile',
+  'recommendations.referenceAltId': 'Reference tile #{id}',
+  'recommendations.confidence': 'Detection Confidence: {value}',
+  'recommendations.tryAgain': 'Try Again',
+  'recommendations.showingMore': { one: 'Showing {count} similar tile · more available', other: 'Showing {count} similar tiles · more available' },
+  'recommendations.showingOf': { one: 'Showing {shown} of {count} similar tile', other: 'Showing {shown} of {count} similar tiles' },
+  'recommendations.found': { one: 'Found {count} similar tile', other: 'Found {count} similar tiles' },
+  'recommendations.updating': ' · Updating...',
+  'recommendations.localSource': 'Ranked on this device by colour, pattern and texture similarity.',
+  'recommendations.loadMore': 'Load More',
+  'recommendations.noFilterMatches': 'No Tiles Match These Filters',
+  'recommendations.noFilterMatchesHint': 'Try removing some filters or widening the price range.',
+  'recommendations.clearFilters': 'Clear Filters',
+  'recommendations.empty': 'No Similar Tiles Found',
+  'recommendations.emptyHint': 'We couldn\'t find tiles similar to your reference in our database. This tile might have a unique pattern or style.',
+  'recommendations.visualizerTitle': 'See It in Your Room',
+  'recommendations.visualizerDescription': 'Mark the floor or wall area and preview any of these tiles in it',
+  'recommendations.openVisualizer': 'Open Visualizer',
+  'recommendations.closeVisualizer': 'Close Visualizer',
+  'recommendations.uploadNew': 'Upload New Image',
+
+  // Report
+  'report.title': 'Printable Report',
+  'report.description': 'Choose what goes into the report, then print it or download it as a PDF',
+  'report.loading': 'Preparing report...',
+  'report.pdfError': 'The PDF could not be generated. Please try printing the report instead.',
+  'report.pdfUnavailable': 'PDF download isn\'t available in this language yet. Use Print instead; the print dialog can also save the report as a PDF.',
+  'report.preparedFor': 'Prepared for',
+  'report.preparedForPlaceholder': 'Customer name or reference (optional)',
+  'report.preparedForValue': 'Prepared for: {name}',
+  'report.similarTo': 'Similar to {name}',
+  'report.pickerEmpty': 'Use "Find Similar" on a detected tile to add recommendations to the report.',
+  'report.backToResults': 'Back to Results',
+  'report.print': 'Print',
+  'report.downloadPdf': 'Download PDF',
+  'report.generatingPdf': 'Generating PDF...',
+  'report.defaultTitle': 'Tile Report',
+  'report.photoAlt': 'Original photo',
+  'report.detectedTiles': 'Detected Tiles',
+  'report.recommendedTiles': 'Recommended Tiles',
+  'report.noDetections': 'No tiles were detected in this photo.',
+  'report.confidence': 'Confidence {value}',
+  'report.similarity': 'Similarity {value}',
+  'report.similarityTo': 'Similarity {value} to {name}',
+  'report.summary': 'Summary',
+  'report.sku': 'SKU {sku}',
+  'report.type.detected': 'Detected',
+  'report.type.recommended': 'Recommended',
+  'report.column.type': 'Type',
+  'report.column.tile': 'Tile',
+  'report.column.sku': 'SKU',
+  'report.column.size': 'Size',
+  'report.column.material': 'Material',
+  'report.column.finish': 'Finish',
+  'report.column.price': 'Price',
+  'report.column.score': 'Match',
+
+  // Shortlist page
+  'shortlist.title': 'Shortlist',
+  'shortlist.description': 'Tiles you saved, grouped in moodboards on this device',
+  'shortlist.defaultBoard': 'My Shortlist',
+  'shortlist.board': 'Moodboard',
+  'shortlist.boardName': 'Board name',
+  'shortlist.boardOption': '{name} ({count})',
+  'shortlist.newBoard': 'New Board',
+  'shortlist.export': 'Export',
+  'shortlist.import': 'Import',
+  'shortlist.confirmDelete': 'Delete "{name}"?',
+  'shortlist.confirmDeleteWithTiles': { one: 'Delete "{name}" and its {count} tile?', other: 'Delete "{name}" and its {count} tiles?' },
+  'shortlist.imported': 'Imported {tiles} into {boards}.',
+  'shortlist.tileCount': { one: '{count} tile', other: '{count} tiles' },
+  'shortlist.boardCount': { one: '{count} board', other: '{count} boards' },
+  'shortlist.importInvalid': 'This file is not a tile shortlist export.',
+  'shortlist.importNewer': 'This shortlist was exported by a newer version of the app.',
+  'shortlist.notePlaceholder': 'Add a note (room, quantity, questions for the store...)',
+  'shortlist.noteFor': 'Note for {name}',
+  'shortlist.moveUp': 'Move up',
+  'shortlist.moveDown': 'Move down',
+  'shortlist.moveToBoard': 'Move to board',
+  'shortlist.moveTo': 'Move to...',
+  'shortlist.findSimilar': 'Find Similar',
+  'shortlist.empty': 'No Saved Tiles Yet',
+  'shortlist.emptyHint': 'Use "Save" on any detected or recommended tile to add it to this board.',
+}
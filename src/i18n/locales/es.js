@@ -0,0 +1,483 @@
+/**
+ * Spanish messages
+ */
+
+export default {
+  // Common
+  'common.loading': 'Cargando...',
+  'common.clear': 'Borrar',
+  'common.remove': 'Quitar',
+  'common.cancel': 'Cancelar',
+  'common.rename': 'Renombrar',
+  'common.delete': 'Eliminar',
+
+  // App
+  'app.title': 'Detección y recomendación de baldosas',
+  'app.nav.upload': 'Subir',
+  'app.nav.history': 'Historial',
+  'app.nav.shortlist': 'Favoritos',
+  'app.language': 'Idioma',
+  'app.loadingResults': 'Cargando resultados...',
+  'app.footer': 'Sistema de detección de baldosas',
+
+  // Formats and units
+  'format.measurement': '{value} {unit}',
+  'format.pricePerUnit': '{price} / {unit}',
+  'units.mm': 'mm',
+  'units.in': 'in',
+  'units.m': 'm',
+  'units.ft': 'ft',
+  'units.m2': 'm²',
+  'units.ft2': 'ft²',
+
+  // Catalog keywords
+  'catalog.ceramic': 'Cerámica',
+  'catalog.marble': 'Mármol',
+  'catalog.porcelain': 'Porcelánico',
+  'catalog.slate': 'Pizarra',
+  'catalog.honed': 'Apomazado',
+  'catalog.matte': 'Mate',
+  'catalog.natural': 'Natural',
+  'catalog.polished': 'Pulido',
+  'catalog.satin': 'Satinado',
+  'catalog.textured': 'Texturizado',
+  'catalog.beige': 'Beige',
+  'catalog.brown': 'Marrón',
+  'catalog.grey': 'Gris',
+  'catalog.white': 'Blanco',
+
+  // Tile details
+  'tile.fallbackName': 'Baldosa n.º {id}',
+  'tile.skuValue': 'SKU {sku}',
+  'tile.sku': 'SKU',
+  'tile.size': 'Tamaño',
+  'tile.material': 'Material',
+  'tile.finish': 'Acabado',
+  'tile.colour': 'Color',
+  'tile.price': 'Precio',
+
+  // Shortlist toggle
+  'shortlist.save': 'Guardar',
+  'shortlist.saved': 'Guardada',
+  'shortlist.saveToBoard': 'Guardar en «{board}»',
+  'shortlist.removeFromBoard': 'Quitar de «{board}»',
+
+  // Comparison
+  'compare.toggle': 'Comparar',
+  'compare.limit': 'Puedes comparar hasta {count} baldosas',
+  'compare.barLabel': 'Baldosas seleccionadas para comparar',
+  'compare.remove': 'Quitar {name} de la comparación',
+  'compare.selectedCount': '{count} de {max} seleccionadas',
+  'compare.selectMore': 'Selecciona al menos {count} baldosas para comparar',
+  'compare.open': 'Comparar',
+
+  // Upload queue
+  'uploadQueue.status.queued': 'En cola',
+  'uploadQueue.status.processing': 'Analizando...',
+  'uploadQueue.status.done': 'Listo',
+  'uploadQueue.status.error': 'Error',
+  'uploadQueue.matches': { one: '{count} coincidencia', other: '{count} coincidencias' },
+  'uploadQueue.noTiles': 'No se encontraron baldosas',
+  'uploadQueue.selected': { one: '{count} imagen seleccionada', other: '{count} imágenes seleccionadas' },
+  'uploadQueue.progress': '{count} de {total} analizadas',
+  'uploadQueue.remove': 'Quitar {name}',
+
+  // Recommendation feedback
+  'feedback.sent': '¡Gracias por tu opinión!',
+  'feedback.queued': '¡Gracias! Tu opinión se enviará cuando vuelvas a tener conexión.',
+  'feedback.question': '¿Buena coincidencia?',
+  'feedback.goodMatch': 'Buena coincidencia',
+  'feedback.notSimilar': 'No se parece',
+  'feedback.whatsDifferent': '¿Qué es diferente?',
+  'feedback.send': 'Enviar',
+  'feedback.sending': 'Enviando...',
+  'feedback.error': 'No se pudo enviar tu opinión. Inténtalo de nuevo.',
+  'feedback.reason.color': 'Otro color',
+  'feedback.reason.pattern': 'Otro diseño',
+  'feedback.reason.finish': 'Otro acabado o textura',
+  'feedback.reason.size': 'Otro tamaño o forma',
+  'feedback.reason.material': 'Otro material',
+  'feedback.reason.style': 'Otro estilo',
+
+  // Recommendation card
+  'recommendation.bestMatch': 'N.º 1 Mejor coincidencia',
+  'recommendation.imageAlt': 'Baldosa recomendada {rank}',
+  'recommendation.similarity': 'Similitud',
+  'recommendation.similarTo': 'Similar a',
+
+  // Tile card
+  'tileCard.imageAlt': 'Baldosa detectada {rank}',
+  'tileCard.confidence': 'Confianza',
+  'tileCard.useAsReference': 'Usar como referencia',
+  'tileCard.findSimilar': 'Buscar similares',
+  'tileCard.reportWrong': '¿Baldosa incorrecta?',
+  'tileCard.reportSent': 'Notificado. ¡Gracias!',
+  'tileCard.reportQueued': 'Notificado. Se enviará cuando vuelvas a tener conexión.',
+  'tileCard.reportError': 'Error al notificar. Inténtalo de nuevo',
+  'tileCard.reportErrorHint': 'No se pudo enviar la notificación. Inténtalo de nuevo.',
+
+  // Recommendation filters
+  'filters.sortBy': 'Ordenar por',
+  'filters.sort.similarity': 'Mejor coincidencia',
+  'filters.sort.priceAsc': 'Precio: de menor a mayor',
+  'filters.sort.priceDesc': 'Precio: de mayor a menor',
+  'filters.sort.sizeAsc': 'Tamaño: de menor a mayor',
+  'filters.sort.sizeDesc': 'Tamaño: de mayor a menor',
+  'filters.clear': 'Quitar filtros',
+  'filters.size': 'Tamaño ({unit})',
+  'filters.pricePerUnit': 'Precio por {unit}',
+  'filters.min': 'Mín.',
+  'filters.max': 'Máx.',
+  'filters.minValue': 'Mín. {value}',
+  'filters.maxValue': 'Máx. {value}',
+  'filters.minPriceLabel': 'Precio mínimo por metro cuadrado',
+  'filters.maxPriceLabel': 'Precio máximo por metro cuadrado',
+  'filters.inStockOnly': 'Solo con existencias',
+
+  // Comparison view
+  'comparison.title': 'Comparar baldosas',
+  'comparison.measuredAgainst': 'La similitud se mide respecto a {name}',
+  'comparison.close': 'Cerrar comparación',
+  'comparison.zoom': 'Zoom',
+  'comparison.differencesOnly': 'Mostrar solo las diferencias',
+  'comparison.noDifferences': 'Estas baldosas tienen los mismos detalles.',
+  'comparison.similarity': 'Similitud con la referencia',
+  'comparison.confidence': 'Confianza de la detección',
+  'comparison.thickness': 'Grosor',
+  'comparison.availability': 'Disponibilidad',
+  'comparison.inStock': 'En existencias',
+  'comparison.outOfStock': 'Agotada',
+  'comparison.description': 'Descripción',
+
+  // Corner handles (image editor and room visualizer)
+  'corner.topLeft': 'Superior izquierda',
+  'corner.topRight': 'Superior derecha',
+  'corner.bottomRight': 'Inferior derecha',
+  'corner.bottomLeft': 'Inferior izquierda',
+  'corner.handleLabel': 'Esquina {corner} (muévela con las flechas del teclado)',
+
+  // Image editor
+  'editor.title': 'Editar imagen',
+  'editor.toolLabel': 'Herramienta de edición',
+  'editor.tool.crop': 'Recortar',
+  'editor.tool.rotate': 'Girar',
+  'editor.tool.perspective': 'Perspectiva',
+  'editor.apply.crop': 'Aplicar recorte',
+  'editor.apply.rotate': 'Aplicar giro',
+  'editor.apply.perspective': 'Aplicar perspectiva',
+  'editor.applying': 'Aplicando...',
+  'editor.loading': 'Cargando imagen...',
+  'editor.canvasLabel': 'Imagen en edición',
+  'editor.cropHint': 'Arrastra las esquinas para encuadrar la baldosa.',
+  'editor.perspectiveHint': 'Arrastra cada esquina sobre la esquina correspondiente de la baldosa para enderezarla.',
+  'editor.rotateLeft': 'Girar a la izquierda',
+  'editor.rotateRight': 'Girar a la derecha',
+  'editor.straighten': 'Enderezar: {angle}°',
+  'editor.undo': 'Deshacer',
+  'editor.reset': 'Restablecer',
+  'editor.useEdited': 'Usar imagen editada',
+  'editor.loadError': 'No se pudo cargar la imagen para editarla.',
+  'editor.perspectiveError': 'Las esquinas no delimitan un área válida. Colócalas sobre las esquinas de la baldosa.',
+  'editor.saveError': 'No se pudo guardar la imagen editada.',
+
+  // Room visualizer
+  'visualizer.empty': 'Elige una foto de la habitación para ver las baldosas en ella.',
+  'visualizer.choosePhoto': 'Elegir foto',
+  'visualizer.before': 'Habitación antes',
+  'visualizer.after': 'Habitación con la baldosa seleccionada',
+  'visualizer.beforeAfter': 'Antes / después',
+  'visualizer.tilesAcross': 'Baldosas a lo ancho: {count}',
+  'visualizer.rotation': 'Giro: {angle}°',
+  'visualizer.groutWidth': 'Ancho de junta: {width}',
+  'visualizer.groutColour': 'Color de la junta',
+  'visualizer.hideCorners': 'Ocultar esquinas',
+  'visualizer.editArea': 'Editar área',
+  'visualizer.anotherPhoto': 'Usar otra foto',
+  'visualizer.download': 'Descargar PNG',
+  'visualizer.photoLoadError': 'No se pudo cargar la foto de la habitación.',
+  'visualizer.tileLoadError': 'No se pudo cargar la imagen de la baldosa.',
+  'visualizer.areaError': 'El área marcada está doblada o es demasiado estrecha. Mueve las esquinas para delimitar el suelo o la pared.',
+  'visualizer.formatError': 'Elige una foto PNG, JPG, WebP, AVIF o HEIC.',
+  'visualizer.exportError': 'No se pudo exportar la vista previa.',
+  'visualizer.taintedError': 'Esta imagen de baldosa no se puede exportar desde el navegador.',
+
+  // Tile estimator
+  'estimator.sectionTitle': 'Calcular cantidad y coste',
+  'estimator.sectionDescription': 'Calcula cuántas baldosas y cajas necesita tu habitación y cuánto cuestan',
+  'estimator.open': 'Abrir calculadora',
+  'estimator.close': 'Cerrar calculadora',
+  'estimator.units': 'Unidades',
+  'estimator.units.metric': 'Métricas',
+  'estimator.units.imperial': 'Imperiales',
+  'estimator.measureBy': 'Medir por',
+  'estimator.roomSize': 'Tamaño de la habitación',
+  'estimator.area': 'Superficie',
+  'estimator.roomLength': 'Largo de la habitación ({unit})',
+  'estimator.roomWidth': 'Ancho de la habitación ({unit})',
+  'estimator.areaInput': 'Superficie ({unit})',
+  'estimator.tileWidth': 'Ancho de la baldosa ({unit})',
+  'estimator.tileLength': 'Largo de la baldosa ({unit})',
+  'estimator.pattern': 'Patrón de colocación',
+  'estimator.pattern.straight': 'Recto',
+  'estimator.pattern.brick': 'Trabado',
+  'estimator.pattern.diagonal': 'Diagonal',
+  'estimator.pattern.herringbone': 'Espiga',
+  'estimator.waste': 'Margen de desperdicio (%)',
+  'estimator.tilesNeeded': 'Baldosas necesarias',
+  'estimator.includesWaste': 'incl. {percent} de desperdicio',
+  'estimator.boxes': 'Cajas',
+  'estimator.boxNote': { one: '{count} baldosa por caja · cubre {area}', other: '{count} baldosas por caja · cubre {area}' },
+  'estimator.noBoxSize': 'El catálogo no indica el tamaño de caja',
+  'estimator.cost': 'Coste estimado',
+  'estimator.forBoxes': 'por cajas completas',
+  'estimator.forTiles': { one: 'por {count} baldosa', other: 'por {count} baldosas' },
+  'estimator.noPrice': 'El catálogo no indica el precio',
+  'estimator.hintArea': 'Introduce la superficie y el tamaño de la baldosa para ver la estimación.',
+  'estimator.hintRoomSize': 'Introduce el tamaño de la habitación y de la baldosa para ver la estimación.',
+
+  // Camera
+  'camera.title': 'Captura con cámara',
+  'camera.close': 'Cerrar cámara',
+  'camera.initializing': 'Iniciando cámara...',
+  'camera.goBack': 'Volver',
+  'camera.capturedAlt': 'Captura',
+  'camera.camera': 'Cámara',
+  'camera.fallbackName': 'Cámara {number}',
+  'camera.resolution': 'Resolución',
+  'camera.resolution.hd': 'HD ({size})',
+  'camera.resolution.fullHd': 'Full HD ({size})',
+  'camera.resolution.uhd': '4K ({size})',
+  'camera.resolution.max': 'Máxima',
+  'camera.resolution.maxSize': 'Máxima ({size})',
+  'camera.zoom': 'Zoom {zoom}×',
+  'camera.useRear': 'Usar cámara trasera',
+  'camera.useFront': 'Usar cámara frontal',
+  'camera.torchOn': 'Encender linterna',
+  'camera.torchOff': 'Apagar linterna',
+  'camera.focusHint': 'Toca la vista previa para enfocar',
+  'camera.live': 'Escaneo en directo',
+  'camera.stopLive': 'Detener escaneo',
+  'camera.lock': 'Fijar y ver resultados',
+  'camera.capture': 'Hacer foto',
+  'camera.retake': 'Repetir',
+  'camera.usePhoto': 'Usar foto',
+  'camera.useAnyway': 'Usar de todos modos',
+  'camera.liveRetrying': 'No se puede conectar con la detección. Reintentando...',
+  'camera.liveScanning': 'Escaneando...',
+  'camera.liveNoTile': 'No se encontró ninguna baldosa. Apunta la cámara a una baldosa',
+  'camera.error.unsupported': 'Este navegador no admite la cámara. Usa un navegador moderno o sube un archivo.',
+  'camera.error.denied': 'Se denegó el permiso de la cámara. Permite el acceso a la cámara en los ajustes del navegador e inténtalo de nuevo.',
+  'camera.error.notFound': 'No se encontró ninguna cámara en este dispositivo. Conecta una cámara o sube un archivo.',
+  'camera.error.inUse': 'Otra aplicación está usando la cámara. Cierra las demás aplicaciones que la usen e inténtalo de nuevo.',
+  'camera.error.unavailable': 'La cámara seleccionada ya no está disponible. Vuelve atrás y abre la cámara de nuevo.',
+  'camera.error.generic': 'No se pudo acceder a la cámara. Inténtalo de nuevo o sube un archivo.',
+
+  // Image uploader
+  'uploader.dropOne': 'Arrastra y suelta aquí la imagen de tu baldosa',
+  'uploader.dropMany': 'Arrastra y suelta aquí las imágenes de tus baldosas',
+  'uploader.browseOne': 'o haz clic para buscarla',
+  'uploader.browseMany': 'o haz clic para buscarlas (elige varias para analizar un suelo entero)',
+  'uploader.paste': 'También puedes pegar una imagen (Ctrl+V / ⌘V)',
+  'uploader.formats': 'Formatos: {formats} (máx. {size})',
+  'uploader.previewAlt': 'Baldosa subida',
+  'uploader.change': 'Haz clic o suelta otra imagen para cambiarla',
+  'uploader.downloading': 'Descargando imagen...',
+  'uploader.converting': 'Convirtiendo imagen...',
+  'uploader.importFromUrl': 'Importar desde URL',
+  'uploader.import': 'Importar',
+  'uploader.importing': 'Importando...',
+  'uploader.noFile': 'No se ha seleccionado ningún archivo',
+  'uploader.invalidType': 'Tipo de archivo no válido. Sube solo imágenes {formats}.',
+  'uploader.tooLarge': 'Archivo demasiado grande. El tamaño máximo es {size}.',
+  'uploader.fileError': '{name}: {error}',
+  'uploader.filesSkipped': 'Se omitieron {count} archivos. Sube imágenes {formats} de hasta {size}.',
+  'uploader.nothingDropped': 'No se soltó nada que subir. Suelta un archivo de imagen o una imagen de otra pestaña.',
+
+  // Image checks and imports
+  'quality.title': 'Es posible que esta foto no dé buenas coincidencias:',
+  'quality.resolution': 'La imagen es pequeña ({size}). Acércate a la baldosa o usa una resolución mayor.',
+  'quality.blur': 'La imagen parece borrosa. Sujeta la cámara con firmeza y toca para enfocar la baldosa.',
+  'quality.dark': 'La imagen está demasiado oscura. Enciende una luz o acércate a una ventana.',
+  'quality.bright': 'La imagen está sobreexpuesta. Apártate de la luz solar directa o apaga el flash.',
+  'quality.glare': 'Hay reflejos en la baldosa. Inclina un poco la cámara o apaga el flash para evitarlos.',
+  'imageFormats.unsupported': 'Tipo de archivo no admitido.',
+  'imageFormats.cantDecode': 'Este navegador no puede abrir imágenes {format}. Convierte primero la imagen a JPG o PNG.',
+  'imageFormats.heicFailed': 'No se pudo abrir esta imagen HEIC. Expórtala como JPG e inténtalo de nuevo.',
+  'import.invalidUrl': 'Introduce la dirección completa de una imagen que empiece por http:// o https://.',
+  'import.downloadFailed': 'No se pudo descargar la imagen',
+  'import.downloadFailedDetail': 'No se pudo descargar la imagen ({detail}).',
+  'import.blocked': 'Este sitio no permite cargar sus imágenes aquí. Guarda la imagen y sube el archivo.',
+  'import.notAnImage': 'Esa dirección no lleva a una imagen.',
+
+  // Upload page
+  'upload.title': 'Subir imagen de baldosa',
+  'upload.description': 'Sube una imagen de la baldosa que quieres identificar y encuentra baldosas que coincidan.',
+  'upload.edit': 'Recortar, girar o enderezar',
+  'upload.or': 'o',
+  'upload.useCamera': 'Usar cámara',
+  'upload.detect': 'Detectar baldosa',
+  'upload.checkingQuality': 'Comprobando imagen...',
+  'upload.detectBatch': { one: 'Detectar baldosas en {count} imagen', other: 'Detectar baldosas en {count} imágenes' },
+  'upload.analyzing': 'Analizando la imagen de la baldosa...',
+  'upload.analyzingImages': 'Analizando imágenes',
+  'upload.qualityConfirm': '¿Detectar baldosas en esta imagen de todos modos? Puede que las coincidencias sean malas o no haya ninguna.',
+  'upload.detectAnyway': 'Detectar de todos modos',
+  'upload.noImage': 'Selecciona una imagen antes de detectar baldosas.',
+  'upload.detectError': 'Se produjo un error al procesar la imagen. Inténtalo de nuevo.',
+  'upload.batchFailed': 'La detección falló en todas las imágenes. Inténtalo de nuevo.',
+  'upload.batchLimit': { one: 'Puedes analizar hasta {max} imágenes a la vez. No se añadió {count} imagen.', other: 'Puedes analizar hasta {max} imágenes a la vez. No se añadieron {count} imágenes.' },
+
+  // Results page
+  'results.uploadedImage': 'Imagen subida',
+  'results.originalAlt': 'Baldosa original subida',
+  'results.title': 'Resultados de la detección',
+  'results.found': { one: 'Se encontró {count} baldosa coincidente', other: 'Se encontraron {count} baldosas coincidentes' },
+  'results.pickHint': 'Elige las baldosas para las que quieres buscar similares y pulsa «Buscar similares a las seleccionadas».',
+  'results.noDetection': 'No se detectó ninguna baldosa',
+  'results.noDetectionMessage': 'No pudimos identificar ninguna baldosa en la imagen subida. Puede ocurrir si la imagen no es nítida, la baldosa no se ve o el tipo de baldosa no está en nuestra base de datos.',
+  'results.tipsTitle': 'Consejos para obtener mejores resultados:',
+  'results.tip.visible': 'Asegúrate de que la baldosa se ve con claridad en la imagen',
+  'results.tip.lighting': 'Usa buena iluminación y evita las sombras',
+  'results.tip.angle': 'Fotografía la baldosa de frente',
+  'results.tip.sharp': 'Asegúrate de que la imagen no está borrosa',
+  'results.backToBatch': 'Volver a todas las imágenes',
+  'results.findSimilarSeveral': 'Buscar similares a varias baldosas',
+  'results.findSimilarSelected': 'Buscar similares a las seleccionadas ({count})',
+  'results.report': 'Informe imprimible',
+  'results.uploadAnother': 'Subir otra imagen',
+
+  // Batch results
+  'batch.title': 'Baldosas de todas las imágenes',
+  'batch.summary': 'Se encontraron {tiles} en {images}',
+  'batch.distinctTiles': { one: '{count} baldosa distinta', other: '{count} baldosas distintas' },
+  'batch.imageCount': { one: '{count} imagen', other: '{count} imágenes' },
+  'batch.seenIn': 'Vista en {images} · media {average}',
+  'batch.findSimilar': 'Buscar baldosas similares',
+  'batch.noDetections': 'No se detectaron baldosas',
+  'batch.noDetectionsMessage': 'No pudimos identificar ninguna baldosa en las imágenes subidas.',
+  'batch.failedTitle': 'Imágenes que no se pudieron analizar',
+  'batch.uploadNew': 'Subir nuevas imágenes',
+  'batch.itemFailed': 'La detección falló',
+
+  // History
+  'history.title': 'Historial',
+  'history.description': 'Detecciones anteriores guardadas en este dispositivo',
+  'history.loading': 'Cargando historial...',
+  'history.unavailable': 'El historial no está disponible en este navegador.',
+  'history.defaultName': 'Sesión {date}',
+  'history.searchPlaceholder': 'Buscar por nombre, baldosa o SKU',
+  'history.searchLabel': 'Buscar en el historial',
+  'history.openSession': 'Abrir {name}',
+  'history.sessionName': 'Nombre de la sesión',
+  'history.tilesDetected': { one: '{count} baldosa detectada', other: '{count} baldosas detectadas' },
+  'history.noTilesDetected': 'No se detectaron baldosas',
+  'history.bestMatch': 'mejor coincidencia {name}',
+  'history.viewedFor': 'Baldosas similares vistas para:',
+  'history.similarCount': { one: '{count} baldosa similar', other: '{count} baldosas similares' },
+  'history.open': 'Abrir',
+  'history.confirmDelete': '¿Eliminar «{name}» del historial?',
+  'history.noMatches': 'Ninguna sesión coincide',
+  'history.noMatchesHint': 'Prueba con otro nombre, baldosa o SKU.',
+  'history.empty': 'Aún no hay sesiones guardadas',
+  'history.emptyHint': 'Los resultados de la detección se guardan aquí automáticamente después de cada subida.',
+
+  // Recommendations page
+  'recommendations.title': 'Baldosas similares',
+  'recommendations.error': 'No se pudieron encontrar baldosas similares. Inténtalo de nuevo.',
+  'recommendations.loadMoreError': 'No se pudieron cargar más baldosas.',
+  'recommendations.loadingTile': 'Cargando baldosa...',
+  'recommendations.loading': 'Buscando baldosas similares...',
+  'recommendations.notFound': 'Baldosa no encontrada',
+  'recommendations.notFoundMany': 'No encontramos estas baldosas en el catálogo. Sube una imagen para buscar baldosas similares.',
+  'recommendations.notFoundOne': 'No encontramos la baldosa n.º {id} en el catálogo. Sube una imagen para buscar baldosas similares.',
+  'recommendations.backToResults': 'Volver a los resultados',
+  'recommendations.uploadImage': 'Subir una imagen',
+  'recommendations.referenceTiles': 'Baldosas de referencia',
+  'recommendations.referenceTile': 'Baldosa de referencia',
+  'recommendations.findingForMany': { one: 'Buscando baldosas similares a la baldosa seleccionada', other: 'Buscando baldosas similares a cualquiera de tus {count} baldosas seleccionadas' },
+  'recommendations.findingForDetection': 'Buscando baldosas similares a la detección seleccionada',
+  'recommendations.findingFor': 'Buscando baldosas similares a {name}',
+  'recommendations.referenceAlt': 'Baldosa de referencia',
+  'recommendations.referenceAltId': 'Baldosa de referencia n.º {id}',
+  'recommendations.confidence': 'Confianza de la detección: {value}',
+  'recommendations.tryAgain': 'Reintentar',
+  'recommendations.showingMore': { one: 'Mostrando {count} baldosa similar · hay más', other: 'Mostrando {count} baldosas similares · hay más' },
+  'recommendations.showingOf': { one: 'Mostrando {shown} de {count} baldosa similar', other: 'Mostrando {shown} de {count} baldosas similares' },
+  'recommendations.found': { one: 'Se encontró {count} baldosa similar', other: 'Se encontraron {count} baldosas similares' },
+  'recommendations.updating': ' · Actualizando...',
+  'recommendations.localSource': 'Ordenadas en este dispositivo por similitud de color, diseño y textura.',
+  'recommendations.loadMore': 'Cargar más',
+  'recommendations.noFilterMatches': 'Ninguna baldosa coincide con estos filtros',
+  'recommendations.noFilterMatchesHint': 'Prueba a quitar algunos filtros o a ampliar el rango de precios.',
+  'recommendations.clearFilters': 'Quitar filtros',
+  'recommendations.empty': 'No se encontraron baldosas similares',
+  'recommendations.emptyHint': 'No encontramos baldosas similares a tu referencia en nuestra base de datos. Puede que esta baldosa tenga un diseño o un estilo único.',
+  'recommendations.visualizerTitle': 'Mírala en tu habitación',
+  'recommendations.visualizerDescription': 'Marca el área del suelo o la pared y previsualiza en ella cualquiera de estas baldosas',
+  'recommendations.openVisualizer': 'Abrir visualizador',
+  'recommendations.closeVisualizer': 'Cerrar visualizador',
+  'recommendations.uploadNew': 'Subir nueva imagen',
+
+  // Report
+  'report.title': 'Informe imprimible',
+  'report.description': 'Elige qué incluir en el informe y luego imprímelo o descárgalo como PDF',
+  'report.loading': 'Preparando informe...',
+  'report.pdfError': 'No se pudo generar el PDF. Prueba a imprimir el informe.',
+  'report.pdfUnavailable': 'La descarga en PDF aún no está disponible en este idioma. Usa Imprimir; el cuadro de impresión también puede guardar el informe como PDF.',
+  'report.preparedFor': 'Preparado para',
+  'report.preparedForPlaceholder': 'Nombre o referencia del cliente (opcional)',
+  'report.preparedForValue': 'Preparado para: {name}',
+  'report.similarTo': 'Similares a {name}',
+  'report.pickerEmpty': 'Usa «Buscar similares» en una baldosa detectada para añadir recomendaciones al informe.',
+  'report.backToResults': 'Volver a los resultados',
+  'report.print': 'Imprimir',
+  'report.downloadPdf': 'Descargar PDF',
+  'report.generatingPdf': 'Generando PDF...',
+  'report.defaultTitle': 'Informe de baldosas',
+  'report.photoAlt': 'Foto original',
+  'report.detectedTiles': 'Baldosas detectadas',
+  'report.recommendedTiles': 'Baldosas recomendadas',
+  'report.noDetections': 'No se detectaron baldosas en esta foto.',
+  'report.confidence': 'Confianza {value}',
+  'report.similarity': 'Similitud {value}',
+  'report.similarityTo': 'Similitud {value} con {name}',
+  'report.summary': 'Resumen',
+  'report.sku': 'SKU {sku}',
+  'report.type.detected': 'Detectada',
+  'report.type.recommended': 'Recomendada',
+  'report.column.type': 'Tipo',
+  'report.column.tile': 'Baldosa',
+  'report.column.sku': 'SKU',
+  'report.column.size': 'Tamaño',
+  'report.column.material': 'Material',
+  'report.column.finish': 'Acabado',
+  'report.column.price': 'Precio',
+  'report.column.score': 'Coincid.',
+
+  // Shortlist page
+  'shortlist.title': 'Favoritos',
+  'shortlist.description': 'Baldosas que has guardado, agrupadas en tableros en este dispositivo',
+  'shortlist.defaultBoard': 'Mis favoritos',
+  'shortlist.board': 'Tablero',
+  'shortlist.boardName': 'Nombre del tablero',
+  'shortlist.boardOption': '{name} ({count})',
+  'shortlist.newBoard': 'Nuevo tablero',
+  'shortlist.export': 'Exportar',
+  'shortlist.import': 'Importar',
+  'shortlist.confirmDelete': '¿Eliminar «{name}»?',
+  'shortlist.confirmDeleteWithTiles': { one: '¿Eliminar «{name}» y su {count} baldosa?', other: '¿Eliminar «{name}» y sus {count} baldosas?' },
+  'shortlist.imported': 'Se importaron {tiles} en {boards}.',
+  'shortlist.tileCount': { one: '{count} baldosa', other: '{count} baldosas' },
+  'shortlist.boardCount': { one: '{count} tablero', other: '{count} tableros' },
+  'shortlist.importInvalid': 'Este archivo no es una exportación de favoritos.',
+  'shortlist.importNewer': 'Estos favoritos se exportaron con una versión más reciente de la aplicación.',
+  'shortlist.notePlaceholder': 'Añade una nota (habitación, cantidad, preguntas para la tienda...)',
+  'shortlist.noteFor': 'Nota para {name}',
+  'shortlist.moveUp': 'Subir',
+  'shortlist.moveDown': 'Bajar',
+  'shortlist.moveToBoard': 'Mover a otro tablero',
+  'shortlist.moveTo': 'Mover a...',
+  'shortlist.findSimilar': 'Buscar similares',
+  'shortlist.empty': 'Aún no hay baldosas guardadas',
+  'shortlist.emptyHint': 'Usa «Guardar» en cualquier baldosa detectada o recomendada para añadirla a este tablero.',
+}
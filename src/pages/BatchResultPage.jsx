@@ -0,0 +1,124 @@
+import { t } from '../i18n'
+import TileCard from '../components/TileCard'
+import { groupDetectionsByTile } from '../services/batchDetectService'
+import { useShortlist } from '../services/shortlistService'
+import { formatPercent } from '../utils/formatters'
+
+/**
+ * BatchResultPage Component
+ * 
+ * Displays the combined results of a multi-image upload.
+ * Detections of the same tile across several photos are grouped,
+ * showing in which images the tile was seen and how confidently.
+ * 
+ * Props:
+ * - batchItems: Queue items with their detection results
+ * - onViewImage: Callback receiving a queue item to open its single-image results
+ * - onFindSimilar: Callback receiving an array of reference tiles, to
+ *   navigate to their recommendations
+ * - onReset: Callback to start a new upload
+ */
+function BatchResultPage({ batchItems, onViewImage, onFindSimilar, onReset }) {
+  const shortlist = useShortlist()
+  const tileGroups = groupDetectionsByTile(batchItems)
+  const failedItems = batchItems.filter((item) => item.status === 'error')
+  const analyzedCount = batchItems.filter((item) => item.status === 'done').length
+
+  return (
+    <div className="page batch-result-page">
+      <div className="page-content">
+        {/* Combined Tiles Section */}
+        <section className="detection-results-section">
+          <h2>{t('batch.title')}</h2>
+          <p className="results-summary">
+            {t('batch.summary', {
+              tiles: t('batch.distinctTiles', { count: tileGroups.length }),
+              images: t('batch.imageCount', { count: analyzedCount }),
+            })}
+          </p>
+
+          {tileGroups.length > 0 ? (
+            <div className="batch-tile-groups">
+              {tileGroups.map((group, index) => (
+                <div key={group.id} className="batch-tile-group">
+                  <TileCard
+                    image={group.image}
+                    confidence={group.maxConfidence}
+                    rank={index + 1}
+                    details={group.tile}
+                    isShortlisted={shortlist.isShortlisted(group.tile)}
+                    shortlistBoardName={shortlist.activeBoard.name}
+                    onShortlistChange={(saved) => shortlist.toggleTile(group.tile, saved)}
+                  />
+
+                  <div className="batch-tile-group-info">
+                    <p className="batch-tile-group-count">
+                      {t('batch.seenIn', {
+                        images: t('batch.imageCount', { count: group.occurrences.length }),
+                        average: formatPercent(group.averageConfidence),
+                      })}
+                    </p>
+
+                    <div className="batch-tile-occurrences">
+                      {group.occurrences.map((occurrence) => (
+                        <button
+                          key={occurrence.itemId}
+                          className="batch-occurrence"
+                          onClick={() => onViewImage(batchItems.find((item) => item.id === occurrence.itemId))}
+                          title={`${occurrence.fileName} (${formatPercent(occurrence.confidence)})`}
+                        >
+                          <img src={occurrence.previewUrl} alt={occurrence.fileName} />
+                          <span>{formatPercent(occurrence.confidence, 0)}</span>
+                        </button>
+                      ))}
+                    </div>
+
+                    <button
+                      className="find-similar-button"
+                      onClick={() => onFindSimilar([{
+                        ...group.tile,
+                        confidence: group.maxConfidence,
+                      }])}
+                    >
+                      {t('batch.findSimilar')}
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="no-detections">
+              <h3>{t('batch.noDetections')}</h3>
+              <p className="no-detections-message">
+                {t('batch.noDetectionsMessage')}
+              </p>
+            </div>
+          )}
+        </section>
+
+        {/* Failed Images */}
+        {failedItems.length > 0 && (
+          <section className="detection-results-section">
+            <h2>{t('batch.failedTitle')}</h2>
+            <ul className="batch-failed-list">
+              {failedItems.map((item) => (
+                <li key={item.id}>
+                  <strong>{item.file.name}</strong>: {item.error}
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {/* Action Buttons */}
+        <div className="result-actions">
+          <button className="reset-button" onClick={onReset}>
+            {t('batch.uploadNew')}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default BatchResultPage
@@ -0,0 +1,253 @@
+import { useState, useEffect } from 'react'
+import { t } from '../i18n'
+import Loader from '../components/Loader'
+import {
+  listSessions,
+  renameSession,
+  deleteSession,
+  matchesSessionSearch,
+} from '../services/historyService'
+import { formatDateTime, formatTileName } from '../utils/formatters'
+
+/**
+ * HistoryPage Component
+ * 
+ * Lists past detection sessions saved on this device, newest first.
+ * Sessions can be searched, reopened, renamed and deleted, and the
+ * recommendations viewed for a session can be opened again.
+ * 
+ * Props:
+ * - onOpenSession: Callback receiving a session id to reopen its results
+ * - onOpenRecommendations: Callback receiving (sessionId, tile) to reopen
+ *   the recommendations viewed for a tile
+ */
+
+/**
+ * Shows a stored image blob, managing its object URL
+ */
+function SessionThumbnail({ blob, alt }) {
+  const [url, setUrl] = useState(null)
+
+  useEffect(() => {
+    if (!blob) {
+      return
+    }
+    const objectUrl = URL.createObjectURL(blob)
+    setUrl(objectUrl)
+    return () => URL.revokeObjectURL(objectUrl)
+  }, [blob])
+
+  return url ? <img src={url} alt={alt} className="history-thumbnail" /> : null
+}
+
+function HistoryPage({ onOpenSession, onOpenRecommendations }) {
+  const [sessions, setSessions] = useState(null)
+  const [error, setError] = useState(null)
+  const [query, setQuery] = useState('')
+
+  // Session being renamed, and the name being typed
+  const [editingId, setEditingId] = useState(null)
+  const [draftName, setDraftName] = useState('')
+
+  /**
+   * Loads the saved sessions
+   */
+  useEffect(() => {
+    let isActive = true
+
+    listSessions()
+      .then((stored) => {
+        if (isActive) {
+          setSessions(stored)
+        }
+      })
+      .catch((err) => {
+        console.error('Unable to load history:', err)
+        if (isActive) {
+          setError(t('history.unavailable'))
+        }
+      })
+
+    return () => {
+      isActive = false
+    }
+  }, [])
+
+  const startRename = (session) => {
+    setEditingId(session.id)
+    setDraftName(session.name)
+  }
+
+  /**
+   * Saves the typed name; an empty name keeps the old one
+   */
+  const commitRename = async () => {
+    const id = editingId
+    const name = draftName.trim()
+    setEditingId(null)
+
+    const session = sessions.find((candidate) => candidate.id === id)
+    if (!session || !name || name === session.name) {
+      return
+    }
+
+    try {
+      const updated = await renameSession(id, name)
+      if (updated) {
+        setSessions((current) => current.map((item) => (item.id === id ? updated : item)))
+      }
+    } catch (err) {
+      console.error('Unable to rename session:', err)
+    }
+  }
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      commitRename()
+    } else if (e.key === 'Escape') {
+      setEditingId(null)
+    }
+  }
+
+  const handleDelete = async (session) => {
+    if (!window.confirm(t('history.confirmDelete', { name: session.name }))) {
+      return
+    }
+
+    try {
+      await deleteSession(session.id)
+      setSessions((current) => current.filter((item) => item.id !== session.id))
+    } catch (err) {
+      console.error('Unable to delete session:', err)
+    }
+  }
+
+  if (!sessions && !error) {
+    return (
+      <div className="page history-page">
+        <div className="processing-container">
+          <Loader message={t('history.loading')} />
+        </div>
+      </div>
+    )
+  }
+
+  const visibleSessions = (sessions || []).filter((session) => matchesSessionSearch(session, query))
+
+  return (
+    <div className="page history-page">
+      <div className="page-content">
+        <section className="history-section">
+          <h2>{t('history.title')}</h2>
+          <p className="section-description">
+            {t('history.description')}
+          </p>
+
+          {error ? (
+            <div className="page-error">
+              <span className="error-icon">!</span>
+              {error}
+            </div>
+          ) : (
+            <>
+              <input
+                type="search"
+                className="history-search"
+                placeholder={t('history.searchPlaceholder')}
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                aria-label={t('history.searchLabel')}
+              />
+
+              {visibleSessions.length > 0 ? (
+                <ul className="history-list">
+                  {visibleSessions.map((session) => {
+                    const detections = session.results?.detections || []
+                    const topDetection = [...detections].sort((a, b) => b.confidence - a.confidence)[0]
+
+                    return (
+                      <li key={session.id} className="history-session">
+                        <button
+                          className="history-thumbnail-button"
+                          onClick={() => onOpenSession(session.id)}
+                          aria-label={t('history.openSession', { name: session.name })}
+                        >
+                          <SessionThumbnail blob={session.thumbnail} alt={session.name} />
+                        </button>
+
+                        <div className="history-session-info">
+                          {editingId === session.id ? (
+                            <input
+                              className="history-rename-input"
+                              value={draftName}
+                              onChange={(e) => setDraftName(e.target.value)}
+                              onBlur={commitRename}
+                              onKeyDown={handleRenameKeyDown}
+                              aria-label={t('history.sessionName')}
+                              autoFocus
+                            />
+                          ) : (
+                            <h3 className="history-session-name">{session.name}</h3>
+                          )}
+
+                          <p className="history-session-meta">
+                            {formatDateTime(session.createdAt)}
+                            {' · '}
+                            {detections.length > 0
+                              ? t('history.tilesDetected', { count: detections.length })
+                              : t('history.noTilesDetected')}
+                            {topDetection?.name && ` · ${t('history.bestMatch', { name: topDetection.name })}`}
+                          </p>
+
+                          {session.viewedRecommendations.length > 0 && (
+                            <div className="history-viewed">
+                              <span>{t('history.viewedFor')}</span>
+                              {session.viewedRecommendations.map((entry) => (
+                                <button
+                                  key={entry.tile.id}
+                                  className="history-viewed-tile"
+                                  onClick={() => onOpenRecommendations(session.id, entry.tile)}
+                                  title={t('history.similarCount', { count: entry.recommendations.length })}
+                                >
+                                  <img src={entry.tile.image} alt="" />
+                                  {formatTileName(entry.tile)}
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+
+                        <div className="history-session-actions">
+                          <button className="history-action" onClick={() => onOpenSession(session.id)}>
+                            {t('history.open')}
+                          </button>
+                          <button className="history-action" onClick={() => startRename(session)}>
+                            {t('common.rename')}
+                          </button>
+                          <button className="history-action danger" onClick={() => handleDelete(session)}>
+                            {t('common.delete')}
+                          </button>
+                        </div>
+                      </li>
+                    )
+                  })}
+                </ul>
+              ) : (
+                <div className="history-empty">
+                  <h3>{query ? t('history.noMatches') : t('history.empty')}</h3>
+                  <p>
+                    {query
+                      ? t('history.noMatchesHint')
+                      : t('history.emptyHint')}
+                  </p>
+                </div>
+              )}
+            </>
+          )}
+        </section>
+      </div>
+    </div>
+  )
+}
+
+export default HistoryPage
@@ -1,46 +1,183 @@
 import { useState, useEffect, useRef } from 'react'
+import { t } from '../i18n'
 import RecommendationCard from '../components/RecommendationCard'
+import RecommendationFilters from '../components/RecommendationFilters'
+import CompareBar from '../components/CompareBar'
+import TileComparison from '../components/TileComparison'
+import RoomVisualizer from '../components/RoomVisualizer'
+import TileEstimator from '../components/TileEstimator'
 import Loader from '../components/Loader'
-import { getTileRecommendations } from '../services/recommendService'
+import TileDetails from '../components/TileDetails'
+import { getRecommendationsForTiles, mergeRecommendations } from '../services/recommendService'
+import { getCatalog, getCatalogTile } from '../services/catalogService'
+import { isAbortError } from '../services/httpClient'
+import { submitFeedback } from '../services/feedbackService'
+import { useShortlist } from '../services/shortlistService'
+import {
+  EMPTY_FILTERS,
+  DEFAULT_SORT,
+  getFacetOptions,
+  hasActiveFilters,
+} from '../utils/recommendationFilters'
+import { useCompareSelection } from '../utils/tileComparison'
+import { formatPercent, formatTileName } from '../utils/formatters'
 
 /**
  * RecommendationPage Component
  * 
  * Displays tile recommendations based on a reference tile.
- * Uses ResNet-based similarity matching (currently mocked).
+ * Uses ResNet-based similarity matching on the backend, or the
+ * offline similarity engine in mock mode / when offline.
+ * Recommendations can be selected and compared side by side.
+ * 
+ * Several reference tiles can be used at once; their recommendations
+ * are merged into one list, and each card shows which of the
+ * references it is similar to.
+ * 
+ * Results are loaded a page at a time: the next page loads when the
+ * end of the list scrolls into view, or with the "Load More" button.
+ * Pages are added to the tiles already shown.
+ * 
+ * Each recommendation can be rated; ratings are sent as feedback
+ * for retraining the similarity model (see feedbackService.js).
+ * 
+ * The quantity estimator works out tiles, boxes and cost for a job
+ * with the reference tile or any recommendation.
+ * 
+ * When opened from a link (no referenceTiles), the tiles are looked
+ * up in the catalog by tileIds.
  * 
  * Props:
- * - referenceTile: The detected tile to find similar matches for
- *   - { id: number, image: string, confidence: number }
- * - onBack: Callback to return to results page
+ * - referenceTiles: The detected tiles to find similar matches for
+ *   - [{ id: number, image: string, confidence: number }]
+ * - tileIds: Ids of the reference tiles, from the URL
+ * - roomImage: Optional photo the tiles were detected in, for the room visualizer
+ * - onBack: Optional callback to return to the page this was opened from
  * - onReset: Callback to start a new upload (reset entire flow)
+ * - onRecommendationsLoaded: Optional callback receiving (referenceTile, recommendations)
+ *   for each reference after each successful request, e.g. to record
+ *   them in the history
  */
-function RecommendationPage({ referenceTile, onBack, onReset }) {
+function RecommendationPage({
+  referenceTiles: selectedTiles,
+  tileIds,
+  roomImage,
+  onBack,
+  onReset,
+  onRecommendationsLoaded,
+}) {
+  // Catalog tiles used when the page is opened from a link
+  const [catalogTiles, setCatalogTiles] = useState(null)
+  const [isTileLoading, setIsTileLoading] = useState(!selectedTiles)
+
+  const referenceTiles = selectedTiles || catalogTiles
+  const referenceTile = referenceTiles?.[0] || null
+  const isMultiReference = referenceTiles?.length > 1
+
   const [isLoading, setIsLoading] = useState(false)
   const [recommendations, setRecommendations] = useState(null)
+  // Cursor of the next page (null on the last page) and the number
+  // of matches (null when the backend doesn't know it yet)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [total, setTotal] = useState(null)
+  const [isLoadingMore, setIsLoadingMore] = useState(false)
+  const [loadMoreError, setLoadMoreError] = useState(null)
+  // 'local' when results were ranked offline in the browser
+  const [resultSource, setResultSource] = useState(null)
   const [error, setError] = useState(null)
-  
-  // Ref to prevent duplicate API calls
-  const hasFetchedRef = useRef(false)
+
+  // Facet filters and sort order, sent with each request
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [sort, setSort] = useState(DEFAULT_SORT)
+
+  // Available facet values, built from the whole catalog
+  const [facetOptions, setFacetOptions] = useState(null)
+
+  // Recommendations selected for side-by-side comparison
+  const comparison = useCompareSelection()
+  const shortlist = useShortlist()
+  const [isComparing, setIsComparing] = useState(false)
+
+  // Whether the room visualizer and estimator sections are open
+  const [isVisualizerOpen, setIsVisualizerOpen] = useState(false)
+  const [isEstimatorOpen, setIsEstimatorOpen] = useState(false)
+
+  // Controller of the "load more" request in flight
+  const loadMoreControllerRef = useRef(null)
+  // Element at the end of the list that loads the next page when visible
+  const sentinelRef = useRef(null)
+  const loadMoreRef = useRef(null)
 
   /**
-   * Fetches recommendations when component mounts
-   * Only runs once to prevent duplicate calls
+   * Looks up the reference tiles by id when they weren't passed in
+   * Ids missing from the catalog are skipped.
    */
   useEffect(() => {
-    // Guard against missing reference tile
-    if (!referenceTile) {
-      setError('No reference tile provided. Please go back and select a tile.')
+    if (selectedTiles) {
+      setIsTileLoading(false)
       return
     }
 
-    // Prevent duplicate calls (React StrictMode, etc.)
-    if (hasFetchedRef.current) {
+    let isActive = true
+    setIsTileLoading(true)
+
+    Promise.all(tileIds.map((id) => getCatalogTile(id)))
+      .then((tiles) => {
+        const found = tiles.filter(Boolean)
+        if (isActive) {
+          setCatalogTiles(found.length > 0 ? found : null)
+        }
+      })
+      .catch((err) => console.error('Unable to load reference tile:', err))
+      .finally(() => {
+        if (isActive) {
+          setIsTileLoading(false)
+        }
+      })
+
+    return () => {
+      isActive = false
+    }
+  }, [selectedTiles, tileIds])
+
+  /**
+   * Loads the catalog once to build the filter options
+   */
+  useEffect(() => {
+    let isActive = true
+
+    getCatalog()
+      .then((catalog) => {
+        if (isActive) {
+          setFacetOptions(getFacetOptions(catalog))
+        }
+      })
+      .catch((err) => console.warn('Unable to load filter options:', err))
+
+    return () => {
+      isActive = false
+    }
+  }, [])
+
+  /**
+   * Fetches recommendations for the reference tiles
+   * Re-runs when filters or sort change; the previous request is
+   * cancelled so a slow, outdated response can't overwrite a newer one.
+   */
+  useEffect(() => {
+    // Wait for the reference tiles; missing tiles are handled below
+    if (!referenceTiles) {
       return
     }
 
+    const controller = new AbortController()
+
     const fetchRecommendations = async () => {
-      hasFetchedRef.current = true
+      // A page of the previous list must not be added to the new one
+      loadMoreControllerRef.current?.abort()
+      loadMoreControllerRef.current = null
+      setIsLoadingMore(false)
+      setLoadMoreError(null)
       setIsLoading(true)
       setError(null)
 
@@ -48,25 +185,138 @@ function RecommendationPage({ referenceTile, onBack, onReset }) {
         // =====================================================
         // API INTEGRATION POINT
         // =====================================================
-        // The getTileRecommendations function in recommendService.js
-        // handles the actual API call. Currently returns mock data.
-        // When FastAPI is ready, only recommendService.js needs
-        // to be updated - no changes required here.
+        // The getRecommendationsForTiles function in recommendService.js
+        // handles the actual API call through the configured backend
+        // adapter (mock or FastAPI). Switching backends is a
+        // config change - no changes required here.
         // =====================================================
-        const results = await getTileRecommendations(referenceTile)
-        setRecommendations(results.recommendations || [])
+        const results = await getRecommendationsForTiles(referenceTiles, {
+          signal: controller.signal,
+          filters,
+          sort,
+        })
+        const loaded = results.recommendations || []
+        setRecommendations(loaded)
+        setNextCursor(results.nextCursor || null)
+        setTotal(results.total ?? null)
+        setResultSource(results.source || null)
+        referenceTiles.forEach((tile) => {
+          onRecommendationsLoaded?.(tile, loaded.filter((rec) => (
+            !rec.references || rec.references.some((reference) => reference.id === tile.id)
+          )))
+        })
       } catch (err) {
-        setError('Unable to find similar tiles. Please try again.')
+        if (isAbortError(err)) {
+          return
+        }
+        setError(t('recommendations.error'))
         console.error('Recommendation error:', err)
-      } finally {
+      }
+
+      if (!controller.signal.aborted) {
         setIsLoading(false)
       }
     }
 
     fetchRecommendations()
-  }, [referenceTile])
 
-  // Handle missing reference tile gracefully
+    return () => controller.abort()
+  }, [referenceTiles, filters, sort])
+
+  /**
+   * Sends a rating of a recommendation
+   * With several references, it counts for the one the tile is most similar to.
+   */
+  const handleFeedback = (rec, rank, { rating, reasons }) => submitFeedback({
+    type: 'recommendation',
+    referenceTileId: rec.references?.[0]?.id ?? referenceTile.id,
+    tileId: rec.id,
+    rating,
+    reasons,
+    similarity: rec.similarity,
+    rank,
+  })
+
+  /**
+   * Loads the next page and adds it to the list
+   */
+  const loadMore = async () => {
+    if (!nextCursor || isLoading || loadMoreControllerRef.current) {
+      return
+    }
+
+    const controller = new AbortController()
+    loadMoreControllerRef.current = controller
+    setIsLoadingMore(true)
+    setLoadMoreError(null)
+
+    try {
+      const results = await getRecommendationsForTiles(referenceTiles, {
+        signal: controller.signal,
+        filters,
+        sort,
+        cursor: nextCursor,
+      })
+      setRecommendations((current) => mergeRecommendations(current || [], results.recommendations || []))
+      setNextCursor(results.nextCursor || null)
+      if (results.total !== null && results.total !== undefined) {
+        setTotal(results.total)
+      }
+      if (results.source === 'local') {
+        setResultSource('local')
+      }
+    } catch (err) {
+      if (isAbortError(err)) {
+        return
+      }
+      setLoadMoreError(t('recommendations.loadMoreError'))
+      console.error('Recommendation error:', err)
+    }
+
+    if (!controller.signal.aborted) {
+      loadMoreControllerRef.current = null
+      setIsLoadingMore(false)
+    }
+  }
+  loadMoreRef.current = loadMore
+
+  /**
+   * Loads the next page when the end of the list scrolls into view
+   * The observer is re-created for each cursor, so a page that still
+   * leaves the end of the list visible loads the one after it.
+   */
+  useEffect(() => {
+    const sentinel = sentinelRef.current
+    if (!sentinel || !nextCursor || typeof IntersectionObserver === 'undefined') {
+      return
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMoreRef.current()
+      }
+    }, { rootMargin: '200px' })
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [nextCursor, isLoading])
+
+  // Cancel a page still loading when leaving the page
+  useEffect(() => {
+    return () => loadMoreControllerRef.current?.abort()
+  }, [])
+
+  // Show loading state while looking up a linked tile
+  if (isTileLoading) {
+    return (
+      <div className="page recommendation-page">
+        <div className="processing-container">
+          <Loader message={t('recommendations.loadingTile')} />
+        </div>
+      </div>
+    )
+  }
+
+  // Handle missing reference tiles gracefully
   if (!referenceTile) {
     return (
       <div className="page recommendation-page">
@@ -79,10 +329,14 @@ function RecommendationPage({ referenceTile, onBack, onReset }) {
                 <circle cx="12" cy="16" r="0.5" fill="currentColor" />
               </svg>
             </div>
-            <h3>No Tile Selected</h3>
-            <p>Please go back and select a detected tile to find similar matches.</p>
-            <button className="back-button" onClick={onBack}>
-              Back to Results
+            <h3>{t('recommendations.notFound')}</h3>
+            <p>
+              {tileIds.length > 1
+                ? t('recommendations.notFoundMany')
+                : t('recommendations.notFoundOne', { id: String(tileIds[0]) })}
+            </p>
+            <button className="back-button" onClick={onBack || onReset}>
+              {onBack ? t('recommendations.backToResults') : t('recommendations.uploadImage')}
             </button>
           </div>
         </div>
@@ -90,12 +344,13 @@ function RecommendationPage({ referenceTile, onBack, onReset }) {
     )
   }
 
-  // Show loading state
-  if (isLoading) {
+  // Show full-page loading state for the first request only;
+  // later requests (filter changes) keep the current list visible
+  if (isLoading && recommendations === null) {
     return (
       <div className="page recommendation-page">
         <div className="processing-container">
-          <Loader message="Finding similar tiles..." />
+          <Loader message={t('recommendations.loading')} />
         </div>
       </div>
     )
@@ -103,56 +358,147 @@ function RecommendationPage({ referenceTile, onBack, onReset }) {
 
   const hasRecommendations = recommendations && recommendations.length > 0
 
+  // Reference tiles and recommendations, for the visualizer and estimator
+  const jobTiles = [
+    ...referenceTiles,
+    ...(recommendations || []).filter((rec) => !referenceTiles.some((tile) => tile.id === rec.id)),
+  ]
+
+  // Known number of matches; counted from the list once it's complete
+  const totalCount = total ?? (nextCursor ? null : recommendations?.length ?? 0)
+
   return (
     <div className="page recommendation-page">
       <div className="page-content">
         {/* Reference Tile Section */}
-        <section className="reference-tile-section">
-          <h2>Reference Tile</h2>
-          <p className="section-description">
-            Finding tiles similar to your selected detection
-          </p>
-          <div className="reference-tile-container">
-            <img 
-              src={referenceTile.image} 
-              alt="Reference tile" 
-              className="reference-tile-image"
-            />
-            <div className="reference-tile-info">
-              <span className="reference-confidence">
-                Detection Confidence: {(referenceTile.confidence * 100).toFixed(1)}%
-              </span>
+        {isMultiReference ? (
+          <section className="reference-tile-section">
+            <h2>{t('recommendations.referenceTiles')}</h2>
+            <p className="section-description">
+              {t('recommendations.findingForMany', { count: referenceTiles.length })}
+            </p>
+            <div className="reference-tiles-grid">
+              {referenceTiles.map((tile) => (
+                <div key={tile.id} className="reference-tile-container">
+                  <img
+                    src={tile.image}
+                    alt={tile.name || t('recommendations.referenceAltId', { id: String(tile.id) })}
+                    className="reference-tile-image"
+                  />
+                  {tile.confidence !== undefined && (
+                    <div className="reference-tile-info">
+                      <span className="reference-confidence">
+                        {t('recommendations.confidence', { value: formatPercent(tile.confidence) })}
+                      </span>
+                    </div>
+                  )}
+                  <TileDetails tile={tile} />
+                </div>
+              ))}
             </div>
-          </div>
-        </section>
+          </section>
+        ) : (
+          <section className="reference-tile-section">
+            <h2>{t('recommendations.referenceTile')}</h2>
+            <p className="section-description">
+              {referenceTile.confidence !== undefined
+                ? t('recommendations.findingForDetection')
+                : t('recommendations.findingFor', { name: formatTileName(referenceTile) })}
+            </p>
+            <div className="reference-tile-container">
+              <img 
+                src={referenceTile.image} 
+                alt={t('recommendations.referenceAlt')}
+                className="reference-tile-image"
+              />
+              {referenceTile.confidence !== undefined && (
+                <div className="reference-tile-info">
+                  <span className="reference-confidence">
+                    {t('recommendations.confidence', { value: formatPercent(referenceTile.confidence) })}
+                  </span>
+                </div>
+              )}
+              <TileDetails tile={referenceTile} variant="full" />
+            </div>
+          </section>
+        )}
 
         {/* Recommendations Section */}
         <section className="recommendations-section">
-          <h2>Similar Tiles</h2>
+          <h2>{t('recommendations.title')}</h2>
+
+          <RecommendationFilters
+            facetOptions={facetOptions}
+            filters={filters}
+            sort={sort}
+            onFiltersChange={setFilters}
+            onSortChange={setSort}
+          />
           
           {error ? (
             <div className="recommendation-error">
               <p>{error}</p>
               <button className="retry-button" onClick={() => window.location.reload()}>
-                Try Again
+                {t('recommendations.tryAgain')}
               </button>
             </div>
           ) : hasRecommendations ? (
             <>
               <p className="results-summary">
-                Found {recommendations.length} similar tile{recommendations.length !== 1 ? 's' : ''}
+                {totalCount === null
+                  ? t('recommendations.showingMore', { count: recommendations.length })
+                  : totalCount > recommendations.length
+                    ? t('recommendations.showingOf', { count: totalCount, shown: recommendations.length })
+                    : t('recommendations.found', { count: totalCount })}
+                {isLoading && <span className="results-updating">{t('recommendations.updating')}</span>}
               </p>
+
+              {resultSource === 'local' && (
+                <p className="results-source-note">
+                  {t('recommendations.localSource')}
+                </p>
+              )}
               
-              <div className="recommendation-cards-grid">
+              <div className={`recommendation-cards-grid ${isLoading ? 'is-updating' : ''}`}>
                 {recommendations.map((rec, index) => (
                   <RecommendationCard
                     key={rec.id}
                     image={rec.image}
                     similarity={rec.similarity}
                     rank={index + 1}
+                    details={rec}
+                    references={isMultiReference ? rec.references : undefined}
+                    isSelected={comparison.isSelected(rec)}
+                    isSelectionFull={comparison.isFull}
+                    onSelectChange={(selected) => comparison.toggleTile(rec, selected)}
+                    isShortlisted={shortlist.isShortlisted(rec)}
+                    shortlistBoardName={shortlist.activeBoard.name}
+                    onShortlistChange={(saved) => shortlist.toggleTile(rec, saved)}
+                    onFeedback={(feedback) => handleFeedback(rec, index + 1, feedback)}
                   />
                 ))}
               </div>
+
+              {nextCursor && (
+                <div ref={sentinelRef} className="load-more">
+                  {loadMoreError && (
+                    <div className="page-error">
+                      <span className="error-icon">!</span>
+                      {loadMoreError}
+                    </div>
+                  )}
+                  <button className="back-button" onClick={loadMore} disabled={isLoadingMore || isLoading}>
+                    {isLoadingMore ? t('common.loading') : loadMoreError ? t('recommendations.tryAgain') : t('recommendations.loadMore')}
+                  </button>
+                </div>
+              )}
+
+              <CompareBar
+                tiles={comparison.selectedTiles}
+                onRemove={comparison.removeTile}
+                onClear={comparison.clearSelection}
+                onCompare={() => setIsComparing(true)}
+              />
             </>
           ) : (
             /* No Recommendations State */
@@ -164,25 +510,95 @@ function RecommendationPage({ referenceTile, onBack, onReset }) {
                   <path d="M8 11h6" />
                 </svg>
               </div>
-              <h3>No Similar Tiles Found</h3>
-              <p className="no-recommendations-message">
-                We couldn't find tiles similar to your reference in our database.
-                This tile might have a unique pattern or style.
-              </p>
+              {hasActiveFilters(filters) ? (
+                <>
+                  <h3>{t('recommendations.noFilterMatches')}</h3>
+                  <p className="no-recommendations-message">
+                    {t('recommendations.noFilterMatchesHint')}
+                  </p>
+                  <button className="back-button" onClick={() => setFilters(EMPTY_FILTERS)}>
+                    {t('recommendations.clearFilters')}
+                  </button>
+                </>
+              ) : (
+                <>
+                  <h3>{t('recommendations.empty')}</h3>
+                  <p className="no-recommendations-message">
+                    {t('recommendations.emptyHint')}
+                  </p>
+                </>
+              )}
             </div>
           )}
         </section>
 
+        {/* Room Visualizer Section */}
+        {hasRecommendations && (
+          <section className="room-visualizer-section">
+            <div className="room-visualizer-header">
+              <div>
+                <h2>{t('recommendations.visualizerTitle')}</h2>
+                <p className="section-description">
+                  {t('recommendations.visualizerDescription')}
+                </p>
+              </div>
+              <button
+                className="back-button"
+                onClick={() => setIsVisualizerOpen((open) => !open)}
+                aria-expanded={isVisualizerOpen}
+              >
+                {isVisualizerOpen ? t('recommendations.closeVisualizer') : t('recommendations.openVisualizer')}
+              </button>
+            </div>
+
+            {isVisualizerOpen && (
+              <RoomVisualizer roomImage={roomImage} tiles={jobTiles} />
+            )}
+          </section>
+        )}
+
+        {/* Quantity Estimator Section */}
+        <section className="estimator-section">
+          <div className="room-visualizer-header">
+            <div>
+              <h2>{t('estimator.sectionTitle')}</h2>
+              <p className="section-description">
+                {t('estimator.sectionDescription')}
+              </p>
+            </div>
+            <button
+              className="back-button"
+              onClick={() => setIsEstimatorOpen((open) => !open)}
+              aria-expanded={isEstimatorOpen}
+            >
+              {isEstimatorOpen ? t('estimator.close') : t('estimator.open')}
+            </button>
+          </div>
+
+          {isEstimatorOpen && <TileEstimator tiles={jobTiles} />}
+        </section>
+
         {/* Action Buttons */}
         <div className="recommendation-actions">
-          <button className="back-button" onClick={onBack}>
-            Back to Results
-          </button>
+          {onBack && (
+            <button className="back-button" onClick={onBack}>
+              {t('recommendations.backToResults')}
+            </button>
+          )}
           <button className="reset-button" onClick={onReset}>
-            Upload New Image
+            {t('recommendations.uploadNew')}
           </button>
         </div>
       </div>
+
+      {isComparing && (
+        <TileComparison
+          tiles={comparison.selectedTiles}
+          referenceTile={isMultiReference ? undefined : referenceTile}
+          onRemove={comparison.removeTile}
+          onClose={() => setIsComparing(false)}
+        />
+      )}
     </div>
   )
 }
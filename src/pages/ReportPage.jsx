@@ -0,0 +1,296 @@
+import { useState, useEffect } from 'react'
+import { t } from '../i18n'
+import Loader from '../components/Loader'
+import TileDetails from '../components/TileDetails'
+import { getSession } from '../services/historyService'
+import { enrichWithCatalog } from '../services/catalogService'
+import { useShortlist } from '../services/shortlistService'
+import { SUMMARY_COLUMNS, buildReport, canCreateReportPdf, createReportPdf } from '../utils/sessionReport'
+import { formatPercent, formatTileName } from '../utils/formatters'
+
+/**
+ * ReportPage Component
+ * 
+ * A printable report of a detection session, for turning it into a
+ * customer quote: the original photo, the detected tiles with their
+ * confidence, the recommendations picked for the quote and a summary
+ * table. The report can be printed (the page has print styles) or
+ * downloaded as a PDF generated in the browser. The PDF is not
+ * offered in right-to-left locales, whose text its font can't render.
+ * 
+ * Recommendations come from the ones viewed for the session's tiles
+ * (saved in the history). Tiles on the active shortlist board are
+ * picked by default, otherwise the best three of each reference.
+ * 
+ * Props:
+ * - sessionId: Id of the session (as in the results URL)
+ * - imagePreview: URL of the original image
+ * - detectionResults: Object containing detection data
+ * - onBack: Callback to return to the results
+ */
+
+// Recommendations picked by default per reference tile
+const DEFAULT_PICKS_PER_REFERENCE = 3
+
+function ReportPage({ sessionId, imagePreview, detectionResults, onBack }) {
+  const shortlist = useShortlist()
+
+  const [session, setSession] = useState(null)
+  // Recommendations viewed for the session: [{ reference, recommendations }]
+  const [groups, setGroups] = useState(null)
+  // Ids of the recommendations included in the report
+  const [pickedIds, setPickedIds] = useState([])
+  const [preparedFor, setPreparedFor] = useState('')
+
+  const [isExporting, setIsExporting] = useState(false)
+  const [error, setError] = useState(null)
+
+  /**
+   * Loads the session's viewed recommendations with catalog details
+   */
+  useEffect(() => {
+    let isActive = true
+
+    getSession(sessionId)
+      .catch((err) => {
+        console.error('Unable to load session:', err)
+        return null
+      })
+      .then(async (stored) => {
+        const viewed = stored?.viewedRecommendations || []
+        const loaded = await Promise.all(viewed.map(async (entry) => ({
+          reference: entry.tile,
+          recommendations: await enrichWithCatalog(entry.recommendations),
+        })))
+        if (!isActive) {
+          return
+        }
+
+        const shortlistedIds = loaded
+          .flatMap((group) => group.recommendations)
+          .filter((tile) => shortlist.isShortlisted(tile))
+          .map((tile) => tile.id)
+
+        setSession(stored)
+        setGroups(loaded)
+        setPickedIds(shortlistedIds.length > 0
+          ? shortlistedIds
+          : loaded.flatMap((group) => group.recommendations
+            .slice(0, DEFAULT_PICKS_PER_REFERENCE)
+            .map((tile) => tile.id)))
+      })
+
+    return () => {
+      isActive = false
+    }
+  }, [sessionId])
+
+  const togglePick = (tileId, isPicked) => {
+    setPickedIds((ids) => (isPicked
+      ? [...ids, tileId]
+      : ids.filter((id) => id !== tileId)))
+  }
+
+  if (!groups) {
+    return (
+      <div className="page report-page">
+        <div className="processing-container">
+          <Loader message={t('report.loading')} />
+        </div>
+      </div>
+    )
+  }
+
+  // Picked recommendations, each once, with the reference it was first picked for
+  const pickedRecommendations = []
+  groups.forEach((group) => {
+    group.recommendations.forEach((tile) => {
+      if (pickedIds.includes(tile.id) && !pickedRecommendations.some((entry) => entry.tile.id === tile.id)) {
+        pickedRecommendations.push({ tile, similarity: tile.similarity, reference: group.reference })
+      }
+    })
+  })
+
+  const report = buildReport({
+    title: session?.name,
+    createdAt: session?.createdAt,
+    preparedFor,
+    imageUrl: imagePreview,
+    detections: detectionResults?.detections || [],
+    recommendations: pickedRecommendations,
+  })
+
+  const canExportPdf = canCreateReportPdf()
+
+  /**
+   * Generates the PDF and downloads it
+   */
+  const handleDownloadPdf = async () => {
+    setIsExporting(true)
+    setError(null)
+    try {
+      const blob = await createReportPdf(report)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `tile-report-${sessionId}.pdf`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      console.error('PDF export error:', err)
+      setError(t('report.pdfError'))
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  return (
+    <div className="page report-page">
+      <div className="page-content">
+        {/* Report options, not printed */}
+        <section className="report-options">
+          <h2>{t('report.title')}</h2>
+          <p className="section-description">
+            {t('report.description')}
+          </p>
+
+          <label className="report-prepared-for">
+            <span>{t('report.preparedFor')}</span>
+            <input
+              type="text"
+              value={preparedFor}
+              placeholder={t('report.preparedForPlaceholder')}
+              onChange={(e) => setPreparedFor(e.target.value)}
+            />
+          </label>
+
+          {groups.length > 0 ? (
+            groups.map((group) => (
+              <fieldset key={group.reference.id} className="report-picker">
+                <legend>{t('report.similarTo', { name: formatTileName(group.reference) })}</legend>
+                {group.recommendations.map((tile) => (
+                  <label key={tile.id} className="report-picker-tile">
+                    <input
+                      type="checkbox"
+                      checked={pickedIds.includes(tile.id)}
+                      onChange={(e) => togglePick(tile.id, e.target.checked)}
+                    />
+                    <img src={tile.image} alt="" />
+                    <span>{formatTileName(tile)}</span>
+                    <span className="report-picker-similarity">{formatPercent(tile.similarity, 0)}</span>
+                  </label>
+                ))}
+              </fieldset>
+            ))
+          ) : (
+            <p className="report-picker-empty">
+              {t('report.pickerEmpty')}
+            </p>
+          )}
+
+          {error && (
+            <div className="page-error">
+              <span className="error-icon">!</span>
+              {error}
+            </div>
+          )}
+
+          <div className="result-actions">
+            <button className="back-button" onClick={onBack}>
+              {t('report.backToResults')}
+            </button>
+            <button className="find-similar-button" onClick={() => window.print()}>
+              {t('report.print')}
+            </button>
+            <button
+              className="find-similar-button"
+              onClick={handleDownloadPdf}
+              disabled={isExporting || !canExportPdf}
+            >
+              {isExporting ? t('report.generatingPdf') : t('report.downloadPdf')}
+            </button>
+          </div>
+
+          {!canExportPdf && (
+            <p className="report-pdf-note">{t('report.pdfUnavailable')}</p>
+          )}
+        </section>
+
+        {/* The report itself */}
+        <article className="report-document">
+          <header className="report-header">
+            <h1>{report.title}</h1>
+            <p>{report.date}</p>
+            {report.preparedFor && <p>{t('report.preparedForValue', { name: report.preparedFor })}</p>}
+          </header>
+
+          {report.imageUrl && (
+            <img src={report.imageUrl} alt={t('report.photoAlt')} className="report-photo" />
+          )}
+
+          <section className="report-section">
+            <h2>{t('report.detectedTiles')}</h2>
+            {report.detections.length > 0 ? (
+              <div className="report-tiles">
+                {report.detections.map((tile) => (
+                  <div key={tile.id} className="report-tile">
+                    <img src={tile.image} alt={formatTileName(tile)} />
+                    <div>
+                      <p className="report-tile-score">{t('report.confidence', { value: formatPercent(tile.confidence, 0) })}</p>
+                      <TileDetails tile={tile} />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p>{t('report.noDetections')}</p>
+            )}
+          </section>
+
+          {report.recommendations.length > 0 && (
+            <section className="report-section">
+              <h2>{t('report.recommendedTiles')}</h2>
+              <div className="report-tiles">
+                {report.recommendations.map(({ tile, similarity, reference }) => (
+                  <div key={tile.id} className="report-tile">
+                    <img src={tile.image} alt={formatTileName(tile)} />
+                    <div>
+                      <p className="report-tile-score">
+                        {t('report.similarityTo', { value: formatPercent(similarity, 0), name: formatTileName(reference) })}
+                      </p>
+                      <TileDetails tile={tile} />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </section>
+          )}
+
+          <section className="report-section">
+            <h2>{t('report.summary')}</h2>
+            <table className="report-summary">
+              <thead>
+                <tr>
+                  {SUMMARY_COLUMNS.map((column) => (
+                    <th key={column.key}>{t(column.labelKey)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {report.summary.map((row) => (
+                  <tr key={row.id}>
+                    {SUMMARY_COLUMNS.map((column) => (
+                      <td key={column.key}>{row[column.key] || '-'}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        </article>
+      </div>
+    </div>
+  )
+}
+
+export default ReportPage
@@ -1,18 +1,64 @@
+import { useState } from 'react'
+import { t } from '../i18n'
 import TileCard from '../components/TileCard'
+import DetectionOverlay from '../components/DetectionOverlay'
+import CompareBar from '../components/CompareBar'
+import TileComparison from '../components/TileComparison'
+import TileEstimator from '../components/TileEstimator'
+import { useCompareSelection } from '../utils/tileComparison'
+import { submitFeedback } from '../services/feedbackService'
+import { useShortlist } from '../services/shortlistService'
+
+// Message keys of the tips shown when no tile is detected
+const NO_DETECTION_TIPS = [
+  'results.tip.visible',
+  'results.tip.lighting',
+  'results.tip.angle',
+  'results.tip.sharp',
+]
 
 /**
  * ResultPage Component
  * 
  * Displays detection results including the original image
  * and top matching tiles with confidence scores.
+ * Detected regions are drawn over the original image; hovering
+ * a region highlights its card and vice versa. Detections can be
+ * selected and compared side by side.
+ * 
+ * Every detection can be used to find similar tiles. Several
+ * detections can also be picked together, for one merged list of
+ * recommendations.
+ * 
+ * A detection can be reported as the wrong tile; the report is sent
+ * as feedback for retraining (see feedbackService.js).
+ * 
+ * The quantity and cost estimator works out what a job needs for any
+ * of the detected tiles.
  * 
  * Props:
  * - imagePreview: URL of the uploaded original image
  * - detectionResults: Object containing detection data
  * - onReset: Callback to start a new upload
- * - onFindSimilar: Callback to navigate to recommendations with selected tile
+ * - onFindSimilar: Callback receiving an array of reference tiles, to
+ *   navigate to their recommendations
+ * - onBack: Optional callback to return to the batch results this image came from
+ * - onOpenReport: Optional callback to open the printable report of the results
  */
-function ResultPage({ imagePreview, detectionResults, onReset, onFindSimilar }) {
+function ResultPage({ imagePreview, detectionResults, onReset, onFindSimilar, onBack, onOpenReport }) {
+  // Id of the detection currently hovered (on the image or its card)
+  const [highlightedId, setHighlightedId] = useState(null)
+
+  // Detections selected for side-by-side comparison
+  const comparison = useCompareSelection()
+  const shortlist = useShortlist()
+  const [isComparing, setIsComparing] = useState(false)
+  const [isEstimatorOpen, setIsEstimatorOpen] = useState(false)
+
+  // Detections picked as references for recommendations from several tiles
+  const [isPickingReferences, setIsPickingReferences] = useState(false)
+  const [referenceIds, setReferenceIds] = useState([])
+
   // Check if we have valid detections
   const hasDetections = detectionResults?.detections?.length > 0
 
@@ -23,15 +69,33 @@ function ResultPage({ imagePreview, detectionResults, onReset, onFindSimilar })
         .slice(0, 3)
     : []
 
+  const toggleReference = (detection, isPicked) => {
+    setReferenceIds((ids) => (isPicked
+      ? [...ids, detection.id]
+      : ids.filter((id) => id !== detection.id)))
+  }
+
+  const cancelPickingReferences = () => {
+    setIsPickingReferences(false)
+    setReferenceIds([])
+  }
+
   /**
-   * Handles "Find Similar Tiles" button click
-   * Uses the highest confidence tile as the reference
+   * Reports a detection as the wrong tile
    */
-  const handleFindSimilar = () => {
-    if (topDetections.length > 0 && onFindSimilar) {
-      // Default to the highest confidence tile (first in sorted array)
-      onFindSimilar(topDetections[0])
-    }
+  const handleReportWrong = (detection, rank) => submitFeedback({
+    type: 'detection',
+    tileId: detection.id,
+    verdict: 'wrong-tile',
+    confidence: detection.confidence,
+    rank,
+  })
+
+  /**
+   * Finds tiles similar to all picked detections, in confidence order
+   */
+  const handleFindSimilarToPicked = () => {
+    onFindSimilar(topDetections.filter((detection) => referenceIds.includes(detection.id)))
   }
 
   return (
@@ -39,25 +103,36 @@ function ResultPage({ imagePreview, detectionResults, onReset, onFindSimilar })
       <div className="page-content">
         {/* Original Image Section */}
         <section className="original-image-section">
-          <h2>Uploaded Image</h2>
+          <h2>{t('results.uploadedImage')}</h2>
           <div className="original-image-container">
             <img 
               src={imagePreview} 
-              alt="Original uploaded tile" 
+              alt={t('results.originalAlt')}
               className="original-image"
             />
+            <DetectionOverlay
+              detections={topDetections}
+              highlightedId={highlightedId}
+              onHighlight={setHighlightedId}
+            />
           </div>
         </section>
 
         {/* Detection Results Section */}
         <section className="detection-results-section">
-          <h2>Detection Results</h2>
+          <h2>{t('results.title')}</h2>
           
           {hasDetections ? (
             <>
               <p className="results-summary">
-                Found {topDetections.length} matching tile{topDetections.length !== 1 ? 's' : ''}
+                {t('results.found', { count: topDetections.length })}
               </p>
+
+              {isPickingReferences && (
+                <p className="reference-picking-hint">
+                  {t('results.pickHint')}
+                </p>
+              )}
               
               <div className="tile-cards-grid">
                 {topDetections.map((detection, index) => (
@@ -66,9 +141,33 @@ function ResultPage({ imagePreview, detectionResults, onReset, onFindSimilar })
                     image={detection.image}
                     confidence={detection.confidence}
                     rank={index + 1}
+                    details={detection}
+                    isHighlighted={highlightedId === detection.id}
+                    onHighlightChange={(isActive) =>
+                      setHighlightedId(isActive ? detection.id : null)
+                    }
+                    isSelected={comparison.isSelected(detection)}
+                    isSelectionFull={comparison.isFull}
+                    onSelectChange={(selected) => comparison.toggleTile(detection, selected)}
+                    isShortlisted={shortlist.isShortlisted(detection)}
+                    shortlistBoardName={shortlist.activeBoard.name}
+                    onShortlistChange={(saved) => shortlist.toggleTile(detection, saved)}
+                    onFindSimilar={() => onFindSimilar([detection])}
+                    onReportWrong={() => handleReportWrong(detection, index + 1)}
+                    isReference={referenceIds.includes(detection.id)}
+                    onReferenceChange={isPickingReferences
+                      ? (isPicked) => toggleReference(detection, isPicked)
+                      : undefined}
                   />
                 ))}
               </div>
+
+              <CompareBar
+                tiles={comparison.selectedTiles}
+                onRemove={comparison.removeTile}
+                onClear={comparison.clearSelection}
+                onCompare={() => setIsComparing(true)}
+              />
             </>
           ) : (
             /* No Detections - Failure State */
@@ -80,37 +179,89 @@ function ResultPage({ imagePreview, detectionResults, onReset, onFindSimilar })
                   <circle cx="12" cy="16" r="0.5" fill="currentColor" />
                 </svg>
               </div>
-              <h3>No Tile Detected</h3>
+              <h3>{t('results.noDetection')}</h3>
               <p className="no-detections-message">
-                We couldn't identify any tiles in the uploaded image. 
-                This may happen if the image is unclear, the tile is not visible, 
-                or the tile type is not in our database.
+                {t('results.noDetectionMessage')}
               </p>
               <div className="guidance-box">
-                <h4>Tips for better results:</h4>
+                <h4>{t('results.tipsTitle')}</h4>
                 <ul>
-                  <li>Ensure the tile is clearly visible in the image</li>
-                  <li>Use good lighting and avoid shadows</li>
-                  <li>Capture the tile from a straight angle</li>
-                  <li>Make sure the image is not blurry</li>
+                  {NO_DETECTION_TIPS.map((tip) => (
+                    <li key={tip}>{t(tip)}</li>
+                  ))}
                 </ul>
               </div>
             </div>
           )}
         </section>
 
+        {/* Quantity Estimator Section */}
+        {hasDetections && (
+          <section className="estimator-section">
+            <div className="room-visualizer-header">
+              <div>
+                <h2>{t('estimator.sectionTitle')}</h2>
+                <p className="section-description">
+                  {t('estimator.sectionDescription')}
+                </p>
+              </div>
+              <button
+                className="back-button"
+                onClick={() => setIsEstimatorOpen((open) => !open)}
+                aria-expanded={isEstimatorOpen}
+              >
+                {isEstimatorOpen ? t('estimator.close') : t('estimator.open')}
+              </button>
+            </div>
+
+            {isEstimatorOpen && <TileEstimator tiles={topDetections} />}
+          </section>
+        )}
+
         {/* Action Buttons */}
         <div className="result-actions">
-          {hasDetections && (
-            <button className="find-similar-button" onClick={handleFindSimilar}>
-              Find Similar Tiles
+          {onBack && (
+            <button className="back-button" onClick={onBack}>
+              {t('results.backToBatch')}
+            </button>
+          )}
+          {topDetections.length > 1 && !isPickingReferences && (
+            <button className="find-similar-button" onClick={() => setIsPickingReferences(true)}>
+              {t('results.findSimilarSeveral')}
+            </button>
+          )}
+          {isPickingReferences && (
+            <>
+              <button className="back-button" onClick={cancelPickingReferences}>
+                {t('common.cancel')}
+              </button>
+              <button
+                className="find-similar-button"
+                onClick={handleFindSimilarToPicked}
+                disabled={referenceIds.length === 0}
+              >
+                {t('results.findSimilarSelected', { count: referenceIds.length })}
+              </button>
+            </>
+          )}
+          {onOpenReport && !isPickingReferences && (
+            <button className="back-button" onClick={onOpenReport}>
+              {t('results.report')}
             </button>
           )}
           <button className="reset-button" onClick={onReset}>
-            Upload Another Image
+            {t('results.uploadAnother')}
           </button>
         </div>
       </div>
+
+      {isComparing && (
+        <TileComparison
+          tiles={comparison.selectedTiles}
+          onRemove={comparison.removeTile}
+          onClose={() => setIsComparing(false)}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,286 @@
+import { useState, useRef } from 'react'
+import { t } from '../i18n'
+import TileDetails from '../components/TileDetails'
+import {
+  useShortlist,
+  removeFromShortlist,
+  setTileNote,
+  moveTile,
+  moveTileToBoard,
+  createMoodboard,
+  renameMoodboard,
+  deleteMoodboard,
+  setActiveMoodboard,
+  exportShortlist,
+  importShortlist,
+} from '../services/shortlistService'
+import { formatTileName } from '../utils/formatters'
+
+/**
+ * ShortlistPage Component
+ * 
+ * The tiles saved from result and recommendation cards, kept on this
+ * device across uploads. Tiles are grouped in named moodboards; the
+ * board shown is the one new tiles are saved to. Each tile can have
+ * a note, be moved up or down or to another board, and be used to
+ * find similar tiles. All boards can be exported to a JSON file and
+ * imported again (e.g. on another device).
+ * 
+ * Props:
+ * - onFindSimilar: Callback receiving an array of reference tiles, to
+ *   navigate to their recommendations
+ */
+function ShortlistPage({ onFindSimilar }) {
+  const { boards, activeBoard } = useShortlist()
+
+  // Board name being typed: for a new board ('new') or a rename (board id)
+  const [editingBoard, setEditingBoard] = useState(null)
+  const [draftName, setDraftName] = useState('')
+
+  // Result of the last import
+  const [importMessage, setImportMessage] = useState(null)
+  const [error, setError] = useState(null)
+
+  const fileInputRef = useRef(null)
+
+  const startNewBoard = () => {
+    setEditingBoard('new')
+    setDraftName('')
+  }
+
+  const startRename = () => {
+    setEditingBoard(activeBoard.id)
+    setDraftName(activeBoard.name)
+  }
+
+  /**
+   * Saves the typed board name; an empty name cancels
+   */
+  const commitBoardName = () => {
+    const name = draftName.trim()
+    setEditingBoard(null)
+    if (!name) {
+      return
+    }
+
+    if (editingBoard === 'new') {
+      createMoodboard(name)
+    } else if (name !== activeBoard.name) {
+      renameMoodboard(editingBoard, name)
+    }
+  }
+
+  const handleNameKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      commitBoardName()
+    } else if (e.key === 'Escape') {
+      setEditingBoard(null)
+    }
+  }
+
+  const handleDeleteBoard = () => {
+    const tileCount = activeBoard.items.length
+    const message = tileCount > 0
+      ? t('shortlist.confirmDeleteWithTiles', { name: activeBoard.name, count: tileCount })
+      : t('shortlist.confirmDelete', { name: activeBoard.name })
+    if (window.confirm(message)) {
+      deleteMoodboard(activeBoard.id)
+    }
+  }
+
+  /**
+   * Downloads all boards as a JSON file
+   */
+  const handleExport = () => {
+    const blob = new Blob([exportShortlist()], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `tile-shortlist-${new Date().toISOString().slice(0, 10)}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  /**
+   * Imports boards from a chosen export file
+   */
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    // Allow choosing the same file again
+    e.target.value = ''
+    if (!file) {
+      return
+    }
+
+    setError(null)
+    setImportMessage(null)
+    try {
+      const imported = importShortlist(await file.text())
+      setImportMessage(t('shortlist.imported', {
+        tiles: t('shortlist.tileCount', { count: imported.tiles }),
+        boards: t('shortlist.boardCount', { count: imported.boards }),
+      }))
+    } catch (err) {
+      console.error('Shortlist import error:', err)
+      setError(err.message)
+    }
+  }
+
+  const otherBoards = boards.filter((board) => board.id !== activeBoard.id)
+
+  return (
+    <div className="page shortlist-page">
+      <div className="page-content">
+        <section className="shortlist-section">
+          <h2>{t('shortlist.title')}</h2>
+          <p className="section-description">
+            {t('shortlist.description')}
+          </p>
+
+          <div className="shortlist-toolbar">
+            {editingBoard ? (
+              <input
+                className="history-rename-input shortlist-board-input"
+                value={draftName}
+                placeholder={t('shortlist.boardName')}
+                onChange={(e) => setDraftName(e.target.value)}
+                onBlur={commitBoardName}
+                onKeyDown={handleNameKeyDown}
+                aria-label={t('shortlist.boardName')}
+                autoFocus
+              />
+            ) : (
+              <select
+                className="shortlist-board-select"
+                value={activeBoard.id}
+                onChange={(e) => setActiveMoodboard(e.target.value)}
+                aria-label={t('shortlist.board')}
+              >
+                {boards.map((board) => (
+                  <option key={board.id} value={board.id}>
+                    {t('shortlist.boardOption', { name: board.name, count: board.items.length })}
+                  </option>
+                ))}
+              </select>
+            )}
+
+            <div className="shortlist-board-actions">
+              <button className="history-action" onClick={startNewBoard}>
+                {t('shortlist.newBoard')}
+              </button>
+              <button className="history-action" onClick={startRename}>
+                {t('common.rename')}
+              </button>
+              <button className="history-action danger" onClick={handleDeleteBoard}>
+                {t('common.delete')}
+              </button>
+              <button className="history-action" onClick={handleExport}>
+                {t('shortlist.export')}
+              </button>
+              <button className="history-action" onClick={() => fileInputRef.current.click()}>
+                {t('shortlist.import')}
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImport}
+                hidden
+              />
+            </div>
+          </div>
+
+          {importMessage && (
+            <p className="shortlist-import-message" role="status">{importMessage}</p>
+          )}
+
+          {error && (
+            <div className="page-error">
+              <span className="error-icon">!</span>
+              {error}
+            </div>
+          )}
+
+          {activeBoard.items.length > 0 ? (
+            <ol className="shortlist-items">
+              {activeBoard.items.map((item, index) => (
+                <li key={item.tile.id} className="shortlist-item">
+                  <img
+                    src={item.tile.image}
+                    alt={formatTileName(item.tile)}
+                    className="shortlist-item-image"
+                  />
+
+                  <div className="shortlist-item-info">
+                    {item.tile.name || item.tile.sku
+                      ? <TileDetails tile={item.tile} />
+                      : <p className="tile-details-name">{formatTileName(item.tile)}</p>}
+
+                    <textarea
+                      className="shortlist-note"
+                      value={item.note}
+                      placeholder={t('shortlist.notePlaceholder')}
+                      onChange={(e) => setTileNote(activeBoard.id, item.tile.id, e.target.value)}
+                      aria-label={t('shortlist.noteFor', { name: formatTileName(item.tile) })}
+                      rows={2}
+                    />
+                  </div>
+
+                  <div className="history-session-actions">
+                    <div className="shortlist-order-buttons">
+                      <button
+                        className="history-action"
+                        onClick={() => moveTile(activeBoard.id, item.tile.id, -1)}
+                        disabled={index === 0}
+                        aria-label={t('shortlist.moveUp')}
+                      >
+                        ↑
+                      </button>
+                      <button
+                        className="history-action"
+                        onClick={() => moveTile(activeBoard.id, item.tile.id, 1)}
+                        disabled={index === activeBoard.items.length - 1}
+                        aria-label={t('shortlist.moveDown')}
+                      >
+                        ↓
+                      </button>
+                    </div>
+                    {otherBoards.length > 0 && (
+                      <select
+                        className="shortlist-move-select"
+                        value=""
+                        onChange={(e) => moveTileToBoard(activeBoard.id, item.tile.id, e.target.value)}
+                        aria-label={t('shortlist.moveToBoard')}
+                      >
+                        <option value="" disabled>{t('shortlist.moveTo')}</option>
+                        {otherBoards.map((board) => (
+                          <option key={board.id} value={board.id}>{board.name}</option>
+                        ))}
+                      </select>
+                    )}
+                    <button className="history-action" onClick={() => onFindSimilar([item.tile])}>
+                      {t('shortlist.findSimilar')}
+                    </button>
+                    <button
+                      className="history-action danger"
+                      onClick={() => removeFromShortlist(item.tile.id, activeBoard.id)}
+                    >
+                      {t('common.remove')}
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <div className="history-empty">
+              <h3>{t('shortlist.empty')}</h3>
+              <p>{t('shortlist.emptyHint')}</p>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  )
+}
+
+export default ShortlistPage
@@ -1,8 +1,12 @@
-import { useState } from 'react'
+import { useState, useRef, useEffect } from 'react'
+import { t } from '../i18n'
 import ImageUploader from '../components/ImageUploader'
 import CameraCapture from '../components/CameraCapture'
+import ImageEditor from '../components/ImageEditor'
+import UploadQueue from '../components/UploadQueue'
 import Loader from '../components/Loader'
 import { detectTile } from '../services/detectService'
+import { detectTiles, MAX_BATCH_SIZE } from '../services/batchDetectService'
 
 /**
  * UploadPage Component
@@ -10,24 +14,125 @@ import { detectTile } from '../services/detectService'
  * Main entry point for tile image upload and detection.
  * Handles the upload flow and initiates detection process.
  * 
+ * Selecting a single image keeps the single-image flow. Selecting
+ * several images switches to batch mode: images are queued and
+ * detected with a concurrency limit, then shown in a combined view.
+ * 
+ * A single image can be cropped, rotated or straightened before
+ * detection; the edited copy replaces the selected image.
+ * 
+ * When the quality checks find problems with the image (blur, poor
+ * exposure, glare, low resolution), detection asks for confirmation
+ * before the image is sent. Camera photos confirmed in the camera
+ * view aren't asked about again.
+ * 
  * Props:
  * - uploadedImage: The currently selected image file
  * - imagePreview: Preview URL for the uploaded image
  * - onImageUpload: Callback when image is selected
  * - onDetectionComplete: Callback when detection finishes
+ * - batchItems: Images queued for batch detection (empty in single mode)
+ * - onAddToBatch: Callback receiving an array of files to queue
+ * - onRemoveFromBatch: Callback receiving a queue item id
+ * - onBatchItemUpdate: Callback receiving (itemId, changes) during detection
+ * - onBatchComplete: Callback when batch detection finishes
  */
-function UploadPage({ uploadedImage, imagePreview, onImageUpload, onDetectionComplete }) {
+function UploadPage({
+  uploadedImage,
+  imagePreview,
+  onImageUpload,
+  onDetectionComplete,
+  batchItems = [],
+  onAddToBatch,
+  onRemoveFromBatch,
+  onBatchItemUpdate,
+  onBatchComplete,
+}) {
   const [isProcessing, setIsProcessing] = useState(false)
+  const [isBatchRunning, setIsBatchRunning] = useState(false)
   const [error, setError] = useState(null)
   const [showCamera, setShowCamera] = useState(false)
+  const [isEditing, setIsEditing] = useState(false)
+  // Quality report of the selected image, from the uploader
+  const [qualityReport, setQualityReport] = useState(null)
+  const [isConfirmingQuality, setIsConfirmingQuality] = useState(false)
+  // Image whose quality problems the user has already accepted
+  const [acceptedImage, setAcceptedImage] = useState(null)
+
+  // Controller for the running batch, so it can be cancelled
+  const batchControllerRef = useRef(null)
+
+  const isBatchMode = batchItems.length > 0
+
+  // The selected image's quality is still being checked; detection
+  // waits for it, so problems are confirmed before the image is sent
+  const isCheckingQuality = Boolean(uploadedImage) && !isBatchMode && qualityReport === null
+
+  // Cancel any running batch when leaving the page
+  useEffect(() => {
+    return () => batchControllerRef.current?.abort()
+  }, [])
+
+  // A new image needs its own confirmation
+  useEffect(() => {
+    setIsConfirmingQuality(false)
+  }, [uploadedImage])
+
+  /**
+   * Handles one or more images selected in the uploader
+   * A single image replaces the current one; several images
+   * (or any image while a batch is queued) go to the batch queue.
+   */
+  const handleImagesSelect = (files) => {
+    if (!isBatchMode && files.length === 1) {
+      setError(null)
+      onImageUpload(files[0])
+      return
+    }
+
+    const available = MAX_BATCH_SIZE - batchItems.length
+    if (files.length > available) {
+      setError(t('upload.batchLimit', { max: MAX_BATCH_SIZE, count: files.length - Math.max(available, 0) }))
+    } else {
+      setError(null)
+    }
+
+    if (available > 0) {
+      onAddToBatch(files.slice(0, available))
+    }
+  }
 
   /**
    * Handles image captured from camera
    * The captured image is already a File object, so it can be
-   * passed directly to the existing upload pipeline
+   * passed directly to the existing upload pipeline. A photo used
+   * despite quality warnings has already been confirmed.
+   */
+  const handleCameraCapture = (file, quality) => {
+    setShowCamera(false)
+    if (quality?.issues.length) {
+      setAcceptedImage(file)
+    }
+    if (isBatchMode) {
+      handleImagesSelect([file])
+    } else {
+      onImageUpload(file)
+    }
+  }
+
+  /**
+   * Shows the results of a locked live camera scan
    */
-  const handleCameraCapture = (file) => {
+  const handleLiveLock = (file, results) => {
     setShowCamera(false)
+    onDetectionComplete(results, file)
+  }
+
+  /**
+   * Replaces the selected image with its edited copy
+   */
+  const handleEditSave = (file) => {
+    setIsEditing(false)
     onImageUpload(file)
   }
 
@@ -38,18 +143,90 @@ function UploadPage({ uploadedImage, imagePreview, onImageUpload, onDetectionCom
     setShowCamera(false)
   }
 
+  /**
+   * Runs detection over the batch queue
+   * Completed and failed counts are tracked locally, because the
+   * queue items in props only update after re-render.
+   */
+  const handleBatchDetect = async () => {
+    const controller = new AbortController()
+    batchControllerRef.current = controller
+
+    setError(null)
+    setIsBatchRunning(true)
+
+    let succeeded = 0
+    let failed = 0
+
+    await detectTiles(batchItems, {
+      signal: controller.signal,
+      onItemUpdate: (itemId, changes) => {
+        if (changes.status === 'done') succeeded += 1
+        if (changes.status === 'error') failed += 1
+        onBatchItemUpdate(itemId, changes)
+      },
+    })
+
+    batchControllerRef.current = null
+    setIsBatchRunning(false)
+
+    if (controller.signal.aborted) {
+      return
+    }
+
+    const alreadyDone = batchItems.filter((item) => item.status === 'done').length
+    if (succeeded + alreadyDone === 0 && failed > 0) {
+      setError(t('upload.batchFailed'))
+      return
+    }
+
+    onBatchComplete()
+  }
+
+  /**
+   * Cancels the running batch
+   * Images that were not analyzed yet stay in the queue
+   */
+  const handleCancelBatch = () => {
+    batchControllerRef.current?.abort()
+  }
+
   /**
    * Handles the detect button click
-   * Validates image selection and initiates detection
+   * Validates image selection, asks for confirmation if the image
+   * has quality problems, and initiates detection
    */
-  const handleDetect = async () => {
+  const handleDetect = () => {
+    if (isBatchMode) {
+      handleBatchDetect()
+      return
+    }
+
     // Validate that an image has been selected
     if (!uploadedImage) {
-      setError('Please select an image before detecting tiles.')
+      setError(t('upload.noImage'))
+      return
+    }
+
+    if (isCheckingQuality) {
+      return
+    }
+
+    // Ask before sending an image with quality problems
+    if (qualityReport?.issues.length && acceptedImage !== uploadedImage) {
+      setIsConfirmingQuality(true)
       return
     }
 
+    runDetection()
+  }
+
+  /**
+   * Detects tiles in the selected image
+   */
+  const runDetection = async () => {
     setError(null)
+    setIsConfirmingQuality(false)
     setIsProcessing(true)
 
     try {
@@ -57,26 +234,51 @@ function UploadPage({ uploadedImage, imagePreview, onImageUpload, onDetectionCom
       // API INTEGRATION POINT
       // =====================================================
       // The detectTile function in detectService.js handles
-      // the actual API call. Currently returns mock data.
-      // When FastAPI is ready, only detectService.js needs
-      // to be updated - no changes required here.
+      // the actual API call through the configured backend
+      // adapter (mock or FastAPI). Switching backends is a
+      // config change - no changes required here.
       // =====================================================
       const results = await detectTile(uploadedImage)
       onDetectionComplete(results)
     } catch (err) {
-      setError('An error occurred while processing the image. Please try again.')
+      setError(t('upload.detectError'))
       console.error('Detection error:', err)
     } finally {
       setIsProcessing(false)
     }
   }
 
+  /**
+   * Sends the image despite its quality warnings
+   */
+  const handleConfirmQuality = () => {
+    setAcceptedImage(uploadedImage)
+    runDetection()
+  }
+
+  // Show queue progress while a batch is running
+  if (isBatchRunning) {
+    return (
+      <div className="page upload-page">
+        <div className="page-content">
+          <div className="upload-section">
+            <h2>{t('upload.analyzingImages')}</h2>
+            <UploadQueue items={batchItems} isProcessing />
+            <button className="reset-button" onClick={handleCancelBatch}>
+              {t('common.cancel')}
+            </button>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
   // Show loading state during processing
   if (isProcessing) {
     return (
       <div className="page upload-page">
         <div className="processing-container">
-          <Loader message="Analyzing tile image..." />
+          <Loader message={t('upload.analyzing')} />
         </div>
       </div>
     )
@@ -90,6 +292,23 @@ function UploadPage({ uploadedImage, imagePreview, onImageUpload, onDetectionCom
           <CameraCapture
             onCapture={handleCameraCapture}
             onClose={handleCameraClose}
+            onLiveLock={isBatchMode ? null : handleLiveLock}
+          />
+        </div>
+      </div>
+    )
+  }
+
+  // Show the editor while the selected image is being edited
+  if (isEditing && uploadedImage && !isBatchMode) {
+    return (
+      <div className="page upload-page">
+        <div className="page-content">
+          <ImageEditor
+            file={uploadedImage}
+            imageUrl={imagePreview}
+            onSave={handleEditSave}
+            onCancel={() => setIsEditing(false)}
           />
         </div>
       </div>
@@ -100,19 +319,39 @@ function UploadPage({ uploadedImage, imagePreview, onImageUpload, onDetectionCom
     <div className="page upload-page">
       <div className="page-content">
         <div className="upload-section">
-          <h2>Upload Tile Image</h2>
+          <h2>{t('upload.title')}</h2>
           <p className="section-description">
-            Upload an image of the tile you want to identify and find matching tiles.
+            {t('upload.description')}
           </p>
 
           <ImageUploader
             onImageSelect={onImageUpload}
-            imagePreview={imagePreview}
+            onImagesSelect={handleImagesSelect}
+            imagePreview={isBatchMode ? null : imagePreview}
+            onQualityChange={setQualityReport}
           />
 
+          {uploadedImage && !isBatchMode && (
+            <button className="camera-button edit-image-button" onClick={() => setIsEditing(true)}>
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M6 2v14a2 2 0 0 0 2 2h14" />
+                <path d="M18 22V8a2 2 0 0 0-2-2H2" />
+              </svg>
+              {t('upload.edit')}
+            </button>
+          )}
+
+          {isBatchMode && (
+            <UploadQueue
+              items={batchItems}
+              onRemove={onRemoveFromBatch}
+              isProcessing={false}
+            />
+          )}
+
           {/* Camera option - alternative to file upload */}
           <div className="upload-alternative">
-            <span className="alternative-divider">or</span>
+            <span className="alternative-divider">{t('upload.or')}</span>
             <button 
               className="camera-button"
               onClick={() => setShowCamera(true)}
@@ -121,7 +360,7 @@ function UploadPage({ uploadedImage, imagePreview, onImageUpload, onDetectionCom
                 <path d="M23 19a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h4l2-3h6l2 3h4a2 2 0 0 1 2 2z" />
                 <circle cx="12" cy="13" r="4" />
               </svg>
-              Use Camera
+              {t('upload.useCamera')}
             </button>
           </div>
 
@@ -132,13 +371,29 @@ function UploadPage({ uploadedImage, imagePreview, onImageUpload, onDetectionCom
             </div>
           )}
 
-          <button
-            className={`detect-button ${!uploadedImage ? 'disabled' : ''}`}
-            onClick={handleDetect}
-            disabled={!uploadedImage}
-          >
-            Detect Tile
-          </button>
+          {isConfirmingQuality ? (
+            <div className="quality-confirm">
+              <p>{t('upload.qualityConfirm')}</p>
+              <div className="quality-confirm-actions">
+                <button className="back-button" onClick={() => setIsConfirmingQuality(false)}>
+                  {t('common.cancel')}
+                </button>
+                <button className="detect-button" onClick={handleConfirmQuality}>
+                  {t('upload.detectAnyway')}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              className={`detect-button ${(!uploadedImage && !isBatchMode) || isCheckingQuality ? 'disabled' : ''}`}
+              onClick={handleDetect}
+              disabled={(!uploadedImage && !isBatchMode) || isCheckingQuality}
+            >
+              {isBatchMode
+                ? t('upload.detectBatch', { count: batchItems.length })
+                : isCheckingQuality ? t('upload.checkingQuality') : t('upload.detect')}
+            </button>
+          )}
         </div>
       </div>
     </div>
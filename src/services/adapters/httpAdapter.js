@@ -0,0 +1,115 @@
+/**
+ * HTTP Backend Adapter
+ * 
+ * Talks to the FastAPI backend (or anything implementing the
+ * same contract):
+ * 
+ * - POST /api/detect
+ *   Body: FormData with `image` field
+ *   Response: { detections: [{ id, image, confidence, bbox?, polygon? }] }
+ * 
+ * - POST /api/recommend
+ *   Body: { tileId: number, tileImage: string, filters?: Object, sort?: string,
+ *           limit?: number, cursor?: string }
+ *   Response: { recommendations: [{ id, image, similarity }], total?: number,
+ *               nextCursor?: string | null, filtersApplied?: boolean,
+ *               sortApplied?: boolean }
+ *   (filters/sort format: see utils/recommendationFilters.js; the cursor
+ *   is opaque and comes from the previous page's nextCursor)
+ * 
+ * - GET /api/catalog
+ *   Response: { tiles: [{ id, image, name, sku, ... }] }
+ * 
+ * - POST /api/feedback
+ *   Body: a feedback item (see feedbackService.js)
+ *   Response: { received: true }
+ * 
+ * - GET /api/image-proxy?url=<image URL>
+ *   Response: the image bytes, with the image's Content-Type
+ *   (used to import images from sites that don't allow CORS)
+ * 
+ * Timeouts, retries and cancellation are handled by httpClient.js.
+ */
+
+import { requestJson, requestBlob } from '../httpClient'
+
+/**
+ * Creates the HTTP adapter
+ * 
+ * @param {Object} config - Resolved API config (see apiConfig.js)
+ * @returns {Object} - Adapter implementing detect(), recommend(), getCatalog(),
+ *   sendFeedback() and fetchImage()
+ */
+export function createHttpAdapter(config) {
+  const { apiUrl, timeout, retries, retryDelay } = config
+
+  return {
+    name: 'http',
+
+    async detect(imageFile, { signal } = {}) {
+      const formData = new FormData()
+      formData.append('image', imageFile)
+
+      return requestJson(`${apiUrl}/api/detect`, {
+        method: 'POST',
+        body: formData,
+        timeout,
+        retries,
+        retryDelay,
+        signal,
+        errorMessage: 'Detection failed',
+      })
+    },
+
+    async recommend(referenceTile, { signal, filters, sort, limit, cursor } = {}) {
+      return requestJson(`${apiUrl}/api/recommend`, {
+        method: 'POST',
+        body: {
+          tileId: referenceTile.id,
+          tileImage: referenceTile.image,
+          filters,
+          sort,
+          limit,
+          cursor,
+        },
+        timeout,
+        retries,
+        retryDelay,
+        signal,
+        errorMessage: 'Recommendation failed',
+      })
+    },
+
+    async getCatalog({ signal } = {}) {
+      return requestJson(`${apiUrl}/api/catalog`, {
+        timeout,
+        retries,
+        retryDelay,
+        signal,
+        errorMessage: 'Unable to load tile catalog',
+      })
+    },
+
+    async sendFeedback(feedback, { signal } = {}) {
+      return requestJson(`${apiUrl}/api/feedback`, {
+        method: 'POST',
+        body: feedback,
+        timeout,
+        retries,
+        retryDelay,
+        signal,
+        errorMessage: 'Unable to send feedback',
+      })
+    },
+
+    async fetchImage(imageUrl, { signal } = {}) {
+      return requestBlob(`${apiUrl}/api/image-proxy?url=${encodeURIComponent(imageUrl)}`, {
+        timeout,
+        retries,
+        retryDelay,
+        signal,
+        errorMessage: 'Unable to fetch the image',
+      })
+    },
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Backend Adapter Registry
+ * 
+ * The detect, recommend and catalog services never talk to a backend
+ * directly - they ask this registry for the active adapter.
+ * Which adapter is active comes from apiConfig.js, so switching
+ * between the mock and a real server is a config change.
+ * 
+ * An adapter is a plain object with:
+ * - name: string
+ * - detect(imageFile, { signal }): Promise<{ detections }>
+ * - recommend(referenceTile, { signal, filters, sort, limit, cursor }):
+ *   Promise<{ recommendations, total, nextCursor }> - one page of results
+ * - getCatalog({ signal }): Promise<{ tiles }>
+ * - sendFeedback(feedback, { signal }): Promise - delivers one feedback
+ *   item (see feedbackService.js)
+ * - fetchImage(url, { signal }): Promise<Blob> (optional) - fetches
+ *   an image on the app's behalf, for sites that block cross-origin
+ *   requests
+ * 
+ * To add a new backend, write a factory `(config) => adapter`
+ * and register it with registerAdapter().
+ */
+
+import { getApiConfig } from '../apiConfig'
+import { createMockAdapter } from './mockAdapter'
+import { createHttpAdapter } from './httpAdapter'
+
+// Registered adapter factories, keyed by name
+const adapterFactories = {
+  mock: createMockAdapter,
+  http: createHttpAdapter,
+}
+
+// Cached adapter instance and the config it was created with
+let activeAdapter = null
+let activeConfigKey = null
+
+/**
+ * Registers an adapter factory under the given name
+ * 
+ * @param {string} name - Name used in config (e.g. VITE_BACKEND_ADAPTER)
+ * @param {Function} factory - (config) => adapter
+ */
+export function registerAdapter(name, factory) {
+  adapterFactories[name] = factory
+  // Force the next getAdapter() call to re-resolve
+  activeConfigKey = null
+}
+
+/**
+ * Returns the names of all registered adapters
+ */
+export function getAdapterNames() {
+  return Object.keys(adapterFactories)
+}
+
+/**
+ * Returns the adapter selected by the current config
+ * Falls back to the mock adapter for unknown names
+ */
+export function getAdapter() {
+  const config = getApiConfig()
+  const configKey = JSON.stringify(config)
+
+  if (activeAdapter && configKey === activeConfigKey) {
+    return activeAdapter
+  }
+
+  let factory = adapterFactories[config.adapter]
+  if (!factory) {
+    console.warn(`Unknown backend adapter "${config.adapter}", falling back to mock`)
+    factory = adapterFactories.mock
+  }
+
+  activeAdapter = factory(config)
+  activeConfigKey = configKey
+  return activeAdapter
+}
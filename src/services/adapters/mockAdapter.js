@@ -0,0 +1,183 @@
+/**
+ * Mock Backend Adapter
+ * 
+ * Simulates the FastAPI backend entirely in the browser.
+ * Used for demos and development when no backend is available.
+ * 
+ * Detection is simulated:
+ * - Network delay (1.5-2 seconds)
+ * - Random detection confidence and regions
+ * - Occasional empty results (no detection)
+ * 
+ * Recommendations are real: catalog tiles are ranked by the
+ * offline similarity engine (see similarityService.js), so the
+ * scores reflect actual colour, pattern and texture similarity.
+ * 
+ * Feedback is only logged to the console.
+ */
+
+import { createAbortError } from '../httpClient'
+import { getLocalRecommendations } from '../similarityService'
+
+// Catalog file shared with the local dev API
+const CATALOG_URL = '/mock/catalog.json'
+
+// Mock tile images (stored in public/mock/)
+const MOCK_TILES = [
+  { id: 1, image: '/mock/tile1.svg' },
+  { id: 2, image: '/mock/tile2.svg' },
+  { id: 3, image: '/mock/tile3.svg' },
+]
+
+// Simulated network delay range (in milliseconds)
+const MIN_DELAY = 1500
+const MAX_DELAY = 2000
+
+// Probability of returning empty detections (20-30%)
+const EMPTY_DETECTION_PROBABILITY = 0.25
+
+/**
+ * Generates a random delay within the specified range
+ */
+function getRandomDelay() {
+  return Math.floor(Math.random() * (MAX_DELAY - MIN_DELAY + 1)) + MIN_DELAY
+}
+
+/**
+ * Resolves with the result of `produce` after a simulated delay
+ * Rejects with an AbortError if the signal aborts first
+ */
+function simulateRequest(produce, signal, failureMessage) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError())
+      return
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      try {
+        resolve(produce())
+      } catch (error) {
+        reject(new Error(failureMessage))
+      }
+    }, getRandomDelay())
+
+    function onAbort() {
+      clearTimeout(timer)
+      reject(createAbortError())
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Generates a random confidence score between 0.5 and 0.99
+ * Higher scores are slightly less common for realism
+ */
+function generateConfidence() {
+  // Generate a score weighted towards middle-high range
+  const base = 0.5
+  const range = 0.49
+  const random = Math.random()
+  // Slight bias towards middle values
+  const weighted = Math.pow(random, 0.7)
+  return Number((base + weighted * range).toFixed(3))
+}
+
+/**
+ * Generates non-overlapping bounding boxes for mock detections
+ * The image is split into a 3x3 grid and each box is placed
+ * inside a different random cell. Coordinates are normalized (0-1).
+ */
+function generateBoundingBoxes(count) {
+  const gridSize = 3
+  const cellSize = 1 / gridSize
+  const cells = Array.from({ length: gridSize * gridSize }, (_, index) => index)
+    .sort(() => Math.random() - 0.5)
+
+  return cells.slice(0, count).map((cell) => {
+    const width = cellSize * (0.6 + Math.random() * 0.3)
+    const height = cellSize * (0.6 + Math.random() * 0.3)
+    const x = (cell % gridSize) * cellSize + Math.random() * (cellSize - width)
+    const y = Math.floor(cell / gridSize) * cellSize + Math.random() * (cellSize - height)
+
+    return {
+      x: Number(x.toFixed(4)),
+      y: Number(y.toFixed(4)),
+      width: Number(width.toFixed(4)),
+      height: Number(height.toFixed(4)),
+    }
+  })
+}
+
+/**
+ * Generates mock detection results
+ */
+function generateMockDetections() {
+  // Randomly decide if we should return empty detections
+  if (Math.random() < EMPTY_DETECTION_PROBABILITY) {
+    return { detections: [] }
+  }
+
+  // Generate 3-5 mock detections
+  const numDetections = Math.floor(Math.random() * 3) + 3
+  
+  const selectedTiles = MOCK_TILES.slice(0, numDetections)
+  const boxes = generateBoundingBoxes(selectedTiles.length)
+
+  const detections = selectedTiles.map((tile, index) => ({
+    id: tile.id,
+    image: tile.image,
+    confidence: generateConfidence(),
+    bbox: boxes[index],
+  }))
+
+  // Sort by confidence descending
+  detections.sort((a, b) => b.confidence - a.confidence)
+
+  return { detections }
+}
+
+/**
+ * Creates the mock adapter
+ * 
+ * @returns {Object} - Adapter implementing detect(), recommend(), getCatalog() and sendFeedback()
+ */
+export function createMockAdapter() {
+  return {
+    name: 'mock',
+
+    detect(imageFile, { signal } = {}) {
+      return simulateRequest(
+        () => {
+          const results = generateMockDetections()
+          console.log('Mock detection results:', results)
+          return results
+        },
+        signal,
+        'Detection processing failed'
+      )
+    },
+
+    async getCatalog({ signal } = {}) {
+      const response = await fetch(CATALOG_URL, { signal })
+      if (!response.ok) {
+        throw new Error(`Unable to load tile catalog (${response.status})`)
+      }
+      return response.json()
+    },
+
+    async recommend(referenceTile, { signal, filters, sort, limit, cursor } = {}) {
+      const results = await getLocalRecommendations(referenceTile, { signal, filters, sort, limit, cursor })
+      console.log('Mock recommendation results:', results)
+      return results
+    },
+
+    async sendFeedback(feedback) {
+      console.log('Mock feedback received:', feedback)
+      return { received: true }
+    },
+  }
+}
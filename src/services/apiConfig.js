@@ -0,0 +1,149 @@
+/**
+ * API Configuration
+ * 
+ * Central place for the settings that decide which backend
+ * adapter the service layer talks to and how it behaves.
+ * 
+ * Settings are resolved in this order (first match wins):
+ * 1. Runtime override (adapter only): ?backend= in the URL for the
+ *    current tab session, or one saved with setBackendAdapter()
+ * 2. window.TILE_APP_CONFIG, loaded from public/app-config.js
+ * 3. Vite environment variables (VITE_*) from the .env file
+ * 4. The defaults below
+ * 
+ * Because public/app-config.js is served as-is (not bundled),
+ * the same build can be pointed at the mock, a local server or
+ * staging by editing that file on the host - no rebuild needed.
+ */
+
+// Key used to persist a runtime adapter override in localStorage
+const ADAPTER_OVERRIDE_KEY = 'tile-app:backend-adapter'
+
+// Key used to keep a query string override for the tab session
+const SESSION_OVERRIDE_KEY = 'tile-app:session-backend-adapter'
+
+// Query string parameter that sets the override (e.g. ?backend=http)
+const ADAPTER_QUERY_PARAM = 'backend'
+
+const DEFAULT_CONFIG = {
+  // Which adapter to use: 'mock' or 'http' (see adapters/index.js)
+  adapter: 'mock',
+  // Base URL for the HTTP adapter ('' means same origin)
+  apiUrl: 'http://localhost:8000',
+  // Per-attempt request timeout (in milliseconds)
+  timeout: 15000,
+  // Number of extra attempts after a failed request
+  retries: 2,
+  // Base delay for exponential backoff between retries (in milliseconds)
+  retryDelay: 500,
+  // Maximum number of detection requests in flight during batch uploads
+  batchConcurrency: 2,
+  // Rank recommendations offline when the backend is unreachable
+  localFallback: true,
+  // Log a comparison of backend rankings with the offline baseline
+  localBaseline: false,
+  // Longest side of images sent for detection (in pixels)
+  uploadMaxSize: 2048,
+  // JPEG quality of images sent for detection (0-1)
+  uploadQuality: 0.85,
+}
+
+/**
+ * Reads the runtime config object injected by public/app-config.js
+ */
+function getRuntimeConfig() {
+  if (typeof window === 'undefined' || !window.TILE_APP_CONFIG) {
+    return {}
+  }
+  return window.TILE_APP_CONFIG
+}
+
+/**
+ * Reads settings from Vite environment variables
+ * Only variables that are actually set are returned
+ */
+function getEnvConfig() {
+  const env = import.meta.env
+  const config = {}
+
+  if (env.VITE_BACKEND_ADAPTER) config.adapter = env.VITE_BACKEND_ADAPTER
+  if (env.VITE_API_URL !== undefined) config.apiUrl = env.VITE_API_URL
+  if (env.VITE_API_TIMEOUT) config.timeout = Number(env.VITE_API_TIMEOUT)
+  if (env.VITE_API_RETRIES) config.retries = Number(env.VITE_API_RETRIES)
+  if (env.VITE_API_RETRY_DELAY) config.retryDelay = Number(env.VITE_API_RETRY_DELAY)
+  if (env.VITE_BATCH_CONCURRENCY) config.batchConcurrency = Number(env.VITE_BATCH_CONCURRENCY)
+  if (env.VITE_LOCAL_FALLBACK) config.localFallback = env.VITE_LOCAL_FALLBACK !== 'false'
+  if (env.VITE_LOCAL_BASELINE) config.localBaseline = env.VITE_LOCAL_BASELINE === 'true'
+  if (env.VITE_UPLOAD_MAX_SIZE) config.uploadMaxSize = Number(env.VITE_UPLOAD_MAX_SIZE)
+  if (env.VITE_UPLOAD_QUALITY) config.uploadQuality = Number(env.VITE_UPLOAD_QUALITY)
+
+  return config
+}
+
+/**
+ * Reads the adapter override from the query string or storage
+ * A query parameter only applies to the current tab session
+ * (sessionStorage), so a shared link can't change the backend for
+ * later visits; setBackendAdapter() saves one that lasts.
+ */
+function getAdapterOverride() {
+  if (typeof window === 'undefined') {
+    return null
+  }
+
+  try {
+    const params = new URLSearchParams(window.location.search)
+    const fromQuery = params.get(ADAPTER_QUERY_PARAM)
+    if (fromQuery) {
+      window.sessionStorage.setItem(SESSION_OVERRIDE_KEY, fromQuery)
+      return fromQuery
+    }
+    return window.sessionStorage.getItem(SESSION_OVERRIDE_KEY)
+      || window.localStorage.getItem(ADAPTER_OVERRIDE_KEY)
+  } catch (error) {
+    // Storage can be unavailable (private mode, disabled storage)
+    return null
+  }
+}
+
+/**
+ * Returns the resolved API configuration
+ * 
+ * @returns {Object} - Resolved settings (see DEFAULT_CONFIG for the keys)
+ */
+export function getApiConfig() {
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...getEnvConfig(),
+    ...getRuntimeConfig(),
+  }
+
+  const override = getAdapterOverride()
+  if (override) {
+    config.adapter = override
+  }
+
+  // Strip trailing slashes so paths can always start with '/'
+  config.apiUrl = (config.apiUrl || '').replace(/\/+$/, '')
+
+  return config
+}
+
+/**
+ * Saves (or clears) a runtime adapter override
+ * 
+ * @param {string|null} name - Adapter name, or null to clear the override
+ */
+export function setBackendAdapter(name) {
+  try {
+    // A saved choice replaces one made with ?backend= for this session
+    window.sessionStorage.removeItem(SESSION_OVERRIDE_KEY)
+    if (name) {
+      window.localStorage.setItem(ADAPTER_OVERRIDE_KEY, name)
+    } else {
+      window.localStorage.removeItem(ADAPTER_OVERRIDE_KEY)
+    }
+  } catch (error) {
+    console.warn('Unable to persist backend adapter override:', error)
+  }
+}
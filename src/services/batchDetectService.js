@@ -0,0 +1,127 @@
+/**
+ * Batch Tile Detection Service
+ * 
+ * Runs tile detection over a queue of images with a limit on
+ * concurrent requests, and combines the results so the same
+ * tile seen in several photos is reported once.
+ * 
+ * Each queue item has the shape:
+ * {
+ *   id: string,
+ *   file: File,
+ *   previewUrl: string,
+ *   status: 'queued' | 'processing' | 'done' | 'error',
+ *   results: { detections: [...] } | null,
+ *   error: string | null
+ * }
+ */
+
+import { t } from '../i18n'
+import { detectTile } from './detectService'
+import { getApiConfig } from './apiConfig'
+import { runWithConcurrency } from '../utils/concurrency'
+import { isAbortError } from './httpClient'
+
+// Maximum number of images accepted in one batch
+export const MAX_BATCH_SIZE = 30
+
+/**
+ * Creates a queue item for an image file
+ */
+export function createBatchItem(file, previewUrl = URL.createObjectURL(file)) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    file,
+    previewUrl,
+    status: 'queued',
+    results: null,
+    error: null,
+  }
+}
+
+/**
+ * Runs detection for every queued (or failed) item
+ * 
+ * @param {Array} items - Queue items
+ * @param {Object} options
+ * @param {Function} options.onItemUpdate - (itemId, changes) => void, called on every status change
+ * @param {AbortSignal} options.signal - Cancels in-flight requests and stops the queue
+ * @param {number} options.concurrency - Max parallel requests (default: from apiConfig)
+ * @returns {Promise<void>}
+ */
+export async function detectTiles(items, {
+  onItemUpdate,
+  signal,
+  concurrency = getApiConfig().batchConcurrency,
+} = {}) {
+  const pending = items.filter((item) => item.status === 'queued' || item.status === 'error')
+
+  await runWithConcurrency(pending, concurrency, async (item) => {
+    onItemUpdate(item.id, { status: 'processing', error: null })
+
+    try {
+      const results = await detectTile(item.file, { signal })
+      onItemUpdate(item.id, { status: 'done', results })
+    } catch (error) {
+      if (isAbortError(error)) {
+        // Cancelled items go back to the queue so they can be re-run
+        onItemUpdate(item.id, { status: 'queued' })
+        return
+      }
+      console.error(`Detection error for ${item.file.name}:`, error)
+      onItemUpdate(item.id, { status: 'error', error: error.message || t('batch.itemFailed') })
+    }
+  }, { signal })
+}
+
+/**
+ * Groups detections from several images by tile id
+ * 
+ * @param {Array} items - Queue items (only 'done' items are used)
+ * @returns {Array} - Groups sorted by number of images, then best confidence:
+ *   { id, image, tile, maxConfidence, averageConfidence,
+ *     occurrences: [{ itemId, previewUrl, fileName, confidence }] }
+ */
+export function groupDetectionsByTile(items) {
+  const groups = new Map()
+
+  items
+    .filter((item) => item.status === 'done')
+    .forEach((item) => {
+      (item.results?.detections || []).forEach((detection) => {
+        if (!groups.has(detection.id)) {
+          // Keep the first detection as the group's tile (with catalog details)
+          const { confidence, bbox, polygon, ...tile } = detection
+          groups.set(detection.id, { id: detection.id, image: detection.image, tile, occurrences: [] })
+        }
+
+        const group = groups.get(detection.id)
+        // Keep only the best detection of a tile within one image
+        const existing = group.occurrences.find((occurrence) => occurrence.itemId === item.id)
+        if (existing) {
+          existing.confidence = Math.max(existing.confidence, detection.confidence)
+          return
+        }
+
+        group.occurrences.push({
+          itemId: item.id,
+          previewUrl: item.previewUrl,
+          fileName: item.file.name,
+          confidence: detection.confidence,
+        })
+      })
+    })
+
+  return [...groups.values()]
+    .map((group) => {
+      const confidences = group.occurrences.map((occurrence) => occurrence.confidence)
+      return {
+        ...group,
+        maxConfidence: Math.max(...confidences),
+        averageConfidence: confidences.reduce((sum, value) => sum + value, 0) / confidences.length,
+      }
+    })
+    .sort((a, b) =>
+      b.occurrences.length - a.occurrences.length || b.maxConfidence - a.maxConfidence
+    )
+}
@@ -0,0 +1,145 @@
+/**
+ * Tile Catalog Service
+ * 
+ * Loads the tile catalog - every product the app knows about -
+ * through the active backend adapter:
+ * 
+ * - mock: public/mock/catalog.json (also served by the local dev API)
+ * - http: GET /api/catalog
+ * 
+ * If the backend catalog can't be loaded (and the offline fallback
+ * is enabled), the bundled catalog file is used instead.
+ * 
+ * Catalog tile format (all fields except id and image are optional):
+ * {
+ *   id: number,
+ *   image: string,
+ *   name: string,
+ *   sku: string,
+ *   dimensions: { width, length, thickness },  // millimetres
+ *   material: string,       // e.g. 'porcelain', 'marble'
+ *   finish: string,         // e.g. 'matte', 'polished'
+ *   colorFamily: string,    // e.g. 'grey', 'beige'
+ *   pricePerM2: number,
+ *   currency: string,       // ISO 4217 code, e.g. 'USD'
+ *   tilesPerBox: number,    // tiles in a box, for the quantity estimator
+ *   inStock: boolean,
+ *   description: string
+ * }
+ * 
+ * Detections and recommendations only need to carry an id (plus
+ * their score); enrichWithCatalog() fills in the product details.
+ */
+
+import { getAdapter } from './adapters'
+import { createMockAdapter } from './adapters/mockAdapter'
+import { getApiConfig } from './apiConfig'
+
+// Currency used when a catalog entry doesn't specify one
+const DEFAULT_CURRENCY = 'USD'
+
+// Cached catalog request per adapter, shared by all callers
+const catalogPromises = new Map()
+
+/**
+ * Normalizes a raw catalog entry into the catalog tile format
+ * Unknown or malformed fields are dropped rather than passed on
+ */
+export function normalizeCatalogTile(raw) {
+  const dimensions = raw.dimensions || {}
+  const toNumber = (value) => (Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : null)
+  const tilesPerBox = toNumber(raw.tilesPerBox)
+
+  return {
+    id: raw.id,
+    image: raw.image,
+    name: raw.name || null,
+    sku: raw.sku || null,
+    dimensions: {
+      width: toNumber(dimensions.width),
+      length: toNumber(dimensions.length),
+      thickness: toNumber(dimensions.thickness),
+    },
+    material: raw.material || null,
+    finish: raw.finish || null,
+    colorFamily: raw.colorFamily || null,
+    pricePerM2: toNumber(raw.pricePerM2),
+    currency: raw.currency || DEFAULT_CURRENCY,
+    tilesPerBox: Number.isInteger(tilesPerBox) && tilesPerBox > 0 ? tilesPerBox : null,
+    inStock: typeof raw.inStock === 'boolean' ? raw.inStock : null,
+    description: raw.description || null,
+  }
+}
+
+/**
+ * Loads the raw catalog from an adapter, falling back to the
+ * bundled catalog file when a backend catalog is unavailable
+ */
+async function loadCatalog(adapter) {
+  try {
+    return await adapter.getCatalog()
+  } catch (error) {
+    if (adapter.name === 'mock' || !getApiConfig().localFallback) {
+      throw error
+    }
+    console.warn('Backend catalog unavailable, using bundled catalog:', error.message)
+    return createMockAdapter().getCatalog()
+  }
+}
+
+/**
+ * Returns all catalog tiles
+ * 
+ * @returns {Promise<Array>} - Normalized catalog tiles
+ */
+export function getCatalog() {
+  const adapter = getAdapter()
+
+  if (!catalogPromises.has(adapter.name)) {
+    const promise = loadCatalog(adapter)
+      .then((data) => (data?.tiles || []).map(normalizeCatalogTile))
+      .catch((error) => {
+        // Allow a later call to retry
+        catalogPromises.delete(adapter.name)
+        throw error
+      })
+    catalogPromises.set(adapter.name, promise)
+  }
+
+  return catalogPromises.get(adapter.name)
+}
+
+/**
+ * Returns a single catalog tile by id, or null if unknown
+ */
+export async function getCatalogTile(id) {
+  const catalog = await getCatalog()
+  return catalog.find((tile) => String(tile.id) === String(id)) || null
+}
+
+/**
+ * Merges catalog details into detection or recommendation items
+ * Values returned by the backend win over catalog values. If the
+ * catalog can't be loaded, items are returned unchanged.
+ * 
+ * @param {Array} items - Items with at least an `id`
+ * @returns {Promise<Array>} - Items with catalog fields added
+ */
+export async function enrichWithCatalog(items) {
+  if (!items || items.length === 0) {
+    return items || []
+  }
+
+  try {
+    const catalog = await getCatalog()
+    const byId = new Map(catalog.map((tile) => [String(tile.id), tile]))
+
+    return items.map((item) => {
+      const tile = byId.get(String(item.id))
+      return tile ? { ...tile, ...item } : item
+    })
+  } catch (error) {
+    console.warn('Unable to load tile catalog, showing results without details:', error)
+    return items
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Feedback Service
+ * 
+ * Sends what users say about results to the backend
+ * (POST /api/feedback through the active adapter), where it is
+ * collected to retrain the similarity model.
+ * 
+ * Feedback types:
+ * {
+ *   type: 'recommendation',
+ *   referenceTileId: number,     // tile the recommendations were for
+ *   tileId: number,              // recommended tile
+ *   rating: 'up' | 'down',
+ *   reasons: string[],           // ids from NOT_SIMILAR_REASONS (rating 'down' only)
+ *   similarity: number,
+ *   rank: number
+ * }
+ * {
+ *   type: 'detection',
+ *   tileId: number,              // detected tile
+ *   verdict: 'wrong-tile',
+ *   confidence: number,
+ *   rank: number
+ * }
+ * 
+ * Every item also gets an `id` (so the backend can ignore duplicates
+ * after a retry) and a `createdAt` timestamp.
+ * 
+ * Feedback that can't be delivered (offline, backend down, request
+ * timeout or rate limit) is kept in localStorage and sent later: when
+ * the browser comes back online, every RETRY_INTERVAL while the app
+ * is open, and on the next visit. Feedback the backend rejects
+ * (other 4xx) is dropped.
+ */
+
+import { getAdapter } from './adapters'
+import { isTemporaryFailure } from './httpClient'
+
+// Reasons offered for a thumbs-down on a recommendation, with the
+// message keys of their labels
+export const NOT_SIMILAR_REASONS = [
+  { id: 'color', labelKey: 'feedback.reason.color' },
+  { id: 'pattern', labelKey: 'feedback.reason.pattern' },
+  { id: 'finish', labelKey: 'feedback.reason.finish' },
+  { id: 'size', labelKey: 'feedback.reason.size' },
+  { id: 'material', labelKey: 'feedback.reason.material' },
+  { id: 'style', labelKey: 'feedback.reason.style' },
+]
+
+// localStorage key of the queue of undelivered feedback
+const QUEUE_KEY = 'tile-app:feedback-queue'
+
+// Undelivered items kept; the oldest are dropped beyond this
+const MAX_QUEUE_LENGTH = 200
+
+// Time between delivery attempts for queued feedback (in milliseconds)
+const RETRY_INTERVAL = 60 * 1000
+
+// Delivery of the queue in progress, so it never runs twice at once
+let flushPromise = null
+
+/**
+ * Reads the queue of undelivered feedback
+ */
+function readQueue() {
+  try {
+    const queue = JSON.parse(window.localStorage.getItem(QUEUE_KEY) || '[]')
+    return Array.isArray(queue) ? queue : []
+  } catch (error) {
+    // localStorage can be unavailable (private mode, disabled storage)
+    return []
+  }
+}
+
+/**
+ * Saves the queue of undelivered feedback
+ */
+function writeQueue(queue) {
+  try {
+    if (queue.length > 0) {
+      window.localStorage.setItem(QUEUE_KEY, JSON.stringify(queue.slice(-MAX_QUEUE_LENGTH)))
+    } else {
+      window.localStorage.removeItem(QUEUE_KEY)
+    }
+  } catch (error) {
+    console.warn('Unable to store feedback for later:', error)
+  }
+}
+
+/**
+ * Sends the queued feedback, oldest first
+ * Stops at the first item the backend can't take yet; the rest
+ * stay queued for the next attempt.
+ * 
+ * @returns {Promise<number>} - Number of items still queued
+ */
+function flushFeedbackQueue() {
+  if (!flushPromise) {
+    flushPromise = (async () => {
+      const adapter = getAdapter()
+
+      for (const item of readQueue()) {
+        try {
+          await adapter.sendFeedback(item)
+        } catch (error) {
+          if (isTemporaryFailure(error)) {
+            break
+          }
+          console.warn('Feedback rejected by the backend, dropping it:', error)
+        }
+        // Re-read, so feedback queued meanwhile isn't lost
+        writeQueue(readQueue().filter((queued) => queued.id !== item.id))
+      }
+
+      return readQueue().length
+    })().finally(() => {
+      flushPromise = null
+    })
+  }
+  return flushPromise
+}
+
+/**
+ * Sends feedback, or queues it if the backend can't be reached
+ * 
+ * @param {Object} feedback - One of the feedback types above (without id/createdAt)
+ * @returns {Promise<string>} - 'sent' or 'queued'
+ * @throws {ApiError} - If the backend rejects the feedback
+ */
+export async function submitFeedback(feedback) {
+  const item = {
+    ...feedback,
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt: Date.now(),
+  }
+
+  if (navigator.onLine === false) {
+    writeQueue([...readQueue(), item])
+    return 'queued'
+  }
+
+  // Keep the order: while older feedback is waiting, send it first
+  if (readQueue().length > 0) {
+    writeQueue([...readQueue(), item])
+    await flushFeedbackQueue()
+    return readQueue().some((queued) => queued.id === item.id) ? 'queued' : 'sent'
+  }
+
+  try {
+    await getAdapter().sendFeedback(item)
+    return 'sent'
+  } catch (error) {
+    if (!isTemporaryFailure(error)) {
+      throw error
+    }
+    console.warn('Feedback not delivered yet, queueing:', error.message)
+  }
+
+  writeQueue([...readQueue(), item])
+  return 'queued'
+}
+
+/**
+ * Sends queued feedback now and whenever it may get through:
+ * when the browser comes back online and every RETRY_INTERVAL
+ * 
+ * @returns {Function} - Stops the retries
+ */
+export function startFeedbackSync() {
+  const flush = () => {
+    if (navigator.onLine !== false && readQueue().length > 0) {
+      flushFeedbackQueue().catch((error) => console.warn('Feedback retry failed:', error))
+    }
+  }
+
+  flush()
+  window.addEventListener('online', flush)
+  const timer = setInterval(flush, RETRY_INTERVAL)
+
+  return () => {
+    window.removeEventListener('online', flush)
+    clearInterval(timer)
+  }
+}
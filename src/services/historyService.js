@@ -0,0 +1,278 @@
+/**
+ * History Service
+ * 
+ * Saves every analysed image as a session in IndexedDB, so past
+ * detections can be reopened days later without re-uploading.
+ * 
+ * Session record:
+ * {
+ *   id: string,              // also the id in the results URL
+ *   name: string,            // editable; defaults to the file name
+ *   createdAt: number,       // timestamps in ms
+ *   updatedAt: number,
+ *   image: Blob,             // downscaled JPEG copy of the original
+ *   thumbnail: Blob,         // small JPEG for the history list
+ *   results: { detections: [...] },
+ *   viewedRecommendations: [{
+ *     tile: { id, image, name, confidence },
+ *     recommendations: [{ id, image, name, similarity }],
+ *     viewedAt: number
+ *   }]
+ * }
+ * 
+ * Storage errors are logged and otherwise ignored when saving, so
+ * a browser without IndexedDB (e.g. some private modes) still works.
+ */
+
+import { t } from '../i18n'
+import { loadImage } from '../utils/imageFeatures'
+import { formatDateTime } from '../utils/formatters'
+
+const DB_NAME = 'tile-app'
+const DB_VERSION = 1
+const STORE_NAME = 'sessions'
+
+// Longest side of the stored image and thumbnail, in pixels
+const IMAGE_MAX_SIZE = 1600
+const THUMBNAIL_MAX_SIZE = 320
+const JPEG_QUALITY = 0.85
+
+// Recommendations kept per viewed reference tile
+const MAX_STORED_RECOMMENDATIONS = 12
+
+let databasePromise = null
+
+/**
+ * Opens (and on first use, creates) the database
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' })
+        store.createIndex('createdAt', 'createdAt')
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+
+    // Allow a later call to retry if opening failed
+    databasePromise.catch(() => {
+      databasePromise = null
+    })
+  }
+  return databasePromise
+}
+
+/**
+ * Runs a single request against the sessions store
+ * 
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise} - The request result, once the transaction completes
+ */
+async function runRequest(mode, operation) {
+  const database = await openDatabase()
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode)
+    const request = operation(transaction.objectStore(STORE_NAME))
+
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+  })
+}
+
+/**
+ * Encodes an image as a downscaled JPEG blob
+ */
+async function createImageBlob(src, maxSize) {
+  const image = await loadImage(src)
+  const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight))
+
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(image.naturalWidth * scale)
+  canvas.height = Math.round(image.naturalHeight * scale)
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height)
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('Unable to encode image'))),
+      'image/jpeg',
+      JPEG_QUALITY
+    )
+  })
+}
+
+/**
+ * Creates an id for a new session
+ */
+export function createSessionId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+/**
+ * Saves a new session
+ * 
+ * @param {Object} session
+ * @param {string} session.id - Session id (see createSessionId)
+ * @param {string} session.name - Display name, e.g. the file name
+ * @param {string} session.imagePreview - URL of the uploaded image
+ * @param {Object} session.results - Detection results ({ detections: [...] })
+ * @returns {Promise<boolean>} - Whether the session was saved
+ */
+export async function saveSession({ id, name, imagePreview, results }) {
+  try {
+    const [image, thumbnail] = await Promise.all([
+      createImageBlob(imagePreview, IMAGE_MAX_SIZE),
+      createImageBlob(imagePreview, THUMBNAIL_MAX_SIZE),
+    ])
+    const now = Date.now()
+
+    await runRequest('readwrite', (store) => store.put({
+      id,
+      name: name || t('history.defaultName', { date: formatDateTime(now) }),
+      createdAt: now,
+      updatedAt: now,
+      image,
+      thumbnail,
+      results,
+      viewedRecommendations: [],
+    }))
+    return true
+  } catch (error) {
+    console.warn('Unable to save session to history:', error)
+    return false
+  }
+}
+
+/**
+ * Loads a session
+ * 
+ * @param {string} id - Session id
+ * @returns {Promise<Object|null>} - The session, or null if not found
+ */
+export async function getSession(id) {
+  return (await runRequest('readonly', (store) => store.get(id))) || null
+}
+
+/**
+ * Lists all sessions, newest first
+ */
+export async function listSessions() {
+  const sessions = await runRequest('readonly', (store) => store.index('createdAt').getAll())
+  return sessions.reverse()
+}
+
+/**
+ * Applies changes to a stored session
+ * Reads and writes in one transaction, so concurrent updates
+ * (e.g. rename while recommendations are recorded) don't clash.
+ * 
+ * @param {string} id - Session id
+ * @param {Function} update - (session) => changes
+ * @returns {Promise<Object|null>} - The updated session, or null if not found
+ */
+async function updateSession(id, update) {
+  const database = await openDatabase()
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, 'readwrite')
+    const store = transaction.objectStore(STORE_NAME)
+    let updated = null
+
+    const request = store.get(id)
+    request.onsuccess = () => {
+      if (request.result) {
+        updated = { ...request.result, ...update(request.result), updatedAt: Date.now() }
+        store.put(updated)
+      }
+    }
+
+    transaction.oncomplete = () => resolve(updated)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+  })
+}
+
+/**
+ * Renames a session
+ */
+export function renameSession(id, name) {
+  return updateSession(id, () => ({ name }))
+}
+
+/**
+ * Deletes a session
+ */
+export function deleteSession(id) {
+  return runRequest('readwrite', (store) => store.delete(id))
+}
+
+/**
+ * Records the recommendations viewed for a tile of a session
+ * Viewing the same tile again replaces its earlier entry.
+ * 
+ * @param {string} id - Session id
+ * @param {Object} referenceTile - Tile the recommendations were requested for
+ * @param {Array} recommendations - Recommendations shown
+ */
+export async function recordViewedRecommendations(id, referenceTile, recommendations) {
+  try {
+    await updateSession(id, (session) => ({
+      viewedRecommendations: [
+        ...session.viewedRecommendations.filter((entry) => entry.tile.id !== referenceTile.id),
+        {
+          tile: {
+            id: referenceTile.id,
+            image: referenceTile.image,
+            name: referenceTile.name || null,
+            confidence: referenceTile.confidence ?? null,
+          },
+          recommendations: recommendations
+            .slice(0, MAX_STORED_RECOMMENDATIONS)
+            .map(({ id: tileId, image, name, similarity }) => ({
+              id: tileId,
+              image,
+              name: name || null,
+              similarity,
+            })),
+          viewedAt: Date.now(),
+        },
+      ],
+    }))
+  } catch (error) {
+    console.warn('Unable to record viewed recommendations:', error)
+  }
+}
+
+/**
+ * Returns true if a session matches a search query
+ * Matches the session name and the names/SKUs of detected and
+ * viewed tiles, case-insensitively.
+ */
+export function matchesSessionSearch(session, query) {
+  const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean)
+  if (terms.length === 0) {
+    return true
+  }
+
+  const tiles = [
+    ...(session.results?.detections || []),
+    ...session.viewedRecommendations.map((entry) => entry.tile),
+  ]
+  const text = [
+    session.name,
+    ...tiles.flatMap((tile) => [tile.name, tile.sku, `#${tile.id}`]),
+  ].filter(Boolean).join(' ').toLowerCase()
+
+  return terms.every((term) => text.includes(term))
+}
@@ -0,0 +1,226 @@
+/**
+ * HTTP Client
+ * 
+ * Small fetch wrapper used by the HTTP backend adapter and for
+ * image imports.
+ * Adds the behaviour the raw fetch API is missing:
+ * - Per-attempt timeouts
+ * - Retries with exponential backoff (network errors, 5xx, 429)
+ * - Cancellation through a caller-provided AbortSignal
+ * - Consistent errors (ApiError) with the HTTP status attached
+ */
+
+// HTTP statuses that are worth retrying (the request may succeed later)
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504]
+
+/**
+ * Error thrown for failed API requests
+ * 
+ * - status: HTTP status code (0 for network errors and timeouts)
+ * - code: 'http', 'network' or 'timeout'
+ * - data: Parsed error body from the server, if any
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'http', data = null } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.code = code
+    this.data = data
+  }
+}
+
+/**
+ * Returns true if the error was caused by the caller cancelling the request
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError'
+}
+
+/**
+ * Returns true if an error means the backend could not serve the request
+ * (as opposed to rejecting it, e.g. with a 4xx validation error)
+ */
+export function isBackendUnavailable(error) {
+  return error instanceof ApiError && (error.code !== 'http' || error.status >= 500)
+}
+
+/**
+ * Returns true if a failed request may succeed when sent again later:
+ * the backend was unavailable, timed out (408) or rate limited it (429)
+ */
+export function isTemporaryFailure(error) {
+  return isBackendUnavailable(error) || (error instanceof ApiError && RETRYABLE_STATUSES.includes(error.status))
+}
+
+/**
+ * Creates the error thrown when a request is cancelled
+ */
+export function createAbortError() {
+  return new DOMException('The request was cancelled', 'AbortError')
+}
+
+/**
+ * Waits for the given time, rejecting early if the signal aborts
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError())
+      return
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+
+    function onAbort() {
+      clearTimeout(timer)
+      reject(createAbortError())
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Calculates the backoff delay for a retry attempt
+ * Doubles each attempt and adds up to 25% jitter
+ */
+function getBackoffDelay(attempt, baseDelay) {
+  const delay = baseDelay * Math.pow(2, attempt)
+  return Math.round(delay + Math.random() * delay * 0.25)
+}
+
+/**
+ * Builds an ApiError from a non-OK response
+ * Uses the server's message (or FastAPI's "detail") when available
+ */
+async function toApiError(response, fallbackMessage) {
+  const data = await response.json().catch(() => null)
+  const detail = typeof data?.detail === 'string' ? data.detail : null
+  const message = data?.message || detail || fallbackMessage
+  return new ApiError(message, { status: response.status, data })
+}
+
+/**
+ * Runs a single attempt with its own timeout: the request and
+ * reading its body with `readBody`
+ * The attempt is aborted if either the timeout fires or the
+ * caller's signal aborts. Failures come out as ApiError (or an
+ * AbortError when the caller cancelled).
+ */
+async function runAttempt(url, init, { timeout, signal, errorMessage }, readBody) {
+  const controller = new AbortController()
+  let timedOut = false
+
+  const timer = setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, timeout)
+
+  const onAbort = () => controller.abort()
+  signal?.addEventListener('abort', onAbort, { once: true })
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal })
+
+    if (!response.ok) {
+      throw await toApiError(response, errorMessage)
+    }
+
+    // Still under the timer: a body that stalls or breaks off
+    // fails the attempt like a request that never got an answer
+    return await readBody(response)
+  } catch (error) {
+    if (signal?.aborted) {
+      throw createAbortError()
+    }
+    if (error instanceof ApiError) {
+      throw error
+    }
+    if (timedOut) {
+      throw new ApiError(`Request timed out after ${timeout}ms`, { code: 'timeout' })
+    }
+    throw new ApiError(error.message || 'Network request failed', { code: 'network' })
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+  }
+}
+
+/**
+ * Sends a request, retrying retryable failures, and reads the
+ * response with `readBody` (e.g. response.json())
+ */
+async function sendRequest(url, init, {
+  timeout = 15000,
+  retries = 0,
+  retryDelay = 500,
+  signal,
+  errorMessage = 'Request failed',
+}, readBody) {
+  let attempt = 0
+
+  while (true) {
+    if (signal?.aborted) {
+      throw createAbortError()
+    }
+
+    try {
+      return await runAttempt(url, init, { timeout, signal, errorMessage }, readBody)
+    } catch (error) {
+      const canRetry = error instanceof ApiError
+        && (error.code !== 'http' || RETRYABLE_STATUSES.includes(error.status))
+
+      if (!canRetry || attempt >= retries) {
+        throw error
+      }
+
+      console.warn(`Request to ${url} failed (${error.message}), retrying...`)
+      await wait(getBackoffDelay(attempt, retryDelay), signal)
+      attempt += 1
+    }
+  }
+}
+
+/**
+ * Sends a request and returns the parsed JSON response
+ * 
+ * @param {string} url - Absolute or same-origin URL
+ * @param {Object} options
+ * @param {string} options.method - HTTP method (default: 'GET')
+ * @param {*} options.body - FormData, or any value to send as JSON
+ * @param {number} options.timeout - Per-attempt timeout (in milliseconds)
+ * @param {number} options.retries - Extra attempts after a retryable failure
+ * @param {number} options.retryDelay - Base backoff delay (in milliseconds)
+ * @param {AbortSignal} options.signal - Cancels the request and any pending retry
+ * @param {string} options.errorMessage - Message used when the server gives none
+ * @returns {Promise<Object>} - Parsed JSON body
+ */
+export async function requestJson(url, { method = 'GET', body, ...options } = {}) {
+  const init = { method, headers: { Accept: 'application/json' } }
+
+  if (body instanceof FormData) {
+    // Let the browser set the multipart boundary header
+    init.body = body
+  } else if (body !== undefined) {
+    init.headers['Content-Type'] = 'application/json'
+    init.body = JSON.stringify(body)
+  }
+
+  return sendRequest(url, init, options, (response) => response.json())
+}
+
+/**
+ * Fetches a binary resource (such as an image) with a GET request
+ * 
+ * @param {string} url - Absolute or same-origin URL
+ * @param {Object} options - timeout, retries, retryDelay, signal and
+ *   errorMessage, as for requestJson()
+ * @returns {Promise<Blob>} - Response body
+ */
+export async function requestBlob(url, options = {}) {
+  return sendRequest(url, { method: 'GET' }, options, (response) => response.blob())
+}
@@ -0,0 +1,146 @@
+/**
+ * Image Import Service
+ * 
+ * Turns images from outside the file picker - a pasted image, an
+ * image dragged from another tab, or a URL typed into the import
+ * field - into the same File objects the uploader works with.
+ * 
+ * URLs are fetched directly first. Many sites don't allow that
+ * (no CORS headers), so the active backend adapter's fetchImage()
+ * is used as a fallback when it has one (see adapters/index.js).
+ */
+
+import { t } from '../i18n'
+import { getAdapter } from './adapters'
+import { getApiConfig } from './apiConfig'
+import { requestBlob, isAbortError } from './httpClient'
+
+// Protocols accepted for imports
+const ALLOWED_PROTOCOLS = ['http:', 'https:', 'data:']
+
+/**
+ * Parses an import URL, or returns null if it isn't usable
+ * 
+ * @param {string} text - URL as typed, pasted or dropped
+ * @returns {URL|null}
+ */
+export function parseImageUrl(text) {
+  try {
+    const url = new URL((text || '').trim())
+    return ALLOWED_PROTOCOLS.includes(url.protocol) ? url : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Returns the image files in clipboard or drag data
+ * 
+ * @param {DataTransfer} data
+ * @returns {File[]}
+ */
+export function getImageFiles(data) {
+  return Array.from(data?.files || []).filter((file) => !file.type || file.type.startsWith('image/'))
+}
+
+/**
+ * Finds an image URL in drag or clipboard data: a link list from
+ * another tab, the src of a dragged <img>, or plain text
+ * 
+ * @param {DataTransfer} data
+ * @returns {string|null}
+ */
+export function getImageUrl(data) {
+  if (!data) {
+    return null
+  }
+
+  // A dragged <img> carries its own src, which beats a wrapping link
+  const html = data.getData('text/html')
+  if (html) {
+    const image = new DOMParser().parseFromString(html, 'text/html').querySelector('img[src]')
+    if (image && parseImageUrl(image.getAttribute('src'))) {
+      return image.getAttribute('src')
+    }
+  }
+
+  const candidates = [
+    ...data.getData('text/uri-list').split(/\r?\n/).filter((line) => !line.startsWith('#')),
+    data.getData('text/plain'),
+  ]
+  return candidates.find((candidate) => parseImageUrl(candidate)) || null
+}
+
+/**
+ * Builds a file name for an imported image from its URL
+ * The extension follows the content type when there is one.
+ */
+function getFileName(url, type) {
+  let lastSegment = url.protocol === 'data:' ? '' : url.pathname.split('/').pop() || ''
+  try {
+    lastSegment = decodeURIComponent(lastSegment)
+  } catch (error) {
+    // Malformed percent-encoding: keep the segment as it is
+  }
+  if (!type) {
+    return lastSegment || `imported-${Date.now()}`
+  }
+  const extension = type.split('/')[1].replace('jpeg', 'jpg').replace('+xml', '')
+  const baseName = lastSegment.replace(/\.[^.]+$/, '') || `imported-${Date.now()}`
+  return `${baseName}.${extension}`
+}
+
+/**
+ * Downloads an image from a URL as a File
+ * 
+ * @param {string} text - Image URL (http, https or data)
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Optional signal to cancel the import
+ * @returns {Promise<File>}
+ * @throws {Error} - With a message for the user if the image can't be imported
+ */
+export async function importImageFromUrl(text, { signal } = {}) {
+  const url = parseImageUrl(text)
+  if (!url) {
+    throw new Error(t('import.invalidUrl'))
+  }
+
+  const { timeout } = getApiConfig()
+  let blob
+
+  try {
+    blob = await requestBlob(url.href, { timeout, signal, errorMessage: t('import.downloadFailed') })
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error
+    }
+
+    // Network errors include the browser blocking a cross-origin read
+    const adapter = getAdapter()
+    if (error.code !== 'network' || !adapter.fetchImage || url.protocol === 'data:') {
+      throw new Error(error.code === 'network'
+        ? t('import.blocked')
+        : t('import.downloadFailedDetail', { detail: error.message }))
+    }
+
+    try {
+      blob = await adapter.fetchImage(url.href, { signal })
+    } catch (proxyError) {
+      if (isAbortError(proxyError)) {
+        throw proxyError
+      }
+      throw new Error(t('import.downloadFailedDetail', { detail: proxyError.message }))
+    }
+  }
+
+  // Servers that don't know the type leave it to the file extension
+  const type = blob.type === 'application/octet-stream' ? '' : blob.type
+  if (type && !type.startsWith('image/')) {
+    throw new Error(t('import.notAnImage'))
+  }
+
+  return new File([blob], getFileName(url, type), {
+    type,
+    lastModified: Date.now(),
+  })
+}
@@ -3,123 +3,70 @@
  * 
  * This service handles all tile recommendation API calls.
  * Uses ResNet-based similarity matching on the backend.
- * Currently uses mock data for demo purposes.
  * 
- * =====================================================
- * FASTAPI INTEGRATION GUIDE
- * =====================================================
+ * The actual work is delegated to the active backend adapter
+ * (see services/adapters/), selected through apiConfig.js:
  * 
- * When the backend API is ready, replace the mock logic
- * in the getTileRecommendations function with actual API calls.
+ * - mock: Ranked offline in the browser (default)
+ * - http: FastAPI backend at VITE_API_URL
  * 
- * Example FastAPI integration:
+ * If the backend is unreachable (network error, timeout or 5xx),
+ * results fall back to the offline similarity engine.
  * 
- * export async function getTileRecommendations(referenceTile) {
- *   const response = await fetch('http://api-url/recommend', {
- *     method: 'POST',
- *     headers: {
- *       'Content-Type': 'application/json',
- *     },
- *     body: JSON.stringify({
- *       tileId: referenceTile.id,
- *       tileImage: referenceTile.image,
- *     }),
- *   })
- *   
- *   if (!response.ok) {
- *     throw new Error('Recommendation failed')
- *   }
- *   
- *   return await response.json()
- * }
+ * Facet filters and the sort order are sent to the backend, which
+ * should sort all matches before paging. If a response doesn't report
+ * `filtersApplied: true` (or `sortApplied: true`), the filters are
+ * applied (or the page is sorted) here on the catalog details instead.
+ * 
+ * Results come in pages: `limit` sets the page size, and the
+ * `nextCursor` of one page is passed as `cursor` to get the next.
+ * A backend without paging returns everything as a single page.
  * 
- * The response format should match:
+ * The response format is:
  * {
  *   recommendations: [
  *     { id: number, image: string, similarity: number }
- *   ]
+ *   ],
+ *   total: number | null,         // all matches; null when unknown
+ *   nextCursor: string | null,    // null on the last page
+ *   source: 'local' | undefined,  // 'local' when ranked in the browser
+ *   filtersApplied: boolean | undefined,
+ *   sortApplied: boolean | undefined
  * }
  * 
- * =====================================================
+ * Each recommendation is enriched with its product details from
+ * the tile catalog (see catalogService.js).
+ * 
+ * Recommendations for several reference tiles are requested per
+ * tile and merged into one list (see getRecommendationsForTiles).
  */
 
-// Mock tile images for recommendations (stored in public/mock/)
-// In production, these would come from the ResNet model's database
-const MOCK_RECOMMENDATION_TILES = [
-  { id: 101, image: '/mock/tile1.svg' },
-  { id: 102, image: '/mock/tile2.svg' },
-  { id: 103, image: '/mock/tile3.svg' },
-  { id: 104, image: '/mock/tile1.svg' },
-  { id: 105, image: '/mock/tile2.svg' },
-  { id: 106, image: '/mock/tile3.svg' },
-  { id: 107, image: '/mock/tile1.svg' },
-  { id: 108, image: '/mock/tile2.svg' },
-]
-
-// Simulated network delay range (in milliseconds)
-const MIN_DELAY = 1500
-const MAX_DELAY = 2000
-
-// Probability of returning empty recommendations (~10% for demo)
-const EMPTY_RECOMMENDATION_PROBABILITY = 0.1
+import { getAdapter } from './adapters'
+import { getApiConfig } from './apiConfig'
+import { isBackendUnavailable } from './httpClient'
+import { getLocalRecommendations, compareWithLocalBaseline } from './similarityService'
+import { enrichWithCatalog } from './catalogService'
+import {
+  applyRecommendationFilters,
+  hasActiveFilters,
+  sortRecommendations,
+  DEFAULT_SORT,
+} from '../utils/recommendationFilters'
 
-/**
- * Generates a random delay within the specified range
- */
-function getRandomDelay() {
-  return Math.floor(Math.random() * (MAX_DELAY - MIN_DELAY + 1)) + MIN_DELAY
-}
+// Recommendations requested per page
+export const RECOMMENDATION_PAGE_SIZE = 6
 
 /**
- * Generates a realistic similarity score
- * ResNet-based similarity scores typically range from 0.72 to 0.95
- * for visually similar tiles
+ * Logs how the backend's ranking compares with the offline baseline
  */
-function generateSimilarity() {
-  // Generate a score in the realistic range (0.72 - 0.95)
-  const minSimilarity = 0.72
-  const maxSimilarity = 0.95
-  const range = maxSimilarity - minSimilarity
-  
-  // Slight bias towards higher similarities for better demo experience
-  const random = Math.random()
-  const weighted = Math.pow(random, 0.6)
-  
-  return Number((minSimilarity + weighted * range).toFixed(3))
-}
-
-/**
- * Generates mock recommendation results
- * Simulates ResNet-based similarity matching
- */
-function generateMockRecommendations(referenceTile) {
-  // Randomly decide if we should return empty recommendations
-  // This simulates cases where no similar tiles are found
-  if (Math.random() < EMPTY_RECOMMENDATION_PROBABILITY) {
-    return { recommendations: [] }
+async function logBaselineComparison(referenceTile, recommendations) {
+  try {
+    const { correlation, items } = await compareWithLocalBaseline(referenceTile, recommendations)
+    console.log(`Local baseline rank correlation for tile ${referenceTile.id}:`, correlation)
+    console.table(items)
+  } catch (error) {
+    console.warn('Local baseline comparison failed:', error)
   }
-
-  // Generate 5-8 recommendations randomly
-  const numRecommendations = Math.floor(Math.random() * 4) + 5
-  
-  // Shuffle and select tiles (exclude reference tile by id)
-  const availableTiles = MOCK_RECOMMENDATION_TILES.filter(
-    tile => tile.id !== referenceTile?.id
-  )
-  
-  const shuffled = [...availableTiles].sort(() => Math.random() - 0.5)
-  const selected = shuffled.slice(0, numRecommendations)
-  
-  const recommendations = selected.map((tile) => ({
-    id: tile.id,
-    image: tile.image,
-    similarity: generateSimilarity(),
-  }))
-
-  // Sort by similarity descending (best matches first)
-  recommendations.sort((a, b) => b.similarity - a.similarity)
-
-  return { recommendations }
 }
 
 /**
@@ -129,21 +76,21 @@ function generateMockRecommendations(referenceTile) {
  * @param {Object} referenceTile - The tile to find similar matches for
  * @param {number} referenceTile.id - Tile ID
  * @param {string} referenceTile.image - Tile image URL
- * @returns {Promise<Object>} - Recommendation results
- * 
- * =====================================================
- * API INTEGRATION POINT
- * =====================================================
- * TODO: Replace this mock with FastAPI ResNet inference endpoint
- * 
- * The FastAPI endpoint should:
- * 1. Accept the reference tile image/ID
- * 2. Run ResNet feature extraction
- * 3. Compare against tile database using cosine similarity
- * 4. Return top N most similar tiles
- * =====================================================
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Optional signal to cancel the request
+ * @param {Object} options.filters - Optional facet filters (see recommendationFilters.js)
+ * @param {string} options.sort - Sort option (default: 'similarity')
+ * @param {number} options.limit - Page size (default: RECOMMENDATION_PAGE_SIZE)
+ * @param {string} options.cursor - nextCursor of the previous page; omit for the first page
+ * @returns {Promise<Object>} - One page of recommendation results
  */
-export async function getTileRecommendations(referenceTile) {
+export async function getTileRecommendations(referenceTile, {
+  signal,
+  filters,
+  sort = DEFAULT_SORT,
+  limit = RECOMMENDATION_PAGE_SIZE,
+  cursor,
+} = {}) {
   // Log for debugging (remove in production)
   console.log('Getting recommendations for tile:', referenceTile)
 
@@ -152,59 +99,149 @@ export async function getTileRecommendations(referenceTile) {
     throw new Error('Invalid reference tile provided')
   }
 
-  // =====================================================
-  // MOCK IMPLEMENTATION - Replace with FastAPI call
-  // =====================================================
-  
-  return new Promise((resolve, reject) => {
-    const delay = getRandomDelay()
-    
-    setTimeout(() => {
-      try {
-        const results = generateMockRecommendations(referenceTile)
-        console.log('Mock recommendation results:', results)
-        resolve(results)
-      } catch (error) {
-        reject(new Error('Recommendation processing failed'))
-      }
-    }, delay)
-  })
+  const config = getApiConfig()
+  const adapter = getAdapter()
+  let results
+
+  try {
+    results = await adapter.recommend(referenceTile, { signal, filters, sort, limit, cursor })
+  } catch (error) {
+    if (!config.localFallback || !isBackendUnavailable(error)) {
+      throw error
+    }
+    console.warn('Recommendation backend unavailable, using offline similarity:', error.message)
+    results = await getLocalRecommendations(referenceTile, { signal, filters, sort, limit, cursor })
+  }
+
+  const recommendations = results?.recommendations || []
+
+  if (config.localBaseline && results?.source !== 'local' && recommendations.length > 0) {
+    // Runs in the background; never delays or fails the request
+    logBaselineComparison(referenceTile, recommendations)
+  }
+
+  let enriched = await enrichWithCatalog(recommendations)
+  const nextCursor = results?.nextCursor || null
+  let total = results?.total ?? (nextCursor ? null : recommendations.length)
+
+  // Client-side filtering when the backend didn't filter; the
+  // backend's total then counts tiles the filters remove
+  if (hasActiveFilters(filters) && !results?.filtersApplied) {
+    enriched = applyRecommendationFilters(enriched, filters)
+    total = nextCursor || cursor ? null : enriched.length
+  }
 
-  // =====================================================
-  // FASTAPI IMPLEMENTATION (uncomment when ready)
-  // =====================================================
-  // 
-  // const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000'
-  // 
-  // const response = await fetch(`${API_BASE_URL}/api/recommend`, {
-  //   method: 'POST',
-  //   headers: {
-  //     'Content-Type': 'application/json',
-  //   },
-  //   body: JSON.stringify({
-  //     tileId: referenceTile.id,
-  //     tileImage: referenceTile.image,
-  //   }),
-  // })
-  // 
-  // if (!response.ok) {
-  //   const errorData = await response.json().catch(() => ({}))
-  //   throw new Error(errorData.message || 'Recommendation failed')
-  // }
-  // 
-  // return await response.json()
-  // 
-  // =====================================================
+  // Client-side sorting when the backend didn't sort; with several
+  // pages, each page is then sorted on its own
+  if (!results?.sortApplied) {
+    enriched = sortRecommendations(enriched, sort)
+  }
+
+  return {
+    ...results,
+    recommendations: enriched,
+    total,
+    nextCursor,
+  }
 }
 
 /**
- * API Configuration Note
+ * Adds recommendations to a list, keeping each tile once
+ * A tile already in the list keeps its place; its references (see
+ * getRecommendationsForTiles) are combined and its best similarity kept.
  * 
- * When integrating with FastAPI, set these environment variables:
- * - VITE_API_URL: Base URL for the API (e.g., http://localhost:8000)
+ * @param {Array} existing - Recommendations already shown
+ * @param {Array} incoming - New recommendations
+ * @returns {Array} - Existing tiles first, then the new ones, in order
+ */
+export function mergeRecommendations(existing, incoming) {
+  const merged = new Map(existing.map((tile) => [tile.id, tile]))
+
+  incoming.forEach((tile) => {
+    const current = merged.get(tile.id)
+    if (!current) {
+      merged.set(tile.id, tile)
+      return
+    }
+    const references = current.references || tile.references
+      ? [
+          ...(current.references || []),
+          ...(tile.references || []).filter((reference) => (
+            !current.references?.some((known) => known.id === reference.id)
+          )),
+        ].sort((a, b) => b.similarity - a.similarity)
+      : undefined
+    merged.set(tile.id, {
+      ...current,
+      similarity: Math.max(current.similarity, tile.similarity),
+      ...(references && { references }),
+    })
+  })
+
+  return [...merged.values()]
+}
+
+/**
+ * Gets recommendations for one or more reference tiles
+ * With several references, each is requested separately and the
+ * pages are merged: a tile recommended for more than one reference
+ * appears once, with its best similarity, and the reference tiles
+ * themselves are left out. The cursor of a merged page holds the
+ * next cursor of every reference that has more results.
  * 
- * The ResNet-based recommendation endpoint should support:
- * - POST /api/recommend
- * - Request body: { tileId: number, tileImage: string }
- * - Response: { recommendations: [{ id, image, similarity }] }
+ * @param {Array} referenceTiles - Tiles to find similar matches for
+ * @param {Object} options - As for getTileRecommendations()
+ * @returns {Promise<Object>} - One page of recommendation results; with
+ *   several references, each recommendation has
+ *   `references: [{ id, name, similarity }]`, best match first, and
+ *   `total` is only known once the last page has been loaded
  */
+export async function getRecommendationsForTiles(referenceTiles, { cursor, ...options } = {}) {
+  if (referenceTiles.length === 1) {
+    return getTileRecommendations(referenceTiles[0], { cursor, ...options })
+  }
+
+  // Cursor of each reference's next page, keyed by tile id
+  const cursors = cursor
+    ? JSON.parse(cursor)
+    : Object.fromEntries(referenceTiles.map((tile) => [tile.id, null]))
+  const pending = referenceTiles.filter((tile) => String(tile.id) in cursors)
+
+  const responses = await Promise.all(pending.map((tile) => (
+    getTileRecommendations(tile, { ...options, cursor: cursors[tile.id] || undefined })
+  )))
+
+  const referenceIds = new Set(referenceTiles.map((tile) => String(tile.id)))
+  const nextCursors = {}
+  let merged = []
+
+  responses.forEach((response, index) => {
+    const reference = pending[index]
+    if (response.nextCursor) {
+      nextCursors[reference.id] = response.nextCursor
+    }
+
+    merged = mergeRecommendations(merged, response.recommendations
+      .filter((recommendation) => !referenceIds.has(String(recommendation.id)))
+      .map((recommendation) => ({
+        ...recommendation,
+        references: [{
+          id: reference.id,
+          name: reference.name || null,
+          similarity: recommendation.similarity,
+        }],
+      })))
+  })
+
+  const hasMore = Object.keys(nextCursors).length > 0
+
+  return {
+    recommendations: sortRecommendations(merged, options.sort || DEFAULT_SORT),
+    // Overlaps with earlier pages aren't known here; the page counts
+    // the merged list once everything has been loaded
+    total: null,
+    nextCursor: hasMore ? JSON.stringify(nextCursors) : null,
+    // Any reference ranked offline makes the merged list partly offline
+    source: responses.some((response) => response.source === 'local') ? 'local' : responses[0]?.source,
+  }
+}
@@ -0,0 +1,418 @@
+/**
+ * Shortlist Service
+ * 
+ * Tiles the user wants to keep, saved in localStorage so they survive
+ * new uploads and later visits. Tiles are grouped in named moodboards;
+ * each tile can carry a note, and boards keep the order the user
+ * arranges them in. Tiles are added to the active board.
+ * 
+ * Stored shortlist:
+ * {
+ *   activeBoardId: string,
+ *   boards: [{
+ *     id: string,
+ *     name: string,
+ *     createdAt: number,
+ *     items: [{
+ *       tile: { id, image, name, sku, dimensions, material, finish,
+ *               colorFamily, pricePerM2, currency },
+ *       note: string,
+ *       addedAt: number
+ *     }]
+ *   }]
+ * }
+ * 
+ * Tiles are stored as a snapshot of their catalog details, so a
+ * board (and its export) still shows them when the catalog changes.
+ * 
+ * Boards can be exported to a JSON file and imported again, e.g. on
+ * another device. Imported boards are merged into boards of the
+ * same name; tiles already on the board are kept as they are.
+ * Imported and stored tiles are type-checked field by field, and
+ * values of the wrong type are dropped, so a hand-edited file
+ * can't break the pages that show them.
+ */
+
+import { useEffect, useState } from 'react'
+import { t } from '../i18n'
+
+const SHORTLIST_KEY = 'tile-app:shortlist'
+
+// Event dispatched when the shortlist changes in this tab; other
+// tabs are notified by the browser's 'storage' event
+const CHANGE_EVENT = 'tile-app:shortlist-change'
+
+// Identifies shortlist export files
+const EXPORT_FORMAT = 'tile-shortlist'
+const EXPORT_VERSION = 1
+
+const isString = (value) => typeof value === 'string'
+
+// Tile fields kept in the shortlist, with the check their value must pass
+const TILE_FIELDS = {
+  id: (value) => isString(value) || Number.isFinite(value),
+  image: isString,
+  name: isString,
+  sku: isString,
+  dimensions: (value) => typeof value === 'object' && value !== null,
+  material: isString,
+  finish: isString,
+  colorFamily: isString,
+  pricePerM2: Number.isFinite,
+  currency: (value) => isString(value) && /^[A-Z]{3}$/i.test(value),
+}
+
+// Dimension fields of a tile, in millimetres
+const DIMENSION_FIELDS = ['width', 'length', 'thickness']
+
+/**
+ * Creates an id for a new board
+ */
+function createBoardId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+/**
+ * Creates an empty board
+ */
+function createBoard(name) {
+  return { id: createBoardId(), name, createdAt: Date.now(), items: [] }
+}
+
+/**
+ * Keeps the stored fields of a tile, dropping values of the wrong type
+ */
+function toTileSnapshot(tile) {
+  const snapshot = {}
+  Object.entries(TILE_FIELDS).forEach(([field, isValid]) => {
+    if (isValid(tile[field])) {
+      snapshot[field] = tile[field]
+    }
+  })
+  if (snapshot.dimensions) {
+    snapshot.dimensions = Object.fromEntries(DIMENSION_FIELDS.map((field) => [
+      field,
+      Number.isFinite(snapshot.dimensions[field]) ? snapshot.dimensions[field] : null,
+    ]))
+  }
+  return snapshot
+}
+
+/**
+ * Checks the items of a stored or imported board
+ * Items without a valid tile id are dropped.
+ */
+function toBoardItems(items) {
+  return (Array.isArray(items) ? items : [])
+    .filter((item) => item?.tile && TILE_FIELDS.id(item.tile.id))
+    .map((item) => ({
+      tile: toTileSnapshot(item.tile),
+      note: isString(item.note) ? item.note : '',
+      addedAt: Number(item.addedAt) || Date.now(),
+    }))
+}
+
+/**
+ * Reads the shortlist; always has at least one board
+ */
+function readShortlist() {
+  let stored = null
+  try {
+    stored = JSON.parse(window.localStorage.getItem(SHORTLIST_KEY) || 'null')
+  } catch (error) {
+    // localStorage can be unavailable (private mode, disabled storage)
+  }
+
+  const boards = (Array.isArray(stored?.boards) ? stored.boards : [])
+    .filter((board) => isString(board?.id))
+    .map((board) => ({
+      id: board.id,
+      name: isString(board.name) ? board.name : t('shortlist.defaultBoard'),
+      createdAt: Number(board.createdAt) || 0,
+      items: toBoardItems(board.items),
+    }))
+
+  if (boards.length === 0) {
+    const board = { id: 'default', name: t('shortlist.defaultBoard'), createdAt: 0, items: [] }
+    return { activeBoardId: board.id, boards: [board] }
+  }
+
+  const hasActiveBoard = boards.some((board) => board.id === stored.activeBoardId)
+  return {
+    activeBoardId: hasActiveBoard ? stored.activeBoardId : boards[0].id,
+    boards,
+  }
+}
+
+/**
+ * Saves the shortlist and notifies the hooks of this tab
+ */
+function writeShortlist(shortlist) {
+  try {
+    window.localStorage.setItem(SHORTLIST_KEY, JSON.stringify(shortlist))
+  } catch (error) {
+    console.warn('Unable to save the shortlist:', error)
+    return
+  }
+  window.dispatchEvent(new Event(CHANGE_EVENT))
+}
+
+/**
+ * Applies a change to one board and saves the shortlist
+ * 
+ * @param {string} boardId - Board to change; the active board if omitted
+ * @param {Function} change - (board) => changed board
+ */
+function updateBoard(boardId, change) {
+  const shortlist = readShortlist()
+  const id = boardId || shortlist.activeBoardId
+  writeShortlist({
+    ...shortlist,
+    boards: shortlist.boards.map((board) => (board.id === id ? change(board) : board)),
+  })
+}
+
+/**
+ * Adds a tile to a board; a tile already on it stays where it is
+ * 
+ * @param {Object} tile - Tile with at least an `id`
+ * @param {string} boardId - Target board; the active board if omitted
+ */
+export function addToShortlist(tile, boardId) {
+  updateBoard(boardId, (board) => (board.items.some((item) => item.tile.id === tile.id)
+    ? board
+    : { ...board, items: [...board.items, { tile: toTileSnapshot(tile), note: '', addedAt: Date.now() }] }))
+}
+
+/**
+ * Removes a tile from a board
+ * 
+ * @param {number|string} tileId
+ * @param {string} boardId - The active board if omitted
+ */
+export function removeFromShortlist(tileId, boardId) {
+  updateBoard(boardId, (board) => ({
+    ...board,
+    items: board.items.filter((item) => item.tile.id !== tileId),
+  }))
+}
+
+/**
+ * Sets the note of a tile on a board
+ */
+export function setTileNote(boardId, tileId, note) {
+  updateBoard(boardId, (board) => ({
+    ...board,
+    items: board.items.map((item) => (item.tile.id === tileId ? { ...item, note } : item)),
+  }))
+}
+
+/**
+ * Moves a tile up or down its board
+ * 
+ * @param {string} boardId
+ * @param {number|string} tileId
+ * @param {number} offset - Positions to move, e.g. -1 (up) or 1 (down)
+ */
+export function moveTile(boardId, tileId, offset) {
+  updateBoard(boardId, (board) => {
+    const from = board.items.findIndex((item) => item.tile.id === tileId)
+    const to = Math.min(Math.max(from + offset, 0), board.items.length - 1)
+    if (from === -1 || from === to) {
+      return board
+    }
+
+    const items = [...board.items]
+    const [moved] = items.splice(from, 1)
+    items.splice(to, 0, moved)
+    return { ...board, items }
+  })
+}
+
+/**
+ * Moves a tile, with its note, to the end of another board
+ */
+export function moveTileToBoard(fromBoardId, tileId, toBoardId) {
+  const shortlist = readShortlist()
+  const item = shortlist.boards
+    .find((board) => board.id === fromBoardId)
+    ?.items.find((candidate) => candidate.tile.id === tileId)
+  if (!item || fromBoardId === toBoardId) {
+    return
+  }
+
+  writeShortlist({
+    ...shortlist,
+    boards: shortlist.boards.map((board) => {
+      if (board.id === fromBoardId) {
+        return { ...board, items: board.items.filter((candidate) => candidate !== item) }
+      }
+      if (board.id === toBoardId && !board.items.some((candidate) => candidate.tile.id === tileId)) {
+        return { ...board, items: [...board.items, item] }
+      }
+      return board
+    }),
+  })
+}
+
+/**
+ * Creates a board and makes it the active one
+ * 
+ * @param {string} name
+ * @returns {Object} - The new board
+ */
+export function createMoodboard(name) {
+  const shortlist = readShortlist()
+  const board = createBoard(name)
+  writeShortlist({ activeBoardId: board.id, boards: [...shortlist.boards, board] })
+  return board
+}
+
+/**
+ * Renames a board
+ */
+export function renameMoodboard(boardId, name) {
+  updateBoard(boardId, (board) => ({ ...board, name }))
+}
+
+/**
+ * Deletes a board with its tiles
+ * Deleting the last board leaves an empty default board.
+ */
+export function deleteMoodboard(boardId) {
+  const shortlist = readShortlist()
+  const boards = shortlist.boards.filter((board) => board.id !== boardId)
+  if (boards.length === 0) {
+    boards.push(createBoard(t('shortlist.defaultBoard')))
+  }
+
+  writeShortlist({
+    activeBoardId: boardId === shortlist.activeBoardId ? boards[0].id : shortlist.activeBoardId,
+    boards,
+  })
+}
+
+/**
+ * Makes a board the one new tiles are added to
+ */
+export function setActiveMoodboard(boardId) {
+  writeShortlist({ ...readShortlist(), activeBoardId: boardId })
+}
+
+/**
+ * Serializes all boards for a download
+ * 
+ * @returns {string} - JSON export file contents
+ */
+export function exportShortlist() {
+  const { boards } = readShortlist()
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    boards: boards.map(({ name, createdAt, items }) => ({ name, createdAt, items })),
+  }, null, 2)
+}
+
+/**
+ * Imports boards from an export file
+ * 
+ * @param {string} text - Contents of a file made by exportShortlist()
+ * @returns {Object} - { boards, tiles }: number of boards and tiles imported
+ * @throws {Error} - If the file isn't a shortlist export
+ */
+export function importShortlist(text) {
+  let data = null
+  try {
+    data = JSON.parse(text)
+  } catch (error) {
+    // Reported below
+  }
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.boards)) {
+    throw new Error(t('shortlist.importInvalid'))
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(t('shortlist.importNewer'))
+  }
+
+  const shortlist = readShortlist()
+  const boards = [...shortlist.boards]
+  let boardCount = 0
+  let tileCount = 0
+
+  data.boards.forEach((imported) => {
+    const name = typeof imported?.name === 'string' && imported.name.trim()
+      ? imported.name.trim()
+      : t('shortlist.defaultBoard')
+    const items = toBoardItems(imported?.items)
+
+    const index = boards.findIndex((board) => board.name === name)
+    const board = index === -1
+      ? { ...createBoard(name), createdAt: Number(imported?.createdAt) || Date.now() }
+      : boards[index]
+    const newItems = items.filter((item) => !board.items.some((existing) => existing.tile.id === item.tile.id))
+    const merged = { ...board, items: [...board.items, ...newItems] }
+
+    if (index === -1) {
+      boards.push(merged)
+    } else {
+      boards[index] = merged
+    }
+    boardCount++
+    tileCount += newItems.length
+  })
+
+  writeShortlist({ ...shortlist, boards })
+  return { boards: boardCount, tiles: tileCount }
+}
+
+/**
+ * Hook returning the shortlist, updated whenever it changes
+ * (in this tab or another one)
+ * 
+ * @returns {Object} - { boards, activeBoard, isShortlisted, toggleTile }
+ */
+export function useShortlist() {
+  const [shortlist, setShortlist] = useState(readShortlist)
+
+  useEffect(() => {
+    const handleChange = () => setShortlist(readShortlist())
+    const handleStorage = (e) => {
+      if (e.key === SHORTLIST_KEY || e.key === null) {
+        handleChange()
+      }
+    }
+
+    window.addEventListener(CHANGE_EVENT, handleChange)
+    window.addEventListener('storage', handleStorage)
+    return () => {
+      window.removeEventListener(CHANGE_EVENT, handleChange)
+      window.removeEventListener('storage', handleStorage)
+    }
+  }, [])
+
+  const activeBoard = shortlist.boards.find((board) => board.id === shortlist.activeBoardId)
+
+  /**
+   * Whether a tile is on the active board
+   */
+  const isShortlisted = (tile) => activeBoard.items.some((item) => item.tile.id === tile.id)
+
+  /**
+   * Adds a tile to or removes it from the active board
+   */
+  const toggleTile = (tile, saved) => {
+    if (saved) {
+      addToShortlist(tile)
+    } else {
+      removeFromShortlist(tile.id)
+    }
+  }
+
+  return {
+    boards: shortlist.boards,
+    activeBoard,
+    isShortlisted,
+    toggleTile,
+  }
+}
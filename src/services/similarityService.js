@@ -0,0 +1,183 @@
+/**
+ * Offline Similarity Service
+ * 
+ * Ranks catalog tiles by visual similarity to a reference tile,
+ * entirely in the browser (see utils/imageFeatures.js for the
+ * features used). It is used:
+ * 
+ * - By the mock adapter, so offline demos show honest rankings
+ * - As a fallback when the recommendation backend is unreachable
+ * - As a local baseline to sanity-check backend rankings
+ * 
+ * Scores are not comparable with the backend's ResNet similarity;
+ * only the ordering is meaningful when comparing the two.
+ */
+
+import { getCatalog } from './catalogService'
+import { loadImage, extractFeatures, compareFeatures } from '../utils/imageFeatures'
+import { createAbortError } from './httpClient'
+import { applyRecommendationFilters, sortRecommendations, DEFAULT_SORT } from '../utils/recommendationFilters'
+import { paginate } from '../utils/pagination'
+
+// Default number of recommendations returned
+const DEFAULT_LIMIT = 8
+
+// Candidates below this similarity are not recommended
+const DEFAULT_MIN_SIMILARITY = 0.5
+
+// Extracted features, cached per image URL (as promises)
+const featureCache = new Map()
+
+/**
+ * Returns the features for an image URL, computing them once
+ */
+function getFeatures(imageUrl) {
+  if (!featureCache.has(imageUrl)) {
+    const promise = loadImage(imageUrl)
+      .then(extractFeatures)
+      .catch((error) => {
+        featureCache.delete(imageUrl)
+        throw error
+      })
+    featureCache.set(imageUrl, promise)
+  }
+  return featureCache.get(imageUrl)
+}
+
+/**
+ * Throws an AbortError if the signal has been aborted
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError()
+  }
+}
+
+/**
+ * Scores candidate tiles against a reference image
+ * Candidates whose image fails to load are skipped
+ * 
+ * @param {string} referenceImage - URL of the reference tile image
+ * @param {Array} candidates - Tiles to score ({ id, image })
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Optional signal to cancel scoring
+ * @returns {Promise<Array>} - [{ ...candidate, similarity }] sorted best first
+ */
+export async function rankBySimilarity(referenceImage, candidates, { signal } = {}) {
+  const referenceFeatures = await getFeatures(referenceImage)
+  throwIfAborted(signal)
+
+  const scored = await Promise.all(
+    candidates.map(async (candidate) => {
+      try {
+        const features = await getFeatures(candidate.image)
+        const { similarity } = compareFeatures(referenceFeatures, features)
+        return { ...candidate, similarity: Number(similarity.toFixed(3)) }
+      } catch (error) {
+        console.warn('Skipping tile in similarity ranking:', error.message)
+        return null
+      }
+    })
+  )
+  throwIfAborted(signal)
+
+  return scored
+    .filter(Boolean)
+    .sort((a, b) => b.similarity - a.similarity)
+}
+
+/**
+ * Gets recommendations for a reference tile from the local catalog
+ * 
+ * @param {Object} referenceTile - { id, image }
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of results per page
+ * @param {string} options.cursor - Cursor of the page to return (see utils/pagination.js)
+ * @param {number} options.minSimilarity - Minimum similarity (0-1)
+ * @param {Object} options.filters - Facet filters applied to candidates (see recommendationFilters.js)
+ * @param {string} options.sort - Sort option, applied to all matches before paging (default: 'similarity')
+ * @param {AbortSignal} options.signal - Optional signal to cancel the ranking
+ * @returns {Promise<Object>} - {
+ *   recommendations: [{ id, image, similarity }], total, nextCursor,
+ *   source: 'local', filtersApplied: true, sortApplied: true
+ * }
+ */
+export async function getLocalRecommendations(referenceTile, {
+  limit = DEFAULT_LIMIT,
+  cursor,
+  minSimilarity = DEFAULT_MIN_SIMILARITY,
+  filters,
+  sort = DEFAULT_SORT,
+  signal,
+} = {}) {
+  const catalog = await getCatalog()
+  throwIfAborted(signal)
+
+  const candidates = applyRecommendationFilters(
+    catalog.filter((tile) => tile.id !== referenceTile.id),
+    filters
+  )
+  const ranked = await rankBySimilarity(referenceTile.image, candidates, { signal })
+
+  // Sorted on the catalog details, so the order holds across pages
+  const matches = sortRecommendations(ranked.filter((tile) => tile.similarity >= minSimilarity), sort)
+    .map(({ id, image, similarity }) => ({ id, image, similarity }))
+  const page = paginate(matches, { limit, cursor })
+
+  return {
+    recommendations: page.items,
+    total: page.total,
+    nextCursor: page.nextCursor,
+    source: 'local',
+    filtersApplied: true,
+    sortApplied: true,
+  }
+}
+
+/**
+ * Assigns 1-based ranks to ids in list order
+ */
+function toRankMap(items) {
+  return new Map(items.map((item, index) => [item.id, index + 1]))
+}
+
+/**
+ * Compares backend recommendations with the local baseline
+ * Uses Spearman rank correlation over the tiles both rankings contain.
+ * 
+ * @param {Object} referenceTile - { id, image }
+ * @param {Array} recommendations - Backend results ({ id, image, similarity })
+ * @returns {Promise<Object>} - {
+ *   correlation: number|null (-1 to 1, null with fewer than 2 tiles),
+ *   items: [{ id, backendRank, localRank, backendSimilarity, localSimilarity }]
+ * }
+ */
+export async function compareWithLocalBaseline(referenceTile, recommendations) {
+  const local = await rankBySimilarity(referenceTile.image, recommendations)
+  const backendRanks = toRankMap(recommendations)
+  const localRanks = toRankMap(local)
+  const localById = new Map(local.map((tile) => [tile.id, tile]))
+
+  const items = recommendations
+    .filter((tile) => localRanks.has(tile.id))
+    .map((tile) => ({
+      id: tile.id,
+      backendRank: backendRanks.get(tile.id),
+      localRank: localRanks.get(tile.id),
+      backendSimilarity: tile.similarity,
+      localSimilarity: localById.get(tile.id).similarity,
+    }))
+
+  const n = items.length
+  if (n < 2) {
+    return { correlation: null, items }
+  }
+
+  const squaredRankDiffs = items.reduce(
+    (total, item) => total + Math.pow(item.backendRank - item.localRank, 2),
+    0
+  )
+  const correlation = 1 - (6 * squaredRankDiffs) / (n * (n * n - 1))
+
+  return { correlation: Number(correlation.toFixed(3)), items }
+}
@@ -0,0 +1,158 @@
+/**
+ * Camera Controls
+ * 
+ * Helpers around getUserMedia and MediaStreamTrack capabilities for
+ * the camera capture screen: listing cameras, building constraints
+ * for a chosen camera and resolution, and reading which of zoom,
+ * torch and tap-to-focus the active camera supports.
+ * 
+ * Capabilities vary a lot between browsers and devices (desktop
+ * webcams usually offer none of them), so every control is optional.
+ */
+
+import { t } from '../i18n'
+
+// Resolution choices, filtered by what the camera reports it can do,
+// with the message keys of their labels
+export const RESOLUTION_OPTIONS = [
+  { value: 'hd', labelKey: 'camera.resolution.hd', width: 1280, height: 720 },
+  { value: 'full-hd', labelKey: 'camera.resolution.fullHd', width: 1920, height: 1080 },
+  { value: 'uhd', labelKey: 'camera.resolution.uhd', width: 3840, height: 2160 },
+  { value: 'max', labelKey: 'camera.resolution.max' },
+]
+
+export const DEFAULT_RESOLUTION = 'full-hd'
+
+// Zoom range used when the camera has no zoom of its own; the
+// preview and the captured photo are cropped instead
+export const DIGITAL_ZOOM = { min: 1, max: 4, step: 0.1 }
+
+/**
+ * Lists the available cameras
+ * Labels are empty until camera permission has been granted.
+ * 
+ * @returns {Promise<Array>} - [{ deviceId, label }]
+ */
+export async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) {
+    return []
+  }
+  const devices = await navigator.mediaDevices.enumerateDevices()
+  return devices
+    .filter((device) => device.kind === 'videoinput')
+    .map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || t('camera.fallbackName', { number: index + 1 }),
+    }))
+}
+
+/**
+ * Builds getUserMedia video constraints
+ * A chosen camera wins over the front/rear preference.
+ * 
+ * @param {Object} options
+ * @param {string|null} options.deviceId - Specific camera, or null
+ * @param {string} options.facingMode - 'environment' (rear) or 'user' (front)
+ * @param {string} options.resolution - Value from RESOLUTION_OPTIONS
+ * @returns {Object} - Video constraints
+ */
+export function getVideoConstraints({ deviceId, facingMode, resolution }) {
+  const option = RESOLUTION_OPTIONS.find((item) => item.value === resolution)
+    || RESOLUTION_OPTIONS.find((item) => item.value === DEFAULT_RESOLUTION)
+
+  // "Maximum" asks for more than any sensor delivers; the browser
+  // settles on the closest (largest) mode
+  const size = option.value === 'max'
+    ? { width: { ideal: 8192 }, height: { ideal: 8192 } }
+    : { width: { ideal: option.width }, height: { ideal: option.height } }
+
+  return {
+    ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: { ideal: facingMode } }),
+    ...size,
+  }
+}
+
+/**
+ * Returns the resolution options the camera can deliver, with labels
+ * 
+ * @param {Object} capabilities - Result of track.getCapabilities() (may be empty)
+ */
+export function getResolutionOptions(capabilities) {
+  const maxWidth = capabilities?.width?.max
+  const maxHeight = capabilities?.height?.max
+  if (!maxWidth || !maxHeight) {
+    return RESOLUTION_OPTIONS.map((option) => ({
+      ...option,
+      label: t(option.labelKey, { size: `${option.width}×${option.height}` }),
+    }))
+  }
+
+  // Compare long sides, so portrait-reporting phone cameras match too
+  const longSide = Math.max(maxWidth, maxHeight)
+  return RESOLUTION_OPTIONS
+    .filter((option) => option.value === 'max' || option.width <= longSide)
+    .map((option) => ({
+      ...option,
+      label: option.value === 'max'
+        ? t('camera.resolution.maxSize', { size: `${maxWidth}×${maxHeight}` })
+        : t(option.labelKey, { size: `${option.width}×${option.height}` }),
+    }))
+}
+
+/**
+ * Returns the option to show as selected for a requested resolution
+ * A size the camera can't deliver gets its largest mode instead,
+ * which is what the browser settles on.
+ * 
+ * @param {string} resolution - Requested value from RESOLUTION_OPTIONS
+ * @param {Array} options - Result of getResolutionOptions()
+ */
+export function clampResolution(resolution, options) {
+  return options.some((option) => option.value === resolution) ? resolution : 'max'
+}
+
+/**
+ * Reads which controls the camera behind a video track supports
+ * 
+ * @param {MediaStreamTrack} track
+ * @returns {Object} - { capabilities, zoom: { min, max, step } | null, torch, focus, focusMode }
+ */
+export function getTrackFeatures(track) {
+  const capabilities = track?.getCapabilities?.() || {}
+  const supported = navigator.mediaDevices?.getSupportedConstraints?.() || {}
+  const focusModes = capabilities.focusMode || []
+
+  const zoom = capabilities.zoom && capabilities.zoom.max > capabilities.zoom.min
+    ? {
+        min: capabilities.zoom.min,
+        max: capabilities.zoom.max,
+        step: capabilities.zoom.step || 0.1,
+      }
+    : null
+
+  return {
+    capabilities,
+    zoom,
+    torch: capabilities.torch === true,
+    // Tap-to-focus needs focus points plus a one-off or continuous focus mode
+    focus: Boolean(supported.pointsOfInterest)
+      && (focusModes.includes('single-shot') || focusModes.includes('continuous')),
+    focusMode: focusModes.includes('single-shot') ? 'single-shot' : 'continuous',
+  }
+}
+
+/**
+ * Applies advanced constraints to a track, ignoring cameras that
+ * reject them (a missed torch or focus request isn't an error)
+ * 
+ * @returns {Promise<boolean>} - Whether the constraints were applied
+ */
+export async function applyTrackSettings(track, settings) {
+  try {
+    await track.applyConstraints({ advanced: [settings] })
+    return true
+  } catch (error) {
+    console.warn('Camera setting not applied:', settings, error)
+    return false
+  }
+}
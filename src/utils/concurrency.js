@@ -0,0 +1,45 @@
+/**
+ * Concurrency Helpers
+ * 
+ * Utilities for running async work with a cap on how many
+ * tasks are in flight at the same time.
+ */
+
+/**
+ * Runs an async worker over a list of items, at most `limit` at a time
+ * Items are started in order. A failing item does not stop the others.
+ * 
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - async (item, index) => value
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops starting new items once aborted
+ * @returns {Promise<Array>} - Settled results in item order:
+ *   { status: 'fulfilled', value } | { status: 'rejected', reason } | undefined (not started)
+ */
+export async function runWithConcurrency(items, limit, worker, { signal } = {}) {
+  const results = new Array(items.length)
+  let nextIndex = 0
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      if (signal?.aborted) {
+        return
+      }
+
+      const index = nextIndex
+      nextIndex += 1
+
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) }
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error }
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length))
+  await Promise.all(Array.from({ length: workerCount }, runNext))
+
+  return results
+}
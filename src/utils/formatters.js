@@ -0,0 +1,146 @@
+/**
+ * Display Formatters
+ * 
+ * Helpers for turning catalog values into display strings.
+ * Each returns null when the value is missing, so callers can
+ * skip the field entirely.
+ * 
+ * Numbers, prices, units and dates are formatted for the current
+ * locale (see i18n).
+ */
+
+import { getLocale, hasMessage, t } from '../i18n'
+
+/**
+ * Formats a number
+ * e.g. 1281.6 -> '1,281.6'
+ * 
+ * @param {number} value
+ * @param {Object} options - Intl.NumberFormat options
+ */
+export function formatNumber(value, options) {
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return null
+  }
+  return new Intl.NumberFormat(getLocale(), options).format(value)
+}
+
+/**
+ * Formats a 0-1 score as a percentage
+ * e.g. 0.8734 -> '87.3%'
+ * 
+ * @param {number} value - Score between 0 and 1
+ * @param {number} digits - Decimal places (default: 1)
+ */
+export function formatPercent(value, digits = 1) {
+  return formatNumber(value, {
+    style: 'percent',
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  })
+}
+
+/**
+ * Joins words into a list
+ * e.g. ['PNG', 'JPG', 'HEIC'] -> 'PNG, JPG, or HEIC'
+ * 
+ * @param {Array} items - Strings
+ * @param {string} type - 'conjunction' ("and") or 'disjunction' ("or")
+ */
+export function formatList(items, type = 'conjunction') {
+  return new Intl.ListFormat(getLocale(), { style: 'long', type }).format(items)
+}
+
+/**
+ * Formats a measurement with its unit symbol
+ * e.g. (12.5, 'm2') -> '12.5 m²'
+ * 
+ * @param {number} value
+ * @param {string} unit - 'mm', 'in', 'm', 'ft', 'm2' or 'ft2'
+ * @param {Object} options - Intl.NumberFormat options
+ */
+export function formatMeasurement(value, unit, options) {
+  const number = formatNumber(value, options)
+  if (number === null) {
+    return null
+  }
+  return t('format.measurement', { value: number, unit: t(`units.${unit}`) })
+}
+
+/**
+ * Returns a tile's display name, or its catalog id when it has none
+ * e.g. { id: 102 } -> 'Tile #102'
+ */
+export function formatTileName(tile) {
+  return tile?.name || t('tile.fallbackName', { id: String(tile?.id) })
+}
+
+/**
+ * Formats tile dimensions in millimetres
+ * e.g. { width: 600, length: 1200, thickness: 10 } -> '600 × 1200 × 10 mm'
+ * 
+ * @param {Object} dimensions - { width, length, thickness }
+ * @param {Object} options
+ * @param {boolean} options.includeThickness - Include thickness (default: true)
+ */
+export function formatDimensions(dimensions, { includeThickness = true } = {}) {
+  if (!dimensions?.width || !dimensions?.length) {
+    return null
+  }
+
+  const parts = [dimensions.width, dimensions.length]
+  if (includeThickness && dimensions.thickness) {
+    parts.push(dimensions.thickness)
+  }
+
+  return t('format.measurement', {
+    value: parts.map((part) => formatNumber(part, { useGrouping: false })).join(' × '),
+    unit: t('units.mm'),
+  })
+}
+
+/**
+ * Formats an amount of money
+ * e.g. (1281.6, 'USD') -> '$1,281.60'
+ */
+export function formatPrice(amount, currency = 'USD') {
+  if (amount === null || amount === undefined) {
+    return null
+  }
+  return new Intl.NumberFormat(getLocale(), { style: 'currency', currency }).format(amount)
+}
+
+/**
+ * Formats a price per square metre
+ * e.g. (54.5, 'USD') -> '$54.50 / m²'
+ */
+export function formatPricePerM2(price, currency = 'USD') {
+  if (price === null || price === undefined) {
+    return null
+  }
+  return t('format.pricePerUnit', { price: formatPrice(price, currency), unit: t('units.m2') })
+}
+
+/**
+ * Formats a catalog keyword for display
+ * Known keywords (materials, finishes, colours) are translated.
+ * e.g. 'porcelain' -> 'Porcelain'
+ */
+export function formatLabel(value) {
+  if (!value) {
+    return null
+  }
+  const key = `catalog.${value}`
+  return hasMessage(key) ? t(key) : value.charAt(0).toUpperCase() + value.slice(1)
+}
+
+/**
+ * Formats a timestamp as a short date and time
+ * e.g. 1760000000000 -> 'Oct 9, 2025, 10:13 AM'
+ */
+export function formatDateTime(timestamp) {
+  if (!timestamp) {
+    return null
+  }
+  return new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium', timeStyle: 'short' }).format(timestamp)
+}
@@ -0,0 +1,208 @@
+/**
+ * Image Editing
+ * 
+ * Canvas operations behind the pre-detection image editor: crop,
+ * rotation and perspective straightening. Each operation takes an
+ * image or canvas and returns a new canvas, so edits can be chained
+ * and undone by keeping the earlier results.
+ */
+
+import { computeHomography, invertHomography } from './perspective'
+import { estimateAspectRatio } from './roomRenderer'
+
+// Longest side of a straightened image, in pixels; the warp runs
+// per pixel, so larger outputs get slow on phones
+const WARP_MAX_SIZE = 2400
+
+// JPEG quality of the edited file
+const OUTPUT_QUALITY = 0.92
+
+// Unit square corners: top-left, top-right, bottom-right, bottom-left
+const UNIT_SQUARE = [[0, 0], [1, 0], [1, 1], [0, 1]]
+
+/**
+ * Returns the pixel size of an image or canvas
+ */
+export function getImageSize(source) {
+  return {
+    width: source.naturalWidth || source.width,
+    height: source.naturalHeight || source.height,
+  }
+}
+
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(width))
+  canvas.height = Math.max(1, Math.round(height))
+  return canvas
+}
+
+/**
+ * Scale needed for a rotated image to cover its original frame,
+ * so free rotation leaves no empty corners
+ * 
+ * @param {number} degrees - Rotation angle
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ */
+export function getRotationCoverScale(degrees, width, height) {
+  const angle = Math.abs((degrees * Math.PI) / 180)
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  return Math.max(cos + (height / width) * sin, (width / height) * sin + cos)
+}
+
+/**
+ * Rotates by a number of quarter turns (positive is clockwise)
+ */
+export function rotateQuarterTurns(source, turns) {
+  const { width, height } = getImageSize(source)
+  const quarter = ((turns % 4) + 4) % 4
+  const isSideways = quarter % 2 === 1
+  const canvas = createCanvas(isSideways ? height : width, isSideways ? width : height)
+  const context = canvas.getContext('2d')
+
+  context.translate(canvas.width / 2, canvas.height / 2)
+  context.rotate((quarter * Math.PI) / 2)
+  context.drawImage(source, -width / 2, -height / 2)
+  return canvas
+}
+
+/**
+ * Rotates by any angle, keeping the original size
+ * The image is scaled up just enough to fill the frame.
+ * 
+ * @param {HTMLImageElement|HTMLCanvasElement} source
+ * @param {number} degrees - Angle, positive is clockwise
+ */
+export function rotateFree(source, degrees) {
+  const { width, height } = getImageSize(source)
+  const canvas = createCanvas(width, height)
+  const context = canvas.getContext('2d')
+  const scale = getRotationCoverScale(degrees, width, height)
+
+  context.imageSmoothingQuality = 'high'
+  context.translate(width / 2, height / 2)
+  context.rotate((degrees * Math.PI) / 180)
+  context.scale(scale, scale)
+  context.drawImage(source, -width / 2, -height / 2)
+  return canvas
+}
+
+/**
+ * Crops to a rectangle given as fractions (0-1) of the image
+ * 
+ * @param {HTMLImageElement|HTMLCanvasElement} source
+ * @param {Object} rect - { left, top, right, bottom }
+ */
+export function cropImage(source, { left, top, right, bottom }) {
+  const { width, height } = getImageSize(source)
+  const x = Math.round(left * width)
+  const y = Math.round(top * height)
+  const cropWidth = Math.max(1, Math.round(right * width) - x)
+  const cropHeight = Math.max(1, Math.round(bottom * height) - y)
+
+  const canvas = createCanvas(cropWidth, cropHeight)
+  canvas.getContext('2d').drawImage(source, x, y, cropWidth, cropHeight, 0, 0, cropWidth, cropHeight)
+  return canvas
+}
+
+/**
+ * Straightens a quadrilateral seen in perspective (a tile shot at
+ * an angle) into a flat rectangle. The rectangle's proportions are
+ * recovered from the perspective, as in the room visualizer.
+ * 
+ * @param {HTMLImageElement|HTMLCanvasElement} source
+ * @param {Array} corners - Corners as fractions (0-1) of the image: TL, TR, BR, BL
+ * @throws {Error} - If the corners don't form a usable quadrilateral
+ */
+export function straightenPerspective(source, corners) {
+  const { width, height } = getImageSize(source)
+  const quad = corners.map(([x, y]) => [x * width, y * height])
+
+  // Output width follows the longer of the top and bottom edges
+  const edgeLength = ([x1, y1], [x2, y2]) => Math.hypot(x2 - x1, y2 - y1)
+  const aspect = estimateAspectRatio(quad, width, height)
+  let outputWidth = Math.max(edgeLength(quad[0], quad[1]), edgeLength(quad[3], quad[2]))
+  let outputHeight = outputWidth / aspect
+  const scale = Math.min(1, WARP_MAX_SIZE / Math.max(outputWidth, outputHeight))
+  outputWidth = Math.max(1, Math.round(outputWidth * scale))
+  outputHeight = Math.max(1, Math.round(outputHeight * scale))
+
+  // Maps output pixels (via the unit square) back into the source
+  const toSource = computeHomography(UNIT_SQUARE, quad)
+  // Validates the quad; a folded one can't be inverted
+  invertHomography(toSource)
+  const [h0, h1, h2, h3, h4, h5, h6, h7, h8] = toSource
+
+  const sourceCanvas = createCanvas(width, height)
+  const sourceContext = sourceCanvas.getContext('2d')
+  sourceContext.drawImage(source, 0, 0)
+  const input = sourceContext.getImageData(0, 0, width, height).data
+
+  const canvas = createCanvas(outputWidth, outputHeight)
+  const context = canvas.getContext('2d')
+  const output = context.createImageData(outputWidth, outputHeight)
+  const pixels = output.data
+
+  for (let y = 0; y < outputHeight; y++) {
+    const v = (y + 0.5) / outputHeight
+    for (let x = 0; x < outputWidth; x++) {
+      const u = (x + 0.5) / outputWidth
+      const w = h6 * u + h7 * v + h8
+      // Source position, shifted so pixel centres sit on integers
+      const sx = Math.min(width - 1, Math.max(0, (h0 * u + h1 * v + h2) / w - 0.5))
+      const sy = Math.min(height - 1, Math.max(0, (h3 * u + h4 * v + h5) / w - 0.5))
+
+      // Bilinear sampling between the four nearest pixels
+      const x0 = Math.floor(sx)
+      const y0 = Math.floor(sy)
+      const x1 = Math.min(width - 1, x0 + 1)
+      const y1 = Math.min(height - 1, y0 + 1)
+      const fx = sx - x0
+      const fy = sy - y0
+      const i00 = (y0 * width + x0) * 4
+      const i10 = (y0 * width + x1) * 4
+      const i01 = (y1 * width + x0) * 4
+      const i11 = (y1 * width + x1) * 4
+      const offset = (y * outputWidth + x) * 4
+
+      for (let channel = 0; channel < 3; channel++) {
+        const top = input[i00 + channel] * (1 - fx) + input[i10 + channel] * fx
+        const bottom = input[i01 + channel] * (1 - fx) + input[i11 + channel] * fx
+        pixels[offset + channel] = top * (1 - fy) + bottom * fy
+      }
+      pixels[offset + 3] = 255
+    }
+  }
+
+  context.putImageData(output, 0, 0)
+  return canvas
+}
+
+/**
+ * Encodes an edited canvas as a File named after the original
+ * PNGs stay PNG; everything else is saved as JPEG.
+ * 
+ * @param {HTMLCanvasElement} canvas
+ * @param {File} originalFile - The file that was edited
+ * @returns {Promise<File>}
+ */
+export function canvasToFile(canvas, originalFile) {
+  const type = originalFile?.type === 'image/png' ? 'image/png' : 'image/jpeg'
+  const extension = type === 'image/png' ? 'png' : 'jpg'
+  const baseName = (originalFile?.name || 'tile').replace(/(-edited)?\.[^.]+$/, '')
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('Unable to encode the edited image'))
+        return
+      }
+      resolve(new File([blob], `${baseName}-edited.${extension}`, {
+        type,
+        lastModified: Date.now(),
+      }))
+    }, type, OUTPUT_QUALITY)
+  })
+}
@@ -0,0 +1,220 @@
+/**
+ * Image Feature Extraction
+ * 
+ * Computes simple visual features from an image on a canvas,
+ * used by the offline similarity engine:
+ * 
+ * - Colour histogram: 4x4x4 RGB bins, normalized to sum to 1
+ * - Perceptual hash: 64-bit difference hash (dHash) of a 9x8 grayscale thumbnail
+ * - Texture statistics: brightness, contrast, edge strength, edge
+ *   density and a 4-bin edge orientation histogram (Sobel gradients)
+ * 
+ * All features are resolution independent, so tiles photographed
+ * or rendered at different sizes can be compared.
+ */
+
+// Size images are scaled to before computing colour/texture features
+const SAMPLE_SIZE = 64
+
+// Number of bins per RGB channel in the colour histogram
+const COLOR_BINS = 4
+
+// Gradient magnitude above which a pixel counts as an edge
+const EDGE_THRESHOLD = 64
+
+// Maximum Sobel gradient magnitude, used to normalize edge strength
+const MAX_GRADIENT = 4 * 255 * Math.SQRT2
+
+// Weight of each feature in the combined similarity score
+const FEATURE_WEIGHTS = {
+  color: 0.5,
+  hash: 0.2,
+  texture: 0.3,
+}
+
+/**
+ * Loads an image from a URL (or object URL)
+ */
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image()
+    image.crossOrigin = 'anonymous'
+    image.onload = () => resolve(image)
+    image.onerror = () => reject(new Error(`Unable to load image: ${src}`))
+    image.src = src
+  })
+}
+
+/**
+ * Draws an image scaled to the given size and returns its pixels
+ */
+function getPixels(image, width, height) {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+
+  const context = canvas.getContext('2d', { willReadFrequently: true })
+  context.drawImage(image, 0, 0, width, height)
+  return context.getImageData(0, 0, width, height).data
+}
+
+/**
+ * Converts RGBA pixels to an array of grayscale values (0-255)
+ */
+function toGrayscale(pixels) {
+  const gray = new Float32Array(pixels.length / 4)
+  for (let i = 0; i < gray.length; i++) {
+    const offset = i * 4
+    gray[i] = 0.299 * pixels[offset] + 0.587 * pixels[offset + 1] + 0.114 * pixels[offset + 2]
+  }
+  return gray
+}
+
+/**
+ * Computes a normalized RGB colour histogram
+ */
+function computeColorHistogram(pixels) {
+  const histogram = new Float32Array(COLOR_BINS * COLOR_BINS * COLOR_BINS)
+  const binSize = 256 / COLOR_BINS
+  const pixelCount = pixels.length / 4
+
+  for (let offset = 0; offset < pixels.length; offset += 4) {
+    const r = Math.floor(pixels[offset] / binSize)
+    const g = Math.floor(pixels[offset + 1] / binSize)
+    const b = Math.floor(pixels[offset + 2] / binSize)
+    histogram[(r * COLOR_BINS + g) * COLOR_BINS + b] += 1 / pixelCount
+  }
+
+  return histogram
+}
+
+/**
+ * Computes a 64-bit difference hash
+ * Each bit records whether a pixel is brighter than its right neighbour
+ */
+function computeDifferenceHash(image) {
+  const gray = toGrayscale(getPixels(image, 9, 8))
+  const bits = new Uint8Array(64)
+
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits[y * 8 + x] = gray[y * 9 + x] > gray[y * 9 + x + 1] ? 1 : 0
+    }
+  }
+
+  return bits
+}
+
+/**
+ * Computes texture statistics from Sobel gradients
+ * All values are normalized to the 0-1 range
+ */
+function computeTextureStats(gray, size) {
+  let sum = 0
+  let sumSquares = 0
+  gray.forEach((value) => {
+    sum += value
+    sumSquares += value * value
+  })
+
+  const mean = sum / gray.length
+  const variance = Math.max(0, sumSquares / gray.length - mean * mean)
+
+  let gradientSum = 0
+  let edgeCount = 0
+  const orientations = new Float32Array(4)
+  const at = (x, y) => gray[y * size + x]
+
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1)
+        - at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1)
+      const gy = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1)
+        - at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1)
+      const magnitude = Math.sqrt(gx * gx + gy * gy)
+
+      gradientSum += magnitude
+
+      if (magnitude > EDGE_THRESHOLD) {
+        edgeCount += 1
+        // Orientation folded into [0, PI) and split into 4 bins
+        const angle = (Math.atan2(gy, gx) + Math.PI) % Math.PI
+        orientations[Math.min(3, Math.floor(angle / (Math.PI / 4)))] += 1
+      }
+    }
+  }
+
+  const innerPixels = (size - 2) * (size - 2)
+  if (edgeCount > 0) {
+    orientations.forEach((count, index) => {
+      orientations[index] = count / edgeCount
+    })
+  }
+
+  return {
+    brightness: mean / 255,
+    contrast: Math.min(1, Math.sqrt(variance) / 128),
+    edgeStrength: gradientSum / innerPixels / MAX_GRADIENT,
+    edgeDensity: edgeCount / innerPixels,
+    orientations,
+  }
+}
+
+/**
+ * Extracts all features from an image element
+ * 
+ * @param {HTMLImageElement} image - A loaded image
+ * @returns {Object} - { colorHistogram, hash, texture }
+ */
+export function extractFeatures(image) {
+  const pixels = getPixels(image, SAMPLE_SIZE, SAMPLE_SIZE)
+
+  return {
+    colorHistogram: computeColorHistogram(pixels),
+    hash: computeDifferenceHash(image),
+    texture: computeTextureStats(toGrayscale(pixels), SAMPLE_SIZE),
+  }
+}
+
+/**
+ * Histogram intersection of two normalized histograms (0-1)
+ */
+function histogramIntersection(a, b) {
+  let total = 0
+  for (let i = 0; i < a.length; i++) {
+    total += Math.min(a[i], b[i])
+  }
+  return total
+}
+
+/**
+ * Compares two feature sets
+ * 
+ * @returns {Object} - { similarity, color, hash, texture }, each 0-1
+ */
+export function compareFeatures(a, b) {
+  const color = histogramIntersection(a.colorHistogram, b.colorHistogram)
+
+  let differentBits = 0
+  for (let i = 0; i < a.hash.length; i++) {
+    if (a.hash[i] !== b.hash[i]) differentBits += 1
+  }
+  const hash = 1 - differentBits / a.hash.length
+
+  const scalarKeys = ['brightness', 'contrast', 'edgeStrength', 'edgeDensity']
+  const scalarDistance = scalarKeys.reduce(
+    (total, key) => total + Math.abs(a.texture[key] - b.texture[key]),
+    0
+  ) / scalarKeys.length
+  // Two images without any edges have identical (empty) orientations
+  const orientation = a.texture.edgeDensity === 0 && b.texture.edgeDensity === 0
+    ? 1
+    : histogramIntersection(a.texture.orientations, b.texture.orientations)
+  const texture = ((1 - scalarDistance) + orientation) / 2
+
+  const similarity = FEATURE_WEIGHTS.color * color
+    + FEATURE_WEIGHTS.hash * hash
+    + FEATURE_WEIGHTS.texture * texture
+
+  return { similarity, color, hash, texture }
+}
@@ -0,0 +1,171 @@
+/**
+ * Image Formats
+ * 
+ * Upload formats and their conversion in the browser. PNG and JPEG
+ * are used as they are. WebP, AVIF and HEIC/HEIF are converted to
+ * JPEG when selected, so previews, editing, history and detection
+ * only ever deal with the two common formats.
+ * 
+ * WebP and AVIF are decoded by the browser itself (support is
+ * probed, since older browsers lack AVIF). HEIC is decoded natively
+ * by Safari; elsewhere a WebAssembly decoder is loaded on demand.
+ */
+
+import { t } from '../i18n'
+import { loadImage } from './imageFeatures'
+
+// JPEG quality of converted images
+const CONVERSION_QUALITY = 0.92
+
+export const SUPPORTED_FORMATS = [
+  { id: 'png', label: 'PNG', types: ['image/png'], extensions: ['png'] },
+  { id: 'jpeg', label: 'JPG', types: ['image/jpeg', 'image/jpg'], extensions: ['jpg', 'jpeg'] },
+  { id: 'webp', label: 'WebP', types: ['image/webp'], extensions: ['webp'] },
+  { id: 'avif', label: 'AVIF', types: ['image/avif'], extensions: ['avif'] },
+  { id: 'heic', label: 'HEIC', types: ['image/heic', 'image/heif'], extensions: ['heic', 'heif'] },
+]
+
+// Formats used without conversion
+const PASSTHROUGH_FORMATS = ['png', 'jpeg']
+
+// Tiny sample images for probing browser decoding support
+const FORMAT_SAMPLES = {
+  webp: 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA',
+  avif: 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+}
+
+/**
+ * Value for a file input's accept attribute
+ */
+export const ACCEPT_ATTRIBUTE = SUPPORTED_FORMATS
+  .flatMap((format) => [...format.types, ...format.extensions.map((extension) => `.${extension}`)])
+  .join(',')
+
+/**
+ * Finds the format of a file from its MIME type, or from its
+ * extension when the browser reports no type (common for HEIC)
+ * 
+ * @param {File} file
+ * @returns {Object|null} - Entry of SUPPORTED_FORMATS, or null
+ */
+export function getImageFormat(file) {
+  const type = (file.type || '').toLowerCase()
+  const extension = (file.name || '').split('.').pop().toLowerCase()
+  return SUPPORTED_FORMATS.find((format) => format.types.includes(type))
+    || (!type || type === 'application/octet-stream'
+      ? SUPPORTED_FORMATS.find((format) => format.extensions.includes(extension))
+      : null)
+    || null
+}
+
+let supportPromise = null
+
+/**
+ * Finds out which formats can be used in this browser
+ * PNG, JPEG and HEIC (through the decoder) always work.
+ * 
+ * @returns {Promise<Array>} - Supported entries of SUPPORTED_FORMATS
+ */
+export function getUsableFormats() {
+  if (!supportPromise) {
+    supportPromise = Promise.all(SUPPORTED_FORMATS.map(async (format) => {
+      if (!FORMAT_SAMPLES[format.id]) {
+        return format
+      }
+      try {
+        await loadImage(FORMAT_SAMPLES[format.id])
+        return format
+      } catch (error) {
+        return null
+      }
+    })).then((formats) => formats.filter(Boolean))
+  }
+  return supportPromise
+}
+
+/**
+ * Draws an image onto a canvas and encodes it as JPEG
+ */
+function encodeAsJpeg(image) {
+  const canvas = document.createElement('canvas')
+  canvas.width = image.naturalWidth
+  canvas.height = image.naturalHeight
+  const context = canvas.getContext('2d')
+  // JPEG has no transparency; flatten onto white
+  context.fillStyle = '#ffffff'
+  context.fillRect(0, 0, canvas.width, canvas.height)
+  context.drawImage(image, 0, 0)
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob)
+      } else {
+        reject(new Error('Unable to encode the image'))
+      }
+    }, 'image/jpeg', CONVERSION_QUALITY)
+  })
+}
+
+/**
+ * Decodes a file with the browser's own decoders
+ * 
+ * @returns {Promise<Blob>} - JPEG blob
+ */
+async function convertNatively(file) {
+  const url = URL.createObjectURL(file)
+  try {
+    return await encodeAsJpeg(await loadImage(url))
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
+
+/**
+ * Decodes a HEIC/HEIF file with the on-demand decoder
+ * Multi-image files (bursts, live photos) use the first image.
+ * 
+ * @returns {Promise<Blob>} - JPEG blob
+ */
+async function convertHeic(file) {
+  const { default: heic2any } = await import('heic2any')
+  const result = await heic2any({ blob: file, toType: 'image/jpeg', quality: CONVERSION_QUALITY })
+  return Array.isArray(result) ? result[0] : result
+}
+
+/**
+ * Prepares a selected file for the app: PNG and JPEG are returned
+ * as they are; other supported formats are converted to JPEG.
+ * 
+ * @param {File} file - A file whose format passed getImageFormat()
+ * @returns {Promise<File>}
+ * @throws {Error} - With a message for the user if the image can't be decoded
+ */
+export async function prepareImageFile(file) {
+  const format = getImageFormat(file)
+  if (!format) {
+    throw new Error(t('imageFormats.unsupported'))
+  }
+  if (PASSTHROUGH_FORMATS.includes(format.id)) {
+    // Recognised by extension only: give it its proper type
+    return file.type ? file : new File([file], file.name, { type: format.types[0], lastModified: file.lastModified })
+  }
+
+  let blob
+  try {
+    blob = await convertNatively(file)
+  } catch (error) {
+    if (format.id !== 'heic') {
+      throw new Error(t('imageFormats.cantDecode', { format: format.label }))
+    }
+    try {
+      blob = await convertHeic(file)
+    } catch (heicError) {
+      console.warn('HEIC conversion failed:', heicError)
+      throw new Error(t('imageFormats.heicFailed'))
+    }
+  }
+
+  const name = `${file.name.replace(/\.[^.]+$/, '')}.jpg`
+  return new File([blob], name, { type: 'image/jpeg', lastModified: file.lastModified || Date.now() })
+}
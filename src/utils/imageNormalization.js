@@ -0,0 +1,146 @@
+/**
+ * Image Normalization
+ * 
+ * Prepares photos for upload: applies the EXIF orientation,
+ * downscales to a maximum size and re-encodes as JPEG. Drawing
+ * through a canvas keeps only the pixels, so EXIF metadata
+ * (including GPS location) never leaves the device.
+ */
+
+import { loadImage } from './imageFeatures'
+
+// EXIF orientation tag in the first image directory (IFD0)
+const ORIENTATION_TAG = 0x0112
+
+// Bytes read when looking for the EXIF block; it sits near the start
+const EXIF_SEARCH_BYTES = 128 * 1024
+
+/**
+ * Reads the EXIF orientation (1-8) of a JPEG file
+ * 
+ * @param {Blob} file
+ * @returns {Promise<number>} - Orientation, 1 (upright) when missing
+ */
+export async function readExifOrientation(file) {
+  const view = new DataView(await file.slice(0, EXIF_SEARCH_BYTES).arrayBuffer())
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) {
+    return 1
+  }
+
+  // Walk the JPEG segments up to the APP1 "Exif" segment
+  let offset = 2
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset)
+    const length = view.getUint16(offset + 2)
+    if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) {
+      return 1
+    }
+    if (marker === 0xffe1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      return readTiffOrientation(view, offset + 10)
+    }
+    offset += 2 + length
+  }
+  return 1
+}
+
+/**
+ * Finds the orientation entry in a TIFF header starting at `start`
+ */
+function readTiffOrientation(view, start) {
+  if (start + 8 > view.byteLength) {
+    return 1
+  }
+  const littleEndian = view.getUint16(start) === 0x4949
+  const directory = start + view.getUint32(start + 4, littleEndian)
+  if (directory + 2 > view.byteLength) {
+    return 1
+  }
+
+  const entries = view.getUint16(directory, littleEndian)
+  for (let i = 0; i < entries; i++) {
+    const entry = directory + 2 + i * 12
+    if (entry + 12 > view.byteLength) {
+      return 1
+    }
+    if (view.getUint16(entry, littleEndian) === ORIENTATION_TAG) {
+      const orientation = view.getUint16(entry + 8, littleEndian)
+      return orientation >= 1 && orientation <= 8 ? orientation : 1
+    }
+  }
+  return 1
+}
+
+/**
+ * Whether the browser applies EXIF orientation when decoding images
+ * (all current browsers do; older ones draw the stored pixels as-is)
+ */
+function browserAppliesOrientation() {
+  return typeof CSS !== 'undefined' && CSS.supports?.('image-orientation', 'from-image')
+}
+
+/**
+ * Sets up a canvas context so drawing the stored pixels at
+ * (0, 0, width, height) comes out in the given EXIF orientation
+ */
+function applyOrientationTransform(context, orientation, width, height) {
+  const transforms = {
+    2: [-1, 0, 0, 1, width, 0],
+    3: [-1, 0, 0, -1, width, height],
+    4: [1, 0, 0, -1, 0, height],
+    5: [0, 1, 1, 0, 0, 0],
+    6: [0, 1, -1, 0, height, 0],
+    7: [0, -1, -1, 0, height, width],
+    8: [0, -1, 1, 0, 0, width],
+  }
+  if (transforms[orientation]) {
+    context.transform(...transforms[orientation])
+  }
+}
+
+/**
+ * Normalizes an image file for upload
+ * 
+ * @param {File} file - The selected image
+ * @param {Object} options
+ * @param {number} options.maxSize - Longest side of the result, in pixels
+ * @param {number} options.quality - JPEG quality (0-1)
+ * @returns {Promise<File>} - Upright, downscaled JPEG without metadata
+ * @throws {Error} - If the image can't be decoded or encoded
+ */
+export async function normalizeImage(file, { maxSize, quality }) {
+  const orientation = browserAppliesOrientation() ? 1 : await readExifOrientation(file)
+
+  const url = URL.createObjectURL(file)
+  let image
+  try {
+    image = await loadImage(url)
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+
+  // Stored size; orientations 5-8 swap width and height
+  const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight))
+  const width = Math.max(1, Math.round(image.naturalWidth * scale))
+  const height = Math.max(1, Math.round(image.naturalHeight * scale))
+  const isSideways = orientation >= 5
+
+  const canvas = document.createElement('canvas')
+  canvas.width = isSideways ? height : width
+  canvas.height = isSideways ? width : height
+  const context = canvas.getContext('2d')
+
+  // JPEG has no transparency; flatten onto white like most viewers
+  context.fillStyle = '#ffffff'
+  context.fillRect(0, 0, canvas.width, canvas.height)
+  context.imageSmoothingQuality = 'high'
+  applyOrientationTransform(context, orientation, width, height)
+  context.drawImage(image, 0, 0, width, height)
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', quality))
+  if (!blob) {
+    throw new Error('Unable to encode the image for upload')
+  }
+
+  const name = `${(file.name || 'image').replace(/\.[^.]+$/, '')}.jpg`
+  return new File([blob], name, { type: 'image/jpeg', lastModified: Date.now() })
+}
@@ -0,0 +1,126 @@
+/**
+ * Image Quality
+ * 
+ * Quick checks run on a photo before it is sent for detection:
+ * 
+ * - Resolution: the shorter side must have enough pixels for a tile
+ * - Blur: variance of the Laplacian (edge response) of a grayscale copy
+ * - Exposure: average brightness, too dark or washed out
+ * - Glare: share of clipped, near-white pixels (flash or lamp reflections)
+ * 
+ * Each failed check becomes an issue: its id (the message key is
+ * `quality.<id>`) and the values its message needs. Messages are
+ * translated when they are shown, so they follow language changes.
+ * The checks are heuristics, so callers warn and let the user decide
+ * rather than block the upload.
+ */
+
+import { loadImage } from './imageFeatures'
+
+// Longest side of the copy the checks run on; keeps them fast and
+// makes the blur score comparable across photo sizes
+const ANALYSIS_SIZE = 512
+
+// Minimum shorter side of the original image, in pixels
+const MIN_SHORT_SIDE = 400
+
+// Laplacian variance below which the image counts as blurry
+const BLUR_THRESHOLD = 40
+
+// Average brightness (0-255) limits
+const DARK_THRESHOLD = 55
+const BRIGHT_THRESHOLD = 215
+
+// Brightness of a clipped pixel, and the share of them that counts as glare
+const GLARE_LEVEL = 250
+const GLARE_RATIO = 0.04
+
+/**
+ * Computes brightness, glare and sharpness of an image's pixels
+ */
+function measurePixels(pixels, width, height) {
+  const gray = new Float32Array(width * height)
+  let brightnessSum = 0
+  let clipped = 0
+  for (let i = 0; i < gray.length; i++) {
+    const offset = i * 4
+    const value = 0.299 * pixels[offset] + 0.587 * pixels[offset + 1] + 0.114 * pixels[offset + 2]
+    gray[i] = value
+    brightnessSum += value
+    if (value >= GLARE_LEVEL) {
+      clipped++
+    }
+  }
+
+  // Variance of the 4-neighbour Laplacian over the inner pixels
+  let sum = 0
+  let sumOfSquares = 0
+  let count = 0
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x
+      const laplacian = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i]
+      sum += laplacian
+      sumOfSquares += laplacian * laplacian
+      count++
+    }
+  }
+  const mean = count ? sum / count : 0
+
+  return {
+    brightness: brightnessSum / gray.length,
+    glare: clipped / gray.length,
+    sharpness: count ? sumOfSquares / count - mean * mean : 0,
+  }
+}
+
+/**
+ * Analyses an image that has already been loaded or drawn
+ * 
+ * @param {HTMLImageElement|HTMLCanvasElement} image
+ * @returns {Object} - { width, height, metrics: { sharpness, brightness, glare }, issues: [{ id, params? }] }
+ */
+export function analyzeImageQuality(image) {
+  const width = image.naturalWidth || image.width
+  const height = image.naturalHeight || image.height
+
+  const scale = Math.min(1, ANALYSIS_SIZE / Math.max(width, height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(width * scale))
+  canvas.height = Math.max(1, Math.round(height * scale))
+  const context = canvas.getContext('2d', { willReadFrequently: true })
+  context.drawImage(image, 0, 0, canvas.width, canvas.height)
+  const pixels = context.getImageData(0, 0, canvas.width, canvas.height).data
+  const metrics = measurePixels(pixels, canvas.width, canvas.height)
+
+  const issues = []
+  if (Math.min(width, height) < MIN_SHORT_SIDE) {
+    issues.push({
+      id: 'resolution',
+      params: { size: `${width}×${height}` },
+    })
+  }
+  if (metrics.sharpness < BLUR_THRESHOLD) {
+    issues.push({ id: 'blur' })
+  }
+  if (metrics.brightness < DARK_THRESHOLD) {
+    issues.push({ id: 'dark' })
+  } else if (metrics.brightness > BRIGHT_THRESHOLD) {
+    issues.push({ id: 'bright' })
+  }
+  if (metrics.glare > GLARE_RATIO) {
+    issues.push({ id: 'glare' })
+  }
+
+  return { width, height, metrics, issues }
+}
+
+/**
+ * Loads an image from a URL (or object URL) and analyses it
+ * 
+ * @param {string} src
+ * @returns {Promise<Object>} - See analyzeImageQuality()
+ */
+export async function analyzeImageUrl(src) {
+  return analyzeImageQuality(await loadImage(src))
+}
@@ -0,0 +1,55 @@
+/**
+ * Pagination Helpers
+ * 
+ * Cursor-based paging over a ranked list, shared by the offline
+ * similarity engine and the local dev API so both follow the same
+ * recommendation contract:
+ * 
+ *   request:  { limit, cursor }   (cursor omitted for the first page)
+ *   response: { total, nextCursor } (nextCursor null on the last page)
+ * 
+ * Cursors are opaque strings to callers; here they encode an offset.
+ */
+
+/**
+ * Encodes a list offset as a cursor
+ */
+function encodeCursor(offset) {
+  return `o${offset.toString(36)}`
+}
+
+/**
+ * Decodes a cursor made by encodeCursor()
+ * 
+ * @param {string} cursor
+ * @returns {number|null} - Offset, or null if the cursor isn't valid
+ */
+function decodeCursor(cursor) {
+  const match = /^o([0-9a-z]+)$/.exec(cursor || '')
+  return match ? parseInt(match[1], 36) : null
+}
+
+/**
+ * Returns one page of a list
+ * 
+ * @param {Array} items - The full, ranked list
+ * @param {Object} options
+ * @param {number} options.limit - Page size
+ * @param {string} options.cursor - Cursor from the previous page, or empty for the first
+ * @returns {Object} - { items, total, nextCursor }
+ * @throws {Error} - If the cursor isn't valid
+ */
+export function paginate(items, { limit, cursor } = {}) {
+  const offset = cursor ? decodeCursor(cursor) : 0
+  if (offset === null) {
+    throw new Error(`Invalid cursor: ${cursor}`)
+  }
+
+  const size = limit > 0 ? limit : items.length
+  const end = offset + size
+  return {
+    items: items.slice(offset, end),
+    total: items.length,
+    nextCursor: end < items.length ? encodeCursor(end) : null,
+  }
+}
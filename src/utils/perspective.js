@@ -0,0 +1,103 @@
+/**
+ * Perspective Transforms
+ * 
+ * Homographies (3x3 projective transforms) between quadrilaterals,
+ * used to map a flat tiled surface onto an area of a photo.
+ * Matrices are stored as flat 9-element arrays in row-major order.
+ */
+
+/**
+ * Solves the linear system A·x = b by Gaussian elimination
+ * with partial pivoting. A is an array of rows; both are copied.
+ */
+function solveLinearSystem(matrix, vector) {
+  const size = vector.length
+  const a = matrix.map((row, index) => [...row, vector[index]])
+
+  for (let col = 0; col < size; col++) {
+    let pivot = col
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) {
+        pivot = row
+      }
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) {
+      throw new Error('Degenerate quadrilateral')
+    }
+    const pivotRow = a[pivot]
+    a[pivot] = a[col]
+    a[col] = pivotRow
+
+    for (let row = col + 1; row < size; row++) {
+      const factor = a[row][col] / a[col][col]
+      for (let k = col; k <= size; k++) {
+        a[row][k] -= factor * a[col][k]
+      }
+    }
+  }
+
+  const x = new Array(size).fill(0)
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = a[row][size]
+    for (let k = row + 1; k < size; k++) {
+      sum -= a[row][k] * x[k]
+    }
+    x[row] = sum / a[row][row]
+  }
+  return x
+}
+
+/**
+ * Computes the homography mapping four source points onto four
+ * destination points
+ * 
+ * @param {Array} from - Four [x, y] points
+ * @param {Array} to - Four [x, y] points, in the same order
+ * @returns {Array} - 3x3 matrix as 9 numbers
+ * @throws {Error} - If three of the points are collinear
+ */
+export function computeHomography(from, to) {
+  const matrix = []
+  const vector = []
+
+  for (let i = 0; i < 4; i++) {
+    const [x, y] = from[i]
+    const [u, v] = to[i]
+    matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y])
+    vector.push(u)
+    matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y])
+    vector.push(v)
+  }
+
+  return [...solveLinearSystem(matrix, vector), 1]
+}
+
+/**
+ * Inverts a homography
+ */
+export function invertHomography(h) {
+  const [a, b, c, d, e, f, g, k, m] = h
+  const det = a * (e * m - f * k) - b * (d * m - f * g) + c * (d * k - e * g)
+  if (Math.abs(det) < 1e-12) {
+    throw new Error('Homography is not invertible')
+  }
+
+  return [
+    (e * m - f * k) / det, (c * k - b * m) / det, (b * f - c * e) / det,
+    (f * g - d * m) / det, (a * m - c * g) / det, (c * d - a * f) / det,
+    (d * k - e * g) / det, (b * g - a * k) / det, (a * e - b * d) / det,
+  ]
+}
+
+/**
+ * Applies a homography to a point
+ * 
+ * @returns {Array} - [x, y]
+ */
+export function applyHomography(h, x, y) {
+  const w = h[6] * x + h[7] * y + h[8]
+  return [
+    (h[0] * x + h[1] * y + h[2]) / w,
+    (h[3] * x + h[4] * y + h[5]) / w,
+  ]
+}
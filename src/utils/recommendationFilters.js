@@ -0,0 +1,195 @@
+/**
+ * Recommendation Filters
+ * 
+ * Facet filtering and sorting for catalog tiles. Pure functions
+ * with no browser dependencies, so the same logic runs in the
+ * app (mock mode and offline fallback) and in the local dev API.
+ * 
+ * Filters format:
+ * {
+ *   materials: string[],      // e.g. ['porcelain']
+ *   finishes: string[],       // e.g. ['matte', 'satin']
+ *   colorFamilies: string[],  // e.g. ['grey']
+ *   sizes: string[],          // size keys, e.g. ['600x600'] (see getSizeKey)
+ *   minPrice: number | null,  // price per m²
+ *   maxPrice: number | null,
+ *   inStockOnly: boolean
+ * }
+ * 
+ * An empty list or null value means "don't filter on this facet".
+ */
+
+export const EMPTY_FILTERS = {
+  materials: [],
+  finishes: [],
+  colorFamilies: [],
+  sizes: [],
+  minPrice: null,
+  maxPrice: null,
+  inStockOnly: false,
+}
+
+// Sort options, in the order they are offered to the user, with the
+// message keys of their labels
+export const SORT_OPTIONS = [
+  { value: 'similarity', labelKey: 'filters.sort.similarity' },
+  { value: 'price-asc', labelKey: 'filters.sort.priceAsc' },
+  { value: 'price-desc', labelKey: 'filters.sort.priceDesc' },
+  { value: 'size-asc', labelKey: 'filters.sort.sizeAsc' },
+  { value: 'size-desc', labelKey: 'filters.sort.sizeDesc' },
+]
+
+export const DEFAULT_SORT = 'similarity'
+
+/**
+ * Returns the size key of a tile, e.g. '600x1200', or null
+ */
+export function getSizeKey(tile) {
+  const { width, length } = tile?.dimensions || {}
+  return width && length ? `${width}x${length}` : null
+}
+
+/**
+ * Returns the face area of a tile in mm², or null
+ */
+function getArea(tile) {
+  const { width, length } = tile?.dimensions || {}
+  return width && length ? width * length : null
+}
+
+/**
+ * Returns true if a nullable filter value is set
+ */
+function isSet(value) {
+  return value !== null && value !== undefined
+}
+
+/**
+ * Returns true if any filter is set
+ */
+export function hasActiveFilters(filters) {
+  if (!filters) {
+    return false
+  }
+  return Boolean(
+    filters.materials?.length ||
+    filters.finishes?.length ||
+    filters.colorFamilies?.length ||
+    filters.sizes?.length ||
+    isSet(filters.minPrice) ||
+    isSet(filters.maxPrice) ||
+    filters.inStockOnly
+  )
+}
+
+/**
+ * Returns true if the value passes a list facet
+ */
+function matchesList(selected, value) {
+  return !selected?.length || selected.includes(value)
+}
+
+/**
+ * Keeps only the tiles matching every active filter
+ * 
+ * @param {Array} tiles - Catalog tiles (or results enriched with catalog data)
+ * @param {Object} filters - See the filters format above
+ * @returns {Array} - Matching tiles, in their original order
+ */
+export function applyRecommendationFilters(tiles, filters) {
+  if (!hasActiveFilters(filters)) {
+    return tiles
+  }
+
+  return tiles.filter((tile) => {
+    if (!matchesList(filters.materials, tile.material)) return false
+    if (!matchesList(filters.finishes, tile.finish)) return false
+    if (!matchesList(filters.colorFamilies, tile.colorFamily)) return false
+    if (!matchesList(filters.sizes, getSizeKey(tile))) return false
+
+    const hasPriceFilter = isSet(filters.minPrice) || isSet(filters.maxPrice)
+    if (hasPriceFilter && !isSet(tile.pricePerM2)) return false
+    if (isSet(filters.minPrice) && tile.pricePerM2 < filters.minPrice) return false
+    if (isSet(filters.maxPrice) && tile.pricePerM2 > filters.maxPrice) return false
+
+    if (filters.inStockOnly && tile.inStock !== true) return false
+
+    return true
+  })
+}
+
+/**
+ * Sorts tiles by the given sort option
+ * Tiles missing the sort value (e.g. no price) go last.
+ * 
+ * @param {Array} tiles - Tiles with similarity and catalog fields
+ * @param {string} sort - One of SORT_OPTIONS values
+ * @returns {Array} - A new, sorted array
+ */
+export function sortRecommendations(tiles, sort = DEFAULT_SORT) {
+  const [field, direction] = sort.split('-')
+  const getValue = {
+    similarity: (tile) => tile.similarity,
+    price: (tile) => tile.pricePerM2,
+    size: getArea,
+  }[field]
+
+  if (!getValue) {
+    return [...tiles]
+  }
+
+  // Similarity is always best-first; other fields follow the direction
+  const multiplier = field === 'similarity' || direction === 'desc' ? -1 : 1
+
+  return [...tiles].sort((a, b) => {
+    const valueA = getValue(a)
+    const valueB = getValue(b)
+    const missingA = !isSet(valueA)
+    const missingB = !isSet(valueB)
+
+    if (missingA || missingB) {
+      return missingA - missingB
+    }
+    // Ties keep the best match first
+    return (valueA - valueB) * multiplier || (b.similarity ?? 0) - (a.similarity ?? 0)
+  })
+}
+
+/**
+ * Collects the values available for each facet, with tile counts
+ * 
+ * @param {Array} tiles - Catalog tiles
+ * @returns {Object} - { materials, finishes, colorFamilies, sizes: [{ value, count, dimensions? }],
+ *   priceRange: { min, max } | null }
+ */
+export function getFacetOptions(tiles) {
+  const collect = (getValue) => {
+    const counts = new Map()
+    tiles.forEach((tile) => {
+      const value = getValue(tile)
+      if (value) {
+        counts.set(value, (counts.get(value) || 0) + 1)
+      }
+    })
+    return [...counts.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => String(a.value).localeCompare(String(b.value), undefined, { numeric: true }))
+  }
+
+  const prices = tiles
+    .map((tile) => tile.pricePerM2)
+    .filter(isSet)
+
+  return {
+    materials: collect((tile) => tile.material),
+    finishes: collect((tile) => tile.finish),
+    colorFamilies: collect((tile) => tile.colorFamily),
+    sizes: collect(getSizeKey).map((option) => {
+      const [width, length] = option.value.split('x').map(Number)
+      return { ...option, dimensions: { width, length } }
+    }),
+    priceRange: prices.length > 0
+      ? { min: Math.min(...prices), max: Math.max(...prices) }
+      : null,
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * Room Renderer
+ * 
+ * Draws a tiled surface into a marked area of a room photo.
+ * The area is a quadrilateral (the floor or wall seen in
+ * perspective); tiles are laid out on a flat plane and projected
+ * into it with a homography, pixel by pixel.
+ * 
+ * The real proportions of the marked area are recovered from its
+ * perspective (assuming an undistorted photo centred on the lens),
+ * so tiles keep their shape instead of stretching with the quad.
+ */
+
+import { computeHomography, invertHomography } from './perspective'
+
+// Longest side of the rendered image, in pixels
+const RENDER_MAX_SIZE = 1600
+
+// Longest side of the tile texture, in pixels
+const TEXTURE_MAX_SIZE = 256
+
+// Unit square corners: top-left, top-right, bottom-right, bottom-left
+const UNIT_SQUARE = [[0, 0], [1, 0], [1, 1], [0, 1]]
+
+// Focal length assumed when it can't be estimated from the area
+// (e.g. edges parallel in the photo), relative to the photo's
+// longest side; about a phone's main camera
+const DEFAULT_FOCAL_RATIO = 0.8
+
+// Tile size used when the catalog has no dimensions, in mm
+const DEFAULT_TILE_DIMENSIONS = { width: 600, length: 600 }
+
+/**
+ * Cross product of two 3-vectors
+ */
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+  ]
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+}
+
+/**
+ * Estimates the width/height ratio of the real rectangle seen
+ * as the given quad (Zhang & He, "Whiteboard scanning", 2007).
+ * Uses a typical focal length when the quad's perspective can't
+ * determine it, as in one-point perspective.
+ * 
+ * @param {Array} quad - Corners in pixels: TL, TR, BR, BL
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ */
+export function estimateAspectRatio(quad, width, height) {
+  // Homogeneous corners relative to the image centre, in the
+  // paper's order: m1 = TL, m2 = TR, m3 = BL, m4 = BR
+  const [tl, tr, br, bl] = quad.map(([x, y]) => [x - width / 2, y - height / 2, 1])
+  const [m1, m2, m3, m4] = [tl, tr, bl, br]
+
+  const k2 = dot(cross(m1, m4), m3) / dot(cross(m2, m4), m3)
+  const k3 = dot(cross(m1, m4), m2) / dot(cross(m3, m4), m2)
+  const n2 = m2.map((value, i) => k2 * value - m1[i])
+  const n3 = m3.map((value, i) => k3 * value - m1[i])
+
+  // The focal length is only determined when both pairs of edges
+  // converge; accept the estimate only within a plausible range
+  const longestSide = Math.max(width, height)
+  const converges = (n) => Math.abs(n[2]) * longestSide > 0.01 * Math.hypot(n[0], n[1])
+  const estimatedFocal = converges(n2) && converges(n3)
+    ? Math.sqrt(-(n2[0] * n3[0] + n2[1] * n3[1]) / (n2[2] * n3[2]))
+    : NaN
+  const focal = estimatedFocal > 0.3 * longestSide && estimatedFocal < 3 * longestSide
+    ? estimatedFocal
+    : DEFAULT_FOCAL_RATIO * longestSide
+
+  const ratio = Math.sqrt(
+    (n2[0] ** 2 + n2[1] ** 2 + focal ** 2 * n2[2] ** 2) /
+    (n3[0] ** 2 + n3[1] ** 2 + focal ** 2 * n3[2] ** 2)
+  )
+
+  return Number.isFinite(ratio) && ratio > 0 ? Math.min(10, Math.max(0.1, ratio)) : 1
+}
+
+/**
+ * Draws an image into a new canvas of the given size
+ */
+function drawScaled(image, width, height) {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  canvas.getContext('2d').drawImage(image, 0, 0, width, height)
+  return canvas
+}
+
+/**
+ * Parses a '#rrggbb' colour into [r, g, b]
+ */
+function parseHexColor(color) {
+  const value = parseInt(color.replace('#', ''), 16)
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+}
+
+/**
+ * Renders the room photo with a tiled surface in the marked area
+ * 
+ * @param {HTMLCanvasElement} canvas - Output canvas (resized to fit the photo)
+ * @param {Object} options
+ * @param {HTMLImageElement} options.roomImage - Loaded room photo
+ * @param {HTMLImageElement} options.tileImage - Loaded tile image
+ * @param {Array} options.corners - Area corners as fractions (0-1) of the photo: TL, TR, BR, BL
+ * @param {Object} options.tileDimensions - { width, length } in mm (catalog dimensions)
+ * @param {number} options.tilesAcross - Number of tiles across the area's width
+ * @param {number} options.rotation - Tile rotation in degrees
+ * @param {string} options.groutColor - '#rrggbb'
+ * @param {number} options.groutWidth - Grout joint width in mm
+ * @throws {Error} - If the marked area is degenerate
+ */
+export function renderTiledSurface(canvas, {
+  roomImage,
+  tileImage,
+  corners,
+  tileDimensions,
+  tilesAcross,
+  rotation,
+  groutColor,
+  groutWidth,
+}) {
+  const scale = Math.min(1, RENDER_MAX_SIZE / Math.max(roomImage.naturalWidth, roomImage.naturalHeight))
+  const width = Math.round(roomImage.naturalWidth * scale)
+  const height = Math.round(roomImage.naturalHeight * scale)
+
+  canvas.width = width
+  canvas.height = height
+  const context = canvas.getContext('2d')
+  context.drawImage(roomImage, 0, 0, width, height)
+
+  const quad = corners.map(([x, y]) => [x * width, y * height])
+  const inverse = invertHomography(computeHomography(UNIT_SQUARE, quad))
+
+  // Tile texture, with the tile's width across and length down
+  const { width: tileWidth, length: tileLength } = tileDimensions?.width && tileDimensions?.length
+    ? tileDimensions
+    : DEFAULT_TILE_DIMENSIONS
+  const textureScale = TEXTURE_MAX_SIZE / Math.max(tileWidth, tileLength)
+  const textureWidth = Math.max(1, Math.round(tileWidth * textureScale))
+  const textureHeight = Math.max(1, Math.round(tileLength * textureScale))
+  const texture = drawScaled(tileImage, textureWidth, textureHeight)
+    .getContext('2d')
+    .getImageData(0, 0, textureWidth, textureHeight).data
+
+  // Plane size in mm: the area is tilesAcross joints wide
+  const cellWidth = tileWidth + groutWidth
+  const cellLength = tileLength + groutWidth
+  const planeWidth = tilesAcross * cellWidth
+  const planeHeight = planeWidth / estimateAspectRatio(quad, width, height)
+
+  const angle = (rotation * Math.PI) / 180
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  const [groutR, groutG, groutB] = parseHexColor(groutColor)
+
+  // Only pixels inside the quad's bounding box can change
+  const xs = quad.map(([x]) => x)
+  const ys = quad.map(([, y]) => y)
+  const left = Math.max(0, Math.floor(Math.min(...xs)))
+  const right = Math.min(width, Math.ceil(Math.max(...xs)))
+  const top = Math.max(0, Math.floor(Math.min(...ys)))
+  const bottom = Math.min(height, Math.ceil(Math.max(...ys)))
+  if (right <= left || bottom <= top) {
+    return
+  }
+
+  const output = context.getImageData(left, top, right - left, bottom - top)
+  const pixels = output.data
+  const [h0, h1, h2, h3, h4, h5, h6, h7, h8] = inverse
+
+  for (let y = top; y < bottom; y++) {
+    for (let x = left; x < right; x++) {
+      // Map the pixel centre back onto the unit square
+      const px = x + 0.5
+      const py = y + 0.5
+      const w = h6 * px + h7 * py + h8
+      const u = (h0 * px + h1 * py + h2) / w
+      const v = (h3 * px + h4 * py + h5) / w
+      if (u < 0 || u > 1 || v < 0 || v > 1) {
+        continue
+      }
+
+      // Position on the plane in mm, rotated around its centre
+      const planeX = (u - 0.5) * planeWidth
+      const planeY = (v - 0.5) * planeHeight
+      const rotatedX = planeX * cos + planeY * sin
+      const rotatedY = -planeX * sin + planeY * cos
+
+      // Position within the tile (plus its joint)
+      const localX = ((rotatedX % cellWidth) + cellWidth) % cellWidth
+      const localY = ((rotatedY % cellLength) + cellLength) % cellLength
+
+      const offset = ((y - top) * (right - left) + (x - left)) * 4
+      if (localX >= tileWidth || localY >= tileLength) {
+        pixels[offset] = groutR
+        pixels[offset + 1] = groutG
+        pixels[offset + 2] = groutB
+      } else {
+        const textureX = Math.min(textureWidth - 1, Math.floor((localX / tileWidth) * textureWidth))
+        const textureY = Math.min(textureHeight - 1, Math.floor((localY / tileLength) * textureHeight))
+        const textureOffset = (textureY * textureWidth + textureX) * 4
+        pixels[offset] = texture[textureOffset]
+        pixels[offset + 1] = texture[textureOffset + 1]
+        pixels[offset + 2] = texture[textureOffset + 2]
+      }
+      pixels[offset + 3] = 255
+    }
+  }
+
+  context.putImageData(output, left, top)
+}
@@ -0,0 +1,165 @@
+/**
+ * Router
+ * 
+ * A minimal router over the browser History API. The current URL
+ * path decides which page is shown, so pages can be linked to,
+ * survive a refresh and work with the browser back/forward buttons.
+ * 
+ * Routes:
+ *   /                            -> upload
+ *   /results/:resultId           -> result
+ *   /results/:resultId/report    -> report
+ *   /batch                       -> batch-result
+ *   /recommendations/:tileId     -> recommendation
+ *   /history                     -> history
+ *   /shortlist                   -> shortlist
+ * 
+ * Unknown paths, and paths with malformed percent-encoding, resolve
+ * to the upload page. A param can hold a
+ * comma-separated list, e.g. /recommendations/102,205 for several
+ * reference tiles.
+ */
+
+import { useEffect, useState } from 'react'
+
+// Route patterns, matched in order; ':name' segments become params
+const ROUTES = [
+  { page: 'upload', pattern: '/' },
+  { page: 'result', pattern: '/results/:resultId' },
+  { page: 'report', pattern: '/results/:resultId/report' },
+  { page: 'batch-result', pattern: '/batch' },
+  { page: 'recommendation', pattern: '/recommendations/:tileId' },
+  { page: 'history', pattern: '/history' },
+  { page: 'shortlist', pattern: '/shortlist' },
+]
+
+// Event dispatched on navigate(); pushState itself doesn't emit one
+const NAVIGATE_EVENT = 'tile-app:navigate'
+
+/**
+ * Decodes a path segment, or returns null if it isn't valid
+ * percent-encoding (e.g. '%E0')
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment)
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Matches a path against a single pattern
+ * Returns the params object, or null if the path doesn't match
+ * (including a param that can't be decoded)
+ */
+function matchPattern(pattern, path) {
+  const patternParts = pattern.split('/').filter(Boolean)
+  const pathParts = path.split('/').filter(Boolean)
+
+  if (patternParts.length !== pathParts.length) {
+    return null
+  }
+
+  const params = {}
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      const value = decodeSegment(pathParts[i])
+      if (value === null) {
+        return null
+      }
+      params[patternParts[i].slice(1)] = value
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null
+    }
+  }
+  return params
+}
+
+/**
+ * Resolves a path to its route
+ * 
+ * @param {string} path - URL path, e.g. '/recommendations/102'
+ * @returns {Object} - { page, params }
+ */
+export function matchRoute(path) {
+  for (const route of ROUTES) {
+    const params = matchPattern(route.pattern, path)
+    if (params) {
+      return { page: route.page, params }
+    }
+  }
+  return { page: 'upload', params: {} }
+}
+
+/**
+ * Builds the path of a page
+ * 
+ * @param {string} page - A route page name
+ * @param {Object} params - Values for the route's ':name' segments; arrays are
+ *   joined with commas
+ * @returns {string} - e.g. buildPath('recommendation', { tileId: 102 }) -> '/recommendations/102'
+ */
+export function buildPath(page, params = {}) {
+  const route = ROUTES.find((candidate) => candidate.page === page)
+  if (!route) {
+    throw new Error(`Unknown page: ${page}`)
+  }
+
+  return route.pattern.replace(/:(\w+)/g, (_, name) => {
+    if (params[name] === undefined || params[name] === null) {
+      throw new Error(`Missing route param "${name}" for page ${page}`)
+    }
+    return [].concat(params[name]).map(encodeURIComponent).join(',')
+  })
+}
+
+/**
+ * Navigates to a path, adding a browser history entry
+ * 
+ * @param {string} path - Target path
+ * @param {Object} options
+ * @param {boolean} options.replace - Replace the current entry instead of adding one
+ * @param {Object} options.state - Serializable state stored with the entry
+ */
+export function navigate(path, { replace = false, state = null } = {}) {
+  if (replace) {
+    window.history.replaceState(state, '', path)
+  } else {
+    window.history.pushState(state, '', path)
+  }
+  window.dispatchEvent(new Event(NAVIGATE_EVENT))
+}
+
+/**
+ * Reads the current route from the browser location
+ */
+function readLocation() {
+  return {
+    ...matchRoute(window.location.pathname),
+    path: window.location.pathname,
+    state: window.history.state,
+  }
+}
+
+/**
+ * Hook returning the current route, updated on navigate() and back/forward
+ * 
+ * @returns {Object} - { page, params, path, state }
+ */
+export function useRoute() {
+  const [route, setRoute] = useState(readLocation)
+
+  useEffect(() => {
+    const handleChange = () => setRoute(readLocation())
+
+    window.addEventListener('popstate', handleChange)
+    window.addEventListener(NAVIGATE_EVENT, handleChange)
+    return () => {
+      window.removeEventListener('popstate', handleChange)
+      window.removeEventListener(NAVIGATE_EVENT, handleChange)
+    }
+  }, [])
+
+  return route
+}
@@ -0,0 +1,289 @@
+/**
+ * Session Report
+ * 
+ * Turns a detection session into a report for a customer quote: the
+ * original photo, the detected tiles with their confidence, the
+ * recommendations picked for the quote with their catalog details,
+ * and a summary table of all of them.
+ * 
+ * The same report object drives the print view (ReportPage) and the
+ * PDF, which is generated in the browser with jsPDF. jsPDF is only
+ * loaded when a PDF is requested.
+ */
+
+import { loadImage } from './imageFeatures'
+import { getDirection, t } from '../i18n'
+import {
+  formatDimensions,
+  formatPricePerM2,
+  formatLabel,
+  formatDateTime,
+  formatPercent,
+  formatTileName,
+} from './formatters'
+
+// A4 portrait, in millimetres
+const PAGE_WIDTH = 210
+const PAGE_HEIGHT = 297
+const MARGIN = 15
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN
+
+// Longest side of images embedded in the PDF, in pixels
+const PDF_PHOTO_SIZE = 1200
+const PDF_THUMBNAIL_SIZE = 240
+const PDF_JPEG_QUALITY = 0.85
+
+// Size of a tile thumbnail in the PDF, in millimetres
+const THUMBNAIL_SIZE = 22
+
+// Summary table columns: message key of the header, row value and share
+// of the PDF page width
+export const SUMMARY_COLUMNS = [
+  { labelKey: 'report.column.type', width: 0.12, key: 'type' },
+  { labelKey: 'report.column.tile', width: 0.2, key: 'name' },
+  { labelKey: 'report.column.sku', width: 0.13, key: 'sku' },
+  { labelKey: 'report.column.size', width: 0.14, key: 'size' },
+  { labelKey: 'report.column.material', width: 0.11, key: 'material' },
+  { labelKey: 'report.column.finish', width: 0.1, key: 'finish' },
+  { labelKey: 'report.column.price', width: 0.12, key: 'price' },
+  { labelKey: 'report.column.score', width: 0.08, key: 'score' },
+]
+
+/**
+ * Formats a 0-1 score as a whole percentage
+ */
+function formatScore(value) {
+  return formatPercent(value, 0)
+}
+
+/**
+ * Builds the summary row of a tile
+ * 
+ * @param {string} kind - 'detected' or 'recommended'
+ */
+function toSummaryRow(kind, tile, score) {
+  return {
+    id: `${kind}-${tile.id}`,
+    type: t(`report.type.${kind}`),
+    name: formatTileName(tile),
+    sku: tile.sku || null,
+    size: formatDimensions(tile.dimensions, { includeThickness: false }),
+    material: formatLabel(tile.material),
+    finish: formatLabel(tile.finish),
+    price: formatPricePerM2(tile.pricePerM2, tile.currency),
+    score: formatScore(score),
+  }
+}
+
+/**
+ * Builds a report
+ * 
+ * @param {Object} options
+ * @param {string} options.title - Session name
+ * @param {number} options.createdAt - When the photo was analysed
+ * @param {string} options.preparedFor - Customer name or reference, may be empty
+ * @param {string} options.imageUrl - URL of the original photo
+ * @param {Array} options.detections - Detected tiles with catalog details and `confidence`
+ * @param {Array} options.recommendations - Picked recommendations: { tile, similarity, reference }
+ *   where tile has catalog details and reference is the detected tile it was recommended for
+ * @returns {Object} - { title, date, preparedFor, imageUrl, detections, recommendations, summary }
+ */
+export function buildReport({ title, createdAt, preparedFor, imageUrl, detections, recommendations }) {
+  const sortedDetections = [...detections].sort((a, b) => b.confidence - a.confidence)
+
+  return {
+    title: title || t('report.defaultTitle'),
+    date: formatDateTime(createdAt || Date.now()),
+    preparedFor: preparedFor.trim(),
+    imageUrl,
+    detections: sortedDetections,
+    recommendations,
+    summary: [
+      ...sortedDetections.map((tile) => toSummaryRow('detected', tile, tile.confidence)),
+      ...recommendations.map((entry) => toSummaryRow('recommended', entry.tile, entry.similarity)),
+    ],
+  }
+}
+
+/**
+ * Loads an image as a JPEG data URL for the PDF
+ * Transparent areas (SVG and PNG tiles) are filled with white.
+ * 
+ * @returns {Promise<Object|null>} - { dataUrl, width, height }, or null if
+ *   the image can't be loaded or read (e.g. another origin without CORS)
+ */
+async function loadPdfImage(src, maxSize) {
+  if (!src) {
+    return null
+  }
+
+  try {
+    const image = await loadImage(src)
+    const width = image.naturalWidth || maxSize
+    const height = image.naturalHeight || maxSize
+    const scale = Math.min(1, maxSize / Math.max(width, height))
+
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.max(1, Math.round(width * scale))
+    canvas.height = Math.max(1, Math.round(height * scale))
+    const context = canvas.getContext('2d')
+    context.fillStyle = '#ffffff'
+    context.fillRect(0, 0, canvas.width, canvas.height)
+    context.drawImage(image, 0, 0, canvas.width, canvas.height)
+
+    return {
+      dataUrl: canvas.toDataURL('image/jpeg', PDF_JPEG_QUALITY),
+      width: canvas.width,
+      height: canvas.height,
+    }
+  } catch (error) {
+    console.warn('Leaving an image out of the PDF:', error)
+    return null
+  }
+}
+
+/**
+ * Returns true if the PDF can be generated in the current locale
+ * The PDF uses jsPDF's built-in Helvetica, which only has Latin
+ * glyphs and no right-to-left text shaping.
+ */
+export function canCreateReportPdf() {
+  return getDirection() === 'ltr'
+}
+
+/**
+ * Generates the report as a PDF
+ * 
+ * @param {Object} report - Result of buildReport()
+ * @returns {Promise<Blob>} - The PDF file
+ */
+export async function createReportPdf(report) {
+  if (!canCreateReportPdf()) {
+    throw new Error('PDF export is not available for right-to-left locales')
+  }
+
+  const { jsPDF } = await import('jspdf')
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' })
+  let y = MARGIN
+
+  /**
+   * Starts a new page unless the given height still fits
+   */
+  const ensureSpace = (height) => {
+    if (y + height > PAGE_HEIGHT - MARGIN) {
+      pdf.addPage()
+      y = MARGIN
+    }
+  }
+
+  const heading = (text) => {
+    ensureSpace(14)
+    y += 4
+    pdf.setFont('helvetica', 'bold')
+    pdf.setFontSize(13)
+    pdf.text(text, MARGIN, y)
+    y += 6
+  }
+
+  /**
+   * Draws a tile: thumbnail on the left, text lines on the right
+   */
+  const tileBlock = async (tile, lines) => {
+    ensureSpace(THUMBNAIL_SIZE + 4)
+    const thumbnail = await loadPdfImage(tile.image, PDF_THUMBNAIL_SIZE)
+    if (thumbnail) {
+      pdf.addImage(thumbnail.dataUrl, 'JPEG', MARGIN, y, THUMBNAIL_SIZE, THUMBNAIL_SIZE)
+    }
+
+    const textX = MARGIN + THUMBNAIL_SIZE + 5
+    let textY = y + 4
+    lines.filter(Boolean).forEach((line, index) => {
+      pdf.setFont('helvetica', index === 0 ? 'bold' : 'normal')
+      pdf.setFontSize(index === 0 ? 11 : 9)
+      pdf.text(pdf.splitTextToSize(line, CONTENT_WIDTH - THUMBNAIL_SIZE - 5)[0], textX, textY)
+      textY += 4.5
+    })
+    y += Math.max(THUMBNAIL_SIZE, textY - y) + 4
+  }
+
+  const tileSpecs = (tile) => [
+    tile.sku && t('report.sku', { sku: tile.sku }),
+    formatDimensions(tile.dimensions, { includeThickness: false }),
+    formatLabel(tile.material),
+    formatLabel(tile.finish),
+  ].filter(Boolean).join(' · ')
+
+  // Title
+  pdf.setFont('helvetica', 'bold')
+  pdf.setFontSize(18)
+  pdf.text(report.title, MARGIN, y + 6)
+  y += 12
+  pdf.setFont('helvetica', 'normal')
+  pdf.setFontSize(10)
+  pdf.text([report.date, report.preparedFor && t('report.preparedForValue', { name: report.preparedFor })].filter(Boolean), MARGIN, y)
+  y += report.preparedFor ? 12 : 8
+
+  // Original photo
+  const photo = await loadPdfImage(report.imageUrl, PDF_PHOTO_SIZE)
+  if (photo) {
+    const maxHeight = 90
+    const scale = Math.min(CONTENT_WIDTH / photo.width, maxHeight / photo.height)
+    pdf.addImage(photo.dataUrl, 'JPEG', MARGIN, y, photo.width * scale, photo.height * scale)
+    y += photo.height * scale + 4
+  }
+
+  // Detections
+  heading(t('report.detectedTiles'))
+  if (report.detections.length === 0) {
+    pdf.setFont('helvetica', 'normal')
+    pdf.setFontSize(10)
+    pdf.text(t('report.noDetections'), MARGIN, y)
+    y += 6
+  }
+  for (const tile of report.detections) {
+    await tileBlock(tile, [
+      formatTileName(tile),
+      t('report.confidence', { value: formatScore(tile.confidence) }),
+      tileSpecs(tile),
+      formatPricePerM2(tile.pricePerM2, tile.currency),
+    ])
+  }
+
+  // Recommendations
+  if (report.recommendations.length > 0) {
+    heading(t('report.recommendedTiles'))
+    for (const { tile, similarity, reference } of report.recommendations) {
+      await tileBlock(tile, [
+        formatTileName(tile),
+        reference
+          ? t('report.similarityTo', { value: formatScore(similarity), name: formatTileName(reference) })
+          : t('report.similarity', { value: formatScore(similarity) }),
+        tileSpecs(tile),
+        formatPricePerM2(tile.pricePerM2, tile.currency),
+      ])
+    }
+  }
+
+  // Summary table
+  heading(t('report.summary'))
+  const columns = SUMMARY_COLUMNS.map((column) => ({ ...column, width: column.width * CONTENT_WIDTH }))
+  const tableRow = (values, isHeader) => {
+    ensureSpace(7)
+    pdf.setFont('helvetica', isHeader ? 'bold' : 'normal')
+    pdf.setFontSize(8)
+    let x = MARGIN
+    columns.forEach((column, index) => {
+      const text = pdf.splitTextToSize(values[index] || '-', column.width - 1.5)[0]
+      pdf.text(text, x, y + 4)
+      x += column.width
+    })
+    y += 6
+    pdf.setDrawColor(isHeader ? 120 : 220)
+    pdf.line(MARGIN, y - 1, MARGIN + CONTENT_WIDTH, y - 1)
+  }
+
+  tableRow(columns.map((column) => t(column.labelKey)), true)
+  report.summary.forEach((row) => tableRow(columns.map((column) => row[column.key]), false))
+
+  return pdf.output('blob')
+}
@@ -0,0 +1,98 @@
+/**
+ * Tile Comparison
+ * 
+ * Selection and attribute rows for comparing 2-4 tiles side by side.
+ * Rows hold display strings, so tiles are compared the way the user
+ * sees them (e.g. two prices in different currencies differ).
+ */
+
+import { useState } from 'react'
+import { t } from '../i18n'
+import { formatDimensions, formatPricePerM2, formatLabel, formatMeasurement, formatPercent } from './formatters'
+
+export const MIN_COMPARE_TILES = 2
+export const MAX_COMPARE_TILES = 4
+
+// Compared attributes, in display order, with the message keys of their labels
+const COMPARISON_ATTRIBUTES = [
+  { key: 'similarity', labelKey: 'comparison.similarity', getValue: (tile) => formatPercent(tile.similarity) },
+  { key: 'confidence', labelKey: 'comparison.confidence', getValue: (tile) => formatPercent(tile.confidence) },
+  { key: 'sku', labelKey: 'tile.sku', getValue: (tile) => tile.sku },
+  { key: 'size', labelKey: 'tile.size', getValue: (tile) => formatDimensions(tile.dimensions, { includeThickness: false }) },
+  { key: 'thickness', labelKey: 'comparison.thickness', getValue: (tile) => formatMeasurement(tile.dimensions?.thickness || null, 'mm') },
+  { key: 'material', labelKey: 'tile.material', getValue: (tile) => formatLabel(tile.material) },
+  { key: 'finish', labelKey: 'tile.finish', getValue: (tile) => formatLabel(tile.finish) },
+  { key: 'colorFamily', labelKey: 'tile.colour', getValue: (tile) => formatLabel(tile.colorFamily) },
+  { key: 'price', labelKey: 'tile.price', getValue: (tile) => formatPricePerM2(tile.pricePerM2, tile.currency) },
+  {
+    key: 'stock',
+    labelKey: 'comparison.availability',
+    getValue: (tile) => {
+      if (tile.inStock === true) return t('comparison.inStock')
+      if (tile.inStock === false) return t('comparison.outOfStock')
+      return null
+    },
+  },
+  { key: 'description', labelKey: 'comparison.description', getValue: (tile) => tile.description },
+]
+
+/**
+ * Builds the comparison table rows for a set of tiles
+ * Attributes no tile has are left out. A row is marked as
+ * different when its values (including missing ones) aren't all equal.
+ * 
+ * @param {Array} tiles - Tiles with catalog details
+ * @returns {Array} - [{ key, label, values: (string|null)[], isDifferent }]
+ */
+export function getComparisonRows(tiles) {
+  return COMPARISON_ATTRIBUTES
+    .map(({ key, labelKey, getValue }) => {
+      const values = tiles.map((tile) => getValue(tile) ?? null)
+      return {
+        key,
+        label: t(labelKey),
+        values,
+        isDifferent: new Set(values).size > 1,
+      }
+    })
+    .filter((row) => row.values.some((value) => value !== null))
+}
+
+/**
+ * Hook managing the tiles selected for comparison
+ * 
+ * @returns {Object} - { selectedTiles, isSelected, toggleTile, removeTile, clearSelection, isFull }
+ */
+export function useCompareSelection() {
+  const [selectedTiles, setSelectedTiles] = useState([])
+
+  const isSelected = (tile) => selectedTiles.some((selected) => selected.id === tile.id)
+
+  /**
+   * Adds or removes a tile; ignored when adding past the limit
+   */
+  const toggleTile = (tile, selected) => {
+    setSelectedTiles((current) => {
+      const without = current.filter((item) => item.id !== tile.id)
+      if (!selected) {
+        return without
+      }
+      return without.length < MAX_COMPARE_TILES ? [...without, tile] : current
+    })
+  }
+
+  const removeTile = (tileId) => {
+    setSelectedTiles((current) => current.filter((item) => item.id !== tileId))
+  }
+
+  const clearSelection = () => setSelectedTiles([])
+
+  return {
+    selectedTiles,
+    isSelected,
+    toggleTile,
+    removeTile,
+    clearSelection,
+    isFull: selectedTiles.length >= MAX_COMPARE_TILES,
+  }
+}
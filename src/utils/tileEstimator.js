@@ -0,0 +1,115 @@
+/**
+ * Tile Estimator
+ * 
+ * Works out how many tiles and boxes a job needs and what they cost.
+ * 
+ * The area to cover comes from room dimensions or is entered directly,
+ * in metric (m, m², tile size in mm) or imperial units (ft, ft², tile
+ * size in inches). A waste allowance is added for cuts and breakage;
+ * its default depends on the layout pattern, since diagonal and
+ * herringbone layouts cut more tiles at the edges.
+ * 
+ * Tiles are sold in whole boxes when the catalog has a box size, so
+ * the cost is for the boxes bought, not just the tiles laid.
+ */
+
+const M_PER_FT = 0.3048
+const MM_PER_IN = 25.4
+
+// Unit systems: message key of the label, unit keys (see formatMeasurement)
+// and conversion factors
+export const UNIT_SYSTEMS = {
+  metric: { labelKey: 'estimator.units.metric', length: 'm', area: 'm2', tileSize: 'mm', toMetres: 1, tileToMm: 1 },
+  imperial: { labelKey: 'estimator.units.imperial', length: 'ft', area: 'ft2', tileSize: 'in', toMetres: M_PER_FT, tileToMm: MM_PER_IN },
+}
+
+// Layout patterns, the message keys of their labels and their usual
+// waste allowance (in percent)
+export const LAYOUT_PATTERNS = [
+  { id: 'straight', labelKey: 'estimator.pattern.straight', waste: 10 },
+  { id: 'brick', labelKey: 'estimator.pattern.brick', waste: 10 },
+  { id: 'diagonal', labelKey: 'estimator.pattern.diagonal', waste: 15 },
+  { id: 'herringbone', labelKey: 'estimator.pattern.herringbone', waste: 20 },
+]
+
+/**
+ * Returns a tile's catalog size in the tile size unit of a unit system
+ * 
+ * @param {Object} tile - Catalog tile ({ dimensions: { width, length } } in mm)
+ * @param {string} units - 'metric' or 'imperial'
+ * @returns {Object} - { width, length }, empty strings when the catalog has no size
+ */
+export function getTileSize(tile, units) {
+  const { width, length } = tile?.dimensions || {}
+  if (!width || !length) {
+    return { width: '', length: '' }
+  }
+
+  const toUnit = (mm) => Math.round((mm / UNIT_SYSTEMS[units].tileToMm) * 10) / 10
+  return { width: toUnit(width), length: toUnit(length) }
+}
+
+/**
+ * Converts an area in square metres to a unit system's area unit
+ */
+export function fromSquareMetres(areaM2, units) {
+  return areaM2 / UNIT_SYSTEMS[units].toMetres ** 2
+}
+
+/**
+ * Estimates tiles, boxes and cost
+ * 
+ * @param {Object} input
+ * @param {string} input.units - 'metric' or 'imperial'
+ * @param {string} input.mode - 'dimensions' (roomLength × roomWidth) or 'area'
+ * @param {number} input.roomLength - Room length, in m or ft
+ * @param {number} input.roomWidth - Room width, in m or ft
+ * @param {number} input.area - Area to cover, in m² or ft²
+ * @param {number} input.tileWidth - Tile width, in mm or inches
+ * @param {number} input.tileLength - Tile length, in mm or inches
+ * @param {number} input.wastePercent - Waste allowance, e.g. 10
+ * @param {number} input.tilesPerBox - Tiles per box, if the tile is sold in boxes
+ * @param {number} input.pricePerM2 - Catalog price per m², if known
+ * @returns {Object|null} - { areaM2, tileAreaM2, tiles, boxes, purchasedTiles,
+ *   purchasedAreaM2, totalCost }, or null while the input is incomplete;
+ *   boxes is null without a box size and totalCost without a price
+ */
+export function estimateTiles({
+  units,
+  mode,
+  roomLength,
+  roomWidth,
+  area,
+  tileWidth,
+  tileLength,
+  wastePercent,
+  tilesPerBox,
+  pricePerM2,
+}) {
+  const system = UNIT_SYSTEMS[units]
+  const areaM2 = mode === 'area'
+    ? Number(area) * system.toMetres ** 2
+    : Number(roomLength) * Number(roomWidth) * system.toMetres ** 2
+  const tileAreaM2 = (Number(tileWidth) * system.tileToMm / 1000) * (Number(tileLength) * system.tileToMm / 1000)
+  const waste = Number(wastePercent)
+
+  if (!(areaM2 > 0) || !(tileAreaM2 > 0) || !(waste >= 0)) {
+    return null
+  }
+
+  // Rounded first, so floating point noise (e.g. 100.00000001) doesn't add a tile
+  const tiles = Math.ceil(Math.round((areaM2 * (1 + waste / 100)) / tileAreaM2 * 1000) / 1000)
+  const boxes = tilesPerBox > 0 ? Math.ceil(tiles / tilesPerBox) : null
+  const purchasedTiles = boxes !== null ? boxes * tilesPerBox : tiles
+  const purchasedAreaM2 = purchasedTiles * tileAreaM2
+
+  return {
+    areaM2,
+    tileAreaM2,
+    tiles,
+    boxes,
+    purchasedTiles,
+    purchasedAreaM2,
+    totalCost: pricePerM2 > 0 ? purchasedAreaM2 * pricePerM2 : null,
+  }
+}
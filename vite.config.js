@@ -1,6 +1,12 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { tileApiPlugin } from './server/devApi.js'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Local stand-in for the FastAPI backend (/api/detect, /api/recommend)
+    // Set TILE_DEV_API=off to disable it, e.g. when proxying a real backend
+    process.env.TILE_DEV_API !== 'off' && tileApiPlugin(),
+  ],
 })